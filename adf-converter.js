@@ -0,0 +1,523 @@
+/**
+ * Markdown to Atlassian Document Format
+ *
+ * Converts the Markdown-style text used in PMAC descriptions into an ADF document:
+ * headings, nested bullet/ordered lists, code blocks, tables, block quotes and
+ * inline code, bold, italic and links. adfToMarkdown converts the other way for
+ * exports, so exported descriptions import back into the same document.
+ */
+
+const FENCE = /^\s*(```|~~~)\s*([\w+#.-]*)\s*$/;
+const HEADING = /^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+const LIST_ITEM = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+const TABLE_SEPARATOR = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+const BLOCKQUOTE = /^\s{0,3}>\s?(.*)$/;
+const RULE = /^\s{0,3}([-*_])(\s*\1){2,}\s*$/;
+// A short standalone label such as "Acceptance Criteria:" that introduces a list
+const LABEL_HEADING = /^[A-Z][\w /&'-]{0,50}:$/;
+
+/**
+ * Converts Markdown text into an ADF document
+ */
+function markdownToAdf(markdown) {
+  const lines = String(markdown || '').replace(/\r\n?/g, '\n').split('\n');
+  return {
+    type: 'doc',
+    version: 1,
+    content: parseBlocks(lines)
+  };
+}
+
+/**
+ * Parses a sequence of lines into ADF block nodes
+ */
+function parseBlocks(lines) {
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    // Fenced code block
+    const fence = line.match(FENCE);
+    if (fence) {
+      const code = [];
+      i++;
+      while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+        code.push(lines[i]);
+        i++;
+      }
+      i++; // Skip closing fence
+      blocks.push(codeBlock(code.join('\n'), fence[2]));
+      continue;
+    }
+
+    const heading = line.match(HEADING);
+    if (heading) {
+      blocks.push({
+        type: 'heading',
+        attrs: { level: heading[1].length },
+        content: parseInline(heading[2])
+      });
+      i++;
+      continue;
+    }
+
+    if (RULE.test(line)) {
+      blocks.push({ type: 'rule' });
+      i++;
+      continue;
+    }
+
+    if (isTableStart(lines, i)) {
+      const rows = [];
+      while (i < lines.length && lines[i].trim().includes('|')) {
+        rows.push(lines[i]);
+        i++;
+      }
+      blocks.push(table(rows));
+      continue;
+    }
+
+    if (LIST_ITEM.test(line)) {
+      const [list, next] = parseList(lines, i);
+      blocks.push(list);
+      i = next;
+      continue;
+    }
+
+    if (BLOCKQUOTE.test(line)) {
+      const quoted = [];
+      while (i < lines.length && BLOCKQUOTE.test(lines[i])) {
+        quoted.push(lines[i].match(BLOCKQUOTE)[1]);
+        i++;
+      }
+      blocks.push({ type: 'blockquote', content: parseBlocks(quoted) });
+      continue;
+    }
+
+    // Paragraph: consecutive lines until a blank line or another block starts
+    const paragraphLines = [];
+    while (i < lines.length && lines[i].trim() && (paragraphLines.length === 0 || !startsBlock(lines, i))) {
+      paragraphLines.push(lines[i].trim());
+      i++;
+    }
+
+    if (paragraphLines.length === 1 && LABEL_HEADING.test(paragraphLines[0]) && i < lines.length && LIST_ITEM.test(lines[i])) {
+      blocks.push({
+        type: 'heading',
+        attrs: { level: 3 },
+        content: parseInline(paragraphLines[0].slice(0, -1))
+      });
+    } else {
+      blocks.push(paragraph(paragraphLines));
+    }
+  }
+
+  return blocks;
+}
+
+/**
+ * Checks whether the line at index starts a non-paragraph block
+ */
+function startsBlock(lines, index) {
+  const line = lines[index];
+  return FENCE.test(line) || HEADING.test(line) || RULE.test(line) || LIST_ITEM.test(line) ||
+    BLOCKQUOTE.test(line) || isTableStart(lines, index);
+}
+
+/**
+ * Checks for a table header row followed by a separator row
+ */
+function isTableStart(lines, index) {
+  return lines[index].includes('|') && index + 1 < lines.length &&
+    lines[index + 1].includes('-') && TABLE_SEPARATOR.test(lines[index + 1]);
+}
+
+/**
+ * Counts the leading whitespace of a line (tabs count as two spaces)
+ */
+function indentOf(line) {
+  return line.match(/^\s*/)[0].replace(/\t/g, '  ').length;
+}
+
+/**
+ * Parses a list starting at index, including deeper nested lists.
+ * Returns the list node and the index of the first line after it.
+ */
+function parseList(lines, start) {
+  const first = lines[start].match(LIST_ITEM);
+  const indent = indentOf(first[1]);
+  const ordered = /\d/.test(first[2]);
+  const list = {
+    type: ordered ? 'orderedList' : 'bulletList',
+    content: []
+  };
+
+  if (ordered && parseInt(first[2], 10) !== 1) {
+    list.attrs = { order: parseInt(first[2], 10) };
+  }
+
+  let i = start;
+  while (i < lines.length) {
+    const match = lines[i].match(LIST_ITEM);
+    if (!match || indentOf(match[1]) !== indent || /\d/.test(match[2]) !== ordered) break;
+
+    const textLines = [match[3].trim()];
+    const children = [];
+    i++;
+
+    while (i < lines.length) {
+      const line = lines[i];
+
+      // A blank line only continues the item when deeper-indented content follows
+      if (!line.trim()) {
+        let next = i + 1;
+        while (next < lines.length && !lines[next].trim()) next++;
+        if (next < lines.length && indentOf(lines[next]) > indent) {
+          i = next;
+          continue;
+        }
+        break;
+      }
+
+      const nested = line.match(LIST_ITEM);
+      if (nested && indentOf(nested[1]) > indent) {
+        const [sublist, next] = parseList(lines, i);
+        children.push(sublist);
+        i = next;
+        continue;
+      }
+
+      if (!nested && indentOf(line) > indent) {
+        if (FENCE.test(line)) {
+          const fence = line.match(FENCE);
+          const code = [];
+          i++;
+          while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+            code.push(lines[i].slice(Math.min(indentOf(line), indentOf(lines[i]))));
+            i++;
+          }
+          i++;
+          children.push(codeBlock(code.join('\n'), fence[2]));
+          continue;
+        }
+        textLines.push(line.trim());
+        i++;
+        continue;
+      }
+
+      break;
+    }
+
+    list.content.push({
+      type: 'listItem',
+      content: [paragraph(textLines), ...children]
+    });
+  }
+
+  return [list, i];
+}
+
+/**
+ * Builds a paragraph, keeping line breaks as hard breaks
+ */
+function paragraph(lines) {
+  const content = [];
+  lines.forEach((line, index) => {
+    if (index > 0) content.push({ type: 'hardBreak' });
+    content.push(...parseInline(line));
+  });
+
+  return content.length > 0 ? { type: 'paragraph', content } : { type: 'paragraph' };
+}
+
+/**
+ * Builds a code block node
+ */
+function codeBlock(code, language) {
+  const node = { type: 'codeBlock' };
+  if (language) node.attrs = { language };
+  if (code) node.content = [{ type: 'text', text: code }];
+  return node;
+}
+
+/**
+ * Splits a table row into trimmed cell texts, honouring escaped pipes
+ */
+function splitRow(row) {
+  const cells = row.trim().replace(/^\|/, '').replace(/(?<!\\)\|$/, '').split(/(?<!\\)\|/);
+  return cells.map(cell => cell.trim().replace(/\\\|/g, '|'));
+}
+
+/**
+ * Builds a table from Markdown rows (header, separator, body rows)
+ */
+function table(rows) {
+  const header = splitRow(rows[0]);
+  const body = rows.slice(2).map(splitRow);
+
+  const row = (cells, cellType) => ({
+    type: 'tableRow',
+    content: header.map((_, index) => ({
+      type: cellType,
+      content: [paragraph([cells[index] || ''])]
+    }))
+  });
+
+  return {
+    type: 'table',
+    attrs: { isNumberColumnEnabled: false, layout: 'default' },
+    content: [row(header, 'tableHeader'), ...body.map(cells => row(cells, 'tableCell'))]
+  };
+}
+
+/**
+ * Builds a text node with the given marks
+ */
+function textNode(text, marks) {
+  const node = { type: 'text', text };
+  if (marks.length > 0) node.marks = marks;
+  return node;
+}
+
+/**
+ * Parses inline Markdown (code, links, bold, italic) into ADF text nodes
+ */
+function parseInline(text, marks = []) {
+  const nodes = [];
+  let buffer = '';
+  let i = 0;
+
+  const flush = () => {
+    if (buffer) nodes.push(textNode(buffer, marks));
+    buffer = '';
+  };
+  const isWordChar = ch => Boolean(ch) && /\w/.test(ch);
+
+  while (i < text.length) {
+    const rest = text.slice(i);
+    let match;
+
+    // Escaped punctuation
+    if (rest[0] === '\\' && /^\\[\\`*_[\]()#|>~-]/.test(rest)) {
+      buffer += rest[1];
+      i += 2;
+      continue;
+    }
+
+    // Inline code (only links may be combined with the code mark)
+    if ((match = rest.match(/^(`+)(?!`)([\s\S]*?[^`])\1(?!`)/))) {
+      flush();
+      nodes.push(textNode(match[2], [...marks.filter(m => m.type === 'link'), { type: 'code' }]));
+      i += match[0].length;
+      continue;
+    }
+
+    // [text](url "title")
+    if ((match = rest.match(/^\[([^\]]+)\]\(\s*<?([^)\s>]+)>?(?:\s+"[^"]*")?\s*\)/))) {
+      flush();
+      nodes.push(...parseInline(match[1], [...marks, { type: 'link', attrs: { href: match[2] } }]));
+      i += match[0].length;
+      continue;
+    }
+
+    // Bare URLs
+    if (!marks.some(m => m.type === 'link') && !isWordChar(text[i - 1]) &&
+        (match = rest.match(/^https?:\/\/[^\s<>()]*[^\s<>().,;:!?'"]/))) {
+      flush();
+      nodes.push(textNode(match[0], [...marks, { type: 'link', attrs: { href: match[0] } }]));
+      i += match[0].length;
+      continue;
+    }
+
+    // **bold** or __bold__
+    if ((match = rest.match(/^(\*\*|__)(?=\S)([\s\S]*?\S)\1/)) && !(match[1] === '__' && isWordChar(text[i - 1]))) {
+      flush();
+      nodes.push(...parseInline(match[2], [...marks, { type: 'strong' }]));
+      i += match[0].length;
+      continue;
+    }
+
+    // *italic* or _italic_ (underscores inside words like snake_case are left alone)
+    if ((match = rest.match(/^([*_])(?=\S)([\s\S]*?[^\s*_])\1(?![*_])/)) &&
+        !(match[1] === '_' && (isWordChar(text[i - 1]) || isWordChar(text[i + match[0].length])))) {
+      flush();
+      nodes.push(...parseInline(match[2], [...marks, { type: 'em' }]));
+      i += match[0].length;
+      continue;
+    }
+
+    // ~~strike~~
+    if ((match = rest.match(/^~~(?=\S)([\s\S]*?\S)~~/))) {
+      flush();
+      nodes.push(...parseInline(match[1], [...marks, { type: 'strike' }]));
+      i += match[0].length;
+      continue;
+    }
+
+    buffer += rest[0];
+    i++;
+  }
+
+  flush();
+  return nodes;
+}
+
+/**
+ * Converts an ADF document (or a plain string) into Markdown text
+ */
+function adfToMarkdown(doc) {
+  if (!doc) return '';
+  if (typeof doc === 'string') return doc;
+  return renderBlocks(doc.content || []).trim();
+}
+
+/**
+ * Renders block nodes separated by blank lines
+ */
+function renderBlocks(nodes) {
+  return nodes.map(renderBlock).filter(text => text !== '').join('\n\n');
+}
+
+/**
+ * Renders a single block node
+ */
+function renderBlock(node) {
+  switch (node.type) {
+    case 'paragraph':
+      return renderInline(node.content || []);
+    case 'heading':
+      return `${'#'.repeat(node.attrs?.level || 1)} ${renderInline(node.content || [])}`;
+    case 'bulletList':
+    case 'orderedList':
+      return renderList(node);
+    case 'codeBlock': {
+      const code = (node.content || []).map(n => n.text || '').join('');
+      return `\`\`\`${node.attrs?.language || ''}\n${code}\n\`\`\``;
+    }
+    case 'blockquote':
+      return renderBlocks(node.content || []).split('\n').map(line => line ? `> ${line}` : '>').join('\n');
+    case 'rule':
+      return '---';
+    case 'table':
+      return renderTable(node);
+    case 'panel':
+    case 'expand':
+    case 'nestedExpand':
+    case 'layoutSection':
+    case 'layoutColumn':
+      return renderBlocks(node.content || []);
+    case 'mediaSingle':
+    case 'mediaGroup':
+      return '';
+    default:
+      return node.content ? renderBlocks(node.content) : renderInline([node]);
+  }
+}
+
+/**
+ * Renders a list, indenting nested lists and continuation lines under their item
+ */
+function renderList(list) {
+  const start = list.attrs?.order || 1;
+
+  return (list.content || []).map((item, index) => {
+    const marker = list.type === 'orderedList' ? `${start + index}.` : '-';
+    const indent = ' '.repeat(marker.length + 1);
+    const body = (item.content || []).map(child =>
+      child.type === 'bulletList' || child.type === 'orderedList' ? renderList(child) : renderBlock(child)
+    ).join('\n');
+
+    return body.split('\n').map((line, i) => (i === 0 ? `${marker} ${line}` : line ? indent + line : line)).join('\n');
+  }).join('\n');
+}
+
+/**
+ * Renders a table as a Markdown table with the first row as header
+ */
+function renderTable(node) {
+  const rows = (node.content || []).map(row => (row.content || []).map(cell =>
+    renderBlocks(cell.content || []).replace(/\n+/g, ' ').replace(/\|/g, '\\|')
+  ));
+  if (rows.length === 0) return '';
+
+  const width = Math.max(...rows.map(row => row.length));
+  const line = cells => `| ${Array.from({ length: width }, (_, i) => cells[i] || '').join(' | ')} |`;
+  return [line(rows[0]), line(Array(width).fill('---')), ...rows.slice(1).map(line)].join('\n');
+}
+
+/**
+ * Escapes characters that parseInline would otherwise read as Markdown
+ */
+function escapeMarkdown(text) {
+  return text
+    .replace(/[\\`*[\]~]/g, '\\$&')
+    .replace(/(^|\W)_|_(?=\W|$)/g, match => match.replace('_', '\\_'));
+}
+
+/**
+ * Renders inline nodes (text with marks, hard breaks, mentions, emoji, cards)
+ */
+function renderInline(nodes) {
+  return nodes.map(node => {
+    switch (node.type) {
+      case 'text':
+        return applyMarks(node.text, node.marks || []);
+      case 'hardBreak':
+        return '\n';
+      case 'mention':
+        return node.attrs?.text || '@unknown';
+      case 'emoji':
+        return node.attrs?.text || node.attrs?.shortName || '';
+      case 'inlineCard':
+      case 'blockCard':
+        return node.attrs?.url || '';
+      case 'date':
+        return node.attrs?.timestamp ? new Date(Number(node.attrs.timestamp)).toISOString().slice(0, 10) : '';
+      case 'status':
+        return node.attrs?.text || '';
+      default:
+        return node.content ? renderInline(node.content) : '';
+    }
+  }).join('');
+}
+
+/**
+ * Wraps text in the Markdown for its marks
+ */
+function applyMarks(text, marks) {
+  const types = new Set(marks.map(m => m.type));
+  if (types.has('code')) {
+    const ticks = text.includes('`') ? '``' : '`';
+    text = `${ticks}${text}${ticks}`;
+  } else {
+    text = escapeMarkdown(text);
+  }
+
+  // Keep surrounding spaces outside the markers, where Markdown requires them
+  const [, before, inner, after] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+  if (!inner) return text;
+  let wrapped = inner;
+  if (types.has('strike')) wrapped = `~~${wrapped}~~`;
+  if (types.has('em')) wrapped = `*${wrapped}*`;
+  if (types.has('strong')) wrapped = `**${wrapped}**`;
+
+  const link = marks.find(m => m.type === 'link');
+  if (link) {
+    const href = link.attrs?.href || '';
+    wrapped = href === inner ? href : `[${wrapped}](${href})`;
+  }
+  return before + wrapped + after;
+}
+
+module.exports = {
+  markdownToAdf,
+  adfToMarkdown,
+  parseInline
+};
@@ -0,0 +1,346 @@
+#!/usr/bin/env node
+/**
+ * Fake GitHub Server
+ *
+ * In-process HTTP server that answers the GitHub REST API endpoints the GitHub backend
+ * uses (repository, labels, milestones and issues with their assignees) from in-memory state, so imports into
+ * GitHub Issues can be run offline. Like GitHub, it creates the labels an issue is given
+ * and does not delete issues. Behaviours inject failures such as 429 responses:
+ *
+ *   const server = createFakeGithubServer({ rateLimit: { times: 2 } });
+ *   await server.start();
+ *   const importer = createImporter({ config: server.importerConfig() });
+ *   await importer.importToJira();
+ *   server.state.issues  // what the import created
+ *   await server.stop();
+ */
+
+const http = require('http');
+const { parseArgs } = require('util');
+
+const DEFAULT_BEHAVIOUR = {
+  // Repository the server has, as owner/name
+  repository: 'pmac/backlog',
+  // Token the server accepts as "Authorization: Bearer <token>"
+  token: 'fake-token',
+  // Logins issues can be assigned to
+  assignees: ['octocat'],
+  // Answer 429 to the first `times` requests whose path contains `match`: { times, retryAfter, match, status }.
+  // With status 403 it answers as GitHub's primary limit does: no requests remaining until X-RateLimit-Reset
+  rateLimit: null,
+  // Reject matching requests: [{ method, path, status, message, times, when(body, request) }]
+  failures: []
+};
+
+/**
+ * Builds an error response body in GitHub's shape
+ */
+function githubError(status, message, errors) {
+  const error = new Error(message);
+  error.status = status;
+  error.body = { message, ...(errors ? { errors } : {}), documentation_url: 'https://docs.github.com/rest' };
+  return error;
+}
+
+/**
+ * Creates a fake GitHub server. Nothing listens until start() is called.
+ */
+function createFakeGithubServer(behaviourOverrides = {}) {
+  const behaviour = { ...DEFAULT_BEHAVIOUR, ...behaviourOverrides };
+  const failures = (behaviour.failures || []).map(rule => ({ times: Infinity, status: 422, ...rule, used: 0 }));
+  const repoPrefix = `/repos/${behaviour.repository}`;
+  let rateLimited = 0;
+  let server = null;
+  let baseUrl = null;
+
+  const state = {
+    labels: new Map(),
+    milestones: new Map(),
+    issues: new Map(),
+    requests: [],
+    counters: { label: 0, number: 0, milestone: 0 }
+  };
+
+  const webUrl = path => `${baseUrl}/${behaviour.repository}${path}`;
+
+  function ensureLabel(name, color = 'ededed') {
+    const existing = [...state.labels.values()].find(l => l.name.toLowerCase() === name.toLowerCase());
+    if (existing) return existing;
+    state.counters.label++;
+    const label = { id: state.counters.label, name, color, description: null };
+    state.labels.set(name, label);
+    return label;
+  }
+
+  function requireIssue(number) {
+    const issue = state.issues.get(Number(number));
+    if (!issue) throw githubError(404, 'Not Found');
+    return issue;
+  }
+
+  function requireMilestone(number) {
+    const milestone = state.milestones.get(Number(number));
+    if (!milestone) throw githubError(404, 'Not Found');
+    return milestone;
+  }
+
+  function milestoneOf(number) {
+    if (number === null || number === undefined) return null;
+    const milestone = state.milestones.get(Number(number));
+    if (!milestone) throw githubError(422, 'Validation Failed', [{ resource: 'Issue', field: 'milestone', code: 'invalid' }]);
+    return milestone;
+  }
+
+  function issueView(issue) {
+    return {
+      ...issue,
+      labels: issue.labels.map(name => ensureLabel(name)),
+      assignees: issue.assignees.map(login => ({ login })),
+      milestone: issue.milestone ? state.milestones.get(issue.milestone) : null
+    };
+  }
+
+  /**
+   * Applies issue fields from a create or update request
+   */
+  function applyIssueFields(issue, body) {
+    if (body.title !== undefined) {
+      if (!body.title) throw githubError(422, 'Validation Failed', [{ resource: 'Issue', field: 'title', code: 'missing_field' }]);
+      issue.title = body.title;
+    }
+    if (body.body !== undefined) issue.body = body.body;
+    if (body.labels !== undefined) issue.labels = body.labels.map(l => ensureLabel(typeof l === 'string' ? l : l.name).name);
+    if (body.milestone !== undefined) issue.milestone = milestoneOf(body.milestone)?.number ?? null;
+    if (body.assignees !== undefined) {
+      if (body.assignees.some(login => !behaviour.assignees.includes(login))) {
+        throw githubError(422, 'Validation Failed', [{ resource: 'Issue', field: 'assignees', code: 'invalid' }]);
+      }
+      issue.assignees = body.assignees;
+    }
+    if (body.state !== undefined) {
+      if (!['open', 'closed'].includes(body.state)) throw githubError(422, 'Validation Failed', [{ resource: 'Issue', field: 'state', code: 'invalid' }]);
+      issue.state = body.state;
+      issue.state_reason = body.state === 'closed' ? body.state_reason || 'completed' : 'reopened';
+      issue.closed_at = body.state === 'closed' ? new Date().toISOString() : null;
+    }
+  }
+
+  function applyMilestoneFields(milestone, body) {
+    if (body.title !== undefined) {
+      const clash = [...state.milestones.values()].find(m => m.title === body.title && m.number !== milestone.number);
+      if (clash) throw githubError(422, 'Validation Failed', [{ resource: 'Milestone', field: 'title', code: 'already_exists' }]);
+      milestone.title = body.title;
+    }
+    if (body.description !== undefined) milestone.description = body.description;
+    if (body.due_on !== undefined) milestone.due_on = body.due_on;
+    if (body.state !== undefined) milestone.state = body.state;
+  }
+
+  /**
+   * One page of a list, as GitHub pages with per_page and page
+   */
+  function page(list, params) {
+    const perPage = Math.min(Number(params.get('per_page')) || 30, 100);
+    const pageNumber = Number(params.get('page')) || 1;
+    return list.slice((pageNumber - 1) * perPage, pageNumber * perPage);
+  }
+
+  const byState = params => item => (params.get('state') || 'open') === 'all' || item.state === (params.get('state') || 'open');
+
+  /**
+   * Routes a request to the handler for its endpoint; returns [status, body]
+   */
+  function route(method, path, params, body) {
+    if (path === repoPrefix && method === 'GET') {
+      const [owner, name] = behaviour.repository.split('/');
+      return [200, { full_name: behaviour.repository, name, owner: { login: owner }, html_url: webUrl(''), has_issues: true }];
+    }
+    if (!path.startsWith(`${repoPrefix}/`)) throw githubError(404, 'Not Found');
+    const rest = path.slice(repoPrefix.length);
+    let match;
+
+    if (rest === '/labels' && method === 'GET') {
+      return [200, page([...state.labels.values()], params)];
+    }
+    if (rest === '/labels' && method === 'POST') {
+      if (!body?.name) throw githubError(422, 'Validation Failed', [{ resource: 'Label', field: 'name', code: 'missing_field' }]);
+      if ([...state.labels.values()].some(l => l.name.toLowerCase() === body.name.toLowerCase())) {
+        throw githubError(422, 'Validation Failed', [{ resource: 'Label', field: 'name', code: 'already_exists' }]);
+      }
+      return [201, ensureLabel(body.name, body.color)];
+    }
+    if ((match = rest.match(/^\/labels\/(.+)$/)) && method === 'DELETE') {
+      const name = decodeURIComponent(match[1]);
+      const label = [...state.labels.values()].find(l => l.name.toLowerCase() === name.toLowerCase());
+      if (!label) throw githubError(404, 'Not Found');
+      state.labels.delete(label.name);
+      state.issues.forEach(issue => { issue.labels = issue.labels.filter(l => l !== label.name); });
+      return [204, null];
+    }
+
+    if (rest === '/milestones' && method === 'GET') {
+      return [200, page([...state.milestones.values()].filter(byState(params)), params)];
+    }
+    if (rest === '/milestones' && method === 'POST') {
+      if (!body?.title) throw githubError(422, 'Validation Failed', [{ resource: 'Milestone', field: 'title', code: 'missing_field' }]);
+      state.counters.milestone++;
+      const milestone = { number: state.counters.milestone, state: 'open', description: '', due_on: null };
+      milestone.html_url = webUrl(`/milestone/${milestone.number}`);
+      applyMilestoneFields(milestone, { title: body.title, description: body.description, due_on: body.due_on });
+      state.milestones.set(milestone.number, milestone);
+      return [201, milestone];
+    }
+    if ((match = rest.match(/^\/milestones\/(\d+)$/))) {
+      const milestone = requireMilestone(match[1]);
+      if (method === 'GET') return [200, milestone];
+      if (method === 'PATCH') {
+        applyMilestoneFields(milestone, body || {});
+        return [200, milestone];
+      }
+      if (method === 'DELETE') {
+        state.milestones.delete(milestone.number);
+        state.issues.forEach(issue => { if (issue.milestone === milestone.number) issue.milestone = null; });
+        return [204, null];
+      }
+    }
+
+    if (rest === '/issues' && method === 'GET') {
+      const issues = [...state.issues.values()].filter(byState(params)).sort((a, b) => b.number - a.number);
+      return [200, page(issues, params).map(issueView)];
+    }
+    if (rest === '/issues' && method === 'POST') {
+      state.counters.number++;
+      const issue = { number: state.counters.number, title: '', body: '', labels: [], assignees: [], milestone: null, state: 'open', state_reason: null, closed_at: null };
+      issue.html_url = webUrl(`/issues/${issue.number}`);
+      applyIssueFields(issue, { labels: [], ...body, title: body?.title ?? '' });
+      state.issues.set(issue.number, issue);
+      return [201, issueView(issue)];
+    }
+    if ((match = rest.match(/^\/issues\/(\d+)$/))) {
+      const issue = requireIssue(match[1]);
+      if (method === 'GET') return [200, issueView(issue)];
+      if (method === 'PATCH') {
+        applyIssueFields(issue, body || {});
+        return [200, issueView(issue)];
+      }
+    }
+
+    throw githubError(404, `No fake for ${method} ${path}`);
+  }
+
+  /**
+   * Applies the configured rate limit and failure rules; returns a response to send instead, if any
+   */
+  function injectedResponse(method, path, body) {
+    const limit = behaviour.rateLimit;
+    if (limit && rateLimited < (limit.times ?? 1) && path.includes(limit.match || '')) {
+      rateLimited++;
+      const headers = limit.status === 403
+        ? { 'X-RateLimit-Remaining': '0', 'X-RateLimit-Reset': String(Math.ceil(Date.now() / 1000 + (limit.retryAfter ?? 0))) }
+        : { 'Retry-After': String(limit.retryAfter ?? 0) };
+      return { status: limit.status || 429, headers, body: { message: 'API rate limit exceeded' } };
+    }
+
+    for (const rule of failures) {
+      const methodMatches = !rule.method || rule.method === method;
+      const pathMatches = !rule.path || (rule.path instanceof RegExp ? rule.path.test(path) : rule.path === path);
+      if (methodMatches && pathMatches && rule.used < rule.times && (!rule.when || rule.when(body, { method, path }))) {
+        rule.used++;
+        const error = githubError(rule.status, rule.message || `Injected failure for ${method} ${path}`);
+        return { status: rule.status, headers: {}, body: error.body };
+      }
+    }
+    return null;
+  }
+
+  function handle(request, response) {
+    const chunks = [];
+    request.on('data', chunk => chunks.push(chunk));
+    request.on('end', () => {
+      const url = new URL(request.url, 'http://fake-github');
+      const path = url.pathname;
+      let body;
+      try {
+        body = chunks.length > 0 ? JSON.parse(Buffer.concat(chunks).toString('utf8')) : undefined;
+      } catch (error) {
+        body = undefined;
+      }
+      state.requests.push({ method: request.method, path, query: url.search, body });
+
+      let reply = injectedResponse(request.method, path, body);
+      if (!reply && request.headers.authorization !== `Bearer ${behaviour.token}`) {
+        reply = { status: 401, headers: {}, body: githubError(401, 'Bad credentials').body };
+      }
+      if (!reply) {
+        try {
+          const [status, data] = route(request.method, path, url.searchParams, body);
+          reply = { status, headers: {}, body: data };
+        } catch (error) {
+          if (!error.status) throw error;
+          reply = { status: error.status, headers: {}, body: error.body };
+        }
+      }
+
+      response.writeHead(reply.status, { 'Content-Type': 'application/json', ...reply.headers });
+      response.end(reply.body === null || reply.body === undefined ? '' : JSON.stringify(reply.body));
+    });
+  }
+
+  return {
+    behaviour,
+    state,
+    /** Base URL to use as GITHUB_API_URL, once started */
+    url: null,
+
+    /**
+     * Starts listening on `port` (default: any free port) and resolves to the base URL
+     */
+    start(port = 0) {
+      return new Promise((resolve, reject) => {
+        server = http.createServer(handle);
+        server.once('error', reject);
+        server.listen(port, '127.0.0.1', () => {
+          this.url = baseUrl = `http://127.0.0.1:${server.address().port}`;
+          resolve(this.url);
+        });
+      });
+    },
+
+    stop() {
+      return new Promise(resolve => (server ? server.close(() => resolve()) : resolve()));
+    },
+
+    /**
+     * Importer settings that point at this server (see createImporter in jira-importer.js)
+     */
+    importerConfig(overrides = {}) {
+      return {
+        backend: 'github',
+        githubApiUrl: this.url,
+        githubToken: behaviour.token,
+        githubRepository: behaviour.repository,
+        ...overrides
+      };
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_BEHAVIOUR,
+  createFakeGithubServer
+};
+
+// Run standalone to point the CLI at it: GITHUB_API_URL=<printed url> pmac import --backend github
+if (require.main === module) {
+  const { values } = parseArgs({
+    options: {
+      port: { type: 'string', short: 'p', default: '8081' },
+      repo: { type: 'string', default: DEFAULT_BEHAVIOUR.repository }
+    }
+  });
+
+  const fake = createFakeGithubServer({ repository: values.repo });
+  fake.start(Number(values.port)).then(url => console.log(
+    `Fake GitHub listening on ${url} (GITHUB_API_URL=${url} GITHUB_REPOSITORY=${values.repo} GITHUB_TOKEN=${fake.behaviour.token})`
+  ));
+}
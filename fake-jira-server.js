@@ -0,0 +1,1090 @@
+#!/usr/bin/env node
+/**
+ * Fake Jira Server
+ *
+ * In-process HTTP server that answers the Jira Cloud REST v3 endpoints the importer
+ * uses (myself, user search, project, project categories and statuses, createmeta, field,
+ * component, issue, issue/bulk, issueLinkType, issueLink, search/jql, transitions, issue
+ * properties, watchers, attachments, remote links, version and filter), the Agile API
+ * endpoints for boards, sprints and ranking and the board column configuration from
+ * in-memory state. Behaviours
+ * select the Jira setup to imitate (team-managed or company-managed, no sub-task
+ * type, no Epic Link field, no bulk endpoint, or Jira Data Center with REST v2, wiki
+ * markup, personal access tokens and a required Epic Name) and inject failures such
+ * as 429 responses, so every importer path can be run offline:
+ *
+ *   const server = createFakeJiraServer({ style: 'team-managed', rateLimit: { times: 2 } });
+ *   await server.start();
+ *   const importer = createImporter({ config: server.importerConfig() });
+ *   await importer.importToJira();
+ *   server.state.issues  // what the import created
+ *   await server.stop();
+ */
+
+const http = require('http');
+const { parseArgs } = require('util');
+const { DEFAULT_LINK_TYPES } = require('./jira-links');
+
+// REST API of each deployment; /serverInfo answers under /rest/api/2 on both
+const API_PREFIXES = { cloud: '/rest/api/3', datacenter: '/rest/api/2' };
+const SERVER_INFO_PATH = '/rest/api/2/serverInfo';
+const AGILE_PREFIX = '/rest/agile/1.0';
+const BOARD_CONFIG_PREFIX = '/rest/greenhopper/1.0';
+const SPRINT_FIELD_ID = 'customfield_10020';
+
+const DEFAULT_BEHAVIOUR = {
+  // 'cloud' or 'datacenter' (REST v2, wiki markup descriptions, /search, createmeta per issue type)
+  deployment: 'cloud',
+  // Personal access token Data Center accepts as a Bearer token
+  pat: 'fake-pat',
+  // 'company-managed' (classic) or 'team-managed' (next-gen)
+  style: 'company-managed',
+  // Offer a sub-task issue type
+  subtaskType: true,
+  // Offer an Initiative type above Epic (hierarchy level 2), as Jira Premium plans do
+  initiativeType: false,
+  // Offer the Epic Link custom field (company-managed projects only)
+  epicLinkField: true,
+  // Require an Epic Name on new epics (company-managed projects only)
+  epicNameField: false,
+  // Put the parent field on the create screen of standard issue types
+  parentOnStory: true,
+  // Create the project up front instead of waiting for POST /project
+  existingProject: false,
+  // Serve /issue/bulk (older sites answer 404)
+  bulk: true,
+  // Issue link types the site offers, as /issueLinkType returns them (null for Jira's defaults)
+  linkTypes: null,
+  // Board created along with the project: 'scrum', 'kanban' or null for none
+  board: null,
+  // Users besides the current one, as /user/search returns them
+  users: [{ accountId: 'ada-account', name: 'ada', displayName: 'Ada Lovelace', emailAddress: 'ada@example.com' }],
+  // Project categories of the site
+  projectCategories: [{ id: '10000', name: 'Engineering' }],
+  // Answer 429 to the first `times` requests whose path contains `match`: { times, retryAfter, match }
+  rateLimit: null,
+  // Reject matching requests: [{ method, path, status, message, times, when(body, request) }]
+  failures: []
+};
+
+// Defaults that differ on Data Center: stories take no parent, epics need an Epic Name
+const DATACENTER_BEHAVIOUR = {
+  parentOnStory: false,
+  epicNameField: true
+};
+
+// Template keys each deployment accepts on POST /project
+const PROJECT_TEMPLATE_KEYS = {
+  cloud: [
+    'com.pyxis.greenhopper.jira:gh-simplified-scrum-classic',
+    'com.pyxis.greenhopper.jira:gh-simplified-kanban-classic',
+    'com.pyxis.greenhopper.jira:gh-simplified-agility-scrum',
+    'com.pyxis.greenhopper.jira:gh-simplified-agility-kanban'
+  ],
+  datacenter: ['com.pyxis.greenhopper.jira:gh-scrum-template', 'com.pyxis.greenhopper.jira:gh-kanban-template']
+};
+
+// Statuses of every issue type; board columns of new boards map them one to one
+const STATUSES = [{ id: '10000', name: 'To Do' }, { id: '3', name: 'In Progress' }, { id: '10001', name: 'Done' }];
+
+const SYSTEM_FIELDS = ['summary', 'description', 'priority', 'labels', 'components', 'duedate', 'fixVersions', 'assignee', 'reporter'];
+const USER_FIELDS = ['assignee', 'reporter'];
+const PRIORITIES = ['Highest', 'High', 'Medium', 'Low', 'Lowest'];
+
+/**
+ * Builds an error response body in Jira's shape
+ */
+function jiraError(status, errorMessages = [], errors = {}) {
+  const error = new Error(errorMessages[0] || Object.values(errors)[0] || `status ${status}`);
+  error.status = status;
+  error.body = { errorMessages, errors };
+  return error;
+}
+
+/**
+ * Reads the parts of a multipart/form-data body: [{ name, filename, size }]
+ */
+function parseMultipart(buffer, contentType) {
+  const boundary = contentType.match(/boundary=(?:"([^"]+)"|([^;]+))/i);
+  if (!boundary) return [];
+  return buffer.toString('latin1').split(`--${boundary[1] || boundary[2]}`).slice(1, -1).map(part => {
+    const split = part.indexOf('\r\n\r\n');
+    const head = part.slice(0, split);
+    const content = part.slice(split + 4).replace(/\r\n$/, '');
+    return {
+      name: head.match(/name="([^"]*)"/)?.[1],
+      filename: head.match(/filename="([^"]*)"/)?.[1],
+      size: Buffer.byteLength(content, 'latin1')
+    };
+  });
+}
+
+/**
+ * Builds the issue types (with create screen fields) and /field entries for a style
+ */
+function buildSchema(behaviour) {
+  const teamManaged = behaviour.style === 'team-managed';
+  const storyPoints = teamManaged
+    ? { id: 'customfield_10036', name: 'Story point estimate', custom: true, schema: { type: 'number', custom: 'com.pyxis.greenhopper.jira:jsw-story-points' } }
+    : { id: 'customfield_10016', name: 'Story Points', custom: true, schema: { type: 'number', custom: 'com.atlassian.jira.plugin.system.customfieldtypes:float' } };
+  const epicLink = !teamManaged && behaviour.epicLinkField
+    ? { id: 'customfield_10014', name: 'Epic Link', custom: true, schema: { type: 'any', custom: 'com.pyxis.greenhopper.jira:gh-epic-link' } }
+    : null;
+  const epicName = !teamManaged && behaviour.epicNameField
+    ? { id: 'customfield_10011', name: 'Epic Name', custom: true, schema: { type: 'string', custom: 'com.pyxis.greenhopper.jira:gh-epic-label' } }
+    : null;
+
+  const fields = [
+    ...SYSTEM_FIELDS.map(id => ({ id, name: id[0].toUpperCase() + id.slice(1), custom: false, schema: { type: USER_FIELDS.includes(id) ? 'user' : 'string', system: id } })),
+    { id: 'parent', name: 'Parent', custom: false, schema: { type: 'issuelink', system: 'parent' } },
+    storyPoints,
+    ...(epicLink ? [epicLink] : []),
+    ...(epicName ? [epicName] : []),
+    { id: SPRINT_FIELD_ID, name: 'Sprint', custom: true, schema: { type: 'array', items: 'json', custom: 'com.pyxis.greenhopper.jira:gh-sprint' } }
+  ];
+
+  const required = ['summary', ...(epicName ? [epicName.id] : [])];
+  const screen = extra => Object.fromEntries([...SYSTEM_FIELDS, storyPoints.id, ...extra].map(id => [id, { name: id, required: required.includes(id) }]));
+  const standardScreen = screen([
+    ...(behaviour.parentOnStory ? ['parent'] : []),
+    ...(epicLink ? [epicLink.id] : [])
+  ]);
+
+  const issueTypes = [
+    { id: '10000', name: 'Epic', subtask: false, hierarchyLevel: 1, fields: screen([...(behaviour.initiativeType ? ['parent'] : []), ...(epicName ? [epicName.id] : [])]) },
+    { id: '10001', name: 'Story', subtask: false, hierarchyLevel: 0, fields: standardScreen },
+    { id: '10002', name: 'Task', subtask: false, hierarchyLevel: 0, fields: standardScreen }
+  ];
+  if (behaviour.initiativeType) {
+    issueTypes.push({ id: '10004', name: 'Initiative', subtask: false, hierarchyLevel: 2, fields: screen([]) });
+  }
+  if (behaviour.subtaskType) {
+    issueTypes.push({ id: '10003', name: teamManaged ? 'Subtask' : 'Sub-task', subtask: true, hierarchyLevel: -1, fields: screen(['parent']) });
+  }
+
+  return { issueTypes, fields, epicLinkId: epicLink?.id, epicNameId: epicName?.id, storyPointsId: storyPoints.id };
+}
+
+/**
+ * Creates a fake Jira server. Nothing listens until start() is called.
+ */
+function createFakeJiraServer(behaviourOverrides = {}) {
+  const behaviour = {
+    ...DEFAULT_BEHAVIOUR,
+    ...(behaviourOverrides.deployment === 'datacenter' ? DATACENTER_BEHAVIOUR : {}),
+    ...behaviourOverrides
+  };
+  const dataCenter = behaviour.deployment === 'datacenter';
+  const apiPrefix = API_PREFIXES[behaviour.deployment];
+  const schema = buildSchema(behaviour);
+  const linkTypes = behaviour.linkTypes || DEFAULT_LINK_TYPES;
+  const failures = (behaviour.failures || []).map(rule => ({ times: Infinity, status: 400, ...rule, used: 0 }));
+  let rateLimited = 0;
+  let server = null;
+
+  const state = {
+    project: null,
+    issues: new Map(),
+    components: new Map(),
+    versions: new Map(),
+    links: new Map(),
+    filters: new Map(),
+    boards: new Map(),
+    sprints: new Map(),
+    // Issue keys in rank order, as a board shows them
+    rank: [],
+    requests: [],
+    counters: { issue: 0, component: 0, version: 0, link: 0, filter: 0, board: 0, sprint: 0, attachment: 0, remoteLink: 0 }
+  };
+
+  // The user the importer authenticates as, and everyone /user/search finds
+  const currentUser = dataCenter
+    ? { name: 'fake', key: 'JIRAUSER10000', displayName: 'Fake Jira User', emailAddress: 'fake@example.com' }
+    : { accountId: 'fake-account', displayName: 'Fake Jira User', emailAddress: 'fake@example.com' };
+  const users = [currentUser, ...behaviour.users.map(user => (dataCenter ? { key: `JIRAUSER-${user.name}`, ...user, accountId: undefined } : { ...user, name: undefined }))];
+
+  /**
+   * Finds a user by the lead field of a payload: an account ID on Cloud, a username on Data Center
+   */
+  function userFor(ref) {
+    return ref === undefined ? undefined : users.find(user => (dataCenter ? user.name === ref : user.accountId === ref));
+  }
+
+  if (behaviour.existingProject) {
+    createProjectRecord({ key: behaviour.existingProject === true ? 'PMAC' : behaviour.existingProject, name: 'Existing project' });
+  }
+
+  function createProjectRecord(data) {
+    state.project = {
+      id: '10000',
+      key: data.key,
+      name: data.name,
+      projectTypeKey: data.projectTypeKey || 'software',
+      lead: currentUser
+    };
+    applyProjectSettings(data);
+    if (behaviour.board) {
+      const filter = createFilter({ name: `Filter for ${data.key} board`, jql: `project = ${data.key} ORDER BY Rank ASC` });
+      createBoard({ name: `${data.key} board`, type: behaviour.board, filterId: filter.id, location: { projectKeyOrId: data.key } });
+    }
+    return state.project;
+  }
+
+  /**
+   * Applies the settings of a project create or update payload
+   */
+  function applyProjectSettings(data) {
+    for (const key of ['name', 'description', 'url', 'assigneeType', 'projectTemplateKey']) {
+      if (data[key] !== undefined) state.project[key] = data[key];
+    }
+    const leadRef = dataCenter ? data.lead : data.leadAccountId;
+    if (leadRef !== undefined) {
+      const lead = userFor(leadRef);
+      if (!lead) throw jiraError(400, [], { projectLead: 'The project lead is not a valid user.' });
+      state.project.lead = lead;
+    }
+    if (data.categoryId !== undefined) {
+      const category = behaviour.projectCategories.find(c => String(c.id) === String(data.categoryId));
+      if (!category) throw jiraError(400, [], { categoryId: `No project category with id ${data.categoryId}.` });
+      state.project.projectCategory = category;
+    }
+  }
+
+  /**
+   * Applies the settings of a component create or update payload
+   */
+  function applyComponentSettings(component, data) {
+    if (data.description !== undefined) component.description = data.description;
+    const leadRef = dataCenter ? data.leadUserName : data.leadAccountId;
+    if (leadRef !== undefined) {
+      const lead = userFor(leadRef);
+      if (!lead) throw jiraError(400, [], { leadAccountId: 'The component lead is not a valid user.' });
+      component.lead = lead;
+    }
+  }
+
+  function applyVersionSettings(version, data) {
+    for (const key of ['name', 'description', 'startDate', 'releaseDate', 'released', 'archived']) {
+      if (data[key] !== undefined) version[key] = data[key];
+    }
+  }
+
+  function createFilter(data) {
+    state.counters.filter++;
+    const filter = { id: String(10000 + state.counters.filter), name: data.name, jql: data.jql };
+    state.filters.set(filter.id, filter);
+    return filter;
+  }
+
+  function createBoard(data) {
+    state.counters.board++;
+    const board = {
+      id: state.counters.board,
+      name: data.name,
+      type: data.type,
+      filterId: String(data.filterId),
+      location: { projectKey: data.location?.projectKeyOrId },
+      columns: STATUSES.map(status => ({ name: status.name, statuses: [{ id: status.id }] }))
+    };
+    state.boards.set(board.id, board);
+    return board;
+  }
+
+  function requireBoard(id) {
+    const board = state.boards.get(Number(id));
+    if (!board) throw jiraError(404, [`Board does not exist or you do not have permission to see it.`]);
+    return board;
+  }
+
+  function requireSprint(id) {
+    const sprint = state.sprints.get(Number(id));
+    if (!sprint) throw jiraError(404, ['Sprint does not exist or you do not have permission to view it.']);
+    return sprint;
+  }
+
+  /**
+   * Checks an Agile API issue list: at most 50 existing issues
+   */
+  function requireIssueList(issues) {
+    if (!Array.isArray(issues) || issues.length === 0) throw jiraError(400, ['Issues must be specified.']);
+    if (issues.length > 50) throw jiraError(400, ['You cannot move or rank more than 50 issues at once.']);
+    issues.forEach(requireIssue);
+    return issues;
+  }
+
+  /**
+   * Takes issues out of their open sprints, and puts them in `sprint` when given
+   */
+  function moveToSprint(keys, sprint) {
+    for (const key of keys) {
+      const issue = state.issues.get(key);
+      issue.sprints = issue.sprints.filter(id => state.sprints.get(id)?.state === 'closed');
+      if (sprint) issue.sprints.push(sprint.id);
+    }
+  }
+
+  function requireProject(key) {
+    if (!state.project || (key && state.project.key !== key)) {
+      throw jiraError(404, [`No project could be found with key '${key}'.`]);
+    }
+    return state.project;
+  }
+
+  function requireIssue(key) {
+    const issue = state.issues.get(key);
+    if (!issue) throw jiraError(404, ['Issue does not exist or you do not have permission to see it.']);
+    return issue;
+  }
+
+  function projectView() {
+    const teamManaged = behaviour.style === 'team-managed';
+    // Data Center has neither project styles nor hierarchy levels
+    if (dataCenter) {
+      return { ...state.project, issueTypes: schema.issueTypes.map(({ fields, hierarchyLevel, ...type }) => type) };
+    }
+    return {
+      ...state.project,
+      style: teamManaged ? 'next-gen' : 'classic',
+      simplified: teamManaged,
+      issueTypes: schema.issueTypes.map(({ fields, ...type }) => type)
+    };
+  }
+
+  function findIssueType(ref = {}) {
+    return schema.issueTypes.find(t => t.id === ref.id || (ref.name && t.name === ref.name));
+  }
+
+  /**
+   * Checks fields against the issue type's screen and Jira's value rules, like the real validation
+   */
+  function validateFields(fields, issueType, issueKey) {
+    const errors = {};
+
+    for (const [id, value] of Object.entries(fields)) {
+      if (id === 'project' || id === 'issuetype') continue;
+      if (!issueType.fields[id]) {
+        errors[id] = `Field '${id}' cannot be set. It is not on the appropriate screen, or unknown.`;
+        continue;
+      }
+
+      if (id === 'description' && value !== null) {
+        if (dataCenter && typeof value !== 'string') {
+          errors.description = 'Operation value must be a string';
+        } else if (!dataCenter && (typeof value !== 'object' || value.type !== 'doc')) {
+          errors.description = 'Operation value must be an Atlassian Document (see the Atlassian Document Format).';
+        }
+      }
+      if (id === 'priority' && value && !PRIORITIES.includes(value.name) && !PRIORITIES[Number(value.id) - 1]) {
+        errors.priority = `Priority name '${value.name}' is not valid`;
+      }
+      if (id === 'components' && Array.isArray(value)) {
+        const missing = value.filter(c => ![...state.components.values()].some(known => known.id === c.id || known.name === c.name));
+        if (missing.length > 0) errors.components = `Component name '${missing[0].name || missing[0].id}' is not valid`;
+      }
+      if (USER_FIELDS.includes(id) && value && !userFor(dataCenter ? value.name : value.accountId)) {
+        errors[id] = dataCenter ? `User '${value.name}' does not exist.` : `Specify a valid 'id' or 'name' for ${id[0].toUpperCase() + id.slice(1)}`;
+      }
+      if (id === 'fixVersions' && Array.isArray(value)) {
+        const missing = value.filter(v => ![...state.versions.values()].some(known => known.id === v.id || known.name === v.name));
+        if (missing.length > 0) errors.fixVersions = `Version name '${missing[0].name || missing[0].id}' is not valid`;
+      }
+      if (id === 'parent' && value) {
+        const parent = state.issues.get(value.key);
+        const parentLevel = parent && findIssueType(parent.fields.issuetype).hierarchyLevel;
+        if (!parent) errors.parent = `Issue '${value.key}' does not exist`;
+        else if (value.key === issueKey) errors.parent = 'An issue cannot be its own parent';
+        else if (parentLevel !== issueType.hierarchyLevel + 1) {
+          errors.parent = `An issue of type ${issueType.name} cannot be a child of a ${parent.fields.issuetype.name}`;
+        }
+      }
+      if (id === schema.epicLinkId && value) {
+        const epic = state.issues.get(value);
+        if (!epic || epic.fields.issuetype.id !== '10000') errors[id] = `The issue ${value} is not an epic`;
+      }
+    }
+
+    if (issueType.subtask && !fields.parent && !issueKey) {
+      errors.parent = 'Sub-tasks must have a parent';
+    }
+    if (schema.epicNameId && issueType.fields[schema.epicNameId]?.required && !issueKey && !fields[schema.epicNameId]) {
+      errors[schema.epicNameId] = 'Epic Name is required.';
+    }
+    return errors;
+  }
+
+  /**
+   * Stores priority, components, fix versions and users as Jira returns them, with ids
+   */
+  function storedValues(fields) {
+    const stored = { ...fields };
+    if (fields.priority) {
+      const priority = fields.priority.id ? PRIORITIES[Number(fields.priority.id) - 1] : fields.priority.name;
+      stored.priority = { id: String(PRIORITIES.indexOf(priority) + 1), name: priority };
+    }
+    if (Array.isArray(fields.components)) {
+      stored.components = fields.components.map(c => {
+        const { id, name } = [...state.components.values()].find(known => known.id === c.id || known.name === c.name);
+        return { id, name };
+      });
+    }
+    if (Array.isArray(fields.fixVersions)) {
+      stored.fixVersions = fields.fixVersions.map(v => {
+        const { id, name } = [...state.versions.values()].find(known => known.id === v.id || known.name === v.name);
+        return { id, name };
+      });
+    }
+    for (const id of USER_FIELDS.filter(id => fields[id])) {
+      stored[id] = userFor(dataCenter ? fields[id].name : fields[id].accountId);
+    }
+    return stored;
+  }
+
+  function createIssue(body) {
+    const fields = body?.fields || {};
+    requireProject(fields.project?.key);
+
+    const issueType = findIssueType(fields.issuetype);
+    if (!issueType) throw jiraError(400, [], { issuetype: 'Specify a valid issue type' });
+    if (!fields.summary) throw jiraError(400, [], { summary: 'You must specify a summary of the issue.' });
+
+    const errors = validateFields(fields, issueType);
+    if (Object.keys(errors).length > 0) throw jiraError(400, [], errors);
+
+    state.counters.issue++;
+    const key = `${state.project.key}-${state.counters.issue}`;
+    const id = String(10000 + state.counters.issue);
+    const { project, issuetype, ...rest } = storedValues(fields);
+    state.issues.set(key, {
+      id,
+      key,
+      fields: {
+        ...rest,
+        issuetype: { id: issueType.id, name: issueType.name, subtask: issueType.subtask, hierarchyLevel: issueType.hierarchyLevel },
+        status: { name: 'To Do', statusCategory: { key: 'new' } },
+        labels: rest.labels || [],
+        // Jira leaves new issues unassigned and reported by their creator unless told otherwise
+        assignee: rest.assignee || null,
+        reporter: rest.reporter || currentUser
+      },
+      properties: {},
+      sprints: [],
+      watchers: [currentUser],
+      attachments: [],
+      remoteLinks: []
+    });
+    state.rank.push(key);
+    return { id, key, self: `${apiPrefix}/issue/${id}` };
+  }
+
+  function updateIssue(key, body = {}) {
+    const issue = requireIssue(key);
+    const fields = { ...(body.fields || {}) };
+
+    if (fields.issuetype && findIssueType(fields.issuetype)?.id !== issue.fields.issuetype.id) {
+      throw jiraError(400, [], { issuetype: 'The issue type cannot be changed through an edit. Use Move instead.' });
+    }
+    delete fields.issuetype;
+
+    // Operations in `update`: labels add/remove/set, and set for any field
+    const labels = new Set(issue.fields.labels || []);
+    for (const [id, operations] of Object.entries(body.update || {})) {
+      for (const operation of operations) {
+        if (id === 'labels') {
+          if (operation.add) labels.add(operation.add);
+          if (operation.remove) labels.delete(operation.remove);
+          if (operation.set) operation.set.forEach(label => labels.add(label));
+        } else if ('set' in operation) {
+          fields[id] = operation.set;
+        }
+      }
+    }
+
+    const issueType = findIssueType(issue.fields.issuetype);
+    const errors = validateFields(fields, issueType, key);
+    if (Object.keys(errors).length > 0) throw jiraError(400, [], errors);
+
+    Object.assign(issue.fields, storedValues(fields));
+    if (body.update?.labels) issue.fields.labels = [...labels];
+  }
+
+  function issueView(issue, params) {
+    const view = { id: issue.id, key: issue.key, fields: { ...issue.fields } };
+    view.fields.issuelinks = [...state.links.values()]
+      .filter(l => l.inwardIssue.key === issue.key || l.outwardIssue.key === issue.key)
+      .map(l => ({
+        id: l.id,
+        type: l.type,
+        ...(l.inwardIssue.key === issue.key ? { outwardIssue: { key: l.outwardIssue.key } } : { inwardIssue: { key: l.inwardIssue.key } })
+      }));
+    view.fields.attachment = issue.attachments.map(({ id, filename, size }) => ({ id, filename, size }));
+    const sprints = issue.sprints.map(id => state.sprints.get(id)).filter(Boolean);
+    view.fields[SPRINT_FIELD_ID] = sprints.length > 0 ? sprints.map(({ id, name, state: sprintState, originBoardId }) => ({ id, name, state: sprintState, boardId: originBoardId })) : null;
+
+    const wanted = params.get('fields');
+    if (wanted && !wanted.split(',').includes('*all')) {
+      view.fields = Object.fromEntries(Object.entries(view.fields).filter(([id]) => wanted.split(',').includes(id)));
+    }
+    const properties = params.get('properties');
+    if (properties) {
+      view.properties = Object.fromEntries(properties.split(',').filter(p => p in issue.properties).map(p => [p, issue.properties[p]]));
+    }
+    return view;
+  }
+
+  /**
+   * Answers one API request; returns [status, body] or throws a jiraError
+   */
+  function route(method, path, params, body, headers = {}) {
+    let match;
+
+    if (method === 'GET' && path === '/serverInfo') {
+      return [200, dataCenter
+        ? { baseUrl: 'http://fake-jira', version: '9.12.0', versionNumbers: [9, 12, 0], deploymentType: 'DataCenter' }
+        : { baseUrl: 'https://fake.atlassian.net', version: '1001.0.0-SNAPSHOT', versionNumbers: [1001, 0, 0], deploymentType: 'Cloud' }];
+    }
+    if (method === 'GET' && path === '/myself') {
+      return [200, currentUser];
+    }
+    if (method === 'GET' && path === '/user/search') {
+      // Cloud searches by `query`, Data Center by `username`; both match names and email addresses
+      const query = (params.get(dataCenter ? 'username' : 'query') || '').toLowerCase();
+      if (!query) throw jiraError(400, ['The username query parameter was not provided']);
+      return [200, users.filter(user => [user.accountId, user.name, user.displayName, user.emailAddress]
+        .some(value => value && value.toLowerCase().includes(query)))];
+    }
+    if (method === 'GET' && path === '/projectCategory') {
+      return [200, behaviour.projectCategories];
+    }
+    if (method === 'GET' && path === '/project/type') {
+      return [200, [{ key: 'software', formattedKey: 'Software' }, { key: 'business', formattedKey: 'Business' }]];
+    }
+    if (method === 'POST' && path === '/project') {
+      if (state.project) throw jiraError(400, [], { projectKey: 'A project with that project key already exists.' });
+      if (!body?.key || !(dataCenter ? body.lead : body.leadAccountId)) throw jiraError(400, [], { projectLead: 'You must specify a valid project lead.' });
+      if (body.projectTemplateKey && !PROJECT_TEMPLATE_KEYS[dataCenter ? 'datacenter' : 'cloud'].includes(body.projectTemplateKey)) {
+        throw jiraError(400, [], { projectTemplateKey: `Invalid project template key ${body.projectTemplateKey}.` });
+      }
+      const project = createProjectRecord(body);
+      return [201, { id: project.id, key: project.key, self: `${apiPrefix}/project/${project.id}` }];
+    }
+    if ((match = path.match(/^\/project\/([^/]+)$/))) {
+      requireProject(match[1]);
+      if (method === 'GET') return [200, projectView()];
+      if (method === 'PUT') {
+        applyProjectSettings(body || {});
+        return [200, projectView()];
+      }
+      if (method === 'DELETE') {
+        state.project = null;
+        return [204, null];
+      }
+    }
+    if (method === 'GET' && (match = path.match(/^\/project\/([^/]+)\/components$/))) {
+      requireProject(match[1]);
+      return [200, [...state.components.values()]];
+    }
+    if (method === 'GET' && (match = path.match(/^\/project\/([^/]+)\/versions$/))) {
+      requireProject(match[1]);
+      return [200, [...state.versions.values()]];
+    }
+    if (method === 'GET' && (match = path.match(/^\/project\/([^/]+)\/statuses$/))) {
+      requireProject(match[1]);
+      return [200, schema.issueTypes.map(type => ({ id: type.id, name: type.name, subtask: type.subtask, statuses: STATUSES }))];
+    }
+    // Data Center 9 replaced the expanded createmeta with one request per issue type
+    if (dataCenter && method === 'GET' && (match = path.match(/^\/issue\/createmeta\/([^/]+)\/issuetypes(?:\/([^/]+))?$/))) {
+      requireProject(match[1]);
+      if (!match[2]) {
+        return [200, { values: schema.issueTypes.map(({ fields, hierarchyLevel, ...type }) => type), startAt: 0, total: schema.issueTypes.length, isLast: true }];
+      }
+      const issueType = schema.issueTypes.find(t => t.id === match[2]);
+      if (!issueType) throw jiraError(404, [`Issue type with id ${match[2]} does not exist.`]);
+      const fields = Object.entries(issueType.fields).map(([fieldId, field]) => ({ fieldId, ...field }));
+      const start = Number(params.get('startAt') || 0);
+      const size = Number(params.get('maxResults') || 50);
+      return [200, { values: fields.slice(start, start + size), startAt: start, maxResults: size, total: fields.length, isLast: start + size >= fields.length }];
+    }
+    if (!dataCenter && method === 'GET' && path === '/issue/createmeta') {
+      requireProject(params.get('projectKeys'));
+      const typeIds = params.get('issuetypeIds')?.split(',');
+      const types = schema.issueTypes.filter(t => !typeIds || typeIds.includes(t.id));
+      const withFields = (params.get('expand') || '').includes('fields');
+      return [200, { projects: [{ key: state.project.key, issuetypes: types.map(({ fields, ...type }) => (withFields ? { ...type, fields } : type)) }] }];
+    }
+    if (method === 'GET' && path === '/field') {
+      return [200, schema.fields];
+    }
+    if (method === 'POST' && path === '/component') {
+      requireProject(body?.project);
+      if ([...state.components.values()].some(c => c.name === body.name)) {
+        throw jiraError(400, [], { name: `A component with the name ${body.name} already exists in this project.` });
+      }
+      const component = { id: String(10000 + state.counters.component + 1), name: body.name };
+      applyComponentSettings(component, body);
+      state.counters.component++;
+      state.components.set(component.id, component);
+      return [201, component];
+    }
+    if ((match = path.match(/^\/component\/([^/]+)$/))) {
+      const component = state.components.get(match[1]);
+      if (!component) throw jiraError(404, [`The component with id ${match[1]} does not exist.`]);
+      if (method === 'GET') return [200, component];
+      if (method === 'PUT') {
+        applyComponentSettings(component, body || {});
+        return [200, component];
+      }
+      if (method === 'DELETE') {
+        state.components.delete(match[1]);
+        return [204, null];
+      }
+    }
+    if (method === 'POST' && path === '/version') {
+      // Cloud takes the project's ID, Server and Data Center its key as well
+      if (!state.project || (body?.projectId !== undefined ? String(body.projectId) !== state.project.id : body?.project !== state.project.key)) {
+        throw jiraError(404, ['Project does not exist or you do not have permission to see it.']);
+      }
+      if (!body.name) throw jiraError(400, [], { name: 'You must specify a valid version name' });
+      if ([...state.versions.values()].some(v => v.name === body.name)) {
+        throw jiraError(400, [], { name: 'A version with this name already exists in this project.' });
+      }
+      state.counters.version++;
+      const version = { id: String(10000 + state.counters.version), name: body.name, archived: false, released: false, projectId: Number(state.project.id) };
+      applyVersionSettings(version, body);
+      state.versions.set(version.id, version);
+      return [201, version];
+    }
+    if ((match = path.match(/^\/version\/([^/]+)$/))) {
+      const version = state.versions.get(match[1]);
+      if (!version) throw jiraError(404, [`Could not find version for id '${match[1]}'`]);
+      if (method === 'GET') return [200, version];
+      if (method === 'PUT') {
+        applyVersionSettings(version, body || {});
+        return [200, version];
+      }
+      if (method === 'DELETE') {
+        state.versions.delete(match[1]);
+        for (const issue of state.issues.values()) {
+          if (issue.fields.fixVersions) issue.fields.fixVersions = issue.fields.fixVersions.filter(v => v.id !== match[1]);
+        }
+        return [204, null];
+      }
+    }
+    if (method === 'POST' && path === '/issue') {
+      return [201, createIssue(body)];
+    }
+    if (method === 'POST' && path === '/issue/bulk') {
+      if (!behaviour.bulk) throw jiraError(404, ['Not found']);
+      const issues = [];
+      const errors = [];
+      (body?.issueUpdates || []).forEach((update, index) => {
+        try {
+          issues.push(createIssue(update));
+        } catch (error) {
+          errors.push({ status: error.status, elementErrors: error.body, failedElementNumber: index });
+        }
+      });
+      return [issues.length === 0 && errors.length > 0 ? 400 : 201, { issues, errors }];
+    }
+    if ((match = path.match(/^\/issue\/([^/]+)\/properties\/([^/]+)$/))) {
+      const issue = requireIssue(match[1]);
+      if (method === 'PUT') {
+        issue.properties[match[2]] = body;
+        return [200, null];
+      }
+      if (method === 'GET') {
+        if (!(match[2] in issue.properties)) throw jiraError(404, [`The property with key '${match[2]}' does not exist.`]);
+        return [200, { key: match[2], value: issue.properties[match[2]] }];
+      }
+    }
+    if ((match = path.match(/^\/issue\/([^/]+)\/watchers$/))) {
+      const issue = requireIssue(match[1]);
+      if (method === 'GET') {
+        return [200, { isWatching: issue.watchers.includes(currentUser), watchCount: issue.watchers.length, watchers: issue.watchers }];
+      }
+      // POST takes the account ID (or username) as a bare JSON string, DELETE as a parameter
+      const ref = method === 'POST' ? body : params.get(dataCenter ? 'username' : 'accountId');
+      const user = userFor(ref);
+      if (!user) throw jiraError(dataCenter ? 404 : 400, [`The user "${ref}" does not exist.`]);
+      if (method === 'POST') {
+        if (!issue.watchers.includes(user)) issue.watchers.push(user);
+        return [204, null];
+      }
+      if (method === 'DELETE') {
+        issue.watchers = issue.watchers.filter(watcher => watcher !== user);
+        return [204, null];
+      }
+    }
+    if ((match = path.match(/^\/issue\/([^/]+)\/attachments$/)) && method === 'POST') {
+      const issue = requireIssue(match[1]);
+      // Jira turns uploads away unless the client opts out of its XSRF check
+      if (headers['x-atlassian-token'] !== 'no-check') throw jiraError(403, ['XSRF check failed']);
+      const files = (body?.files || []).filter(file => file.name === 'file');
+      if (files.length === 0) throw jiraError(400, ['No attachments were found in the request.']);
+      const uploaded = files.map(({ filename, size }) => {
+        state.counters.attachment++;
+        return { id: String(10000 + state.counters.attachment), filename, size };
+      });
+      issue.attachments.push(...uploaded);
+      return [200, uploaded.map(attachment => ({ ...attachment, self: `${apiPrefix}/attachment/${attachment.id}` }))];
+    }
+    if ((match = path.match(/^\/attachment\/([^/]+)$/)) && method === 'DELETE') {
+      const issue = [...state.issues.values()].find(i => i.attachments.some(attachment => attachment.id === match[1]));
+      if (!issue) throw jiraError(404, [`The attachment with id '${match[1]}' does not exist`]);
+      issue.attachments = issue.attachments.filter(attachment => attachment.id !== match[1]);
+      return [204, null];
+    }
+    if ((match = path.match(/^\/issue\/([^/]+)\/remotelink(?:\/([^/]+))?$/))) {
+      const issue = requireIssue(match[1]);
+      const link = match[2] && issue.remoteLinks.find(l => String(l.id) === match[2]);
+      if (match[2] && !link) throw jiraError(404, ['No remote link with the given id exists.']);
+      if ((method === 'POST' || method === 'PUT') && (!body?.object?.url || !body.object.title)) {
+        throw jiraError(400, [], { [body?.object?.url ? 'title' : 'url']: `'${body?.object?.url ? 'title' : 'url'}' is required.` });
+      }
+      if (method === 'GET') return [200, match[2] ? link : issue.remoteLinks];
+      if (method === 'POST' && !match[2]) {
+        state.counters.remoteLink++;
+        const created = { id: 10000 + state.counters.remoteLink, object: body.object };
+        issue.remoteLinks.push(created);
+        return [201, { id: created.id, self: `${apiPrefix}/issue/${issue.key}/remotelink/${created.id}` }];
+      }
+      if (method === 'PUT' && link) {
+        link.object = body.object;
+        return [204, null];
+      }
+      if (method === 'DELETE' && link) {
+        issue.remoteLinks = issue.remoteLinks.filter(l => l !== link);
+        return [204, null];
+      }
+    }
+    if ((match = path.match(/^\/issue\/([^/]+)\/transitions$/))) {
+      const issue = requireIssue(match[1]);
+      if (method === 'GET') {
+        return [200, { transitions: [{ id: '31', name: 'Done', to: { name: 'Done', statusCategory: { key: 'done' } } }] }];
+      }
+      if (method === 'POST') {
+        if (body?.transition?.id !== '31') throw jiraError(400, ['Transition id is not valid for this issue.']);
+        issue.fields.status = { name: 'Done', statusCategory: { key: 'done' } };
+        return [204, null];
+      }
+    }
+    if ((match = path.match(/^\/issue\/([^/]+)$/))) {
+      const issue = requireIssue(match[1]);
+      if (method === 'GET') return [200, issueView(issue, params)];
+      if (method === 'PUT') {
+        updateIssue(match[1], body);
+        return [204, null];
+      }
+      if (method === 'DELETE') {
+        const children = [...state.issues.values()].filter(i => i.fields.parent?.key === issue.key);
+        if (children.length > 0 && params.get('deleteSubtasks') !== 'true') {
+          throw jiraError(400, ['The issue has subtasks; set deleteSubtasks to delete them as well.']);
+        }
+        for (const deleted of [...children, issue]) {
+          state.issues.delete(deleted.key);
+          state.rank = state.rank.filter(key => key !== deleted.key);
+        }
+        return [204, null];
+      }
+    }
+    if (method === 'GET' && path === '/issueLinkType') {
+      return [200, { issueLinkTypes: linkTypes }];
+    }
+    if (method === 'POST' && path === '/issueLink') {
+      const type = body?.type?.name;
+      if (!linkTypes.some(t => t.name === type)) {
+        throw jiraError(404, [`No issue link type with name '${type}' found.`]);
+      }
+      requireIssue(body.inwardIssue?.key);
+      requireIssue(body.outwardIssue?.key);
+      state.counters.link++;
+      const link = { id: String(10000 + state.counters.link), type: { name: type }, inwardIssue: body.inwardIssue, outwardIssue: body.outwardIssue };
+      state.links.set(link.id, link);
+      return [201, null];
+    }
+    if ((match = path.match(/^\/issueLink\/([^/]+)$/)) && method === 'DELETE') {
+      if (!state.links.delete(match[1])) throw jiraError(404, ['No issue link with the given id exists.']);
+      return [204, null];
+    }
+    // Cloud searches through /search/jql with page tokens, Data Center through /search with offsets
+    if (path === (dataCenter ? '/search' : '/search/jql')) {
+      const projectKey = (params.get('jql') || '').match(/project\s*=\s*"?([A-Z][A-Z0-9_]*)"?/)?.[1];
+      const all = state.project && state.project.key === projectKey ? [...state.issues.values()] : [];
+      const start = Number(params.get(dataCenter ? 'startAt' : 'nextPageToken') || 0);
+      const size = Number(params.get('maxResults') || 50);
+      const page = all.slice(start, start + size).map(issue => issueView(issue, params));
+      if (dataCenter) return [200, { startAt: start, maxResults: size, total: all.length, issues: page }];
+      const isLast = start + size >= all.length;
+      return [200, { issues: page, isLast, ...(isLast ? {} : { nextPageToken: String(start + size) }) }];
+    }
+
+    if (method === 'POST' && path === '/filter') {
+      if (!body?.name || !body?.jql) throw jiraError(400, [], { name: 'A filter needs a name and JQL.' });
+      if ([...state.filters.values()].some(f => f.name === body.name)) {
+        throw jiraError(400, [], { filterName: 'Filter with same name already exists.' });
+      }
+      return [200, createFilter(body)];
+    }
+    if ((match = path.match(/^\/filter\/([^/]+)$/))) {
+      const filter = state.filters.get(match[1]);
+      if (!filter) throw jiraError(404, ['The selected filter is not available to you, perhaps it has been deleted or had its permissions changed.']);
+      if (method === 'GET') return [200, filter];
+      if (method === 'PUT') {
+        if (!body?.name) throw jiraError(400, [], { filterName: 'You must specify a name for this filter.' });
+        Object.assign(filter, { name: body.name, jql: body.jql ?? filter.jql });
+        return [200, filter];
+      }
+      if (method === 'DELETE') {
+        state.filters.delete(match[1]);
+        return [204, null];
+      }
+    }
+    if (path.startsWith(AGILE_PREFIX)) {
+      return routeAgile(method, path.slice(AGILE_PREFIX.length), params, body);
+    }
+    if (method === 'PUT' && path === `${BOARD_CONFIG_PREFIX}/rapidviewconfig/columns`) {
+      const board = requireBoard(body?.rapidViewId);
+      // Team-managed boards are configured in the project, not through the board configuration
+      if (behaviour.style === 'team-managed') throw jiraError(400, ['This board cannot be configured.']);
+      const columns = body.mappedColumns || [];
+      const unknown = columns.flatMap(c => c.mappedStatuses || []).find(status => !STATUSES.some(known => known.id === String(status.id)));
+      if (unknown) throw jiraError(400, [`Status ${unknown.id} does not exist.`]);
+      board.columns = columns.map(c => ({ name: c.name, statuses: (c.mappedStatuses || []).map(status => ({ id: String(status.id) })) }));
+      return [200, { rapidViewId: board.id }];
+    }
+
+    throw jiraError(404, [`No fake for ${method} ${path}`]);
+  }
+
+  /**
+   * Answers one Agile API request (path without /rest/agile/1.0)
+   */
+  function routeAgile(method, path, params, body) {
+    let match;
+
+    if (path === '/board' && method === 'GET') {
+      const project = params.get('projectKeyOrId');
+      const type = params.get('type');
+      const name = (params.get('name') || '').toLowerCase();
+      const values = [...state.boards.values()]
+        .filter(b => (!project || b.location.projectKey === project) && (!type || b.type === type) && b.name.toLowerCase().includes(name))
+        .map(({ columns, ...board }) => board);
+      return [200, { maxResults: 50, startAt: 0, total: values.length, isLast: true, values }];
+    }
+    if (path === '/board' && method === 'POST') {
+      if (!['scrum', 'kanban'].includes(body?.type)) throw jiraError(400, ['Board type must be scrum or kanban.']);
+      if (!state.filters.has(String(body.filterId))) throw jiraError(400, [`Filter with id ${body.filterId} does not exist.`]);
+      return [201, createBoard(body)];
+    }
+    if ((match = path.match(/^\/board\/(\d+)$/))) {
+      const board = requireBoard(match[1]);
+      if (method === 'GET') {
+        const { columns, ...view } = board;
+        return [200, view];
+      }
+      if (method === 'DELETE') {
+        state.boards.delete(board.id);
+        return [204, null];
+      }
+    }
+    if ((match = path.match(/^\/board\/(\d+)\/configuration$/)) && method === 'GET') {
+      const board = requireBoard(match[1]);
+      return [200, {
+        id: board.id,
+        name: board.name,
+        type: board.type,
+        filter: { id: board.filterId },
+        columnConfig: { columns: board.columns.map(c => ({ name: c.name, statuses: c.statuses.map(status => ({ id: status.id })) })) }
+      }];
+    }
+    if ((match = path.match(/^\/board\/(\d+)\/sprint$/)) && method === 'GET') {
+      const board = requireBoard(match[1]);
+      if (board.type !== 'scrum') throw jiraError(400, ['The board does not support sprints']);
+      const all = [...state.sprints.values()].filter(s => s.originBoardId === board.id);
+      const start = Number(params.get('startAt') || 0);
+      const size = Number(params.get('maxResults') || 50);
+      return [200, { maxResults: size, startAt: start, isLast: start + size >= all.length, values: all.slice(start, start + size) }];
+    }
+    if (path === '/sprint' && method === 'POST') {
+      const board = requireBoard(body?.originBoardId);
+      if (board.type !== 'scrum') throw jiraError(400, ['The board does not support sprints']);
+      if (!body.name || body.name.length > 30) throw jiraError(400, [], { name: 'Sprint name must be between 1 and 30 characters.' });
+      state.counters.sprint++;
+      const sprint = { id: state.counters.sprint, state: 'future', name: body.name, originBoardId: board.id };
+      for (const key of ['goal', 'startDate', 'endDate']) {
+        if (body[key] !== undefined) sprint[key] = body[key];
+      }
+      state.sprints.set(sprint.id, sprint);
+      return [201, { ...sprint, self: `${AGILE_PREFIX}/sprint/${sprint.id}` }];
+    }
+    if ((match = path.match(/^\/sprint\/(\d+)$/))) {
+      const sprint = requireSprint(match[1]);
+      if (method === 'GET') return [200, sprint];
+      if (method === 'POST') {
+        if (sprint.state === 'closed') throw jiraError(400, ['A closed sprint cannot be updated.']);
+        if (body?.name && body.name.length > 30) throw jiraError(400, [], { name: 'Sprint name must be between 1 and 30 characters.' });
+        for (const key of ['name', 'goal', 'startDate', 'endDate', 'state']) {
+          if (body?.[key] !== undefined) sprint[key] = body[key];
+        }
+        return [200, sprint];
+      }
+      if (method === 'DELETE') {
+        if (sprint.state === 'closed') throw jiraError(400, ['A closed sprint cannot be deleted.']);
+        const inSprint = [...state.issues.values()].filter(issue => issue.sprints.includes(sprint.id)).map(issue => issue.key);
+        moveToSprint(inSprint, null);
+        state.sprints.delete(sprint.id);
+        return [204, null];
+      }
+    }
+    if ((match = path.match(/^\/sprint\/(\d+)\/issue$/)) && method === 'POST') {
+      const sprint = requireSprint(match[1]);
+      if (sprint.state === 'closed') throw jiraError(400, ['Issues cannot be moved to a closed sprint.']);
+      moveToSprint(requireIssueList(body?.issues), sprint);
+      return [204, null];
+    }
+    if (path === '/backlog/issue' && method === 'POST') {
+      moveToSprint(requireIssueList(body?.issues), null);
+      return [204, null];
+    }
+    if (path === '/issue/rank' && method === 'PUT') {
+      const issues = requireIssueList(body?.issues);
+      const anchor = body.rankAfterIssue || body.rankBeforeIssue;
+      if (!anchor || issues.includes(anchor)) throw jiraError(400, ['Specify rankAfterIssue or rankBeforeIssue, other than the ranked issues.']);
+      requireIssue(anchor);
+      state.rank = state.rank.filter(key => !issues.includes(key));
+      const at = state.rank.indexOf(anchor) + (body.rankAfterIssue ? 1 : 0);
+      state.rank.splice(at, 0, ...issues);
+      return [204, null];
+    }
+
+    throw jiraError(404, [`No fake for ${method} ${AGILE_PREFIX}${path}`]);
+  }
+
+  /**
+   * Applies the configured rate limit and failure rules; returns a response to send instead, if any
+   */
+  function injectedResponse(method, path, body) {
+    const limit = behaviour.rateLimit;
+    if (limit && rateLimited < (limit.times ?? 1) && path.includes(limit.match || '')) {
+      rateLimited++;
+      return { status: 429, headers: { 'Retry-After': String(limit.retryAfter ?? 0) }, body: { errorMessages: ['Rate limit exceeded.'] } };
+    }
+
+    for (const rule of failures) {
+      const methodMatches = !rule.method || rule.method === method;
+      const pathMatches = !rule.path || (rule.path instanceof RegExp ? rule.path.test(path) : rule.path === path);
+      if (methodMatches && pathMatches && rule.used < rule.times && (!rule.when || rule.when(body, { method, path }))) {
+        rule.used++;
+        const error = jiraError(rule.status, [rule.message || `Injected failure for ${method} ${path}`]);
+        return { status: rule.status, headers: {}, body: error.body };
+      }
+    }
+    return null;
+  }
+
+  function handle(request, response) {
+    const chunks = [];
+    request.on('data', chunk => chunks.push(chunk));
+    request.on('end', () => {
+      const url = new URL(request.url, 'http://fake-jira');
+      let path = url.pathname.startsWith(apiPrefix) ? url.pathname.slice(apiPrefix.length) : url.pathname;
+      if (url.pathname === SERVER_INFO_PATH) path = '/serverInfo';
+      let body;
+      const contentType = request.headers['content-type'] || '';
+      if (contentType.startsWith('multipart/form-data')) {
+        body = { files: parseMultipart(Buffer.concat(chunks), contentType) };
+      } else {
+        try {
+          body = chunks.length > 0 ? JSON.parse(Buffer.concat(chunks).toString('utf8')) : undefined;
+        } catch (error) {
+          body = undefined;
+        }
+      }
+      state.requests.push({ method: request.method, path, query: url.search, body });
+
+      // Only Data Center takes personal access tokens; Cloud rejects Bearer tokens it did not issue
+      const authorization = request.headers.authorization || '';
+      let reply = null;
+      if (authorization.startsWith('Bearer ') && (!dataCenter || authorization.slice('Bearer '.length) !== behaviour.pat)) {
+        reply = { status: 401, headers: {}, body: { errorMessages: ['Client must be authenticated to access this resource.'] } };
+      }
+      reply = reply || injectedResponse(request.method, path, body);
+      if (!reply) {
+        try {
+          const [status, data] = route(request.method, path, url.searchParams, body, request.headers);
+          reply = { status, headers: {}, body: data };
+        } catch (error) {
+          if (!error.status) throw error;
+          reply = { status: error.status, headers: {}, body: error.body };
+        }
+      }
+
+      response.writeHead(reply.status, { 'Content-Type': 'application/json', ...reply.headers });
+      response.end(reply.body === null || reply.body === undefined ? '' : JSON.stringify(reply.body));
+    });
+  }
+
+  return {
+    behaviour,
+    state,
+    /** Base URL to use as JIRA_HOST, once started */
+    url: null,
+
+    /**
+     * Starts listening on `port` (default: any free port) and resolves to the base URL
+     */
+    start(port = 0) {
+      return new Promise((resolve, reject) => {
+        server = http.createServer(handle);
+        server.once('error', reject);
+        server.listen(port, '127.0.0.1', () => {
+          this.url = `http://127.0.0.1:${server.address().port}`;
+          resolve(this.url);
+        });
+      });
+    },
+
+    stop() {
+      return new Promise(resolve => (server ? server.close(() => resolve()) : resolve()));
+    },
+
+    /**
+     * Importer settings that point at this server (see createImporter in jira-importer.js)
+     */
+    importerConfig(overrides = {}) {
+      const credentials = dataCenter ? { jiraPat: behaviour.pat } : { jiraEmail: 'fake@example.com', jiraApiToken: 'fake-token' };
+      return { jiraHost: this.url, ...credentials, ...overrides };
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_BEHAVIOUR,
+  createFakeJiraServer
+};
+
+// Run standalone to point the CLI at it: JIRA_HOST=<printed url> pmac import
+if (require.main === module) {
+  const { values } = parseArgs({
+    options: {
+      port: { type: 'string', short: 'p', default: '8080' },
+      'team-managed': { type: 'boolean' },
+      'no-subtasks': { type: 'boolean' },
+      initiatives: { type: 'boolean' },
+      'existing-project': { type: 'string' },
+      board: { type: 'string' },
+      datacenter: { type: 'boolean' }
+    }
+  });
+
+  const fake = createFakeJiraServer({
+    deployment: values.datacenter ? 'datacenter' : 'cloud',
+    style: values['team-managed'] ? 'team-managed' : 'company-managed',
+    subtaskType: !values['no-subtasks'],
+    initiativeType: Boolean(values.initiatives),
+    existingProject: values['existing-project'] || false,
+    board: values.board || null
+  });
+  fake.start(Number(values.port)).then(url => console.log(
+    `Fake Jira listening on ${url} (JIRA_HOST=${url}${values.datacenter ? ` JIRA_PAT=${fake.behaviour.pat}` : ''})`
+  ));
+}
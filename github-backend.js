@@ -0,0 +1,1006 @@
+/**
+ * GitHub Issues Backend
+ *
+ * Tracker backend adapter (see tracker-backend.js) that imports PMAC items into the
+ * issues of a GitHub repository through the REST API. The repository stands in for the
+ * Jira project and has to exist. Epics become parent issues whose task list names their
+ * stories (parenting strategy "tasklist"), or milestones their stories are assigned to
+ * ("milestone"). Initiatives list their epics and stories list their sub-tasks the same
+ * way. Components and priorities become labels, item links and web links become lines in the
+ * issue body, and assignees are taken from the `github` login of their team member.
+ *
+ * Every issue body (and milestone description) ends with a hidden marker holding the
+ * PMAC ID and the run that created it, so later runs find their issues and `undo` only
+ * closes issues of the run being undone. GitHub has no sprints, and issues can be closed
+ * but not deleted.
+ */
+
+const axios = require('axios');
+const { pmacId } = require('./pmac-validator');
+const { EPIC_LEVEL, STORY_LEVEL, levelName } = require('./pmac-hierarchy');
+const { createItemIndex, itemLinks } = require('./pmac-links');
+const { itemWebLinks } = require('./pmac-resources');
+const { installRetryHandling, isTransientError, isRateLimited } = require('./jira-request');
+const { runPool, throwIfThrottled } = require('./task-pool');
+const { writePlan } = require('./jira-plan');
+
+const DEFAULT_GITHUB_API_URL = 'https://api.github.com';
+
+// How stories are put under epics: a task list in the epic issue, or the epic's milestone
+const GITHUB_PARENTING_STRATEGIES = ['auto', 'tasklist', 'milestone'];
+
+// Body line that stands for each PMAC link field, followed by the other issue
+const RELATIONSHIP_WORDS = {
+  dependsOn: 'Depends on',
+  blocks: 'Blocks',
+  relatesTo: 'Relates to',
+  duplicates: 'Duplicates'
+};
+
+// Colours of the labels the importer creates
+const LABEL_COLOURS = {
+  component: 'c5def5',
+  priority: 'fbca04',
+  other: 'ededed'
+};
+
+const PAGE_SIZE = 100;
+
+const MARKER_PATTERN = /<!-- pmac id=(\S+) run=(\S+) -->/;
+
+/**
+ * The hidden line that ties an issue or milestone to its PMAC item and the run that created it
+ */
+function marker(id, runId) {
+  return `<!-- pmac id=${encodeURIComponent(id)} run=${runId || 'dry-run'} -->`;
+}
+
+/**
+ * Reads the marker from an issue body or milestone description: { id, run } or null
+ */
+function parseMarker(text) {
+  const match = MARKER_PATTERN.exec(text || '');
+  return match ? { id: decodeURIComponent(match[1]), run: match[2] } : null;
+}
+
+/**
+ * Composes an issue body: the description, the web links, the task list, the relationships and the marker
+ */
+function composeBody(description, tasks, relationships, markerLine, links = []) {
+  const sections = [];
+  if (description) sections.push(description.trim());
+  if (links.length > 0) sections.push(['### Links', ...links].join('\n'));
+  if (tasks.length > 0) sections.push(['### Tasks', ...tasks].join('\n'));
+  if (relationships.length > 0) sections.push(['### Relationships', ...relationships].join('\n'));
+  sections.push(markerLine);
+  return sections.join('\n\n');
+}
+
+/**
+ * The "Links" lines of an item's web links, e.g. "- [Design](https://example.com/design)"
+ */
+function webLinkLines(item) {
+  return itemWebLinks(item).map(link => `- [${link.title}](${link.url})`);
+}
+
+/**
+ * Checks whether a body has a line, ignoring the state of task list checkboxes
+ */
+function hasLine(body, line) {
+  const unchecked = text => text.replace(/^- \[[xX]\] /, '- [ ] ');
+  return (body || '').split('\n').some(l => unchecked(l.trim()) === unchecked(line));
+}
+
+/**
+ * Labels for a PMAC item: its own, plus component:<name> and priority:<name>
+ */
+function itemLabels(item) {
+  return [...new Set([
+    ...(item.labels || []),
+    item.component && `component:${item.component}`,
+    item.priority && `priority:${item.priority}`
+  ].filter(Boolean))];
+}
+
+function labelColour(name) {
+  if (name.startsWith('component:')) return LABEL_COLOURS.component;
+  if (name.startsWith('priority:')) return LABEL_COLOURS.priority;
+  return LABEL_COLOURS.other;
+}
+
+/**
+ * GitHub logins an item is assigned to: its assignee's `github` login, when the team member has one
+ */
+function itemAssignees(item, team) {
+  const login = item.assignee && team.get(item.assignee)?.github;
+  return login ? [login] : [];
+}
+
+/**
+ * PMAC properties GitHub has no place for on an issue or milestone
+ */
+function unsupportedFields(item, kind, team = new Map()) {
+  const skipped = [];
+  if (item.assignee && kind === 'milestone') {
+    skipped.push({ property: 'assignee', field: 'Assignees', reason: 'milestones have no assignees' });
+  } else if (item.assignee && itemAssignees(item, team).length === 0) {
+    skipped.push({ property: 'assignee', field: 'Assignees', reason: `team member "${item.assignee}" has no GitHub login` });
+  }
+  if (item.reporter) skipped.push({ property: 'reporter', field: 'Author', reason: 'GitHub issues are authored by the account that creates them' });
+  if (item.watchers?.length) skipped.push({ property: 'watchers', field: 'Subscribers', reason: 'GitHub cannot subscribe other users to an issue' });
+  if (item.storyPoints !== undefined) skipped.push({ property: 'storyPoints', field: 'Story points', reason: 'GitHub issues have no story points' });
+  if (item.dueDate && kind === 'issue') skipped.push({ property: 'dueDate', field: 'Due date', reason: 'only milestones have a due date on GitHub' });
+  if (item.fixVersions?.length) skipped.push({ property: 'fixVersions', field: 'Fix versions', reason: 'GitHub issues have no fix versions' });
+  if (item.release) skipped.push({ property: 'release', field: 'Fix versions', reason: 'GitHub issues have no fix versions' });
+  if (item.attachments?.length) skipped.push({ property: 'attachments', field: 'Attachments', reason: 'GitHub\'s API cannot upload files to issues' });
+  for (const property of Object.keys(item.customFields || {})) {
+    skipped.push({ property, field: property, reason: 'GitHub issues have no custom fields' });
+  }
+  if (kind === 'milestone' && itemLabels(item).length > 0) {
+    skipped.push({ property: 'labels', field: 'Labels', reason: 'milestones have no labels' });
+  }
+  return skipped;
+}
+
+/**
+ * An imported issue as the importer keeps it, with GitHub's field names
+ */
+function issueRecord(issue) {
+  return {
+    kind: 'issue',
+    number: issue.number,
+    key: `#${issue.number}`,
+    title: issue.title,
+    body: issue.body || '',
+    labels: (issue.labels || []).map(label => (typeof label === 'string' ? label : label.name)),
+    assignees: (issue.assignees || []).map(assignee => (typeof assignee === 'string' ? assignee : assignee.login)),
+    milestone: issue.milestone?.number ?? null,
+    state: issue.state,
+    url: issue.html_url,
+    pmac: parseMarker(issue.body)
+  };
+}
+
+/**
+ * An imported milestone as the importer keeps it, with GitHub's field names
+ */
+function milestoneRecord(milestone) {
+  return {
+    kind: 'milestone',
+    number: milestone.number,
+    key: `milestone/${milestone.number}`,
+    title: milestone.title,
+    description: milestone.description || '',
+    due_on: milestone.due_on || null,
+    state: milestone.state,
+    url: milestone.html_url,
+    pmac: parseMarker(milestone.description)
+  };
+}
+
+/**
+ * The fields of `desired` whose value differs from the record's
+ */
+function changedFields(record, desired) {
+  const same = (a, b) => (Array.isArray(a) && Array.isArray(b)
+    ? [...a].sort().join('\n') === [...b].sort().join('\n')
+    : (a ?? null) === (b ?? null));
+  return Object.keys(desired).filter(field => !same(record[field], desired[field]));
+}
+
+/**
+ * Describes a failed GitHub request with the validation errors GitHub gives
+ */
+function describeError(error) {
+  const data = error.response?.data;
+  const details = (data?.errors || []).map(e => (typeof e === 'string' ? e : e.message || `${e.field} ${e.code}`));
+  const message = data?.message || error.message;
+  return details.length > 0 ? `${message}: ${details.join(', ')}` : message;
+}
+
+/**
+ * The web address of a GitHub site from its API address (GitHub Enterprise serves the API under /api/v3)
+ */
+function webUrlOf(apiUrl) {
+  const url = String(apiUrl || DEFAULT_GITHUB_API_URL).replace(/\/$/, '');
+  if (url === DEFAULT_GITHUB_API_URL) return 'https://github.com';
+  return url.replace(/\/api\/v3$/, '');
+}
+
+/**
+ * Checks whether GitHub turned a request away for a rate limit: 429 or 503 as Jira does, or
+ * 403 with no requests left (the primary limit) or with Retry-After (the secondary limits)
+ */
+function isGithubRateLimited(error) {
+  const response = error?.response;
+  if (response?.status !== 403) return isRateLimited(error);
+  return String(response.headers?.['x-ratelimit-remaining']) === '0' || response.headers?.['retry-after'] != null;
+}
+
+/**
+ * Creates the axios client for the GitHub REST API, with request logging and retry handling
+ */
+function createGithubClient(config) {
+  const client = axios.create({
+    baseURL: String(config.githubApiUrl || DEFAULT_GITHUB_API_URL).replace(/\/$/, ''),
+    headers: {
+      'Accept': 'application/vnd.github+json',
+      'Authorization': `Bearer ${config.githubToken}`,
+      'X-GitHub-Api-Version': '2022-11-28'
+    }
+  });
+
+  client.interceptors.request.use(request => {
+    if (config.verbose) console.log(`→ ${request.method.toUpperCase()} ${request.url}`);
+    return request;
+  });
+
+  // GitHub answers its rate limits with 403 as well as 429, and sends X-RateLimit-Reset in epoch seconds
+  installRetryHandling(client, {
+    maxRetries: config.maxRetries,
+    retryBudget: config.retryBudget,
+    isTransient: error => isTransientError(error) || isGithubRateLimited(error),
+    isRateLimited: isGithubRateLimited
+  });
+
+  return client;
+}
+
+/**
+ * Offline stand-in for the GitHub client during dry runs: records every request and
+ * answers as an empty repository would
+ */
+function createGithubPlanClient(repository) {
+  const requests = [];
+  const counters = { issue: 0, milestone: 0 };
+
+  function respond(method, url, data) {
+    const path = url.split('?')[0];
+    if (method === 'GET') {
+      if (path === `/repos/${repository}`) return { full_name: repository, html_url: `https://github.com/${repository}` };
+      return [];
+    }
+    if (method === 'POST' && path.endsWith('/issues')) {
+      counters.issue++;
+      return { ...data, number: counters.issue, state: 'open', labels: data.labels || [] };
+    }
+    if (method === 'POST' && path.endsWith('/milestones')) {
+      counters.milestone++;
+      return { ...data, number: counters.milestone, state: 'open' };
+    }
+    return data || {};
+  }
+
+  async function send(method, url, data) {
+    const entry = { step: requests.length + 1, method, url };
+    if (data !== undefined) entry.data = data;
+    requests.push(entry);
+    return { status: 200, data: respond(method, url, data) };
+  }
+
+  return {
+    dryRun: true,
+    requests,
+    get: (url, options) => send('GET', options?.params ? `${url}?${new URLSearchParams(options.params)}` : url),
+    post: (url, data) => send('POST', url, data),
+    patch: (url, data) => send('PATCH', url, data),
+    delete: url => send('DELETE', url)
+  };
+}
+
+/**
+ * Describes a single recorded GitHub request
+ */
+function describeRequest({ method, url, data }) {
+  const path = url.split('?')[0];
+  if (method === 'POST' && path.endsWith('/labels')) {
+    return `Create label "${data.name}"`;
+  }
+  if (method === 'POST' && path.endsWith('/milestones')) {
+    return `Create milestone "${data.title}"${data.due_on ? ` due ${data.due_on.slice(0, 10)}` : ''}`;
+  }
+  if (method === 'POST' && path.endsWith('/issues')) {
+    const labels = data.labels?.length ? ` [${data.labels.join(', ')}]` : '';
+    const milestone = data.milestone ? ` in milestone ${data.milestone}` : '';
+    return `Create issue "${data.title}"${labels}${milestone}`;
+  }
+  if (method === 'PATCH' && /\/issues\/\d+$/.test(path)) {
+    return `Update issue #${path.split('/').pop()} (${Object.keys(data).join(', ')})`;
+  }
+  if (method === 'PATCH' && /\/milestones\/\d+$/.test(path)) {
+    return `Update milestone ${path.split('/').pop()} (${Object.keys(data).join(', ')})`;
+  }
+  return `${method} ${url}`;
+}
+
+/**
+ * Renders the recorded GitHub requests as a human readable plan
+ */
+function formatGithubPlan(requests) {
+  const writes = requests.filter(r => r.method !== 'GET');
+  const lines = [`${writes.length} write requests (${requests.length - writes.length} read requests omitted)`];
+
+  for (const request of writes) {
+    lines.push(`${String(request.step).padStart(4)}. ${describeRequest(request)}`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Creates the GitHub Issues backend adapter. `config` is the importer's configuration
+ * (githubToken, githubRepository, githubApiUrl, parentingStrategy, concurrency...), `hooks`
+ * journal and report its work: { recordChange, noteItem, beginItem, skipField, runId }.
+ */
+function createGithubBackend(config, hooks) {
+  let client = createGithubClient(config);
+  const webUrl = webUrlOf(config.githubApiUrl);
+
+  // State of the running import, from startRun() to endRun()
+  let run = null;
+
+  const repoPath = () => `/repos/${config.githubRepository}`;
+
+  /**
+   * Reads every page of a list endpoint
+   */
+  async function listAll(path, params = {}) {
+    const all = [];
+    for (let page = 1; ; page++) {
+      const response = await client.get(path, { params: { ...params, per_page: PAGE_SIZE, page } });
+      const items = response.data || [];
+      all.push(...items);
+      if (items.length < PAGE_SIZE) return all;
+    }
+  }
+
+  /**
+   * Reads a resource, or null when it no longer exists
+   */
+  async function getOrNull(path) {
+    try {
+      return (await client.get(path)).data;
+    } catch (error) {
+      if (error.response?.status === 404 || error.response?.status === 410) return null;
+      throw error;
+    }
+  }
+
+  function startRun(data, options = {}) {
+    run = {
+      liveClient: client,
+      strategy: null,
+      // Settings of the PMAC project section other than components, which are Jira's alone
+      projectSettings: Object.keys(data.project || {}).filter(key => key !== 'components'),
+      // Team members by ID, for their GitHub logins
+      team: new Map((data.team || []).map(member => [member.id, member])),
+      // Label names the repository has, lower-cased
+      labels: new Set(),
+      // Entries imported by this run and their current records, by PMAC ID
+      entries: new Map(),
+      records: new Map(),
+      // Bodies as they were before this run touched them, by PMAC ID
+      bodiesBefore: new Map(),
+      // Relationship lines of each item's body, by PMAC ID
+      relationships: new Map(),
+      // Child IDs of each parent issue, worked out once every level is imported
+      children: null
+    };
+    if (options.dryRun) client = createGithubPlanClient(config.githubRepository);
+  }
+
+  function endRun() {
+    if (run) client = run.liveClient;
+    run = null;
+  }
+
+  /**
+   * Finds the repository; GitHub repositories are not created by the import
+   */
+  async function prepareProject() {
+    if (!/^[^/\s]+\/[^/\s]+$/.test(config.githubRepository || '')) {
+      throw new Error('Set GITHUB_REPOSITORY (or --repo) to the owner/name of the repository to import into');
+    }
+    console.log(`Using repository ${config.githubRepository}`);
+    const repository = await getOrNull(repoPath());
+    if (!repository) {
+      throw new Error(`Repository ${config.githubRepository} was not found, or the token cannot see it; create it on GitHub first`);
+    }
+    return { key: config.githubRepository, url: repository.html_url || `${webUrl}/${config.githubRepository}` };
+  }
+
+  /**
+   * Picks the parenting strategy and loads the repository's labels
+   */
+  async function probe(projectKey, needs) {
+    const requested = config.parentingStrategy || 'auto';
+    if (!GITHUB_PARENTING_STRATEGIES.includes(requested)) {
+      throw new Error(`Unknown parenting strategy "${requested}" for GitHub (use ${GITHUB_PARENTING_STRATEGIES.join(', ')})`);
+    }
+    run.strategy = requested === 'auto' ? 'tasklist' : requested;
+    run.labels = new Set((await listAll(`${repoPath()}/labels`)).map(label => label.name.toLowerCase()));
+
+    console.log(`Epics: ${run.strategy === 'milestone' ? 'milestones holding their stories' : 'issues with a task list of their stories'}`);
+    console.log('Components and priorities: labels');
+    if (needs.subtasks) console.log('Sub-tasks: issues in the task list of their story');
+    if (needs.sprints) console.warn('GitHub Issues has no sprints, stories will not be put into sprints');
+    if (run.projectSettings.length > 0) {
+      console.warn(`GitHub repositories have no project ${run.projectSettings.join(', ')}, only the declared components are used (as labels)`);
+    }
+    console.log(`Parenting strategy: ${run.strategy}`);
+
+    return { strategy: run.strategy };
+  }
+
+  /**
+   * Creates the labels the repository does not have yet
+   */
+  async function ensureLabels(names) {
+    const missing = [...new Set(names)].filter(name => !run.labels.has(name.toLowerCase()));
+    const results = await runPool(missing, config.concurrency, async name => {
+      await client.post(`${repoPath()}/labels`, { name, color: labelColour(name) });
+      run.labels.add(name.toLowerCase());
+      hooks.recordChange({ type: 'repoLabel', action: 'create', name });
+      console.log(`Created label ${name}`);
+    });
+    throwIfThrottled(results);
+
+    results.forEach((result, index) => {
+      if (result.status === 'rejected') console.warn(`Couldn't create label ${missing[index]}: ${describeError(result.reason)}`);
+    });
+  }
+
+  function ensureComponents(projectKey, names) {
+    return ensureLabels(names.map(name => `component:${name}`));
+  }
+
+  /**
+   * GitHub has no versions; releases are left out and their items imported without them
+   */
+  function ensureReleases(projectKey, releases) {
+    console.warn(`GitHub has no versions, skipping ${releases.length} releases`);
+    return new Map(releases.map(release => [release.name, { status: 'skipped', error: 'GitHub has no versions' }]));
+  }
+
+  /**
+   * Finds the issues and milestones of earlier runs by their marker. The listing is
+   * complete as soon as an issue exists, so a checkpoint's records are not needed.
+   */
+  async function findImported() {
+    const found = new Map();
+    const issues = await listAll(`${repoPath()}/issues`, { state: 'all' });
+    for (const issue of issues.filter(i => !i.pull_request)) {
+      const record = issueRecord(issue);
+      if (record.pmac && !found.has(record.pmac.id)) found.set(record.pmac.id, record);
+    }
+    for (const milestone of await listAll(`${repoPath()}/milestones`, { state: 'all' })) {
+      const record = milestoneRecord(milestone);
+      if (record.pmac && !found.has(record.pmac.id)) found.set(record.pmac.id, record);
+    }
+
+    console.log(`Found ${found.size} previously imported issues and milestones in ${config.githubRepository}`);
+    return found;
+  }
+
+  function describeRecord(record) {
+    return { key: record.key, summary: record.title };
+  }
+
+  function browseUrl(key) {
+    const [, kind, number] = /^(#|milestone\/)(\d+)$/.exec(key) || [];
+    if (!number) return `${webUrl}/${config.githubRepository}`;
+    return `${webUrl}/${config.githubRepository}/${kind === '#' ? 'issues' : 'milestone'}/${number}`;
+  }
+
+  /**
+   * The PMAC ID of a story's epic, from its epicLink (an epic ID or summary)
+   */
+  function epicIdOf(item, context) {
+    if (!item.epicLink) return null;
+    if (context.entryById.get(item.epicLink)?.level === EPIC_LEVEL) return item.epicLink;
+    const epic = [...context.entryById.values()].find(e => e.level === EPIC_LEVEL && e.item.summary === item.epicLink);
+    return epic ? epic.id : null;
+  }
+
+  /**
+   * The PMAC ID of the item an entry is listed under: a story's epic, or the entry's parent
+   */
+  function parentIdOf(entry, context) {
+    return entry.level === STORY_LEVEL ? epicIdOf(entry.item, context) : entry.parentId;
+  }
+
+  function noteSkipped(item, kind) {
+    for (const skipped of unsupportedFields(item, kind, run.team)) {
+      console.warn(`Field "${skipped.field}" for ${skipped.property} on "${item.summary}" was not set: ${skipped.reason}`);
+      hooks.skipField(item, skipped);
+    }
+  }
+
+  /**
+   * Creates or updates the issue of an entry. Stories get their epic's milestone under the milestone strategy.
+   */
+  async function importIssue(entry, level, context) {
+    const { item } = entry;
+    const existing = context.existing.get(entry.id);
+    const milestone = level === STORY_LEVEL && run.strategy === 'milestone'
+      ? run.records.get(epicIdOf(item, context))?.number ?? null
+      : undefined;
+    hooks.beginItem(item);
+    noteSkipped(item, 'issue');
+
+    let record;
+    let status = 'created';
+    try {
+      if (existing?.kind === 'issue') {
+        record = { ...existing };
+        const desired = { title: item.summary, labels: itemLabels(item) };
+        if (milestone !== undefined) desired.milestone = milestone;
+        if (itemAssignees(item, run.team).length > 0) desired.assignees = itemAssignees(item, run.team);
+        const changes = changedFields(existing, desired);
+        if (changes.length > 0) {
+          const fields = Object.fromEntries(changes.map(field => [field, desired[field]]));
+          await client.patch(`${repoPath()}/issues/${existing.number}`, fields);
+          hooks.recordChange({
+            type: 'githubIssue',
+            action: 'update',
+            key: existing.key,
+            number: existing.number,
+            before: Object.fromEntries(changes.map(field => [field, existing[field]]))
+          });
+          Object.assign(record, fields);
+        }
+        status = changes.length > 0 ? 'updated' : 'unchanged';
+        console.log(status === 'updated' ? `Updated existing ${levelName(level)} ${record.key}: ${item.summary}` : `${record.key} is up to date: ${item.summary}`);
+      } else {
+        const fields = {
+          title: item.summary,
+          body: composeBody(item.description, [], [], marker(entry.id, hooks.runId()), webLinkLines(item)),
+          labels: itemLabels(item)
+        };
+        if (milestone) fields.milestone = milestone;
+        if (itemAssignees(item, run.team).length > 0) fields.assignees = itemAssignees(item, run.team);
+        const response = await client.post(`${repoPath()}/issues`, fields);
+        record = issueRecord({ ...fields, ...response.data, body: fields.body });
+        hooks.recordChange({ type: 'githubIssue', action: 'create', key: record.key, number: record.number, summary: item.summary, pmacId: entry.id });
+        console.log(`Created ${levelName(level)} ${record.key}: ${item.summary}`);
+      }
+    } catch (error) {
+      if (isTransientError(error)) throw error;
+      console.error(`Error ${existing ? `updating ${existing.key}` : `creating ${levelName(level)} "${item.summary}"`}: ${describeError(error)}`);
+      hooks.noteItem(item, { status: 'failed', key: existing?.key, error: describeError(error) });
+      return null;
+    }
+
+    run.records.set(entry.id, record);
+    run.bodiesBefore.set(entry.id, existing?.kind === 'issue' ? existing.body : record.body);
+    context.keyById.set(entry.id, record.key);
+    hooks.noteItem(item, {
+      status,
+      key: record.key,
+      createPath: status === 'created' ? levelName(level) : undefined,
+      issueType: 'issue',
+      descriptionFormat: item.description ? 'markdown' : undefined
+    });
+    return { item, status };
+  }
+
+  /**
+   * Creates or updates the milestone of an epic (milestone strategy)
+   */
+  async function importMilestone(entry, context) {
+    const { item } = entry;
+    const existing = context.existing.get(entry.id);
+    hooks.beginItem(item);
+    noteSkipped(item, 'milestone');
+
+    const desired = {
+      title: item.summary,
+      description: composeBody(item.description, [], [], marker(entry.id, existing?.pmac?.run || hooks.runId()), webLinkLines(item)),
+      due_on: item.dueDate ? `${item.dueDate}T00:00:00Z` : null
+    };
+
+    let record;
+    let status = 'created';
+    try {
+      if (existing?.kind === 'milestone') {
+        record = { ...existing };
+        // GitHub may answer with a due time other than the one sent; compare the dates
+        const changes = changedFields({ ...existing, due_on: existing.due_on?.slice(0, 10) }, { ...desired, due_on: item.dueDate || null });
+        if (changes.length > 0) {
+          const fields = Object.fromEntries(changes.map(field => [field, desired[field]]));
+          await client.patch(`${repoPath()}/milestones/${existing.number}`, fields);
+          hooks.recordChange({
+            type: 'milestone',
+            action: 'update',
+            key: existing.key,
+            number: existing.number,
+            before: Object.fromEntries(changes.map(field => [field, existing[field]]))
+          });
+          Object.assign(record, fields);
+        }
+        status = changes.length > 0 ? 'updated' : 'unchanged';
+        console.log(status === 'updated' ? `Updated existing milestone ${record.key}: ${item.summary}` : `${record.key} is up to date: ${item.summary}`);
+      } else {
+        const fields = Object.fromEntries(Object.entries(desired).filter(([, value]) => value !== null));
+        const response = await client.post(`${repoPath()}/milestones`, fields);
+        record = milestoneRecord({ ...fields, ...response.data });
+        hooks.recordChange({ type: 'milestone', action: 'create', key: record.key, number: record.number, title: item.summary, pmacId: entry.id });
+        console.log(`Created milestone ${record.key}: ${item.summary}`);
+      }
+    } catch (error) {
+      if (isTransientError(error)) throw error;
+      console.error(`Error ${existing ? `updating ${existing.key}` : `creating milestone "${item.summary}"`}: ${describeError(error)}`);
+      hooks.noteItem(item, { status: 'failed', key: existing?.key, error: describeError(error) });
+      return null;
+    }
+
+    run.records.set(entry.id, record);
+    context.keyById.set(entry.id, record.key);
+    hooks.noteItem(item, {
+      status,
+      key: record.key,
+      createPath: status === 'created' ? 'milestone' : undefined,
+      issueType: 'milestone',
+      descriptionFormat: item.description ? 'markdown' : undefined
+    });
+    return { item, status };
+  }
+
+  /**
+   * Updates and creates the issues (or, for epics under the milestone strategy, milestones) of one level
+   */
+  async function importLevel(level, entries, context) {
+    const asMilestones = level === EPIC_LEVEL && run.strategy === 'milestone';
+    entries.forEach(entry => run.entries.set(entry.id, entry));
+    if (!asMilestones) await ensureLabels(entries.flatMap(entry => itemLabels(entry.item)));
+
+    const results = await runPool(entries, config.concurrency, entry =>
+      (asMilestones ? importMilestone(entry, context) : importIssue(entry, level, context)));
+    throwIfThrottled(results);
+
+    const done = results.map(r => r.value).filter(Boolean);
+    return {
+      created: done.filter(d => d.status === 'created').map(d => d.item),
+      updated: done.filter(d => d.status === 'updated').map(d => d.item),
+      unchanged: done.filter(d => d.status === 'unchanged').map(d => d.item)
+    };
+  }
+
+  /**
+   * Child IDs of each parent issue, in file order. Milestones hold their stories themselves.
+   */
+  function childrenOf(id, context) {
+    if (!run.children) {
+      run.children = new Map();
+      for (const entry of run.entries.values()) {
+        const parentId = parentIdOf(entry, context);
+        if (!parentId || run.records.get(parentId)?.kind !== 'issue' || !run.records.has(entry.id)) continue;
+        run.children.set(parentId, [...(run.children.get(parentId) || []), entry.id]);
+      }
+    }
+    return run.children.get(id) || [];
+  }
+
+  /**
+   * The task list line of an imported child, checked once it is closed
+   */
+  function taskLine(record) {
+    const box = record.state === 'closed' ? '[x]' : '[ ]';
+    return record.kind === 'issue' ? `- ${box} ${record.key}` : `- ${box} [${record.title}](${record.url || browseUrl(record.key)})`;
+  }
+
+  /**
+   * Writes the body of an item's issue with its description, task list, relationships and
+   * marker, if that changes it. Resolves to whether it was written.
+   */
+  async function writeBody(id, context) {
+    const record = run.records.get(id);
+    if (record?.kind !== 'issue') return false;
+
+    const { item } = run.entries.get(id);
+    const tasks = childrenOf(id, context).map(childId => taskLine(run.records.get(childId)));
+    const body = composeBody(item.description, tasks, run.relationships.get(id) || [], marker(id, record.pmac?.run || hooks.runId()), webLinkLines(item));
+    if (body === record.body) return false;
+
+    await client.patch(`${repoPath()}/issues/${record.number}`, { body });
+    hooks.recordChange({ type: 'githubIssue', action: 'update', key: record.key, number: record.number, before: { body: record.body } });
+    record.body = body;
+    return true;
+  }
+
+  /**
+   * Adds the links items declare (dependsOn, blocks, relatesTo, duplicates) to their issue
+   * body as "Depends on #12" lines, which GitHub shows as references on both issues
+   */
+  async function createItemLinks(entries, context) {
+    const resolve = createItemIndex(entries, pmacId);
+    const outcomesById = new Map();
+
+    for (const entry of entries) {
+      const links = itemLinks(entry.item);
+      if (links.length === 0) continue;
+      const record = run.records.get(entry.id);
+      const lines = [];
+
+      outcomesById.set(entry.id, links.map(({ field, ref }) => {
+        const outcome = { field, target: ref };
+        const target = resolve(ref);
+        const other = target.entry && run.records.get(target.entry.id);
+        if (target.error) return Object.assign(outcome, { status: 'failed', error: target.error });
+        if (!record) return Object.assign(outcome, { status: 'failed', error: 'the item was not imported' });
+        if (record.kind !== 'issue') return Object.assign(outcome, { status: 'failed', error: 'milestones cannot have links' });
+        if (!other) return Object.assign(outcome, { status: 'failed', error: `"${ref}" was not imported` });
+        if (other.kind !== 'issue') return Object.assign(outcome, { status: 'failed', error: `"${ref}" is a milestone, issues cannot link to it` });
+
+        const line = `- ${RELATIONSHIP_WORDS[field]} ${other.key}`;
+        lines.push(line);
+        Object.assign(outcome, { key: other.key, type: RELATIONSHIP_WORDS[field] });
+        if (hasLine(run.bodiesBefore.get(entry.id), line)) return Object.assign(outcome, { status: 'already' });
+        return outcome;
+      }));
+      run.relationships.set(entry.id, lines);
+    }
+
+    const toWrite = [...outcomesById].filter(([, outcomes]) => outcomes.some(o => !o.status)).map(([id]) => id);
+    if (toWrite.length > 0) console.log(`Adding links to ${toWrite.length} issues...`);
+    const results = await runPool(toWrite, config.concurrency, id => writeBody(id, context));
+    throwIfThrottled(results);
+
+    results.forEach((result, index) => {
+      const outcomes = outcomesById.get(toWrite[index]).filter(o => !o.status);
+      if (result.status === 'rejected') {
+        console.warn(`Couldn't add links to ${run.records.get(toWrite[index]).key}: ${describeError(result.reason)}`);
+      }
+      outcomes.forEach(outcome => Object.assign(outcome, result.status === 'fulfilled'
+        ? { status: 'created' }
+        : { status: 'failed', error: describeError(result.reason) }));
+    });
+
+    const all = [...outcomesById.values()].flat();
+    for (const [id, outcomes] of outcomesById) {
+      hooks.noteItem(run.entries.get(id).item, { issueLinks: outcomes });
+      outcomes.filter(o => o.status === 'failed' && !o.key).forEach(o => console.warn(`${id}: ${o.field} "${o.target}" not linked: ${o.error}`));
+    }
+
+    return {
+      created: all.filter(o => o.status === 'created').length,
+      failed: all.filter(o => o.status === 'failed').length
+    };
+  }
+
+  /**
+   * Writes the web links of items into their issue body, under "Links". GitHub has no
+   * remote links, and its API cannot upload attachments (they are reported as skipped).
+   */
+  async function attachResources(entries, context) {
+    const linked = entries.filter(entry => itemWebLinks(entry.item).length > 0);
+    const outcomesById = new Map(linked.map(entry => [entry.id, itemWebLinks(entry.item).map(({ url, title }) => {
+      const outcome = { url, title };
+      const record = run.records.get(entry.id);
+      const before = context.existing.get(entry.id);
+      if (!record) return Object.assign(outcome, { status: 'failed', error: 'the item was not imported' });
+      // New issues and milestones got their links when they were written
+      if (hasLine(before?.kind === 'milestone' ? before.description : before?.body, `- [${title}](${url})`)) {
+        return Object.assign(outcome, { status: 'already' });
+      }
+      if (!before || record.kind === 'milestone') return Object.assign(outcome, { status: 'added' });
+      return outcome;
+    })]));
+
+    const toWrite = [...outcomesById].filter(([, outcomes]) => outcomes.some(o => !o.status)).map(([id]) => id);
+    if (toWrite.length > 0) console.log(`Adding web links to ${toWrite.length} issues...`);
+    const results = await runPool(toWrite, config.concurrency, id => writeBody(id, context));
+    throwIfThrottled(results);
+
+    results.forEach((result, index) => {
+      if (result.status === 'rejected') {
+        console.warn(`Couldn't add web links to ${run.records.get(toWrite[index]).key}: ${describeError(result.reason)}`);
+      }
+      outcomesById.get(toWrite[index]).filter(o => !o.status).forEach(outcome => Object.assign(outcome, result.status === 'fulfilled'
+        ? { status: 'added' }
+        : { status: 'failed', error: describeError(result.reason) }));
+    });
+
+    const all = [...outcomesById.values()].flat();
+    for (const [id, outcomes] of outcomesById) hooks.noteItem(run.entries.get(id).item, { remoteLinks: outcomes });
+    return {
+      attachments: 0,
+      remoteLinks: all.filter(o => o.status === 'added').length,
+      failed: all.filter(o => o.status === 'failed').length
+    };
+  }
+
+  /**
+   * Writes the task lists of parent issues (epics listing their stories, initiatives their
+   * epics, stories their sub-tasks) and records how each item ended up under its parent
+   */
+  async function placeUnderEpics(context) {
+    const { strategy } = run;
+    const ids = [...run.records.keys()].filter(id => run.records.get(id).kind === 'issue');
+    const listedBefore = id => {
+      const parentId = parentIdOf(run.entries.get(id), context);
+      return hasLine(run.bodiesBefore.get(parentId), taskLine(run.records.get(id)));
+    };
+
+    const parents = ids.filter(id => childrenOf(id, context).length > 0);
+    if (parents.length > 0) console.log(`\n=== Writing Task Lists of ${parents.length} Issues (${strategy}) ===`);
+    const results = await runPool(ids, config.concurrency, id => writeBody(id, context));
+    throwIfThrottled(results);
+    const writeError = new Map(results
+      .map((result, index) => [ids[index], result])
+      .filter(([, result]) => result.status === 'rejected')
+      .map(([id, result]) => [id, describeError(result.reason)]));
+    writeError.forEach((error, id) => console.warn(`Couldn't update ${run.records.get(id).key}: ${error}`));
+
+    let placedOnCreate = 0;
+    let linked = 0;
+    let needed = 0;
+
+    for (const entry of run.entries.values()) {
+      const parentId = parentIdOf(entry, context);
+      if (!parentId || !run.records.has(entry.id)) continue;
+      const parent = run.records.get(parentId);
+      const isStory = entry.level === STORY_LEVEL;
+
+      let outcome;
+      if (!parent) {
+        outcome = { status: 'failed', error: isStory ? 'the epic was not imported' : `its ${levelName(context.entryById.get(parentId)?.level)} was not imported` };
+      } else if (parent.kind === 'milestone') {
+        outcome = { status: context.existing.has(entry.id) ? 'already' : 'on-create' };
+        if (isStory && outcome.status === 'on-create') placedOnCreate++;
+      } else if (listedBefore(entry.id)) {
+        outcome = { status: 'already' };
+      } else {
+        if (isStory) needed++;
+        if (writeError.has(parentId)) {
+          outcome = { status: 'failed', error: writeError.get(parentId) };
+        } else {
+          outcome = { status: isStory ? 'linked' : context.existing.has(entry.id) ? 'moved' : 'on-create' };
+          if (isStory) linked++;
+        }
+      }
+
+      if (isStory) hooks.noteItem(entry.item, { epicLink: entry.item.epicLink, link: { strategy, ...outcome } });
+      else hooks.noteItem(entry.item, { parent: parent ? { key: parent.key, ...outcome } : outcome });
+    }
+
+    return { placedOnCreate, linked, needed };
+  }
+
+  /**
+   * GitHub Issues has no sprints: every story with a sprint is reported as skipped
+   */
+  async function planSprints(sprints, stories, context) {
+    console.warn('GitHub Issues has no sprints, stories stay without one');
+    const outcomes = new Map();
+    for (const story of stories.filter(s => s.sprint && context.keyById.has(pmacId(s)))) {
+      outcomes.set(context.keyById.get(pmacId(story)), { name: story.sprint, status: 'skipped', error: 'GitHub Issues has no sprints' });
+    }
+    return outcomes;
+  }
+
+  /**
+   * Closes issues and milestones whose items were removed from the file (as not planned).
+   * GitHub issues cannot be deleted through the REST API.
+   */
+  async function pruneItems(records, mode) {
+    if (mode === 'delete') {
+      console.warn('GitHub issues cannot be deleted through the REST API, use --prune close');
+      return [];
+    }
+
+    const pruned = [];
+    for (const record of records) {
+      try {
+        if (record.state !== 'closed') {
+          const isIssue = record.kind === 'issue';
+          const path = `${repoPath()}/${isIssue ? 'issues' : 'milestones'}/${record.number}`;
+          await client.patch(path, isIssue ? { state: 'closed', state_reason: 'not_planned' } : { state: 'closed' });
+          hooks.recordChange({ type: isIssue ? 'githubIssue' : 'milestone', action: 'update', key: record.key, number: record.number, before: { state: record.state } });
+          console.log(`Closed ${record.key}`);
+        }
+        pruned.push(record.key);
+      } catch (error) {
+        if (isTransientError(error)) throw error;
+        console.warn(`Couldn't close ${record.key}: ${describeError(error)}`);
+      }
+    }
+
+    return pruned;
+  }
+
+  function finishPlan(projectKey, options = {}) {
+    const plan = {
+      projectKey,
+      generatedAt: new Date().toISOString(),
+      requests: client.requests
+    };
+    if (options.planFile) writePlan(options.planFile, plan);
+    return { plan, text: formatGithubPlan(plan.requests) };
+  }
+
+  async function projectExists() {
+    return Boolean(await getOrNull(repoPath()));
+  }
+
+  /**
+   * Reverses a single undo step. Issues the run created are closed, since they cannot be
+   * deleted; milestones and labels are deleted.
+   */
+  async function undoStep(step, runId) {
+    switch (step.type) {
+      case 'githubIssue': {
+        const path = `${repoPath()}/issues/${step.number}`;
+        const issue = await getOrNull(path);
+        if (!issue) return 'already deleted';
+        if (step.undo === 'restore') {
+          await client.patch(path, step.before);
+          return 'restored';
+        }
+        const pmac = parseMarker(issue.body);
+        if (pmac?.run && pmac.run !== runId) return `kept, it is tagged with run ${pmac.run}`;
+        if (issue.state === 'closed') return 'already closed';
+        await client.patch(path, { state: 'closed', state_reason: 'not_planned' });
+        return 'closed';
+      }
+      case 'milestone': {
+        const path = `${repoPath()}/milestones/${step.number}`;
+        const milestone = await getOrNull(path);
+        if (!milestone) return 'already deleted';
+        if (step.undo === 'restore') {
+          await client.patch(path, step.before);
+          return 'restored';
+        }
+        const pmac = parseMarker(milestone.description);
+        if (pmac?.run && pmac.run !== runId) return `kept, it is tagged with run ${pmac.run}`;
+        await client.delete(path);
+        return 'deleted';
+      }
+      case 'repoLabel': {
+        try {
+          await client.delete(`${repoPath()}/labels/${encodeURIComponent(step.name)}`);
+          return 'deleted';
+        } catch (error) {
+          if (error.response?.status === 404) return 'already deleted';
+          throw error;
+        }
+      }
+      default:
+        throw new Error(`Cannot undo ${step.type} changes on GitHub`);
+    }
+  }
+
+  return {
+    name: 'github',
+    title: 'GitHub',
+    host: webUrl,
+    get project() {
+      return config.githubRepository;
+    },
+    startRun,
+    endRun,
+    prepareProject,
+    probe,
+    ensureComponents,
+    ensureReleases,
+    findImported,
+    describeRecord,
+    browseUrl,
+    importLevel,
+    createItemLinks,
+    attachResources,
+    placeUnderEpics,
+    planSprints,
+    pruneItems,
+    finishPlan,
+    projectExists,
+    undoStep
+  };
+}
+
+module.exports = {
+  DEFAULT_GITHUB_API_URL,
+  GITHUB_PARENTING_STRATEGIES,
+  parseMarker,
+  createGithubBackend
+};
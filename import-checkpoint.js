@@ -0,0 +1,178 @@
+/**
+ * Import Checkpoint
+ *
+ * Keeps the progress of an import run in a local state file, one per tracker project:
+ * the issue each PMAC item became, whether its description went out and its PMAC ID
+ * was stored on it, and the issue links created so far. The file is rewritten after every step, so when a run stops
+ * halfway (a crash, an expired token) `--resume` can pick up where it stopped instead
+ * of relying on search results that may not list the newest issues yet. It also holds
+ * a hash of the input, so a resumed run notices when the PMAC file changed in between,
+ * and of every item, so items changed since are updated again.
+ * A run that finishes without failures removes its checkpoint; one that left issues
+ * without their PMAC ID keeps it, since only the checkpoint still knows those issues.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CHECKPOINT_DIR = path.join('.pmac', 'checkpoints');
+
+/**
+ * Hash of the merged PMAC data, e.g. "9f86d081884c7d65..."
+ */
+function inputHash(data) {
+  return crypto.createHash('sha256').update(JSON.stringify(data)).digest('hex');
+}
+
+/**
+ * Path of the checkpoint of a project: { backend, host, projectKey }
+ */
+function checkpointPath(checkpointDir, target) {
+  const name = [target.backend, String(target.host || '').replace(/^\w+:\/\//, ''), target.projectKey]
+    .map(part => String(part || '').replace(/[^\w.-]+/g, '_'))
+    .join('-');
+  return path.join(checkpointDir, `${name}.json`);
+}
+
+/**
+ * Keys of the issues in a checkpoint's items whose PMAC ID could not be stored: later
+ * runs cannot find them by searching, only through the checkpoint
+ */
+function untaggedKeys(items = {}) {
+  return Object.values(items).filter(item => item.key && item.tagged === false).map(item => item.key);
+}
+
+/**
+ * Reads the checkpoint an interrupted run left for a project, or null when there is none
+ */
+function loadCheckpoint(checkpointDir = DEFAULT_CHECKPOINT_DIR, target) {
+  const file = checkpointPath(checkpointDir, target);
+  if (!fs.existsSync(file)) return null;
+  try {
+    return { ...JSON.parse(fs.readFileSync(file, 'utf8')), file };
+  } catch (error) {
+    throw new Error(`${file}: ${error.message}`);
+  }
+}
+
+/**
+ * Starts the checkpoint of a run. `meta` is { inputFile, inputHash, runId }; `previous`
+ * is the checkpoint being resumed, whose items and links carry over.
+ */
+function createCheckpoint(checkpointDir = DEFAULT_CHECKPOINT_DIR, target, meta, previous = null) {
+  const file = checkpointPath(checkpointDir, target);
+  const { runId, ...details } = meta;
+  const state = {
+    backend: target.backend,
+    host: target.host,
+    projectKey: target.projectKey,
+    ...details,
+    // Runs that worked on this checkpoint, the first one first
+    runs: [...(previous?.runs || []), runId].filter(Boolean),
+    startedAt: previous?.startedAt || new Date().toISOString(),
+    updatedAt: null,
+    phase: null,
+    items: { ...(previous?.items || {}) },
+    links: [...(previous?.links || [])]
+  };
+  const links = new Set(state.links);
+
+  const isDone = item => Boolean(item?.key) && item.description !== 'missing' && item.tagged !== false;
+  // Items finished before this run, which it can skip, with the hash they were imported with
+  const completed = new Map(Object.keys(state.items).filter(id => isDone(state.items[id])).map(id => [id, state.items[id].hash]));
+
+  // Written to a temporary file first, so a crash mid-write leaves the last good state
+  function save() {
+    state.updatedAt = new Date().toISOString();
+    fs.mkdirSync(checkpointDir, { recursive: true });
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify({ ...state, links: [...links] }, null, 2) + '\n');
+    fs.renameSync(`${file}.tmp`, file);
+  }
+  save();
+
+  return {
+    file,
+
+    /**
+     * Whether an item was finished before this run, from the same item data (`hash`)
+     */
+    isCompleted(id, hash) {
+      return completed.has(id) && completed.get(id) === hash;
+    },
+
+    /**
+     * Items of `ids` that got a key, from this run or an earlier one: Map of PMAC ID to
+     * { key, run }, with the run that created the issue
+     */
+    recorded(ids) {
+      return new Map(ids.filter(id => state.items[id]?.key).map(id => [id, { key: state.items[id].key, run: state.items[id].run }]));
+    },
+
+    /**
+     * Records what happened to an item: its `key`, whether this run `created` the issue,
+     * whether its `description` was set, whether its PMAC ID was stored (`tagged`) and
+     * the `hash` of the item data it imported
+     */
+    recordItem(id, { key, created, description, tagged, hash }) {
+      const item = { ...state.items[id] };
+      if (key) item.key = key;
+      if (hash) item.hash = hash;
+      if (created) item.run = runId;
+      if (description !== undefined) item.description = description ? 'set' : 'missing';
+      if (tagged !== undefined) item.tagged = tagged;
+      state.items[id] = item;
+      save();
+    },
+
+    hasLink(signature) {
+      return links.has(signature);
+    },
+
+    recordLink(signature) {
+      links.add(signature);
+      save();
+    },
+
+    /**
+     * Records the phase the run reached, for the message of a later --resume
+     */
+    phase(name) {
+      state.phase = name;
+      save();
+    },
+
+    /**
+     * Keys of the issues still without their PMAC ID
+     */
+    untagged() {
+      return untaggedKeys(state.items);
+    },
+
+    /**
+     * Removes the checkpoint once the run is complete
+     */
+    remove() {
+      fs.rmSync(file, { force: true });
+    }
+  };
+}
+
+/**
+ * Describes a checkpoint for the console, e.g. "run 2026-10-18T17-40-12-3fa9, stopped in stories: 12 items and 3 links done"
+ */
+function describeCheckpoint(checkpoint) {
+  const items = Object.values(checkpoint.items || {}).filter(item => item.key).length;
+  const phase = checkpoint.phase ? `, stopped in ${checkpoint.phase}` : '';
+  return `run ${(checkpoint.runs || []).slice(-1)[0] || '?'}${phase}: ${items} items and ${(checkpoint.links || []).length} links done`;
+}
+
+module.exports = {
+  DEFAULT_CHECKPOINT_DIR,
+  inputHash,
+  checkpointPath,
+  untaggedKeys,
+  loadCheckpoint,
+  createCheckpoint,
+  describeCheckpoint
+};
@@ -0,0 +1,211 @@
+/**
+ * Import Journal
+ *
+ * Records every resource an import run creates or changes (project, components,
+ * boards and their filters, issues, links, labels, watchers and field updates; GitHub issues, milestones and repository
+ * labels) in a JSON Lines file, one entry per line, so the run can be reviewed and
+ * undone later. Entries are appended as they happen, which keeps the journal complete
+ * when a run stops halfway.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_JOURNAL_DIR = path.join('.pmac', 'runs');
+
+/**
+ * Generates a sortable run ID such as 2026-10-18T17-40-12-3fa9
+ */
+function newRunId(now = new Date()) {
+  const stamp = now.toISOString().slice(0, 19).replace(/:/g, '-');
+  return `${stamp}-${crypto.randomBytes(2).toString('hex')}`;
+}
+
+function journalPath(journalDir, runId) {
+  return path.join(journalDir, `${runId}.jsonl`);
+}
+
+/**
+ * Starts a journal for a new run. The first line holds the run metadata.
+ */
+function createJournal(journalDir = DEFAULT_JOURNAL_DIR, meta = {}) {
+  const runId = newRunId();
+  const file = journalPath(journalDir, runId);
+  fs.mkdirSync(journalDir, { recursive: true });
+  fs.writeFileSync(file, JSON.stringify({ runId, startedAt: new Date().toISOString(), ...meta }) + '\n');
+
+  let seq = 0;
+  return {
+    runId,
+    file,
+    /**
+     * Appends an entry: { type, action, ...details }
+     */
+    record(entry) {
+      seq++;
+      fs.appendFileSync(file, JSON.stringify({ seq, at: new Date().toISOString(), ...entry }) + '\n');
+    }
+  };
+}
+
+/**
+ * Reads a run's journal: its metadata and entries in the order they were recorded
+ */
+function readJournal(runId, journalDir = DEFAULT_JOURNAL_DIR) {
+  const file = journalPath(journalDir, runId);
+  if (!fs.existsSync(file)) {
+    throw new Error(`No journal found for run ${runId} in ${journalDir}`);
+  }
+
+  const lines = fs.readFileSync(file, 'utf8').split('\n').filter(Boolean);
+  const [meta, ...entries] = lines.map((line, index) => {
+    try {
+      return JSON.parse(line);
+    } catch (error) {
+      throw new Error(`${file}:${index + 1}: ${error.message}`);
+    }
+  });
+
+  return { meta, entries, file };
+}
+
+/**
+ * Lists recorded runs, newest first
+ */
+function listRuns(journalDir = DEFAULT_JOURNAL_DIR) {
+  if (!fs.existsSync(journalDir)) return [];
+
+  return fs.readdirSync(journalDir)
+    .filter(name => name.endsWith('.jsonl'))
+    .map(name => {
+      const { meta, entries } = readJournal(name.replace(/\.jsonl$/, ''), journalDir);
+      return {
+        ...meta,
+        entries: entries.length,
+        undone: entries.some(e => e.type === 'run' && e.action === 'undo')
+      };
+    })
+    .sort((a, b) => b.runId.localeCompare(a.runId));
+}
+
+/**
+ * Appends an entry to an existing run's journal (used to mark a run as undone)
+ */
+function appendToJournal(runId, entry, journalDir = DEFAULT_JOURNAL_DIR) {
+  fs.appendFileSync(journalPath(journalDir, runId), JSON.stringify({ at: new Date().toISOString(), ...entry }) + '\n');
+}
+
+// Undo order: links, labels and watchers first, then field changes and sprint moves, issues,
+// versions, sprints, the board and its filter, components and the project last. GitHub issues
+// are closed rather than deleted, then their milestones and labels go.
+const UNDO_ORDER = ['issueLink', 'label', 'watcher', 'attachment', 'remoteLink', 'field', 'sprintIssue', 'issue', 'githubIssue', 'milestone', 'version', 'sprint', 'board', 'filter', 'component', 'repoLabel', 'project'];
+
+// Entry types whose creation makes later changes to the same key part of it
+const ISSUE_TYPES = ['issue', 'githubIssue', 'milestone'];
+
+/**
+ * Works out the steps that reverse a run, in dependency order.
+ * Only resources the run created are deleted; changes to existing issues are restored.
+ */
+function planUndo(entries) {
+  const steps = [];
+  const notes = [];
+
+  // Labels, watchers, attachments, links and field changes on issues that are deleted anyway need no separate undo
+  const createdIssues = new Set(entries.filter(e => ISSUE_TYPES.includes(e.type) && e.action === 'create').map(e => e.key));
+
+  for (const entry of [...entries].reverse()) {
+    if (entry.action === 'create') {
+      // GitHub issues cannot be deleted, only closed
+      steps.push({ ...entry, undo: entry.type === 'githubIssue' ? 'close' : 'delete' });
+    } else if (createdIssues.has(entry.key) && (entry.action === 'add' || entry.action === 'update')) {
+      continue;
+    } else if (entry.action === 'add' && ['label', 'watcher', 'attachment', 'remoteLink'].includes(entry.type)) {
+      steps.push({ ...entry, undo: 'remove' });
+    } else if (entry.action === 'update' && entry.before) {
+      steps.push({ ...entry, type: entry.type === 'issue' ? 'field' : entry.type, undo: 'restore' });
+    } else if (entry.action === 'move' && entry.type === 'sprintIssue') {
+      steps.push({ ...entry, undo: 'restore' });
+    } else if (entry.action !== 'undo') {
+      notes.push(`Cannot undo ${entry.action} of ${entry.type} ${entry.key || entry.id}`);
+    }
+  }
+
+  // Stable sort keeps reverse creation order within a type (stories before their epics)
+  steps.sort((a, b) => UNDO_ORDER.indexOf(a.type) - UNDO_ORDER.indexOf(b.type));
+  return { steps, notes };
+}
+
+/**
+ * Describes an undo step in one line
+ */
+function describeUndoStep(step) {
+  switch (step.type) {
+    case 'issueLink':
+      return `Delete ${step.linkType} link ${step.inward} -> ${step.outward}`;
+    case 'label':
+      return `Remove label ${step.label} from ${step.key}`;
+    case 'watcher':
+      return `Remove watcher ${step.member} (${step.user}) from ${step.key}`;
+    case 'attachment':
+      return `Delete attachment ${step.filename} (${step.id}) from ${step.key}`;
+    case 'remoteLink':
+      return step.undo === 'restore'
+        ? `Restore ${Object.keys(step.before).join(', ')} of link ${step.url} on ${step.key}`
+        : `Remove link ${step.url} from ${step.key}`;
+    case 'field':
+      return `Restore ${Object.keys(step.before).join(', ')} on ${step.key}`;
+    case 'sprintIssue':
+      return `Move ${step.key} back ${step.before.sprintId ? `to sprint ${step.before.sprintName || step.before.sprintId}` : 'to the backlog'}`;
+    case 'sprint':
+      return step.undo === 'restore'
+        ? `Restore ${Object.keys(step.before).join(', ')} of sprint "${step.name}"`
+        : `Delete sprint "${step.name}" (${step.id})`;
+    case 'board':
+      return step.undo === 'restore'
+        ? `Restore the columns of board "${step.name}" (${step.id})`
+        : `Delete board "${step.name}" (${step.id})`;
+    case 'filter':
+      return step.undo === 'restore'
+        ? `Restore the JQL of filter "${step.name}" (${step.id})`
+        : `Delete filter "${step.name}" (${step.id})`;
+    case 'issue':
+      return `Delete issue ${step.key}${step.summary ? ` "${step.summary}"` : ''}`;
+    case 'version':
+      return step.undo === 'restore'
+        ? `Restore ${Object.keys(step.before).join(', ')} of version "${step.name}" (${step.id})`
+        : `Delete version "${step.name}" (${step.id})`;
+    case 'component':
+      return step.undo === 'restore'
+        ? `Restore ${Object.keys(step.before).join(', ')} of component "${step.name}" (${step.id})`
+        : `Delete component "${step.name}" (${step.id})`;
+    case 'githubIssue':
+      return step.undo === 'restore'
+        ? `Restore ${Object.keys(step.before).join(', ')} on issue ${step.key}`
+        : `Close issue ${step.key}${step.summary ? ` "${step.summary}"` : ''}`;
+    case 'milestone':
+      return step.undo === 'restore'
+        ? `Restore ${Object.keys(step.before).join(', ')} of milestone ${step.number}`
+        : `Delete milestone ${step.number} "${step.title}"`;
+    case 'repoLabel':
+      return `Delete label "${step.name}"`;
+    case 'project':
+      return step.undo === 'restore'
+        ? `Restore ${Object.keys(step.before).join(', ')} of project ${step.key}`
+        : `Delete project ${step.key}`;
+    default:
+      return `${step.undo} ${step.type} ${step.key || step.id}`;
+  }
+}
+
+module.exports = {
+  DEFAULT_JOURNAL_DIR,
+  newRunId,
+  createJournal,
+  readJournal,
+  listRuns,
+  appendToJournal,
+  planUndo,
+  describeUndoStep
+};
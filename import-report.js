@@ -0,0 +1,394 @@
+/**
+ * Import Report
+ *
+ * Collects what happened to every PMAC item during an import run: the key it got in
+ * the tracker (a Jira issue, a GitHub issue or milestone) or the reason it failed, how it was created (bulk or single request, as an
+ * initiative, epic, story or sub-task, or by the minimal-fields retry), how its description was
+ * set, how it was put under its parent or epic, which issue links, attachments and web links it got, which sprint it went into and how long that took, and the
+ * versions its releases became. The report is written
+ * as JSON for tooling, JUnit XML for CI and a standalone HTML page.
+ */
+
+const fs = require('fs');
+
+/**
+ * Starts a report for a run. Items are added up front, so items a failed run never
+ * reached still show up as pending.
+ */
+function createReport(meta = {}) {
+  const startedAt = Date.now();
+  const items = new Map();
+  const phases = [];
+  const removed = [];
+  const releases = [];
+  let currentPhase = null;
+
+  function closePhase() {
+    if (currentPhase) {
+      currentPhase.durationMs = Date.now() - currentPhase.started;
+      delete currentPhase.started;
+      currentPhase = null;
+    }
+  }
+
+  return {
+    /**
+     * Adds PMAC items of one type ('initiative', 'epic', 'story' or 'sub-task'), keyed by PMAC ID
+     */
+    addItems(list, type, idOf) {
+      for (const item of list) {
+        const id = idOf(item);
+        items.set(id, { id, type, summary: item.summary, status: 'pending', skippedFields: [] });
+      }
+    },
+
+    /**
+     * Marks the start of work on an item, for its timing
+     */
+    begin(id) {
+      const entry = items.get(id);
+      if (entry && !entry.started) entry.started = Date.now();
+    },
+
+    /**
+     * Merges details into an item: { status, key, via, createPath, descriptionFormat, link, error, ... }
+     */
+    note(id, details) {
+      const entry = items.get(id);
+      if (!entry) return;
+      Object.assign(entry, details);
+      if (entry.started) entry.durationMs = Date.now() - entry.started;
+    },
+
+    /**
+     * Records a PMAC property that could not be set on an item's issue
+     */
+    skipField(id, skipped) {
+      const entry = items.get(id);
+      if (entry && !entry.skippedFields.some(s => s.property === skipped.property)) {
+        entry.skippedFields.push({ property: skipped.property, field: skipped.field, reason: skipped.reason });
+      }
+    },
+
+    /**
+     * Starts a named phase of the run (project, epics, stories, links ...), ending the previous one
+     */
+    phase(name) {
+      closePhase();
+      currentPhase = { name, started: Date.now() };
+      phases.push(currentPhase);
+    },
+
+    /**
+     * Records an issue whose PMAC item was removed from the file, and what happened to it:
+     * issue is { key, summary, url }
+     */
+    removedIssue(issue, outcome) {
+      removed.push({ key: issue.key, summary: issue.summary, url: issue.url, outcome });
+    },
+
+    /**
+     * Records a release, what happened to its version and how many items it got:
+     * { name, releaseDate, released, status, id, error, epics, stories, imported }
+     */
+    release(entry) {
+      releases.push(entry);
+    },
+
+    /**
+     * Ends the report and returns its data, with the run's success, error and other details given
+     */
+    finish({ success, error, ...details } = {}) {
+      closePhase();
+      const list = [...items.values()].map(({ started, ...entry }) => entry);
+      const count = status => list.filter(entry => entry.status === status).length;
+
+      return {
+        ...meta,
+        ...details,
+        startedAt: new Date(startedAt).toISOString(),
+        durationMs: Date.now() - startedAt,
+        success: Boolean(success),
+        error,
+        totals: {
+          items: list.length,
+          created: count('created'),
+          updated: count('updated'),
+          unchanged: count('unchanged'),
+          resumed: count('resumed'),
+          failed: count('failed'),
+          pending: count('pending'),
+          notLinked: list.filter(entry => (entry.link && !['linked', 'on-create', 'already'].includes(entry.link.status)) ||
+            entry.parent?.status === 'failed').length,
+          issueLinksFailed: list.reduce((sum, entry) => sum + (entry.issueLinks || []).filter(link => link.status === 'failed').length, 0),
+          attachmentsFailed: list.reduce((sum, entry) => sum + (entry.attachments || []).filter(file => file.status === 'failed').length, 0),
+          remoteLinksFailed: list.reduce((sum, entry) => sum + (entry.remoteLinks || []).filter(link => link.status === 'failed').length, 0),
+          notInSprint: list.filter(entry => entry.sprint?.status === 'failed').length
+        },
+        phases: phases.map(({ started, ...phase }) => phase),
+        items: list,
+        releases,
+        removed
+      };
+    }
+  };
+}
+
+// Totals that count what a run could not do
+const FAILURE_TOTALS = ['failed', 'pending', 'notLinked', 'issueLinksFailed', 'attachmentsFailed', 'remoteLinksFailed', 'notInSprint'];
+
+/**
+ * Counts what a finished report could not do: items that failed or never ran, and parents,
+ * issue links, attachments, web links or sprints they did not get
+ */
+function failureCount(report) {
+  return FAILURE_TOTALS.reduce((sum, name) => sum + (report?.totals?.[name] || 0), 0);
+}
+
+// JUnit test suite of each item type, top-down; epics and stories are always listed
+const ITEM_SUITES = { initiative: 'initiatives', epic: 'epics', story: 'stories', 'sub-task': 'sub-tasks' };
+
+/**
+ * Checks whether an item counts as a failure in CI: not created or updated, not under its parent or epic,
+ * or missing an issue link, attachment or web link it declares
+ */
+function itemProblem(entry) {
+  if (entry.status === 'failed') return { kind: 'failure', message: entry.error || 'Import failed' };
+  if (entry.status === 'pending') return { kind: 'error', message: 'Not processed, the run stopped before reaching this item' };
+  if (entry.link && entry.link.status === 'failed') {
+    return { kind: 'failure', message: `Not linked to epic "${entry.epicLink}" (${entry.link.strategy}): ${entry.link.error || 'link failed'}` };
+  }
+  if (entry.parent && entry.parent.status === 'failed') {
+    return { kind: 'failure', message: `Not under its parent${entry.parent.key ? ` ${entry.parent.key}` : ''}: ${entry.parent.error || 'parent not set'}` };
+  }
+  const failedLinks = (entry.issueLinks || []).filter(link => link.status === 'failed');
+  if (failedLinks.length > 0) {
+    return { kind: 'failure', message: `Issue links not created: ${failedLinks.map(link => `${link.field} "${link.target}": ${link.error || 'link failed'}`).join('; ')}` };
+  }
+  const failedFiles = (entry.attachments || []).filter(file => file.status === 'failed');
+  if (failedFiles.length > 0) {
+    return { kind: 'failure', message: `Attachments not uploaded: ${failedFiles.map(file => `${file.file}: ${file.error || 'upload failed'}`).join('; ')}` };
+  }
+  const failedRemoteLinks = (entry.remoteLinks || []).filter(link => link.status === 'failed');
+  if (failedRemoteLinks.length > 0) {
+    return { kind: 'failure', message: `Web links not added: ${failedRemoteLinks.map(link => `${link.url}: ${link.error || 'link failed'}`).join('; ')}` };
+  }
+  if (entry.sprint && entry.sprint.status === 'failed') {
+    return { kind: 'failure', message: `Not moved into sprint "${entry.sprint.name}": ${entry.sprint.error || 'move failed'}` };
+  }
+  return null;
+}
+
+/**
+ * Describes an item's create path in words, e.g. "story (bulk)"
+ */
+function describePath(entry) {
+  if (['updated', 'unchanged', 'resumed'].includes(entry.status)) return entry.status;
+  if (!entry.createPath) return '';
+  return entry.via ? `${entry.createPath} (${entry.via})` : entry.createPath;
+}
+
+function escapeXml(value) {
+  return String(value ?? '').replace(/[<>&"']/g, ch => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' })[ch]);
+}
+
+const seconds = ms => ((ms || 0) / 1000).toFixed(3);
+
+/**
+ * Renders the report as JUnit XML: one test suite per item type, one test case per item
+ */
+function formatJunit(report) {
+  const types = Object.keys(ITEM_SUITES).filter(type => ['epic', 'story'].includes(type) || report.items.some(entry => entry.type === type));
+  const suites = types.map(type => {
+    const entries = report.items.filter(entry => entry.type === type);
+    const problems = entries.map(itemProblem);
+
+    const cases = entries.map((entry, index) => {
+      const problem = problems[index];
+      const details = [
+        entry.key && `Jira key: ${entry.key}`,
+        describePath(entry) && `Create path: ${describePath(entry)}`,
+        entry.descriptionFormat && `Description: ${entry.descriptionFormat}`,
+        entry.parent && `Parent: ${entry.parent.key || '-'} ${entry.parent.status}`,
+        entry.link && `Link: ${entry.link.strategy} ${entry.link.status}`,
+        ...(entry.issueLinks || []).map(link => `Issue link: ${link.field} "${link.target}"${link.key ? ` ${link.key} (${link.type})` : ''} ${link.status}`),
+        ...(entry.attachments || []).map(file => `Attachment: ${file.file} ${file.status}`),
+        ...(entry.remoteLinks || []).map(link => `Web link: ${link.url} ${link.status}`),
+        entry.sprint && `Sprint: ${entry.sprint.name} ${entry.sprint.status}`,
+        ...entry.skippedFields.map(s => `Field ${s.field} not set: ${s.reason}`)
+      ].filter(Boolean);
+
+      return [
+        `    <testcase classname="pmac.${type}" name="${escapeXml(`${entry.id}: ${entry.summary}`)}" time="${seconds(entry.durationMs)}">`,
+        problem ? `      <${problem.kind} message="${escapeXml(problem.message)}"/>` : null,
+        details.length > 0 ? `      <system-out>${escapeXml(details.join('\n'))}</system-out>` : null,
+        '    </testcase>'
+      ].filter(Boolean).join('\n');
+    });
+
+    const failures = problems.filter(p => p?.kind === 'failure').length;
+    const errors = problems.filter(p => p?.kind === 'error').length;
+    const time = entries.reduce((sum, entry) => sum + (entry.durationMs || 0), 0);
+    return `  <testsuite name="${ITEM_SUITES[type]}" tests="${entries.length}" failures="${failures}" errors="${errors}" time="${seconds(time)}">\n` +
+      (cases.length > 0 ? cases.join('\n') + '\n' : '') +
+      '  </testsuite>';
+  });
+
+  const problems = report.items.map(itemProblem);
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="pmac-import ${escapeXml(report.projectKey)}" tests="${report.items.length}" ` +
+      `failures="${problems.filter(p => p?.kind === 'failure').length}" errors="${problems.filter(p => p?.kind === 'error').length}" time="${seconds(report.durationMs)}">`,
+    ...suites,
+    '</testsuites>',
+    ''
+  ].join('\n');
+}
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[<>&"]/g, ch => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;' })[ch]);
+}
+
+/**
+ * Describes how an item ended up under its parent or epic, for the HTML report
+ */
+function describeParent(entry) {
+  if (entry.link) return escapeHtml(`${entry.link.strategy}: ${entry.link.status}`);
+  if (entry.parent) return escapeHtml(`${entry.parent.key || '-'}: ${entry.parent.status}`);
+  return '';
+}
+
+/**
+ * Lists an item's issue links with their outcome, for the HTML report
+ */
+function describeIssueLinks(entry) {
+  return (entry.issueLinks || [])
+    .map(link => escapeHtml(`${link.field} ${link.key || `"${link.target}"`}: ${link.status}`))
+    .join('<br>');
+}
+
+/**
+ * Lists an item's attachments and web links with their outcome, for the HTML report
+ */
+function describeResources(entry) {
+  return [
+    ...(entry.attachments || []).map(file => `${file.file}: ${file.status}`),
+    ...(entry.remoteLinks || []).map(link => `${link.title || link.url}: ${link.status}`)
+  ].map(escapeHtml).join('<br>');
+}
+
+/**
+ * Renders the report as a standalone HTML page
+ */
+function formatHtml(report) {
+  const browse = (key, url) => (url
+    ? `<a href="${escapeHtml(url)}">${escapeHtml(key)}</a>`
+    : escapeHtml(key));
+
+  const rows = report.items.map(entry => {
+    const problem = itemProblem(entry);
+    const notes = [
+      problem?.message,
+      ...entry.skippedFields.map(s => `${s.field} not set: ${s.reason}`)
+    ].filter(Boolean);
+    return `<tr class="${problem ? 'problem' : ''}">` +
+      `<td>${escapeHtml(entry.type)}</td>` +
+      `<td><code>${escapeHtml(entry.id)}</code></td>` +
+      `<td>${escapeHtml(entry.summary)}</td>` +
+      `<td>${entry.key ? browse(entry.key, entry.url) : ''}</td>` +
+      `<td class="status ${escapeHtml(entry.status)}">${escapeHtml(entry.status)}</td>` +
+      `<td>${escapeHtml(describePath(entry))}</td>` +
+      `<td>${escapeHtml(entry.descriptionFormat || '')}</td>` +
+      `<td>${describeParent(entry)}</td>` +
+      `<td>${describeIssueLinks(entry)}</td>` +
+      `<td>${describeResources(entry)}</td>` +
+      `<td>${entry.sprint ? escapeHtml(`${entry.sprint.name}: ${entry.sprint.status}`) : ''}</td>` +
+      `<td class="num">${seconds(entry.durationMs)}</td>` +
+      `<td>${notes.map(escapeHtml).join('<br>')}</td>` +
+      '</tr>';
+  });
+
+  const phases = report.phases.map(phase => `<tr><td>${escapeHtml(phase.name)}</td><td class="num">${seconds(phase.durationMs)}</td></tr>`);
+  const removed = report.removed.map(issue => `<tr><td>${browse(issue.key, issue.url)}</td><td>${escapeHtml(issue.summary)}</td><td>${escapeHtml(issue.outcome)}</td></tr>`);
+  const releases = (report.releases || []).map(release => `<tr><td>${escapeHtml(release.name)}</td><td>${escapeHtml(release.releaseDate || '')}${release.released ? ' (released)' : ''}</td>` +
+    `<td class="status ${escapeHtml(release.status)}">${escapeHtml(release.error ? `${release.status}: ${release.error}` : release.status)}</td>` +
+    `<td class="num">${release.epics}</td><td class="num">${release.stories}</td><td class="num">${release.imported}</td></tr>`);
+  const totals = Object.entries(report.totals).map(([name, count]) => `<li><strong>${count}</strong> ${escapeHtml(name.replace(/[A-Z]/g, ch => ` ${ch.toLowerCase()}`))}</li>`);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>PMAC import ${escapeHtml(report.projectKey)} ${escapeHtml(report.runId || '')}</title>
+<style>
+  body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; margin: 2rem; color: #172b4d; }
+  h1 { font-size: 1.5rem; }
+  .outcome { font-weight: bold; color: ${report.success ? '#006644' : '#bf2600'}; }
+  ul.totals { list-style: none; padding: 0; display: flex; gap: 1.5rem; }
+  table { border-collapse: collapse; margin: 1rem 0 2rem; font-size: 0.9rem; }
+  th, td { border: 1px solid #dfe1e6; padding: 0.3rem 0.6rem; text-align: left; vertical-align: top; }
+  th { background: #f4f5f7; }
+  tr.problem { background: #ffebe6; }
+  td.num { text-align: right; font-variant-numeric: tabular-nums; }
+  td.status.failed, td.status.pending { color: #bf2600; font-weight: bold; }
+</style>
+</head>
+<body>
+<h1>PMAC import into ${escapeHtml(report.projectKey)}${report.dryRun ? ' (dry run)' : ''}</h1>
+<p>
+  Run <code>${escapeHtml(report.runId || '-')}</code> against ${escapeHtml(report.host || report.jiraHost || '-')}${report.backend ? ` (${escapeHtml(report.backend)})` : ''} from <code>${escapeHtml(report.inputFile || '-')}</code><br>
+  Started ${escapeHtml(report.startedAt)}, took ${seconds(report.durationMs)}s.
+  Parenting strategy: ${escapeHtml(report.parentingStrategy || '-')}.
+  <span class="outcome">${report.success ? 'Succeeded' : `Failed: ${escapeHtml(report.error || 'see items')}`}</span>
+</p>
+<ul class="totals">${totals.join('')}</ul>
+<h2>Items</h2>
+<table>
+<tr><th>Type</th><th>PMAC ID</th><th>Summary</th><th>Key</th><th>Status</th><th>Create path</th><th>Description</th><th>Parent / epic link</th><th>Issue links</th><th>Attachments and links</th><th>Sprint</th><th>Time (s)</th><th>Notes</th></tr>
+${rows.join('\n')}
+</table>
+<h2>Phases</h2>
+<table>
+<tr><th>Phase</th><th>Time (s)</th></tr>
+${phases.join('\n')}
+</table>
+${releases.length > 0 ? `<h2>Releases</h2>
+<table>
+<tr><th>Version</th><th>Release date</th><th>Status</th><th>Epics</th><th>Stories</th><th>Imported</th></tr>
+${releases.join('\n')}
+</table>
+` : ''}${removed.length > 0 ? `<h2>Issues no longer in the PMAC file</h2>
+<table>
+<tr><th>Key</th><th>Summary</th><th>Outcome</th></tr>
+${removed.join('\n')}
+</table>
+` : ''}</body>
+</html>
+`;
+}
+
+/**
+ * Writes the report in each requested format: { json, junit, html } file paths
+ */
+function writeReports(report, files = {}) {
+  const writers = {
+    json: data => JSON.stringify(data, null, 2) + '\n',
+    junit: formatJunit,
+    html: formatHtml
+  };
+
+  for (const [format, file] of Object.entries(files)) {
+    if (!file || !writers[format]) continue;
+    fs.writeFileSync(file, writers[format](report));
+    console.log(`${format.toUpperCase()} report written to ${file}`);
+  }
+}
+
+module.exports = {
+  createReport,
+  failureCount,
+  itemProblem,
+  formatJunit,
+  formatHtml,
+  writeReports
+};
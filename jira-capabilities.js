@@ -0,0 +1,252 @@
+/**
+ * Jira Project Capabilities
+ *
+ * Works out, once per run, how a project organises its issues: team-managed or
+ * company-managed, which issue types sit at the epic, standard and sub-task
+ * hierarchy levels and any levels above Epic (by level, so localized or renamed
+ * types are found), whether stories can take a `parent` or an Epic Link, and whether
+ * epics need an Epic Name. From that it picks the single strategy used to put
+ * stories under their epics.
+ */
+
+const { isOnScreen } = require('./jira-fields');
+
+// Issue type hierarchy levels in Jira Cloud
+const EPIC_LEVEL = 1;
+const STANDARD_LEVEL = 0;
+const SUBTASK_LEVEL = -1;
+
+// Ways to put a story under its epic, all non-destructive
+const PARENTING_STRATEGIES = {
+  parent: 'Set the native parent field on the story',
+  'epic-link': 'Set the Epic Link field on the story (older company-managed projects)',
+  subtask: 'Create stories as sub-tasks of their epic',
+  relates: 'Add a "Relates" issue link between story and epic',
+  label: 'Add an Epic_<KEY> label to the story',
+  none: 'Do not connect stories to epics'
+};
+
+// Strategies tried in order when none is configured. The label always works, and only
+// changes the story, so it is the last resort; issue links are only used when asked for.
+const AUTO_STRATEGIES = ['parent', 'epic-link', 'subtask', 'label'];
+
+const EPIC_LINK_SCHEMA = 'com.pyxis.greenhopper.jira:gh-epic-link';
+const EPIC_NAME_SCHEMA = 'com.pyxis.greenhopper.jira:gh-epic-label';
+
+/**
+ * Finds the Epic Link custom field, by its schema type or its (English) name
+ */
+function findEpicLinkField(jiraFields = []) {
+  return jiraFields.find(f => f.schema?.custom === EPIC_LINK_SCHEMA) ||
+    jiraFields.find(f => f.name === 'Epic Link') ||
+    null;
+}
+
+/**
+ * Finds the Epic Name custom field, which Jira Server and Data Center (and older
+ * company-managed Cloud projects) require on new epics
+ */
+function findEpicNameField(jiraFields = []) {
+  return jiraFields.find(f => f.schema?.custom === EPIC_NAME_SCHEMA) ||
+    jiraFields.find(f => f.name === 'Epic Name') ||
+    null;
+}
+
+/**
+ * Reads an issue type's hierarchy level, inferring it for responses without one
+ */
+function levelOf(issueType) {
+  if (typeof issueType.hierarchyLevel === 'number') return issueType.hierarchyLevel;
+  if (issueType.subtask) return SUBTASK_LEVEL;
+  return issueType.name === 'Epic' ? EPIC_LEVEL : STANDARD_LEVEL;
+}
+
+/**
+ * Picks the issue type at a level, preferring the usual English name when several share it
+ */
+function typeAtLevel(issueTypes, level, preferredName) {
+  const candidates = issueTypes.filter(t => t.level === level);
+  return candidates.find(t => t.name === preferredName) || candidates[0] || null;
+}
+
+/**
+ * Describes a project's capabilities from its /project response, its createmeta
+ * issue types (with fields) and the Jira fields from /field
+ */
+function detectCapabilities({ project = {}, issueTypes = [], jiraFields = [] }) {
+  // /project carries hierarchy levels, createmeta carries the create screen fields
+  const projectTypes = new Map((project.issueTypes || []).map(t => [t.id, t]));
+  const types = issueTypes.map(t => ({ ...t, level: levelOf({ ...projectTypes.get(t.id), ...t }) }));
+
+  let style = 'unknown';
+  if (project.style === 'next-gen' || project.simplified === true) style = 'team-managed';
+  else if (project.style === 'classic' || project.simplified === false) style = 'company-managed';
+
+  const epicType = typeAtLevel(types, EPIC_LEVEL, 'Epic');
+  const storyType = typeAtLevel(types, STANDARD_LEVEL, 'Story') || types.find(t => t.level !== SUBTASK_LEVEL) || types[0];
+  const subtaskType = typeAtLevel(types, SUBTASK_LEVEL, 'Sub-task');
+
+  // Team-managed projects have no Epic Link; the field may still exist for other projects
+  const epicLinkField = style === 'team-managed' ? null : findEpicLinkField(jiraFields);
+  const epicNameField = style === 'team-managed' ? null : findEpicNameField(jiraFields);
+
+  return {
+    style,
+    // Without an epic-level type, epics are created with the standard type
+    epicType: epicType || storyType,
+    storyType,
+    subtaskType,
+    hasEpicLevel: Boolean(epicType),
+    parentOnStory: Boolean(epicType && storyType && isOnScreen('parent', storyType)),
+    parentOnSubtask: Boolean(subtaskType && isOnScreen('parent', subtaskType)),
+    epicLinkField,
+    // Only set where the epic type's create screen has it
+    epicNameField: epicType && epicNameField && isOnScreen(epicNameField.id, epicType) ? epicNameField : null,
+    all: types
+  };
+}
+
+/**
+ * The issue type PMAC items at a hierarchy level are created with, or null when the
+ * project has none (epics fall back to the standard type, as elsewhere)
+ */
+function issueTypeAtLevel(capabilities, level) {
+  if (level === EPIC_LEVEL) return capabilities.epicType;
+  if (level === STANDARD_LEVEL) return capabilities.storyType;
+  if (level === SUBTASK_LEVEL) return capabilities.subtaskType;
+  return typeAtLevel(capabilities.all, level, 'Initiative');
+}
+
+/**
+ * Checks whether a strategy can work in a project; returns the reason when it cannot.
+ * `needs.subtasks` says the file has sub-tasks of its own, which stories made into
+ * sub-tasks could not hold.
+ */
+function strategyProblem(strategy, capabilities, needs = {}) {
+  switch (strategy) {
+    case 'parent':
+      if (!capabilities.hasEpicLevel) return 'the project has no epic-level issue type';
+      if (!capabilities.parentOnStory) return `the parent field is not on the ${capabilities.storyType.name} create screen`;
+      return null;
+    case 'epic-link':
+      return capabilities.epicLinkField ? null : 'the project has no Epic Link field';
+    case 'subtask':
+      if (!capabilities.subtaskType) return 'the project has no sub-task issue type';
+      if (!capabilities.parentOnSubtask) return `the parent field is not on the ${capabilities.subtaskType.name} create screen`;
+      // Sub-tasks sit right below standard issues, never below an epic-level type
+      if (capabilities.hasEpicLevel) return `Jira does not let a ${capabilities.subtaskType.name} be a child of an ${capabilities.epicType.name}`;
+      if (needs.subtasks) return 'stories have sub-tasks of their own, so they cannot be sub-tasks themselves';
+      return null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Chooses how stories are put under epics: the configured strategy (which must be
+ * supported) or the first supported of parent, Epic Link and sub-task, else the label.
+ * `needs` describes the PMAC file ({ subtasks }). Returns { strategy, reason }.
+ */
+function chooseParentingStrategy(capabilities, requested = 'auto', needs = {}) {
+  if (requested && requested !== 'auto') {
+    if (!PARENTING_STRATEGIES[requested]) {
+      throw new Error(`Unknown parenting strategy "${requested}" (use auto, ${Object.keys(PARENTING_STRATEGIES).join(', ')})`);
+    }
+    const problem = strategyProblem(requested, capabilities, needs);
+    if (problem) throw new Error(`Parenting strategy "${requested}" cannot be used: ${problem}`);
+    return { strategy: requested, reason: 'configured' };
+  }
+
+  const strategy = AUTO_STRATEGIES.find(s => !strategyProblem(s, capabilities, needs));
+  if (strategy !== 'label') return { strategy, reason: 'detected' };
+
+  const skipped = AUTO_STRATEGIES.slice(0, -1).map(s => `${s}: ${strategyProblem(s, capabilities, needs)}`);
+  return { strategy, reason: `detected, as no other fits: ${skipped.join('; ')}` };
+}
+
+/**
+ * Fields that put a new story under its epic, and the issue type to create it with
+ */
+function storyPlacement(strategy, capabilities, epicKey) {
+  if (!epicKey) return { issueType: capabilities.storyType, fields: {} };
+
+  switch (strategy) {
+    case 'parent':
+      return { issueType: capabilities.storyType, fields: { parent: { key: epicKey } } };
+    case 'epic-link':
+      return { issueType: capabilities.storyType, fields: { [capabilities.epicLinkField.id]: epicKey } };
+    case 'subtask':
+      return { issueType: capabilities.subtaskType, fields: { parent: { key: epicKey } } };
+    default:
+      return { issueType: capabilities.storyType, fields: {} };
+  }
+}
+
+/**
+ * Fields a new epic needs besides the mapped ones: its summary as Epic Name, where
+ * the project asks for one
+ */
+function epicFields(epic, issueType, capabilities) {
+  if (!capabilities.epicNameField || issueType !== capabilities.epicType || !capabilities.hasEpicLevel) return {};
+  return { [capabilities.epicNameField.id]: epic.summary };
+}
+
+/**
+ * Label added by the label strategy, e.g. Epic_PMAC_12 for PMAC-12
+ */
+function epicLabel(epicKey) {
+  return `Epic_${epicKey.replace(/-/g, '_')}`;
+}
+
+/**
+ * Checks whether an existing issue is already under an epic with the given strategy
+ */
+function isUnderEpic(issue, epicKey, strategy, capabilities) {
+  const fields = issue.fields || {};
+  switch (strategy) {
+    case 'parent':
+    case 'subtask':
+      return fields.parent?.key === epicKey;
+    case 'epic-link':
+      return fields[capabilities.epicLinkField.id] === epicKey;
+    case 'relates':
+      return (fields.issuelinks || []).some(l => l.type?.name === 'Relates' &&
+        (l.outwardIssue?.key === epicKey || l.inwardIssue?.key === epicKey));
+    case 'label':
+      return (fields.labels || []).includes(epicLabel(epicKey));
+    default:
+      return true;
+  }
+}
+
+/**
+ * Formats the capabilities and chosen strategy for the console
+ */
+function describeCapabilities(capabilities, choice) {
+  const typeName = t => (t ? `${t.name} (${t.id})` : 'none');
+  const above = capabilities.all.filter(t => t.level > EPIC_LEVEL).sort((a, b) => b.level - a.level);
+  return [
+    `Project style: ${capabilities.style}`,
+    ...(above.length > 0 ? [`Types above epics: ${above.map(t => `${typeName(t)} at level ${t.level}`).join(', ')}`] : []),
+    `Epic type: ${capabilities.hasEpicLevel ? typeName(capabilities.epicType) : `none, epics are created as ${capabilities.epicType.name}`}`,
+    `Story type: ${typeName(capabilities.storyType)}`,
+    `Sub-task type: ${typeName(capabilities.subtaskType)}`,
+    `Epic Link field: ${capabilities.epicLinkField ? capabilities.epicLinkField.id : 'none'}`,
+    ...(capabilities.epicNameField ? [`Epic Name field: ${capabilities.epicNameField.id}`] : []),
+    `Parenting strategy: ${choice.strategy} (${choice.reason})`
+  ];
+}
+
+module.exports = {
+  PARENTING_STRATEGIES,
+  findEpicLinkField,
+  findEpicNameField,
+  detectCapabilities,
+  chooseParentingStrategy,
+  issueTypeAtLevel,
+  storyPlacement,
+  epicFields,
+  epicLabel,
+  isUnderEpic,
+  describeCapabilities
+};
@@ -0,0 +1,118 @@
+/**
+ * Jira Deployments
+ *
+ * Jira Cloud and self-hosted Jira (Server and Data Center) offer the same resources
+ * through different APIs. Cloud takes REST API v3, descriptions in ADF and searches
+ * through /search/jql; Server and Data Center take REST API v2, descriptions in wiki
+ * markup, /search with startAt paging and the per-issue-type createmeta endpoints.
+ * A deployment profile holds those differences. It comes from JIRA_DEPLOYMENT or is
+ * detected from /serverInfo, which both answer under /rest/api/2.
+ */
+
+const { markdownToAdf } = require('./adf-converter');
+const { markdownToWiki } = require('./wiki-markup');
+
+// Values of JIRA_DEPLOYMENT
+const DEPLOYMENTS = ['auto', 'cloud', 'server', 'datacenter'];
+
+const SELF_HOSTED = { apiVersion: 2, descriptionFormat: 'wiki', searchPath: '/search', selfHosted: true };
+
+const PROFILES = {
+  cloud: { name: 'cloud', title: 'Jira Cloud', apiVersion: 3, descriptionFormat: 'adf', searchPath: '/search/jql', selfHosted: false },
+  server: { name: 'server', title: 'Jira Server', ...SELF_HOSTED },
+  datacenter: { name: 'datacenter', title: 'Jira Data Center', ...SELF_HOSTED }
+};
+
+// deploymentType values of /serverInfo
+const DEPLOYMENT_TYPES = { Cloud: 'cloud', Server: 'server', DataCenter: 'datacenter' };
+
+// Path of /serverInfo, valid on every deployment
+const SERVER_INFO_API = '/rest/api/2';
+
+/**
+ * The profile of a deployment named in JIRA_DEPLOYMENT (anything but auto)
+ */
+function deploymentProfile(name) {
+  const profile = PROFILES[name];
+  if (!profile) {
+    throw new Error(`Unknown Jira deployment "${name}" (use ${DEPLOYMENTS.join(', ')})`);
+  }
+  return profile;
+}
+
+/**
+ * The profile for a /serverInfo response, with the version it reports. Sites too old
+ * to report a deployment type are self-hosted.
+ */
+function profileFromServerInfo(info = {}) {
+  const profile = PROFILES[DEPLOYMENT_TYPES[info.deploymentType] || 'server'];
+  return { ...profile, version: info.version };
+}
+
+/**
+ * Base URL of the REST API a deployment takes
+ */
+function apiBaseUrl(host, profile) {
+  return `${host}/rest/api/${profile.apiVersion}`;
+}
+
+/**
+ * Axios options that authenticate requests: a personal access token as a Bearer token
+ * when one is configured, otherwise basic auth with the email (or, on Server and Data
+ * Center, the username) and API token (or password)
+ */
+function authOptions(config) {
+  if (config.jiraPat) {
+    return { headers: { Authorization: `Bearer ${config.jiraPat}` } };
+  }
+  return { auth: { username: config.jiraEmail, password: config.jiraApiToken } };
+}
+
+/**
+ * A Markdown description as the deployment's description field takes it
+ */
+function formatDescription(markdown, profile) {
+  return profile.descriptionFormat === 'wiki' ? markdownToWiki(markdown) : markdownToAdf(markdown);
+}
+
+/**
+ * Search URL for a page of results, continuing from `cursor` (a nextPageToken on
+ * Cloud, a startAt offset on Server and Data Center)
+ */
+function searchUrl(profile, params, cursor) {
+  const query = new URLSearchParams(params);
+  if (cursor !== undefined) query.set(profile.selfHosted ? 'startAt' : 'nextPageToken', cursor);
+  return `${profile.searchPath}?${query}`;
+}
+
+/**
+ * The cursor of the page after a search response, or undefined after the last page
+ */
+function nextSearchCursor(profile, data) {
+  if (!profile.selfHosted) return data.isLast ? undefined : data.nextPageToken;
+  const issues = data.issues || [];
+  const next = (data.startAt || 0) + issues.length;
+  return issues.length > 0 && next < data.total ? String(next) : undefined;
+}
+
+/**
+ * Describes a profile for the console, e.g. "Jira Data Center 9.12.0 (REST API v2, wiki markup descriptions)"
+ */
+function describeDeployment(profile, config = {}) {
+  const format = profile.descriptionFormat === 'wiki' ? 'wiki markup' : 'ADF';
+  const auth = config.jiraPat ? ', personal access token' : '';
+  return `${profile.title}${profile.version ? ` ${profile.version}` : ''} (REST API v${profile.apiVersion}, ${format} descriptions${auth})`;
+}
+
+module.exports = {
+  DEPLOYMENTS,
+  SERVER_INFO_API,
+  deploymentProfile,
+  profileFromServerInfo,
+  apiBaseUrl,
+  authOptions,
+  formatDescription,
+  searchUrl,
+  nextSearchCursor,
+  describeDeployment
+};
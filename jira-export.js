@@ -0,0 +1,178 @@
+/**
+ * Jira Export
+ *
+ * Turns issues read from a Jira project back into the PMAC `epics`/`stories`
+ * format. Epic relationships are recovered from whichever form they take in Jira:
+ * the parent field, the Epic Link custom field, a sub-task's parent, or the
+ * `Epic_<KEY>` label added by the label parenting strategy. Issues above epics
+ * become `initiatives` with their epics as `children`, and sub-tasks of stories
+ * become `children` of their story.
+ */
+
+const { adfToMarkdown } = require('./adf-converter');
+const { wikiToMarkdown } = require('./wiki-markup');
+
+// Priorities the PMAC schema accepts
+const PMAC_PRIORITIES = ['Highest', 'High', 'Medium', 'Low', 'Lowest'];
+
+// Label added by linkStoryToEpic: Epic_PMAC_12 for epic PMAC-12
+const EPIC_LABEL = /^Epic_([A-Z][A-Z0-9_]*)_(\d+)$/;
+
+/**
+ * Checks whether an issue is an epic, by hierarchy level or issue type name
+ */
+function isEpic(issue) {
+  const type = issue.fields?.issuetype || {};
+  return type.hierarchyLevel === 1 || type.name === 'Epic';
+}
+
+/**
+ * Reads an issue's hierarchy level: 2 and up above epics, 1 for epics, 0 for stories, -1 for sub-tasks
+ */
+function levelOf(issue) {
+  const type = issue.fields?.issuetype || {};
+  if (typeof type.hierarchyLevel === 'number') return type.hierarchyLevel;
+  if (type.subtask) return -1;
+  return isEpic(issue) ? 1 : 0;
+}
+
+/**
+ * Finds the epic an issue belongs to, following parents up through sub-tasks and stories
+ */
+function findEpicKey(issue, issuesByKey, epicLinkFieldId) {
+  const seen = new Set();
+  let current = issue;
+
+  while (current && !seen.has(current.key)) {
+    seen.add(current.key);
+    const fields = current.fields || {};
+
+    const parentKey = fields.parent?.key;
+    if (parentKey) {
+      const parent = issuesByKey.get(parentKey);
+      if (!parent || isEpic(parent)) return parentKey;
+    }
+
+    const epicLink = epicLinkFieldId && fields[epicLinkFieldId];
+    if (epicLink) return typeof epicLink === 'object' ? epicLink.key : epicLink;
+
+    const label = (fields.labels || []).map(l => l.match(EPIC_LABEL)).find(Boolean);
+    if (label) return `${label[1]}-${label[2]}`;
+
+    current = parentKey ? issuesByKey.get(parentKey) : null;
+  }
+
+  return null;
+}
+
+/**
+ * Maps the fields of one issue onto a PMAC item
+ */
+function toPmacItem(issue, options, warnings) {
+  const fields = issue.fields || {};
+  const item = {
+    id: issue.properties?.pmac?.id || issue.key,
+    summary: fields.summary
+  };
+
+  // Cloud returns descriptions as ADF, Server and Data Center as wiki markup
+  const description = typeof fields.description === 'string' ? wikiToMarkdown(fields.description) : adfToMarkdown(fields.description);
+  if (description) item.description = description;
+
+  const priority = fields.priority?.name;
+  if (PMAC_PRIORITIES.includes(priority)) {
+    item.priority = priority;
+  } else if (priority) {
+    warnings.push(`${issue.key}: priority "${priority}" is not a PMAC priority and was left out`);
+  }
+
+  const labels = (fields.labels || []).filter(label => !EPIC_LABEL.test(label));
+  if (labels.length > 0) item.labels = labels;
+
+  const components = (fields.components || []).map(c => c.name);
+  if (components.length > 0) {
+    item.component = components[0];
+    if (components.length > 1) {
+      warnings.push(`${issue.key}: only the first of components ${components.join(', ')} was exported`);
+    }
+  }
+
+  if (fields.duedate) item.dueDate = fields.duedate;
+
+  const fixVersions = (fields.fixVersions || []).map(v => v.name);
+  if (fixVersions.length > 0) item.fixVersions = fixVersions;
+
+  const storyPoints = options.storyPointsFieldId && fields[options.storyPointsFieldId];
+  if (typeof storyPoints === 'number') item.storyPoints = storyPoints;
+
+  return item;
+}
+
+/**
+ * Converts Jira issues into PMAC data: { initiatives, epics, stories } plus warnings about anything left out.
+ * `options.epicLinkFieldId` and `options.storyPointsFieldId` name the custom fields to read.
+ */
+function issuesToPmac(issues, options = {}) {
+  const warnings = [];
+  const issuesByKey = new Map(issues.map(issue => [issue.key, issue]));
+  const items = new Map(issues.map(issue => [issue.key, toPmacItem(issue, options, warnings)]));
+  const epicIssues = issues.filter(isEpic);
+  const epicByKey = new Map(epicIssues.map(issue => [issue.key, items.get(issue.key)]));
+
+  // Epics, initiatives and sub-tasks are nested in an exported parent one level up. Stories
+  // stay in `stories` with an epicLink, and so do sub-tasks directly under an epic, as the
+  // sub-task parenting strategy made them.
+  const nestedParentOf = issue => {
+    const parent = issuesByKey.get(issue.fields?.parent?.key);
+    if (!parent || levelOf(issue) === 0 || levelOf(parent) !== levelOf(issue) + 1) return null;
+    return parent;
+  };
+  for (const issue of issues) {
+    const parent = nestedParentOf(issue);
+    if (!parent) continue;
+    const parentItem = items.get(parent.key);
+    parentItem.children = [...(parentItem.children || []), items.get(issue.key)];
+  }
+
+  // Stories refer to their epic by summary, like hand-written files, unless summaries repeat
+  const summaryCounts = new Map();
+  for (const epic of epicByKey.values()) summaryCounts.set(epic.summary, (summaryCounts.get(epic.summary) || 0) + 1);
+  const epicReference = epic => (summaryCounts.get(epic.summary) > 1 ? epic.id : epic.summary);
+
+  const topLevel = issues.filter(issue => !nestedParentOf(issue));
+  const initiatives = topLevel.filter(issue => levelOf(issue) >= 2).map(issue => {
+    const item = items.get(issue.key);
+    return levelOf(issue) > 2 ? { id: item.id, summary: item.summary, level: levelOf(issue), ...item } : item;
+  });
+
+  const stories = topLevel.filter(issue => !isEpic(issue) && levelOf(issue) < 2).map(issue => {
+    const story = items.get(issue.key);
+    const epicKey = findEpicKey(issue, issuesByKey, options.epicLinkFieldId);
+
+    if (epicKey && epicByKey.has(epicKey)) {
+      // Keep the schema's property order: epicLink follows priority
+      const entries = Object.entries(story);
+      const at = entries.findIndex(([key]) => !['id', 'summary', 'description', 'priority'].includes(key));
+      entries.splice(at === -1 ? entries.length : at, 0, ['epicLink', epicReference(epicByKey.get(epicKey))]);
+      return Object.fromEntries(entries);
+    }
+    if (epicKey) warnings.push(`${issue.key}: epic ${epicKey} is not in the exported project`);
+    return story;
+  });
+
+  return {
+    data: {
+      ...(initiatives.length > 0 ? { initiatives } : {}),
+      epics: topLevel.filter(issue => isEpic(issue) && levelOf(issue) < 2).map(issue => items.get(issue.key)),
+      stories
+    },
+    warnings
+  };
+}
+
+module.exports = {
+  EPIC_LABEL,
+  isEpic,
+  findEpicKey,
+  issuesToPmac
+};
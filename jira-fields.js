@@ -0,0 +1,204 @@
+/**
+ * Jira Field Mapping
+ *
+ * Maps PMAC item properties (priority, labels, component, due date, story points,
+ * fixVersions, assignee, reporter and custom fields) onto the fields of a Jira create payload. Custom
+ * fields are resolved by display name or id through /field, values are shaped by
+ * the field's schema type, and fields missing from the create screen are reported.
+ * Payloads for existing issues are compared with the issue's fields, so re-imports only
+ * send what changed.
+ */
+
+// Fields Jira may call "Story Points" (company-managed) or "Story point estimate" (team-managed)
+const STORY_POINT_FIELD_NAMES = ['Story Points', 'Story point estimate'];
+
+// Properties a payload names a Jira value by (users, priorities, versions, options, parents), most specific first
+const VALUE_KEYS = ['accountId', 'name', 'value', 'key', 'id'];
+
+/**
+ * Creates a resolver that finds Jira fields by id or display name.
+ * `fieldMapping` maps PMAC property names to Jira field names or ids.
+ */
+function createFieldResolver(jiraFields = [], fieldMapping = {}) {
+  const byId = new Map(jiraFields.map(f => [f.id, f]));
+
+  function candidates(nameOrId) {
+    if (byId.has(nameOrId)) return [byId.get(nameOrId)];
+    const lower = String(nameOrId).toLowerCase();
+    return jiraFields.filter(f => f.name?.toLowerCase() === lower);
+  }
+
+  /**
+   * Resolves a field name or id, preferring a field that is on the issue type's create screen
+   */
+  function resolve(nameOrId, issueType) {
+    const matches = candidates(nameOrId);
+    const onScreen = matches.find(f => isOnScreen(f.id, issueType));
+    return onScreen || matches[0] || null;
+  }
+
+  /**
+   * Resolves the Jira field for a PMAC property, using the mapping when one is declared
+   */
+  function resolveProperty(property, issueType) {
+    if (fieldMapping[property]) return resolve(fieldMapping[property], issueType);
+    if (property === 'storyPoints') {
+      for (const name of STORY_POINT_FIELD_NAMES) {
+        const field = resolve(name, issueType);
+        if (field && isOnScreen(field.id, issueType)) return field;
+      }
+      return resolve(STORY_POINT_FIELD_NAMES[0], issueType);
+    }
+    return resolve(property, issueType);
+  }
+
+  return {
+    resolve,
+    resolveProperty,
+    mapping: fieldMapping,
+    fields: jiraFields
+  };
+}
+
+/**
+ * Checks whether a field is on the create screen of an issue type.
+ * Issue types without field metadata are treated as allowing every field.
+ */
+function isOnScreen(fieldId, issueType) {
+  const fields = issueType?.fields;
+  if (!fields || Object.keys(fields).length === 0) return true;
+  return Object.prototype.hasOwnProperty.call(fields, fieldId);
+}
+
+/**
+ * Shapes a value for a Jira field according to the field's schema
+ */
+function formatFieldValue(field, value) {
+  const schema = field.schema || {};
+  const single = (type, v) => {
+    switch (type) {
+      case 'number':
+        return Number(v);
+      case 'option':
+      case 'option-with-child':
+        return typeof v === 'object' ? v : { value: String(v) };
+      case 'user':
+        return typeof v === 'object' ? v : { accountId: String(v) };
+      case 'priority':
+      case 'version':
+      case 'component':
+        return typeof v === 'object' ? v : { name: String(v) };
+      default:
+        return v;
+    }
+  };
+
+  if (schema.type === 'array') {
+    return (Array.isArray(value) ? value : [value]).map(v => single(schema.items, v));
+  }
+  return single(schema.type, value);
+}
+
+/**
+ * Builds the Jira fields for a PMAC epic or story. `people` holds the assignee and
+ * reporter as user field values, already looked up.
+ * Returns the fields to send and the properties that could not be mapped.
+ */
+function buildIssueFields(item, issueType, resolver, people = {}) {
+  const fields = {};
+  const skipped = [];
+
+  const set = (property, fieldId, value, label = fieldId) => {
+    if (!isOnScreen(fieldId, issueType)) {
+      skipped.push({ property, field: label, reason: `not on the create screen for ${issueType.name}` });
+      return;
+    }
+    fields[fieldId] = value;
+  };
+
+  // Standard system fields
+  if (item.priority) set('priority', 'priority', { name: item.priority });
+  if (item.labels?.length) set('labels', 'labels', item.labels);
+  if (item.component) set('component', 'components', [{ name: item.component }]);
+  if (item.dueDate) set('dueDate', 'duedate', item.dueDate);
+  if (item.fixVersions?.length) set('fixVersions', 'fixVersions', item.fixVersions.map(name => ({ name })));
+  if (people.assignee) set('assignee', 'assignee', people.assignee);
+  if (people.reporter) set('reporter', 'reporter', people.reporter);
+
+  // Story points and declared custom fields, resolved through /field
+  const customValues = { ...(item.customFields || {}) };
+  if (item.storyPoints !== undefined) customValues.storyPoints = item.storyPoints;
+
+  for (const [property, value] of Object.entries(customValues)) {
+    const field = resolver?.resolveProperty(property, issueType);
+    if (!field) {
+      const name = resolver?.mapping[property] || property;
+      skipped.push({ property, field: name, reason: 'no Jira field with this name or id' });
+      continue;
+    }
+    set(property, field.id, formatFieldValue(field, value), `${field.name} (${field.id})`);
+  }
+
+  return { fields, skipped };
+}
+
+/**
+ * JSON with object keys in order, so values compare whatever order Jira returns them in
+ */
+function stableJson(value) {
+  return JSON.stringify(value, (key, v) => (v && typeof v === 'object' && !Array.isArray(v)
+    ? Object.fromEntries(Object.keys(v).sort().map(k => [k, v[k]]))
+    : v));
+}
+
+/**
+ * Whether a field of an existing issue already holds the value a payload sets. Values named
+ * by name, account ID, option value or key (priority, components, versions, users, parent)
+ * compare by that property, lists in any order, and anything else (text, ADF) by its JSON.
+ */
+function sameFieldValue(wanted, current) {
+  if (Array.isArray(wanted)) {
+    if (!Array.isArray(current ?? []) || (current || []).length !== wanted.length) return false;
+    const left = [...(current || [])];
+    return wanted.every(value => {
+      const index = left.findIndex(candidate => sameFieldValue(value, candidate));
+      if (index === -1) return false;
+      left.splice(index, 1);
+      return true;
+    });
+  }
+  // ADF documents have a `type` and compare whole
+  if (wanted && typeof wanted === 'object' && !wanted.type) {
+    const key = VALUE_KEYS.find(k => wanted[k] !== undefined);
+    if (!key) return stableJson(wanted) === stableJson(current ?? null);
+    return Boolean(current) && String(current[key]) === String(wanted[key]) &&
+      (wanted.child === undefined || sameFieldValue(wanted.child, current.child));
+  }
+  if (typeof wanted === 'number') return current !== null && current !== undefined && Number(current) === wanted;
+  return stableJson(wanted) === stableJson(current ?? null);
+}
+
+/**
+ * The fields of a payload whose value differs from the existing issue's `current` fields
+ */
+function changedFields(fields, current = {}) {
+  return Object.fromEntries(Object.entries(fields).filter(([id, value]) => !sameFieldValue(value, current[id])));
+}
+
+/**
+ * Formats skipped fields for the console
+ */
+function describeSkippedFields(summary, skipped) {
+  return skipped.map(s => `Field "${s.field}" for ${s.property} on "${summary}" was not set: ${s.reason}`);
+}
+
+module.exports = {
+  STORY_POINT_FIELD_NAMES,
+  createFieldResolver,
+  isOnScreen,
+  formatFieldValue,
+  buildIssueFields,
+  sameFieldValue,
+  changedFields,
+  describeSkippedFields
+};
@@ -1,830 +1,3137 @@
 /**
  * PMAC to Jira Importer
  * 
- * Creates a Jira project and imports PMAC user stories and epics using Jira REST API v3.
+ * Creates a Jira project and imports PMAC user stories and epics using Jira REST API v3
+ * on Jira Cloud, or v2 on Jira Server and Data Center (see jira-deployment.js).
  * Designed to handle various Jira configurations and establish parent-child relationships.
+ *
+ * createImporter() returns an independent importer; the module-level functions
+ * belong to a default importer configured from the environment.
  */
 
 const axios = require('axios');
+const dotenv = require('dotenv');
 const fs = require('fs');
-require('dotenv').config();
-
-// Configuration
-const config = {
-  jiraHost: process.env.JIRA_HOST,
-  jiraEmail: process.env.JIRA_EMAIL,
-  jiraApiToken: process.env.JIRA_API_TOKEN,
-  projectKey: process.env.PROJECT_KEY || 'PMAC',
-  projectName: process.env.PROJECT_NAME || 'Project Management as Code'
-};
+const YAML = require('yaml');
+const { DEPLOYMENTS, SERVER_INFO_API, deploymentProfile, profileFromServerInfo, apiBaseUrl, authOptions, formatDescription, searchUrl, nextSearchCursor, describeDeployment } = require('./jira-deployment');
+const { pmacId, validatePmacData, formatValidationErrors } = require('./pmac-validator');
+const { loadPmacSource } = require('./pmac-loader');
+const { createFieldResolver, buildIssueFields, changedFields, describeSkippedFields, isOnScreen } = require('./jira-fields');
+const { installRetryHandling, isTransientError } = require('./jira-request');
+const { runPool, throwIfThrottled } = require('./task-pool');
+const { DEFAULT_CHECKPOINT_DIR, inputHash, untaggedKeys, loadCheckpoint, createCheckpoint, describeCheckpoint } = require('./import-checkpoint');
+const { DEFAULT_JOURNAL_DIR, createJournal, readJournal, appendToJournal, planUndo, describeUndoStep } = require('./import-journal');
+const { createPlanClient, DEFAULT_ISSUE_TYPE_PROFILE, formatPlan, writePlan } = require('./jira-plan');
+const { issuesToPmac } = require('./jira-export');
+const { createReport, writeReports, failureCount } = require('./import-report');
+const { AGILE_API, AGILE_BATCH_SIZE, findSprintField, sprintSettings, sprintChanges, openSprintOf, sprintAssignments, agileBatches } = require('./jira-sprints');
+const { USER_FALLBACKS, itemPeople, referencedMembers, lookupTerms, userValue, sameUser, describeMember } = require('./jira-users');
+const { BOARD_CONFIG_API, projectTemplate, projectSettings, declaredComponents, settingChanges, boardSettings, sameColumns, columnsPayload } = require('./jira-project');
+const { versionSettings, itemFixVersions, releaseAssignments, describeRelease } = require('./jira-releases');
+const { findEpicLinkField, detectCapabilities, chooseParentingStrategy, issueTypeAtLevel, storyPlacement, epicFields, epicLabel, isUnderEpic, describeCapabilities } = require('./jira-capabilities');
+const { INITIATIVE_LEVEL, EPIC_LEVEL, STORY_LEVEL, SUBTASK_LEVEL, levelName, walkHierarchy, flattenHierarchy } = require('./pmac-hierarchy');
+const { createItemIndex, itemLinks } = require('./pmac-links');
+const { itemAttachments, itemWebLinks, hasResources } = require('./pmac-resources');
+const { resolveLinkTypes, describeMissingLinkType, linkEnds, linkRequest, linkSignature, hasLink } = require('./jira-links');
+const { BACKENDS, checkBackend } = require('./tracker-backend');
+const { DEFAULT_GITHUB_API_URL, createGithubBackend } = require('./github-backend');
+
+const DEFAULT_INPUT_FILE = './pmac-jira-import-json.json';
 
-// Jira API client
-const jiraClient = axios.create({
-  baseURL: `${config.jiraHost}/rest/api/3`,
-  auth: {
-    username: config.jiraEmail,
-    password: config.jiraApiToken
-  },
-  headers: {
-    'Accept': 'application/json',
-    'Content-Type': 'application/json'
-  }
-});
-
-// Load PMAC stories data
-function loadPmacData() {
-  try {
-    const storiesFile = './pmac-jira-import-json.json';
-    return JSON.parse(fs.readFileSync(storiesFile, 'utf8'));
-  } catch (error) {
-    console.error('Failed to load PMAC data:', error.message);
-    throw new Error('Unable to load PMAC data file. Please ensure pmac-jira-import-json.json exists.');
+// Load and validate PMAC stories data from a JSON or YAML file, a directory or a glob,
+// rendering templates with the given variables
+function loadPmacData(storiesFile = DEFAULT_INPUT_FILE, variables = {}) {
+  const source = loadPmacSource(storiesFile, { variables });
+  if (source.errors.some(e => e.missing)) {
+    console.error('Failed to load PMAC data:', formatValidationErrors(source.errors));
+    throw new Error(`Unable to load PMAC data file. Please ensure ${storiesFile} exists.`);
+  }
+  if (source.errors.length > 0) {
+    console.error(formatValidationErrors(source.errors));
+    throw new Error(`PMAC data file has ${source.errors.length} problem(s)`);
+  }
+  
+  // Catch problems before anything is sent to Jira
+  const validation = validatePmacData(source.data);
+  if (!validation.valid) {
+    console.error(formatValidationErrors(validation.errors.map(source.locate), storiesFile));
+    throw new Error(`PMAC data file has ${validation.errors.length} validation problem(s)`);
   }
+  
+  if (source.files.length > 1) console.log(`Loaded ${source.files.length} PMAC files from ${storiesFile}`);
+  return source.data;
 }
 
-// Track created epics for linking stories
-const epicMap = new Map();
+// Jira accepts at most 50 issues per /issue/bulk request
+const BULK_BATCH_SIZE = 50;
+
+// Issue entity property that stores the PMAC ID on every imported issue
+const PMAC_PROPERTY = 'pmac';
+
+// Labels added by the importer itself, kept when labels are reconciled on re-import
+const IMPORTER_LABEL_PATTERN = /^Epic_/;
+
+// Sprint outcomes of stories that did not end up in their sprint
+const SPRINTLESS = ['failed', 'skipped'];
+
+// Undo outcomes that reverse a change; other outcomes keep it
+const UNDONE_OUTCOMES = ['deleted', 'removed', 'restored', 'already deleted', 'already removed', 'closed', 'already closed'];
+
+// Fields of existing issues that updates may change and undo can put back
+const RESTORABLE_FIELDS = ['summary', 'description', 'labels', 'parent', 'priority', 'components', 'duedate', 'fixVersions', 'assignee', 'reporter'];
+
+// Attachment uploads are multipart, and Jira refuses them without the XSRF opt-out header
+const ATTACHMENT_HEADERS = { 'Content-Type': 'multipart/form-data', 'X-Atlassian-Token': 'no-check' };
 
 /**
- * Creates a new Jira project or uses an existing one with the same key
+ * A web link of an item ({ url, title, icon }) as a remote issue link
  */
-async function createProject() {
-  // Generate a unique name with today's date
-  const uniqueProjectName = `${config.projectName} ${new Date().toISOString().slice(0, 10)}`;
-  console.log(`Creating project: ${uniqueProjectName} (${config.projectKey})`);
-  
-  try {
-    // First check if project already exists
-    try {
-      const existing = await jiraClient.get(`/project/${config.projectKey}`);
-      console.log(`Project ${config.projectKey} already exists, using it`);
-      return existing.data;
-    } catch (error) {
-      // 404 means project doesn't exist, which is what we want to continue
-      if (error.response?.status !== 404) throw error;
-    }
-    
-    // Get current user information for project lead
-    const myself = await jiraClient.get('/myself');
-    console.log(`Using current user as project lead: ${myself.data.displayName}`);
-    const leadAccountId = myself.data.accountId;
-    
-    // Get available project type keys
-    const projectTypes = await jiraClient.get('/project/type');
-    console.log('Available project types:', projectTypes.data.map(t => t.key));
-    const softwareType = projectTypes.data.find(t => t.key === 'software') || projectTypes.data[0];
-    
-    // Create project with required data
-    const projectData = {
-      key: config.projectKey,
-      name: uniqueProjectName,
-      projectTypeKey: softwareType.key,
-      description: 'PMAC imported project',
-      leadAccountId: leadAccountId // Required field
-    };
+function remoteLinkPayload({ url, title, icon }) {
+  return { object: { url, title, ...(icon ? { icon: { url16x16: icon, title } } : {}) } };
+}
 
-    console.log('Creating project with:', JSON.stringify(projectData, null, 2));
-    const response = await jiraClient.post('/project', projectData);
-    
-    console.log(`Project created successfully: ${response.data.key}`);
-    return response.data;
-  } catch (error) {
-    console.error('Error creating project:', error.message);
-    
-    if (error.response?.data) {
-      console.error('Error details:', JSON.stringify(error.response.data, null, 2));
+/**
+ * Picks the previous values of updated fields in a shape Jira accepts on update.
+ * Custom fields must have been read; one without a value is cleared on restore.
+ */
+function restorableFields(existingFields = {}, keys) {
+  const before = {};
+  for (const key of keys.filter(k => RESTORABLE_FIELDS.includes(k) || k.startsWith('customfield_'))) {
+    const value = existingFields[key];
+    if (key.startsWith('customfield_')) {
+      before[key] = restorableValue(value);
+      continue;
     }
+    if (value === undefined) continue;
     
-    throw new Error(`Failed to create project: ${error.message}`);
+    if (key === 'parent') before.parent = value ? { key: value.key } : null;
+    else if (key === 'priority') before.priority = value ? { id: value.id } : null;
+    else if (key === 'assignee' || key === 'reporter') before[key] = value ? userValue(value, !value.accountId) : null;
+    else if (key === 'components' || key === 'fixVersions') before[key] = (value || []).map(v => ({ id: v.id }));
+    else before[key] = value;
   }
+  return before;
 }
 
 /**
- * Analyzes available issue types in the Jira project
+ * A custom field value as Jira returns it, in a shape Jira accepts on update:
+ * users by account ID (or name), options and other objects by their ID
  */
-async function getIssueTypes(projectKey) {
-  try {
-    // Get available issue types for this project
-    const meta = await jiraClient.get(`/issue/createmeta?projectKeys=${projectKey}&expand=projects.issuetypes.fields`);
-    const projectMeta = meta.data.projects[0];
-    
-    if (!projectMeta || !projectMeta.issuetypes || projectMeta.issuetypes.length === 0) {
-      throw new Error('No issue types found for this project');
-    }
-    
-    const issueTypes = projectMeta.issuetypes;
-    console.log('Available issue types:', issueTypes.map(t => t.name).join(', '));
-    
-    // Find the best types to use for epics, stories, and subtasks
-    const epicType = issueTypes.find(t => t.name === 'Epic') || 
-                    issueTypes.find(t => t.name.includes('Epic')) ||
-                    issueTypes.find(t => t.name === 'Task') ||
-                    issueTypes[0];
-    
-    const storyType = issueTypes.find(t => t.name === 'Story') || 
-                    issueTypes.find(t => t.name.includes('Story')) ||
-                    issueTypes.find(t => t.name === 'Task' && !t.subtask) ||
-                    issueTypes.find(t => !t.subtask) ||
-                    issueTypes[0];
-    
-    const subtaskType = issueTypes.find(t => t.name === 'Sub-task') ||
-                      issueTypes.find(t => t.name.includes('Subtask')) ||
-                      issueTypes.find(t => t.subtask === true) ||
-                      null;
-    
-    // Check if they support parent-child relationships
-    let hierarchySupported = false;
-    if (subtaskType) {
-      // Fetch the subtask metadata to see if it supports parent field
-      try {
-        const subtaskMeta = await jiraClient.get(`/issue/createmeta?projectKeys=${projectKey}&issuetypeIds=${subtaskType.id}&expand=projects.issuetypes.fields`);
-        const fields = subtaskMeta.data.projects[0]?.issuetypes[0]?.fields || {};
-        hierarchySupported = Boolean(fields.parent);
-        
-        if (hierarchySupported) {
-          console.log(`Hierarchy supported: Sub-tasks can have parents`);
-        }
-      } catch (e) {
-        console.log(`Could not determine if hierarchy is supported: ${e.message}`);
-      }
-    }
-    
-    return {
-      epicType,
-      storyType,
-      subtaskType,
-      hierarchySupported,
-      all: issueTypes
-    };
-  } catch (error) {
-    console.error('Error analyzing issue types:', error.message);
-    throw error;
-  }
+function restorableValue(value) {
+  if (Array.isArray(value)) return value.map(restorableValue);
+  if (value === undefined || value === null || typeof value !== 'object') return value ?? null;
+  if ('displayName' in value) return userValue(value, !value.accountId);
+  return value.id !== undefined ? { id: value.id } : value;
+}
+
+/**
+ * Sorts the { item, status } results of updating existing issues into the items
+ * that were updated (or resumed) and those that were already up to date
+ */
+function splitUpdates(results) {
+  return {
+    updated: results.filter(result => result.status !== 'unchanged').map(result => result.item),
+    unchanged: results.filter(result => result.status === 'unchanged').map(result => result.item)
+  };
+}
+
+/**
+ * Flattens a per-item error from /issue/bulk into one message
+ */
+function describeBulkError(bulkError) {
+  const elementErrors = bulkError.elementErrors || {};
+  const messages = [
+    ...(elementErrors.errorMessages || []),
+    ...Object.entries(elementErrors.errors || {}).map(([field, message]) => `${field}: ${message}`)
+  ];
+  return messages.length > 0 ? messages.join('; ') : `status ${bulkError.status}`;
+}
+
+/**
+ * Flattens the messages of a Jira error response into one line
+ */
+function describeJiraError(error) {
+  const data = error.response?.data || {};
+  const messages = [
+    ...(data.errorMessages || []),
+    ...Object.entries(data.errors || {}).map(([field, message]) => `${field}: ${message}`)
+  ];
+  return messages.length > 0 ? messages.join('; ') : error.message;
+}
+
+/**
+ * Finds the issue type metadata (with create screen fields) of an existing issue
+ */
+function issueTypeOf(issue, capabilities) {
+  const id = issue.fields?.issuetype?.id;
+  // Without metadata every field is attempted
+  return capabilities.all.find(t => t.id === id) || { name: issue.fields?.issuetype?.name || 'issue' };
+}
+
+/**
+ * Names the create path an issue type stands for in the import report
+ */
+function createPathOf(issueType, capabilities) {
+  if (issueType === capabilities.subtaskType) return 'sub-task';
+  if (issueType.level >= INITIATIVE_LEVEL) return 'initiative';
+  return issueType === capabilities.epicType && capabilities.hasEpicLevel ? 'epic' : 'story';
 }
 
 /**
- * Creates components from story/epic components
+ * Creates the axios client for the REST API of a Jira deployment (v3 on Cloud, v2 on
+ * Server and Data Center), with request logging and retry handling
  */
-async function createComponents(projectKey, components) {
-  const componentNames = [...new Set(components)];
+function createJiraClient(config, deployment = deploymentProfile('cloud')) {
+  const auth = authOptions(config);
+  const client = axios.create({
+    baseURL: apiBaseUrl(config.jiraHost, deployment),
+    auth: auth.auth,
+    headers: {
+      'Accept': 'application/json',
+      'Content-Type': 'application/json',
+      ...auth.headers
+    }
+  });
   
-  if (componentNames.length === 0) return [];
+  client.interceptors.request.use(request => {
+    if (config.verbose) console.log(`→ ${request.method.toUpperCase()} ${request.url}`);
+    return request;
+  });
   
-  console.log(`Creating ${componentNames.length} components`);
-  const createdComponents = [];
+  // Retry throttled and transient failures with backoff (see jira-request.js)
+  installRetryHandling(client, {
+    maxRetries: config.maxRetries,
+    retryBudget: config.retryBudget
+  });
   
-  for (const name of componentNames) {
+  return client;
+}
+
+/**
+ * Creates an importer with its own configuration, Jira client and run state, so
+ * several can work side by side (e.g. against two sites, or a fake Jira server).
+ *
+ * `setup.config` overrides settings from the environment, as configure() does.
+ * `setup.client` is used as the Jira client instead of one built from the config;
+ * it needs the get/post/put/delete surface of axios and is used as given.
+ */
+function createImporter(setup = {}) {
+  // Configuration (populated from the environment by configure())
+  const config = {};
+
+  // Jira API client (replaced by a recording client during dry runs)
+  let jiraClient = setup.client || null;
+
+  // Deployment profile of the Jira site (see jira-deployment.js), Cloud until detected
+  let deployment = deploymentProfile('cloud');
+  let deploymentKnown = false;
+
+  // Jira users found by search term (null when none matched), so each is looked up once
+  const userCache = new Map();
+
+  /**
+   * Loads settings from the environment (and optionally an env file), applies
+   * explicit overrides and creates the Jira API client (unless one was injected)
+   */
+  function configure(overrides = {}) {
+    const { envFile, ...settings } = overrides;
+    dotenv.config(envFile ? { path: envFile, override: true } : {});
+    
+    Object.assign(config, {
+      jiraHost: process.env.JIRA_HOST,
+      jiraEmail: process.env.JIRA_EMAIL,
+      jiraApiToken: process.env.JIRA_API_TOKEN,
+      jiraPat: process.env.JIRA_PAT,
+      deployment: process.env.JIRA_DEPLOYMENT || 'auto',
+      projectKey: process.env.PROJECT_KEY || 'PMAC',
+      projectName: process.env.PROJECT_NAME || 'Project Management as Code',
+      concurrency: process.env.JIRA_CONCURRENCY ? Number(process.env.JIRA_CONCURRENCY) : 4,
+      maxRetries: process.env.JIRA_MAX_RETRIES ? Number(process.env.JIRA_MAX_RETRIES) : undefined,
+      retryBudget: process.env.JIRA_RETRY_BUDGET ? Number(process.env.JIRA_RETRY_BUDGET) : undefined,
+      parentingStrategy: process.env.JIRA_PARENTING_STRATEGY || 'auto',
+      boardId: process.env.JIRA_BOARD_ID || undefined,
+      userFallback: process.env.JIRA_USER_FALLBACK || 'unassigned',
+      journalDir: process.env.PMAC_JOURNAL_DIR || DEFAULT_JOURNAL_DIR,
+      checkpointDir: process.env.PMAC_CHECKPOINT_DIR || DEFAULT_CHECKPOINT_DIR,
+      backend: process.env.PMAC_BACKEND || 'jira',
+      githubToken: process.env.GITHUB_TOKEN,
+      githubRepository: process.env.GITHUB_REPOSITORY,
+      githubApiUrl: process.env.GITHUB_API_URL || DEFAULT_GITHUB_API_URL,
+      verbose: false
+    });
+    
+    // Only apply overrides that were actually given
+    for (const [key, value] of Object.entries(settings)) {
+      if (value !== undefined) config[key] = value;
+    }
+    
+    // An unknown deployment is reported when the importer first talks to Jira
+    deploymentKnown = config.deployment !== 'auto' && DEPLOYMENTS.includes(config.deployment);
+    deployment = deploymentProfile(deploymentKnown ? config.deployment : 'cloud');
+    if (!setup.client) jiraClient = createJiraClient(config, deployment);
+    userCache.clear();
+    githubBackend = config.backend === 'github' ? createGithubBackend(config, backendHooks) : null;
+    
+    return config;
+  }
+
+  /**
+   * Works out, once, which Jira the importer talks to: the configured deployment, or
+   * the one /serverInfo reports. A detected Server or Data Center site moves the client
+   * to REST API v2. Dry runs never contact Jira, so they plan for Cloud unless configured.
+   */
+  async function ensureDeployment() {
+    if (deploymentKnown) return deployment;
+    // Throws for a configured deployment that is not one of DEPLOYMENTS
+    if (config.deployment !== 'auto') deploymentProfile(config.deployment);
+    if (jiraClient.dryRun) {
+      console.log('Jira deployment: assuming Jira Cloud (set JIRA_DEPLOYMENT to plan for Server or Data Center)');
+      return deployment;
+    }
+    
     try {
-      const response = await jiraClient.post('/component', {
-        name,
-        project: projectKey,
-        description: `PMAC ${name} component`
-      });
-      createdComponents.push(response.data);
-      console.log(`Created component: ${name}`);
+      const response = await jiraClient.get('/serverInfo', { baseURL: `${config.jiraHost}${SERVER_INFO_API}` });
+      deployment = profileFromServerInfo(response.data);
     } catch (error) {
-      // Skip if component already exists
-      console.warn(`Couldn't create component ${name}: ${error.message}`);
+      if (isTransientError(error)) throw error;
+      console.warn(`Couldn't detect the Jira deployment, assuming Jira Cloud (set JIRA_DEPLOYMENT to skip detection): ${error.message}`);
     }
+    deploymentKnown = true;
     
-    // Small delay to avoid rate limiting
-    await delay(100);
+    // Injected clients are used as given
+    if (jiraClient.defaults) jiraClient.defaults.baseURL = apiBaseUrl(config.jiraHost, deployment);
+    console.log(`Jira deployment: ${describeDeployment(deployment, config)}`);
+    return deployment;
   }
-  
-  return createdComponents;
-}
 
-/**
- * Creates an epic in Jira
- */
-async function createEpic(epic, projectKey, issueTypes) {
-  console.log(`Creating epic: ${epic.summary}`);
-  
-  try {
-    // Use the recommended issue type for epics
-    const epicIssueType = issueTypes.epicType;
-    console.log(`Using issue type: ${epicIssueType.name} for epics`);
+  // Track created epics for linking stories
+  const epicMap = new Map();
+
+  // Journal of the running import (null during dry runs), see import-journal.js
+  let journal = null;
+
+  // Progress of the running import (null during dry runs), see import-checkpoint.js
+  let checkpoint = null;
+
+  /**
+   * Records a created or changed resource in the run's journal
+   */
+  function recordChange(entry) {
+    if (journal) journal.record(entry);
+  }
+
+  // Fields that could not be set on created or updated issues, reported in the summary
+  const skippedFields = [];
+
+  // Per-item report of the running import, see import-report.js
+  let report = null;
+
+  /**
+   * Adds details about a PMAC item to the run's report
+   */
+  function noteItem(item, details) {
+    if (report) report.note(pmacId(item), details);
+    if (!checkpoint) return;
     
-    // Basic issue data with only required fields
-    const epicData = {
-      fields: {
-        project: {
-          key: projectKey
-        },
-        summary: epic.summary,
-        issuetype: {
-          id: epicIssueType.id
-        }
+    // The checkpoint keeps the key of every imported item, whether its description went out and whether it got its PMAC ID
+    const imported = ['created', 'updated', 'unchanged', 'resumed'].includes(details.status) && details.key;
+    const description = details.descriptionFormat === undefined ? undefined : details.descriptionFormat !== 'not set';
+    if (imported || description !== undefined || details.tagged !== undefined) {
+      checkpoint.recordItem(pmacId(item), {
+        key: imported ? details.key : undefined,
+        created: details.status === 'created',
+        description,
+        tagged: details.tagged,
+        hash: inputHash(item)
+      });
+    }
+  }
+
+  /**
+   * Finds the Jira user a PMAC file names by account ID, username, email address or
+   * display name; null when no single user matches
+   */
+  async function findUser(ref) {
+    const wanted = String(ref).toLowerCase();
+    if (userCache.has(wanted)) return userCache.get(wanted);
+    
+    const params = deployment.selfHosted ? { username: ref } : { query: ref };
+    const users = (await jiraClient.get('/user/search', { params: { ...params, maxResults: 10 } })).data || [];
+    const exact = users.filter(user => [user.accountId, user.name, user.key, user.emailAddress, user.displayName]
+      .some(value => value && String(value).toLowerCase() === wanted));
+    const user = exact.length === 1 ? exact[0] : (users.length === 1 ? users[0] : null);
+    userCache.set(wanted, user);
+    return user;
+  }
+
+  /**
+   * Looks up the team members items name, once each: Map of team ID to Jira user, or
+   * to null for members who were not found. With the `fail` user fallback, a member
+   * who was not found stops the import before any issue is created.
+   */
+  async function resolveTeam(team, ids) {
+    if (!USER_FALLBACKS.includes(config.userFallback)) {
+      throw new Error(`Unknown user fallback "${config.userFallback}" (use ${USER_FALLBACKS.join(', ')})`);
+    }
+    const users = new Map();
+    if (ids.length === 0) return users;
+    console.log(`\n=== Resolving ${ids.length} Team Members ===`);
+    
+    const results = await runPool(ids, config.concurrency, async id => {
+      const member = team.get(id);
+      // An account given in the file is used as is
+      if (member.jiraAccount) return deployment.selfHosted ? { name: member.jiraAccount } : { accountId: member.jiraAccount };
+      for (const term of lookupTerms(member)) {
+        const user = await findUser(term);
+        if (user) return user;
       }
-    };
+      return null;
+    });
+    throwIfThrottled(results);
     
-    const response = await jiraClient.post('/issue', epicData);
-    console.log(`Epic created: ${response.data.key}`);
+    results.forEach((result, index) => {
+      if (result.status === 'rejected') console.warn(`Couldn't look up team member ${ids[index]}: ${describeJiraError(result.reason)}`);
+      const user = result.status === 'fulfilled' ? result.value : null;
+      users.set(ids[index], user);
+      if (user) console.log(`${ids[index]}: ${user.displayName || user.accountId || user.name}`);
+    });
     
-    // Save mapping for story linking
-    epicMap.set(epic.summary, response.data.key);
+    const missing = ids.filter(id => !users.get(id)).map(id => describeMember(team.get(id)));
+    if (missing.length > 0) {
+      if (config.userFallback === 'fail') {
+        throw new Error(`No Jira user found for team member${missing.length > 1 ? 's' : ''} ${missing.join(', ')} (user fallback: fail)`);
+      }
+      const fallback = config.userFallback === 'component-lead' ? 'given to their component lead' : 'left unassigned';
+      console.warn(`No Jira user found for ${missing.join(', ')}: items assigned to them are ${fallback}, and they are left out as reporter and watcher`);
+    }
+    return users;
+  }
+
+  /**
+   * The assignee and reporter of an item as Jira field values. A team member who was
+   * not found leaves the reporter to Jira and the assignee to the user fallback: nobody,
+   * or the lead of the item's component.
+   */
+  function peopleFields(item) {
+    const users = jiraRun?.users;
+    const fields = {};
+    if (!users) return fields;
     
-    // Try to update the description using our specialized ADF function
-    if (epic.description) {
-      const updateResult = await updateDescriptionWithADF(response.data.key, epic.description);
-      if (updateResult.success) {
-        console.log(`Successfully added description using ${updateResult.format} format`);
+    if (item.assignee) {
+      let assignee = users.get(item.assignee);
+      let reason = `no Jira user found for team member "${item.assignee}"`;
+      if (!assignee && config.userFallback === 'component-lead') {
+        assignee = item.component ? jiraRun.componentLeads.get(item.component) : null;
+        reason += item.component ? ` and component ${item.component} has no lead` : ' and the item has no component';
       }
+      if (assignee) fields.assignee = userValue(assignee, deployment.selfHosted);
+      else noteSkippedField(item, { property: 'assignee', field: 'Assignee', reason });
+    }
+    if (item.reporter) {
+      const reporter = users.get(item.reporter);
+      if (reporter) fields.reporter = userValue(reporter, deployment.selfHosted);
+      else noteSkippedField(item, { property: 'reporter', field: 'Reporter', reason: `no Jira user found for team member "${item.reporter}"` });
+    }
+    return fields;
+  }
+
+  /**
+   * The fix versions of an item: its fixVersions and the version of its release, left
+   * out when the release has no version
+   */
+  function fixVersionsOf(item) {
+    const release = item.release && jiraRun?.releases?.get(item.release);
+    if (release && !release.id) {
+      noteSkippedField(item, { property: 'release', field: 'Fix versions', reason: `release ${item.release} could not be created: ${release.error}` });
+      return itemFixVersions({ ...item, release: undefined });
+    }
+    return itemFixVersions(item);
+  }
+
+  /**
+   * A user as a payload field: the account ID under `cloudField` on Cloud, the username
+   * under `serverField` on Server and Data Center
+   */
+  function userField(user, cloudField, serverField) {
+    return deployment.selfHosted ? { [serverField]: user.name } : { [cloudField]: user.accountId };
+  }
+
+  /**
+   * Looks up the ID of a project category by name; categories are not created by the import
+   */
+  async function findCategory(name) {
+    const categories = (await jiraClient.get('/projectCategory')).data || [];
+    const category = categories.find(c => c.name.toLowerCase() === name.toLowerCase());
+    if (!category) console.warn(`Jira has no project category "${name}", leaving the project without one`);
+    return category ? category.id : undefined;
+  }
+
+  /**
+   * Settings of the project section that are looked up in Jira: the lead (falling back
+   * to the current user when `fallbackToMe`) and the category
+   */
+  async function lookupProjectSettings(declared, fallbackToMe) {
+    const settings = {};
+    let lead = declared.lead ? await findUser(declared.lead) : null;
+    if (declared.lead && !lead) {
+      console.warn(`No Jira user matches project lead "${declared.lead}"${fallbackToMe ? ', using the current user' : ''}`);
+    }
+    if (!lead && fallbackToMe) {
+      lead = (await jiraClient.get('/myself')).data;
+      console.log(`Using current user as project lead: ${lead.displayName}`);
+    }
+    // Cloud identifies users by account ID, Server and Data Center by username
+    if (lead) Object.assign(settings, userField(lead, 'leadAccountId', 'lead'));
+    if (declared.category) {
+      const categoryId = await findCategory(declared.category);
+      if (categoryId !== undefined) settings.categoryId = categoryId;
+    }
+    return settings;
+  }
+
+  /**
+   * Brings an existing project in line with the project section: name, description,
+   * lead, default assignee, URL and category. Its template cannot be changed.
+   */
+  async function updateProject(project, declared) {
+    const wantedStyle = declared.style || (declared.template ? 'company-managed' : null);
+    const style = { classic: 'company-managed', 'next-gen': 'team-managed' }[project.style];
+    if (wantedStyle && style && wantedStyle !== style) {
+      console.warn(`Project ${project.key} is ${style}, not ${wantedStyle}; Jira cannot change that after creation`);
     }
     
-    return response.data;
-  } catch (error) {
-    console.error(`Error creating epic "${epic.summary}":`, error.message);
+    const wanted = { ...projectSettings(declared), ...(await lookupProjectSettings(declared, false)) };
+    const { changes, before } = settingChanges(project, wanted);
+    if (Object.keys(changes).length === 0) return project;
     
-    if (error.response?.data) {
-      console.error('Error details:', JSON.stringify(error.response.data, null, 2));
-    }
+    await jiraClient.put(`/project/${project.key}`, changes);
+    recordChange({ type: 'project', action: 'update', key: project.key, before });
+    console.log(`Updated project ${project.key} (${Object.keys(changes).join(', ')})`);
+    return { ...project, ...changes };
+  }
+
+  /**
+   * Creates a new Jira project or uses an existing one with the same key. The project
+   * section of the PMAC file (`declared`) sets its name, description, template, lead,
+   * default assignee, URL and category, on new and existing projects alike.
+   */
+  async function createProject(declared = {}) {
+    // Without a declared name, generate a unique one with today's date
+    const projectName = declared.name || `${config.projectName} ${new Date().toISOString().slice(0, 10)}`;
+    console.log(`Creating project: ${projectName} (${config.projectKey})`);
     
-    // Try again with minimal fields
     try {
-      console.log('Retrying with minimal fields...');
-      const minimalData = {
-        fields: {
-          project: { key: projectKey },
-          summary: epic.summary,
-          issuetype: { name: 'Task' }
-        }
+      // First check if project already exists
+      let existing = null;
+      try {
+        existing = (await jiraClient.get(`/project/${config.projectKey}`)).data;
+      } catch (error) {
+        // 404 means project doesn't exist, which is what we want to continue
+        if (error.response?.status !== 404) throw error;
+      }
+      if (existing) {
+        console.log(`Project ${config.projectKey} already exists, using it`);
+        return await updateProject(existing, declared);
+      }
+      
+      // A declared template picks the project type; otherwise the first software type will do
+      let template = projectTemplate(declared, deployment);
+      if (!template) {
+        const projectTypes = await jiraClient.get('/project/type');
+        console.log('Available project types:', projectTypes.data.map(t => t.key));
+        const softwareType = projectTypes.data.find(t => t.key === 'software') || projectTypes.data[0];
+        template = { projectTypeKey: softwareType.key };
+      }
+      
+      // Create project with required data
+      const projectData = {
+        key: config.projectKey,
+        name: projectName,
+        ...template,
+        description: 'PMAC imported project',
+        ...projectSettings(declared),
+        // Lead is a required field
+        ...(await lookupProjectSettings(declared, true))
       };
+
+      console.log('Creating project with:', JSON.stringify(projectData, null, 2));
+      const response = await jiraClient.post('/project', projectData);
       
-      const retryResponse = await jiraClient.post('/issue', minimalData);
-      console.log(`Epic created with minimal fields: ${retryResponse.data.key}`);
+      console.log(`Project created successfully: ${response.data.key}`);
+      recordChange({ type: 'project', action: 'create', key: response.data.key, id: response.data.id });
+      return response.data;
+    } catch (error) {
+      console.error('Error creating project:', error.message);
       
-      // Save mapping for story linking
-      epicMap.set(epic.summary, retryResponse.data.key);
-      return retryResponse.data;
-    } catch (retryError) {
-      console.error('Retry also failed:', retryError.message);
-      return null;
+      if (error.response?.data) {
+        console.error('Error details:', JSON.stringify(error.response.data, null, 2));
+      }
+      
+      throw new Error(`Failed to create project: ${error.message}`);
     }
   }
-}
 
-/**
- * Creates a story in Jira, optionally as a subtask of an epic
- */
-async function createStory(story, projectKey, issueTypes, parentEpicKey) {
-  console.log(`Creating story: ${story.summary}`);
-  
-  // Check if we can create a sub-task directly linked to parent
-  if (issueTypes.hierarchySupported && parentEpicKey && issueTypes.subtaskType) {
+  /**
+   * Probes the project once: its style, issue types by hierarchy level, the fields on
+   * their create screens and the Epic Link field. Picks the parenting strategy from them
+   * and from what the PMAC file `needs` ({ subtasks }).
+   */
+  async function probeCapabilities(projectKey, jiraFields, needs) {
     try {
-      console.log(`Attempting to create as a sub-task of ${parentEpicKey}...`);
-      
-      const storyData = {
-        fields: {
-          project: {
-            key: projectKey
-          },
-          summary: story.summary,
-          issuetype: {
-            id: issueTypes.subtaskType.id
-          },
-          parent: {
-            key: parentEpicKey
-          }
-        }
-      };
+      const project = (await jiraClient.get(`/project/${projectKey}`)).data;
+      const issueTypes = await loadCreateMeta(projectKey);
       
-      const response = await jiraClient.post('/issue', storyData);
-      console.log(`Story created as sub-task: ${response.data.key}`);
+      if (issueTypes.length === 0) {
+        throw new Error('No issue types found for this project');
+      }
+      
+      // Server and Data Center projects are all company-managed, and /project does not say so
+      const capabilities = detectCapabilities({
+        project: deployment.selfHosted ? { style: 'classic', ...project } : project,
+        issueTypes,
+        jiraFields
+      });
+      const choice = chooseParentingStrategy(capabilities, config.parentingStrategy, needs);
+      describeCapabilities(capabilities, choice).forEach(line => console.log(line));
       
-      // Try to update the description
-      if (story.description) {
-        const updateResult = await updateDescriptionWithADF(response.data.key, story.description);
-        if (updateResult.success) {
-          console.log(`Successfully added description using ${updateResult.format} format`);
+      return { ...capabilities, strategy: choice.strategy };
+    } catch (error) {
+      console.error('Error probing project capabilities:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Loads the project's issue types with the fields on their create screens. Jira Data
+   * Center 9 dropped the expanded /issue/createmeta, so self-hosted sites are asked per
+   * issue type through the endpoints that replaced it.
+   */
+  async function loadCreateMeta(projectKey) {
+    if (!deployment.selfHosted) {
+      const meta = await jiraClient.get(`/issue/createmeta?projectKeys=${projectKey}&expand=projects.issuetypes.fields`);
+      return meta.data.projects[0]?.issuetypes || [];
+    }
+    
+    const types = (await jiraClient.get(`/issue/createmeta/${projectKey}/issuetypes`, { params: { maxResults: 100 } })).data.values || [];
+    const results = await runPool(types, config.concurrency, async issueType => {
+      const fields = {};
+      let startAt = 0;
+      let page;
+      do {
+        page = (await jiraClient.get(`/issue/createmeta/${projectKey}/issuetypes/${issueType.id}`, { params: { startAt, maxResults: 100 } })).data;
+        for (const { fieldId, ...field } of page.values || []) fields[fieldId] = field;
+        startAt += (page.values || []).length;
+      } while (page.isLast === false && (page.values || []).length > 0);
+      return { ...issueType, fields };
+    });
+    throwIfThrottled(results);
+    
+    const failed = results.find(r => r.status === 'rejected');
+    if (failed) throw failed.reason;
+    return results.map(r => r.value);
+  }
+
+  /**
+   * Creates the components items use and the project section declares (`declared`,
+   * see declaredComponents), and brings the description and lead of declared components
+   * that already exist in line
+   */
+  async function createComponents(projectKey, components, declared = []) {
+    const componentNames = [...new Set([...declared.map(c => c.name), ...components])];
+    
+    if (componentNames.length === 0) return [];
+    
+    const existing = new Map(((await jiraClient.get(`/project/${projectKey}/components`)).data || []).map(c => [c.name, c]));
+    
+    // Component leads, for the component-lead user fallback
+    const leads = jiraRun?.componentLeads || new Map();
+    for (const component of existing.values()) {
+      if (component.lead) leads.set(component.name, component.lead);
+    }
+    
+    // Settings of declared components, with their leads looked up
+    const wanted = new Map();
+    for (const component of declared) {
+      const settings = {};
+      if (component.description !== undefined) settings.description = component.description;
+      if (component.lead) {
+        const lead = await findUser(component.lead);
+        if (lead) {
+          Object.assign(settings, userField(lead, 'leadAccountId', 'leadUserName'));
+          leads.set(component.name, lead);
+        } else {
+          console.warn(`No Jira user matches "${component.lead}", component ${component.name} is left without that lead`);
         }
       }
-      
+      wanted.set(component.name, settings);
+    }
+    
+    for (const name of componentNames.filter(n => existing.has(n))) {
+      const component = existing.get(name);
+      const { changes, before } = settingChanges(component, wanted.get(name) || {});
+      if (Object.keys(changes).length === 0) {
+        console.log(`Component ${name} already exists`);
+        continue;
+      }
+      try {
+        await jiraClient.put(`/component/${component.id}`, changes);
+        recordChange({ type: 'component', action: 'update', id: component.id, name, before });
+        console.log(`Updated component: ${name} (${Object.keys(changes).join(', ')})`);
+      } catch (error) {
+        if (isTransientError(error)) throw error;
+        console.warn(`Couldn't update component ${name}: ${describeJiraError(error)}`);
+      }
+    }
+    
+    const missing = componentNames.filter(name => !existing.has(name));
+    if (missing.length === 0) return [];
+    console.log(`Creating ${missing.length} components`);
+    
+    const results = await runPool(missing, config.concurrency, async name => {
+      const response = await jiraClient.post('/component', {
+        name,
+        project: projectKey,
+        description: `PMAC ${name} component`,
+        ...wanted.get(name)
+      });
+      console.log(`Created component: ${name}`);
+      recordChange({ type: 'component', action: 'create', id: response.data.id, name });
       return response.data;
+    });
+    throwIfThrottled(results);
+    
+    // Skip components that could not be created
+    results.forEach((result, index) => {
+      if (result.status === 'rejected') {
+        console.warn(`Couldn't create component ${missing[index]}: ${describeJiraError(result.reason)}`);
+      }
+    });
+    
+    return results.filter(r => r.status === 'fulfilled').map(r => r.value);
+  }
+
+  /**
+   * Loads all Jira fields so PMAC properties can be mapped to custom fields by name
+   */
+  async function loadFieldResolver(fieldMapping = {}) {
+    try {
+      const response = await jiraClient.get('/field');
+      return createFieldResolver(response.data, fieldMapping);
     } catch (error) {
-      console.error(`Could not create as sub-task: ${error.message}`);
-      // Fall through to regular story creation
+      console.warn(`Couldn't load Jira fields, custom fields will not be mapped: ${error.message}`);
+      return createFieldResolver([], fieldMapping);
     }
   }
-  
-  // Regular story creation
-  try {
-    // Use the recommended issue type for stories
-    const storyIssueType = issueTypes.storyType;
-    console.log(`Using issue type: ${storyIssueType.name} for stories`);
-    
-    // Basic issue data
-    const storyData = {
+
+  /**
+   * Adds the mapped PMAC fields (priority, labels, components, assignee, custom fields...) to an issue payload
+   */
+  function applyMappedFields(fields, item, issueType, fieldResolver) {
+    const mapped = buildIssueFields({ ...item, fixVersions: fixVersionsOf(item) }, issueType, fieldResolver, peopleFields(item));
+    Object.assign(fields, mapped.fields);
+    
+    for (const message of describeSkippedFields(item.summary, mapped.skipped)) {
+      console.warn(message);
+    }
+    for (const skipped of mapped.skipped) {
+      noteSkippedField(item, skipped);
+    }
+  }
+
+  /**
+   * Records a PMAC property that could not be set on an item, for the report and the summary
+   */
+  function noteSkippedField(item, skipped) {
+    if (report) report.skipField(pmacId(item), skipped);
+    // A payload can be built twice when bulk creation falls back to a single create
+    if (!skippedFields.some(s => s.summary === item.summary && s.property === skipped.property)) {
+      skippedFields.push({ summary: item.summary, ...skipped });
+    }
+  }
+
+  /**
+   * Builds the create payload for an epic or story: project, summary, issue type,
+   * optional parent, the description (ADF, or wiki markup on Server and Data Center)
+   * and all mapped fields
+   */
+  function buildIssuePayload(item, projectKey, issueType, parentKey, fieldResolver) {
+    const payload = {
       fields: {
         project: {
           key: projectKey
         },
-        summary: story.summary,
+        summary: item.summary,
         issuetype: {
-          id: storyIssueType.id
+          id: issueType.id
         }
       }
     };
-    
-    // Make the API call to create the issue
-    const response = await jiraClient.post('/issue', storyData);
-    console.log(`Story created: ${response.data.key}`);
-    
-    // Try to update the description
-    if (story.description) {
-      const updateResult = await updateDescriptionWithADF(response.data.key, story.description);
-      if (updateResult.success) {
-        console.log(`Successfully added description using ${updateResult.format} format`);
-      }
+    if (parentKey) {
+      payload.fields.parent = { key: parentKey };
     }
-    
-    return response.data;
-  } catch (error) {
-    console.error(`Error creating story "${story.summary}":`, error.message);
-    
-    if (error.response?.data) {
-      console.error('Error details:', JSON.stringify(error.response.data, null, 2));
+    if (item.description) {
+      payload.fields.description = formatDescription(item.description, deployment);
     }
+    applyMappedFields(payload.fields, item, issueType, fieldResolver);
     
-    try {
-      console.log('Retrying with absolute minimal fields...');
-      // Most minimal possible payload
-      const minimalData = {
-        fields: {
-          project: {
-            key: projectKey
-          },
-          summary: story.summary,
-          issuetype: {
-            name: 'Task'  // Most basic issue type
-          }
+    return payload;
+  }
+
+  /**
+   * Creates issues through /issue/bulk in batches of up to 50.
+   * Returns one entry per payload, in order: { issue } when created or { error } with Jira's reason.
+   */
+  async function bulkCreateIssues(payloads) {
+    const results = [];
+    
+    for (let start = 0; start < payloads.length; start += BULK_BATCH_SIZE) {
+      const batch = payloads.slice(start, start + BULK_BATCH_SIZE);
+      console.log(`Creating issues ${start + 1}-${start + batch.length} of ${payloads.length} in bulk`);
+      
+      let data;
+      try {
+        const response = await jiraClient.post('/issue/bulk', { issueUpdates: batch });
+        data = response.data;
+      } catch (error) {
+        if (isTransientError(error)) throw error;
+        
+        // Jira answers 400 with per-item errors when every item in the batch failed
+        if (Array.isArray(error.response?.data?.errors)) {
+          data = error.response.data;
+        } else {
+          console.warn(`Bulk create failed: ${describeJiraError(error)}`);
+          batch.forEach(() => results.push({ error: describeJiraError(error) }));
+          continue;
         }
-      };
+      }
       
-      const retryResponse = await jiraClient.post('/issue', minimalData);
-      console.log(`Story created with minimal fields: ${retryResponse.data.key}`);
-      return retryResponse.data;
-    } catch (retryError) {
-      console.error('Final attempt failed:', retryError.message);
-      return null;
+      // Created issues come back in payload order, skipping the failed elements
+      const failed = new Map((data.errors || []).map(e => [e.failedElementNumber, e]));
+      const created = [...(data.issues || [])];
+      batch.forEach((_, index) => {
+        if (failed.has(index)) {
+          results.push({ error: describeBulkError(failed.get(index)) });
+        } else {
+          results.push({ issue: created.shift() });
+        }
+      });
     }
+    
+    return results;
   }
-}
 
-/**
- * Attempts to link a story to its parent epic using different methods
- */
-async function linkStoryToEpic(storyKey, epicKey) {
-  console.log(`Attempting to link story ${storyKey} to epic ${epicKey}...`);
-  
-  // Different approaches to try for linking
-  const approaches = [
-    // Approach 1: Creating a sub-task relationship
-    {
-      name: "convert-to-subtask",
-      execute: async () => {
-        // Get available issue types
-        const meta = await jiraClient.get(`/issue/createmeta?projectKeys=${config.projectKey}&expand=projects.issuetypes`);
-        const projectMeta = meta.data.projects[0];
+  /**
+   * Creates an epic in Jira, under its initiative when `parentKey` is given
+   */
+  async function createEpic(epic, projectKey, capabilities, fieldResolver, parentKey = null) {
+    console.log(`Creating epic: ${epic.summary}`);
+    
+    try {
+      // Use the recommended issue type for epics
+      const epicIssueType = capabilities.epicType;
+      console.log(`Using issue type: ${epicIssueType.name} for epics`);
+      
+      const epicData = buildIssuePayload(epic, projectKey, epicIssueType, parentKey, fieldResolver);
+      Object.assign(epicData.fields, epicFields(epic, epicIssueType, capabilities));
+      const response = await jiraClient.post('/issue', epicData);
+      console.log(`Epic created: ${response.data.key}`);
+      noteItem(epic, {
+        via: 'single',
+        createPath: createPathOf(epicIssueType, capabilities),
+        issueType: epicIssueType.name,
+        descriptionFormat: epic.description ? deployment.descriptionFormat : undefined
+      });
+      
+      // Save mapping for story linking
+      epicMap.set(epic.summary, response.data.key);
+      
+      return response.data;
+    } catch (error) {
+      console.error(`Error creating epic "${epic.summary}":`, error.message);
+      // Throttling that outlasted the retries is not a reason to try a smaller payload
+      if (isTransientError(error)) throw error;
+      
+      if (error.response?.data) {
+        console.error('Error details:', JSON.stringify(error.response.data, null, 2));
+      }
+      
+      // Try again with minimal fields, keeping the epic type (and the Epic Name it requires) and the parent,
+      // so its stories can still go under it
+      try {
+        console.log('Retrying with minimal fields (priority, labels, components and custom fields are dropped)...');
+        const epicIssueType = capabilities.epicType;
+        const minimalData = {
+          fields: {
+            project: { key: projectKey },
+            summary: epic.summary,
+            issuetype: { id: epicIssueType.id },
+            ...epicFields(epic, epicIssueType, capabilities),
+            ...(parentKey ? { parent: { key: parentKey } } : {})
+          }
+        };
         
-        // Find a Sub-task issue type
-        const subTaskType = projectMeta.issuetypes.find(t => 
-          t.name === 'Sub-task' || 
-          t.name.includes('Subtask') ||
-          t.subtask === true
-        );
+        const retryResponse = await jiraClient.post('/issue', minimalData);
+        console.log(`Epic created with minimal fields: ${retryResponse.data.key}`);
         
-        if (!subTaskType) {
-          throw new Error("No Sub-task issue type found");
-        }
+        // Save mapping for story linking
+        epicMap.set(epic.summary, retryResponse.data.key);
         
-        console.log(`Found Sub-task type: ${subTaskType.name} (${subTaskType.id})`);
+        noteItem(epic, { via: 'single', createPath: 'minimal-fields', issueType: epicIssueType.name, firstError: describeJiraError(error) });
         
-        // Attempt to update the issue type to Sub-task and set parent
-        await jiraClient.put(`/issue/${storyKey}`, {
-          fields: {
-            issuetype: { id: subTaskType.id },
-            parent: { key: epicKey }
-          }
-        });
+        // The minimal payload has no description, so fall back to adding it afterwards
+        if (epic.description) {
+          const update = await updateDescription(retryResponse.data.key, epic.description);
+          noteItem(epic, { descriptionFormat: update.success ? update.format : 'not set' });
+        }
+        
+        return retryResponse.data;
+      } catch (retryError) {
+        console.error('Retry also failed:', retryError.message);
+        noteItem(epic, { status: 'failed', error: `${error.message}; minimal-fields retry: ${retryError.message}` });
+        return null;
       }
-    },
-    
-    // Approach 2: Using issue linking (standard relates)
-    {
-      name: "issue-link-relates",
-      execute: async () => {
-        await jiraClient.post('/issueLink', {
-          type: { name: "Relates" },
-          inwardIssue: { key: storyKey },
-          outwardIssue: { key: epicKey }
-        });
-      }
-    },
+    }
+  }
+
+  /**
+   * Creates a story in Jira, placed under its epic as the parenting strategy says
+   */
+  async function createStory(story, projectKey, capabilities, parentEpicKey, fieldResolver) {
+    console.log(`Creating story: ${story.summary}`);
     
-    // Approach 3: Using issue linking with different relationship types
-    {
-      name: "issue-link-blocks",
-      execute: async () => {
-        await jiraClient.post('/issueLink', {
-          type: { name: "Blocks" },
-          inwardIssue: { key: epicKey },
-          outwardIssue: { key: storyKey }
-        });
+    try {
+      const placement = storyPlacement(capabilities.strategy, capabilities, parentEpicKey);
+      const storyIssueType = placement.issueType;
+      console.log(`Using issue type: ${storyIssueType.name} for stories`);
+      
+      const storyData = buildIssuePayload(story, projectKey, storyIssueType, null, fieldResolver);
+      Object.assign(storyData.fields, placement.fields);
+      
+      // Make the API call to create the issue
+      const response = await jiraClient.post('/issue', storyData);
+      console.log(`Story created: ${response.data.key}`);
+      noteItem(story, {
+        via: 'single',
+        createPath: createPathOf(storyIssueType, capabilities),
+        issueType: storyIssueType.name,
+        descriptionFormat: story.description ? deployment.descriptionFormat : undefined
+      });
+      
+      return response.data;
+    } catch (error) {
+      console.error(`Error creating story "${story.summary}":`, error.message);
+      if (isTransientError(error)) throw error;
+      
+      if (error.response?.data) {
+        console.error('Error details:', JSON.stringify(error.response.data, null, 2));
       }
-    },
-    
-    // Approach 4: Using Epic Link custom field directly if it exists
-    {
-      name: "epic-link-customfield",
-      execute: async () => {
-        // Find all custom fields
-        const fields = await jiraClient.get('/field');
-        const epicLinkField = fields.data.find(f => 
-          f.name === 'Epic Link' || 
-          f.name.includes('Epic') || 
-          f.schema?.custom?.includes('epic')
-        );
-        
-        if (!epicLinkField) {
-          throw new Error("Epic Link field not found");
-        }
-        
-        console.log(`Found Epic Link field: ${epicLinkField.id}`);
-        
-        // Update using the custom field
-        const updateData = {
-          fields: {}
+      
+      try {
+        console.log('Retrying with absolute minimal fields (priority, labels, components and custom fields are dropped)...');
+        // Most minimal possible payload
+        const minimalData = {
+          fields: {
+            project: {
+              key: projectKey
+            },
+            summary: story.summary,
+            issuetype: {
+              id: capabilities.storyType.id
+            }
+          }
         };
-        updateData.fields[epicLinkField.id] = epicKey;
-        
-        await jiraClient.put(`/issue/${storyKey}`, updateData);
-      }
-    },
-    
-    // Approach 5: Recreate as a sub-task if update fails
-    {
-      name: "recreate-as-subtask",
-      execute: async () => {
-        // Get the current story details
-        const storyResp = await jiraClient.get(`/issue/${storyKey}`);
-        const storyData = storyResp.data;
         
-        // Find a Sub-task issue type
-        const meta = await jiraClient.get(`/issue/createmeta?projectKeys=${config.projectKey}&expand=projects.issuetypes`);
-        const projectMeta = meta.data.projects[0];
-        const subTaskType = projectMeta.issuetypes.find(t => 
-          t.name === 'Sub-task' || 
-          t.name.includes('Subtask') ||
-          t.subtask === true
-        );
+        const retryResponse = await jiraClient.post('/issue', minimalData);
+        console.log(`Story created with minimal fields: ${retryResponse.data.key}`);
+        noteItem(story, { via: 'single', createPath: 'minimal-fields', issueType: capabilities.storyType.name, firstError: describeJiraError(error) });
         
-        if (!subTaskType) {
-          throw new Error("No Sub-task issue type found");
+        // The minimal payload has no description, so fall back to adding it afterwards
+        if (story.description) {
+          const update = await updateDescription(retryResponse.data.key, story.description);
+          noteItem(story, { descriptionFormat: update.success ? update.format : 'not set' });
         }
         
-        // Create a new sub-task with the same details
-        const newIssue = await jiraClient.post('/issue', {
+        // Not under its epic yet, the linking step puts it there
+        return { ...retryResponse.data, unplaced: true };
+      } catch (retryError) {
+        console.error('Final attempt failed:', retryError.message);
+        noteItem(story, { status: 'failed', error: `${error.message}; minimal-fields retry: ${retryError.message}` });
+        return null;
+      }
+    }
+  }
+
+  /**
+   * Creates an initiative or sub-task under its parent. When Jira rejects the payload it
+   * is retried with minimal fields, keeping the issue type and parent.
+   */
+  async function createLevelIssue(item, projectKey, issueType, parentKey, fieldResolver, createPath) {
+    console.log(`Creating ${createPath}: ${item.summary}`);
+    
+    try {
+      const response = await jiraClient.post('/issue', buildIssuePayload(item, projectKey, issueType, parentKey, fieldResolver));
+      console.log(`Created ${createPath} ${response.data.key}`);
+      noteItem(item, {
+        via: 'single',
+        createPath,
+        issueType: issueType.name,
+        descriptionFormat: item.description ? deployment.descriptionFormat : undefined
+      });
+      
+      return response.data;
+    } catch (error) {
+      console.error(`Error creating ${createPath} "${item.summary}":`, error.message);
+      if (isTransientError(error)) throw error;
+      
+      if (error.response?.data) {
+        console.error('Error details:', JSON.stringify(error.response.data, null, 2));
+      }
+      
+      try {
+        console.log('Retrying with minimal fields (priority, labels, components and custom fields are dropped)...');
+        const minimalData = {
           fields: {
-            project: { key: config.projectKey },
-            summary: storyData.fields.summary,
-            issuetype: { id: subTaskType.id },
-            parent: { key: epicKey },
-            description: storyData.fields.description
+            project: { key: projectKey },
+            summary: item.summary,
+            issuetype: { id: issueType.id },
+            ...(parentKey ? { parent: { key: parentKey } } : {})
           }
-        });
+        };
         
-        console.log(`Created new sub-task ${newIssue.data.key} from ${storyKey}`);
+        const retryResponse = await jiraClient.post('/issue', minimalData);
+        console.log(`Created ${createPath} ${retryResponse.data.key} with minimal fields`);
+        noteItem(item, { via: 'single', createPath: 'minimal-fields', issueType: issueType.name, firstError: describeJiraError(error) });
         
-        // Optional: add a link to the original issue
-        await jiraClient.post('/issueLink', {
-          type: { name: "Relates" },
-          inwardIssue: { key: newIssue.data.key },
-          outwardIssue: { key: storyKey }
-        });
+        if (item.description) {
+          const update = await updateDescription(retryResponse.data.key, item.description);
+          noteItem(item, { descriptionFormat: update.success ? update.format : 'not set' });
+        }
         
-        return newIssue.data.key; // Return the new key to update the mapping
+        return retryResponse.data;
+      } catch (retryError) {
+        console.error('Retry also failed:', retryError.message);
+        noteItem(item, { status: 'failed', error: `${error.message}; minimal-fields retry: ${retryError.message}` });
+        return null;
       }
-    },
+    }
+  }
+
+  /**
+   * Puts an existing story under its epic with the project's parenting strategy.
+   * Only that one strategy is tried; a failure is reported, never worked around.
+   */
+  async function linkStoryToEpic(storyKey, epicKey, capabilities) {
+    const { strategy } = capabilities;
+    console.log(`Linking story ${storyKey} to epic ${epicKey} (${strategy})...`);
     
-    // Approach 6: Add a label to make them visually connected
-    {
-      name: "add-epic-label",
-      execute: async () => {
-        // Get the epic's summary to use as label
-        const epicResp = await jiraClient.get(`/issue/${epicKey}`);
-        const epicSummary = epicResp.data.fields.summary;
+    try {
+      switch (strategy) {
+        case 'parent':
+        case 'subtask':
+          await jiraClient.put(`/issue/${storyKey}`, { fields: { parent: { key: epicKey } } });
+          recordChange({ type: 'issue', action: 'update', key: storyKey, before: { parent: null } });
+          break;
         
-        // Create a label from epic summary (alphanum only)
-        const epicLabel = `Epic_${epicKey.replace(/-/g, '_')}`;
+        case 'epic-link': {
+          const fieldId = capabilities.epicLinkField.id;
+          await jiraClient.put(`/issue/${storyKey}`, { fields: { [fieldId]: epicKey } });
+          recordChange({ type: 'issue', action: 'update', key: storyKey, before: { [fieldId]: null } });
+          break;
+        }
         
-        await jiraClient.put(`/issue/${storyKey}`, {
-          update: {
-            labels: [{ add: epicLabel }]
-          }
-        });
+        case 'relates':
+          await jiraClient.post('/issueLink', {
+            type: { name: 'Relates' },
+            inwardIssue: { key: storyKey },
+            outwardIssue: { key: epicKey }
+          });
+          recordChange({ type: 'issueLink', action: 'create', linkType: 'Relates', inward: storyKey, outward: epicKey });
+          break;
+        
+        case 'label': {
+          const label = epicLabel(epicKey);
+          await jiraClient.put(`/issue/${storyKey}`, { update: { labels: [{ add: label }] } });
+          recordChange({ type: 'label', action: 'add', key: storyKey, label });
+          break;
+        }
+        
+        default:
+          return { success: false, strategy };
       }
-    }
-  ];
-  
-  // Try each approach
-  for (const approach of approaches) {
-    try {
-      console.log(`Trying ${approach.name} approach...`);
-      const result = await approach.execute();
-      console.log(`Success! ${approach.name} approach worked.`);
       
-      return {
-        success: true,
-        approach: approach.name,
-        newKey: result // In case we created a new issue
-      };
+      return { success: true, strategy };
     } catch (error) {
-      console.log(`${approach.name} approach failed: ${error.message}`);
+      if (isTransientError(error)) throw error;
+      console.warn(`Couldn't link ${storyKey} to ${epicKey} with the ${strategy} strategy: ${error.message}`);
       if (error.response?.data) {
-        console.log(`Error details: ${JSON.stringify(error.response.data, null, 2)}`);
+        console.warn(`Error details: ${JSON.stringify(error.response.data, null, 2)}`);
       }
+      return { success: false, strategy, error: error.message };
     }
   }
-  
-  // If we get here, all attempts failed
-  console.log(`All approaches to link story ${storyKey} to epic ${epicKey} failed`);
-  return {
-    success: false
-  };
-}
 
-/**
- * Helper function to try different Atlassian Document Format approaches
- */
-async function updateDescriptionWithADF(issueKey, description) {
-  console.log(`Attempting to update description for ${issueKey} with ADF format...`);
-  
-  // Different ADF formats to try
-  const formatOptions = [
-    // Option 1: Update API with set operation (recommended approach)
-    {
-      name: "update-set-operation",
-      payload: {
-        update: {
-          description: [
-            {
-              set: {
-                type: "doc",
-                version: 1,
-                content: [
-                  {
-                    type: "paragraph",
-                    content: [
-                      {
-                        type: "text",
-                        text: description
-                      }
-                    ]
-                  }
-                ]
-              }
-            }
-          ]
+  /**
+   * Loads the site's issue link types, or none when they cannot be read
+   */
+  async function loadLinkTypes() {
+    try {
+      const response = await jiraClient.get('/issueLinkType');
+      return response.data.issueLinkTypes || [];
+    } catch (error) {
+      if (isTransientError(error)) throw error;
+      console.warn(`Couldn't load issue link types, item links will not be created: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Creates the issue links items declare with dependsOn, blocks, relatesTo and duplicates,
+   * once all issues exist. Links the issues already have are left alone, and a link declared
+   * from both of its items is created once. `keyById` maps PMAC IDs to imported issue keys,
+   * `existingByKey` holds the previously imported issues with their issuelinks.
+   * Returns { created, failed } with the number of links of each.
+   */
+  async function createItemLinks(entries, keyById, existingByKey) {
+    const linkTypes = resolveLinkTypes(await loadLinkTypes());
+    const resolve = createItemIndex(entries, pmacId);
+    const outcomesById = new Map();
+    const pending = new Map();
+
+    for (const entry of entries) {
+      const links = itemLinks(entry.item);
+      if (links.length === 0) continue;
+      const itemKey = keyById.get(entry.id);
+
+      outcomesById.set(entry.id, links.map(({ field, ref }) => {
+        const outcome = { field, target: ref };
+        const linkType = linkTypes[field];
+        const target = resolve(ref);
+        const otherKey = target.entry && keyById.get(target.entry.id);
+        if (!linkType) return Object.assign(outcome, { status: 'failed', error: describeMissingLinkType(field) });
+        if (target.error) return Object.assign(outcome, { status: 'failed', error: target.error });
+        if (!itemKey) return Object.assign(outcome, { status: 'failed', error: 'the item was not imported' });
+        if (!otherKey) return Object.assign(outcome, { status: 'failed', error: `"${ref}" was not imported` });
+
+        const ends = linkEnds(linkType, itemKey, otherKey);
+        Object.assign(outcome, { key: otherKey, type: linkType.name });
+        if (hasLink(existingByKey.get(ends.source), linkType, ends) || hasLink(existingByKey.get(ends.target), linkType, ends)) {
+          return Object.assign(outcome, { status: 'already' });
         }
+
+        const signature = linkSignature(linkType, ends);
+        if (checkpoint?.hasLink(signature)) return Object.assign(outcome, { status: 'already' });
+        if (!pending.has(signature)) pending.set(signature, { linkType, ends, outcomes: [] });
+        pending.get(signature).outcomes.push(outcome);
+        return outcome;
+      }));
+    }
+
+    const toCreate = [...pending.values()];
+    if (toCreate.length > 0) console.log(`Creating ${toCreate.length} issue links...`);
+    const results = await runPool(toCreate, config.concurrency, async ({ linkType, ends }) => {
+      await jiraClient.post('/issueLink', linkRequest(linkType, ends));
+      recordChange({ type: 'issueLink', action: 'create', linkType: linkType.name, inward: ends.source, outward: ends.target });
+      if (checkpoint) checkpoint.recordLink(linkSignature(linkType, ends));
+    });
+    throwIfThrottled(results);
+
+    results.forEach((result, index) => {
+      const { linkType, ends, outcomes } = toCreate[index];
+      if (result.status === 'rejected') {
+        console.warn(`Couldn't link ${ends.source} to ${ends.target} (${linkType.name}): ${result.reason.message}`);
       }
-    },
+      outcomes.forEach(outcome => Object.assign(outcome, result.status === 'fulfilled'
+        ? { status: 'created' }
+        : { status: 'failed', error: result.reason.message }));
+    });
+
+    const all = [...outcomesById.values()].flat();
+    for (const [id, outcomes] of outcomesById) {
+      if (report) report.note(id, { issueLinks: outcomes });
+      outcomes.filter(o => o.status === 'failed' && !o.key).forEach(o => console.warn(`${id}: ${o.field} "${o.target}" not linked: ${o.error}`));
+    }
+
+    return {
+      created: results.filter(r => r.status === 'fulfilled').length,
+      failed: all.filter(o => o.status === 'failed').length
+    };
+  }
+
+  /**
+   * Helper function to try different description formats: ADF approaches on Jira Cloud,
+   * wiki markup on Server and Data Center
+   */
+  async function updateDescription(issueKey, description) {
+    const adf = deployment.descriptionFormat === 'adf';
+    console.log(`Attempting to update description for ${issueKey} with ${adf ? 'ADF format' : 'wiki markup'}...`);
     
-    // Option 2: Direct field update with ADF
-    {
-      name: "direct-field-update",
-      payload: {
-        fields: {
-          description: {
-            type: "doc",
-            version: 1,
-            content: [
+    // Different formats to try
+    const formatOptions = [
+      // Option 1: Update API with set operation using the converted document (recommended approach)
+      {
+        name: "update-set-operation",
+        payload: {
+          update: {
+            description: [
               {
+                set: formatDescription(description, deployment)
+              }
+            ]
+          }
+        }
+      },
+      
+      // Option 2: Direct field update with the converted document
+      {
+        name: "direct-field-update",
+        payload: {
+          fields: {
+            description: formatDescription(description, deployment)
+          }
+        }
+      },
+      
+      // Option 3: Split into multiple paragraphs (ADF only)
+      {
+        name: "multi-paragraph",
+        adfOnly: true,
+        payload: {
+          fields: {
+            description: {
+              type: "doc",
+              version: 1,
+              content: description.split("\n\n").map(para => ({
                 type: "paragraph",
                 content: [
                   {
                     type: "text",
-                    text: description
+                    text: para
                   }
                 ]
-              }
-            ]
+              }))
+            }
           }
         }
-      }
-    },
-    
-    // Option 3: Split into multiple paragraphs
-    {
-      name: "multi-paragraph",
-      payload: {
-        fields: {
-          description: {
-            type: "doc",
-            version: 1,
-            content: description.split("\n\n").map(para => ({
-              type: "paragraph",
-              content: [
-                {
-                  type: "text",
-                  text: para
-                }
-              ]
-            }))
+      },
+      
+      // Option 4: Simple plain text (some Jira instances accept this)
+      {
+        name: "plain-text",
+        payload: {
+          fields: {
+            description: description
           }
         }
       }
-    },
+    ];
     
-    // Option 4: Simple plain text (some Jira instances accept this)
-    {
-      name: "plain-text",
-      payload: {
-        fields: {
-          description: description
+    // Try each format option
+    for (const option of formatOptions.filter(o => adf || !o.adfOnly)) {
+      try {
+        console.log(`Trying ${option.name} format...`);
+        await jiraClient.put(`/issue/${issueKey}`, option.payload);
+        console.log(`Success! ${option.name} format worked.`);
+        return {
+          success: true,
+          format: option.name
+        };
+      } catch (error) {
+        console.log(`${option.name} format failed: ${error.message}`);
+        if (isTransientError(error)) throw error;
+        if (error.response?.data) {
+          console.log(`Error details: ${JSON.stringify(error.response.data, null, 2)}`);
         }
       }
+      
+      // Small delay between attempts
+      await delay(200);
     }
-  ];
-  
-  // Try each format option
-  for (const option of formatOptions) {
-    try {
-      console.log(`Trying ${option.name} format...`);
-      await jiraClient.put(`/issue/${issueKey}`, option.payload);
-      console.log(`Success! ${option.name} format worked.`);
-      return {
-        success: true,
-        format: option.name
-      };
-    } catch (error) {
-      console.log(`${option.name} format failed: ${error.message}`);
-      if (error.response?.data) {
-        console.log(`Error details: ${JSON.stringify(error.response.data, null, 2)}`);
-      }
+    
+    // If we get here, all attempts failed
+    console.log(`All description update attempts failed for ${issueKey}`);
+    return {
+      success: false
+    };
+  }
+
+  /**
+   * Runs a JQL search through every page of results, with the deployment's search endpoint
+   */
+  async function searchIssues(params) {
+    const issues = [];
+    let cursor;
+    do {
+      const response = await jiraClient.get(searchUrl(deployment, params, cursor));
+      issues.push(...(response.data.issues || []));
+      cursor = nextSearchCursor(deployment, response.data);
+    } while (cursor !== undefined);
+    return issues;
+  }
+
+  /**
+   * Fields of the issue records imports work from
+   */
+  function recordFields(extraFields = []) {
+    return RESTORABLE_FIELDS.concat('status', 'issuetype', 'issuelinks', extraFields).join(',');
+  }
+
+  /**
+   * Finds issues previously imported into the project, keyed by PMAC ID
+   */
+  async function findPmacIssues(projectKey, extraFields = []) {
+    const found = new Map();
+    const issues = await searchIssues({
+      jql: `project = "${projectKey}"`,
+      fields: recordFields(extraFields),
+      properties: PMAC_PROPERTY,
+      maxResults: '100'
+    });
+    for (const issue of issues) {
+      const id = issue.properties?.[PMAC_PROPERTY]?.id;
+      if (id) found.set(id, issue);
     }
     
-    // Small delay between attempts
-    await delay(200);
+    console.log(`Found ${found.size} previously imported issues in ${projectKey}`);
+    return found;
   }
-  
-  // If we get here, all attempts failed
-  console.log(`All description update attempts failed for ${issueKey}`);
-  return {
-    success: false
-  };
-}
 
-/**
- * Helper function to delay execution
- */
-function delay(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
+  /**
+   * Stores the PMAC ID on a Jira issue so later runs can find it. Failures are left to
+   * the caller: an issue without its PMAC ID would be created again by the next run.
+   */
+  async function tagIssue(issueKey, id, runId = journal?.runId) {
+    // The run ID lets `undo` confirm an issue was created by that run before deleting it
+    await jiraClient.put(`/issue/${issueKey}/properties/${PMAC_PROPERTY}`, { id, importRun: runId });
+  }
 
-/**
- * Main import function
- */
-async function importToJira() {
-  try {
-    console.log('PMAC to Jira Import Starting');
-    console.log(`Jira Host: ${config.jiraHost}`);
-    console.log(`Project: ${config.projectKey}`);
-    
-    // Load PMAC data
-    const { epics, stories } = loadPmacData();
-    
-    // 1. Create project
-    const project = await createProject();
-    
-    // 2. Get issue types to use
-    console.log('\n=== Analyzing Issue Types ===');
-    const issueTypes = await getIssueTypes(project.key);
-    console.log(`Will use ${issueTypes.epicType.name} for epics, ${issueTypes.storyType.name} for stories` + 
-                (issueTypes.subtaskType ? `, and ${issueTypes.subtaskType.name} for subtasks` : ''));
-    
-    // 3. Extract unique components
-    const componentNames = [...new Set([
-      ...epics.map(e => e.component).filter(Boolean),
-      ...stories.map(s => s.component).filter(Boolean)
-    ])];
-    
-    // 4. Create components if any exist
-    if (componentNames.length > 0) {
+  /**
+   * Updates a previously imported issue with the current summary, labels, description and parent
+   */
+  async function updateIssue(existing, item, parentKey, issueType, fieldResolver) {
+    // Items a resumed run finished before it stopped, unchanged since, keep their fields; only their parent is checked
+    const resumed = Boolean(checkpoint?.isCompleted(pmacId(item), inputHash(item)));
+    if (resumed) console.log(`Skipping ${existing.key}, done before the interruption: ${item.summary}`);
+    if (report) report.begin(pmacId(item));
+    
+    let changed = [];
+    if (!resumed) {
+      const fields = {
+        summary: item.summary
+      };
+      if (item.description) {
+        fields.description = formatDescription(item.description, deployment);
+      }
+      applyMappedFields(fields, item, issueType, fieldResolver);
+      
+      const keptLabels = (existing.fields?.labels || []).filter(l => IMPORTER_LABEL_PATTERN.test(l));
+      fields.labels = [...new Set([...(item.labels || []), ...keptLabels])];
+      
       try {
-        await createComponents(project.key, componentNames);
+        // Only fields that differ are sent, so an unchanged issue gets no history entries or notifications.
+        // Custom fields are not part of the search results and are read first.
+        const unread = Object.keys(fields).filter(id => !(id in (existing.fields || {})));
+        const current = unread.length > 0
+          ? { ...existing.fields, ...(await jiraClient.get(`/issue/${existing.key}`, { params: { fields: unread.join(',') } })).data.fields }
+          : existing.fields;
+        const changes = changedFields(fields, current);
+        changed = Object.keys(changes);
+        if (changed.length > 0) {
+          await jiraClient.put(`/issue/${existing.key}`, { fields: changes });
+          recordChange({ type: 'issue', action: 'update', key: existing.key, before: restorableFields(current, changed) });
+          console.log(`Updated ${existing.key} (${changed.join(', ')}): ${item.summary}`);
+        }
       } catch (error) {
-        console.warn('Component creation failed, continuing without components:', error.message);
+        if (isTransientError(error)) throw error;
+        console.error(`Error updating ${existing.key}:`, error.message);
+        if (error.response?.data) {
+          console.error('Error details:', JSON.stringify(error.response.data, null, 2));
+        }
+        noteItem(item, { status: 'failed', key: existing.key, error: describeJiraError(error) });
+        return null;
       }
-    } else {
-      console.log('No components to create');
     }
     
-    // 5. Create all epics
-    console.log('\n=== Creating Epics ===');
-    const createdEpics = [];
-    for (const epic of epics) {
-      const result = await createEpic(epic, project.key, issueTypes);
-      if (result) createdEpics.push(result);
-      await delay(300); // Avoid rate limiting
+    // Move the issue under its (possibly changed) parent
+    let parentSet = false;
+    if (parentKey) {
+      if (existing.fields?.parent?.key === parentKey) {
+        parentSet = true;
+      } else {
+        try {
+          await jiraClient.put(`/issue/${existing.key}`, { fields: { parent: { key: parentKey } } });
+          recordChange({ type: 'issue', action: 'update', key: existing.key, before: restorableFields(existing.fields, ['parent']) });
+          console.log(`Moved ${existing.key} under ${parentKey}`);
+          parentSet = true;
+          changed.push('parent');
+        } catch (error) {
+          if (isTransientError(error)) throw error;
+          console.warn(`Couldn't set parent of ${existing.key} to ${parentKey}: ${error.message}`);
+        }
+      }
     }
     
-    // 6. Create all stories with parent links where possible
-    console.log('\n=== Creating Stories ===');
-    const createdStories = [];
+    // Issues with no field or parent changed are reported as unchanged, not updated
+    const status = resumed ? 'resumed' : changed.length > 0 ? 'updated' : 'unchanged';
+    if (status === 'unchanged') console.log(`${existing.key} is up to date: ${item.summary}`);
+    if (resumed) noteItem(item, { status, key: existing.key, issueType: issueType.name });
+    else noteItem(item, { status, key: existing.key, issueType: issueType.name, descriptionFormat: item.description ? deployment.descriptionFormat : undefined });
     
-    for (const story of stories) {
-      // Try to find parent epic key if available
-      let parentEpicKey = null;
-      if (story.epicLink && epicMap.has(story.epicLink)) {
-        parentEpicKey = epicMap.get(story.epicLink);
+    return {
+      key: existing.key,
+      parentSet,
+      status
+    };
+  }
+
+  /**
+   * Creates PMAC items through /issue/bulk, falling back to a single create (with its
+   * own fallbacks) for every item the bulk request rejected, then stores their PMAC IDs.
+   * `pathOf(item)` names the create path of a bulk-created item for the report.
+   * Returns { item, issue } for each item that was created.
+   */
+  async function createInBulk(items, buildPayload, createSingle, label, pathOf) {
+    if (items.length === 0) return [];
+    
+    if (report) items.forEach(item => report.begin(pmacId(item)));
+    const results = await bulkCreateIssues(items.map(buildPayload));
+    const created = [];
+    
+    for (const [index, result] of results.entries()) {
+      const item = items[index];
+      if (result.issue) {
+        console.log(`Created ${label} ${result.issue.key}: ${item.summary}`);
+        noteItem(item, { via: 'bulk', ...pathOf(item), descriptionFormat: item.description ? deployment.descriptionFormat : undefined });
+        noteItem(item, { status: 'created', key: result.issue.key || result.issue.id });
+        created.push({ item, issue: result.issue });
+      } else {
+        console.error(`Bulk create failed for ${label} "${item.summary}": ${result.error}`);
+        noteItem(item, { bulkError: result.error });
+        const issue = await createSingle(item);
+        if (issue) {
+          noteItem(item, { status: 'created', key: issue.key || issue.id });
+          created.push({ item, issue });
+        }
       }
-      
-      const response = await createStory(story, project.key, issueTypes, parentEpicKey);
-      
-      if (response) {
-        createdStories.push({
-          key: response.key || response.id,
-          epicLink: story.epicLink,
-          linkedAsSubtask: Boolean(parentEpicKey && issueTypes.hierarchySupported)
-        });
+    }
+    
+    for (const { item, issue } of created) {
+      recordChange({ type: 'issue', action: 'create', key: issue.key, id: issue.id, summary: item.summary, pmacId: pmacId(item) });
+    }
+    
+    const tagResults = await runPool(created, config.concurrency, ({ item, issue }) => tagIssue(issue.key, pmacId(item)));
+    throwIfThrottled(tagResults);
+    
+    // The issue exists either way, so its children still go under it, but a later run cannot find it
+    tagResults.forEach((result, index) => {
+      const { item, issue } = created[index];
+      if (result.status === 'fulfilled') {
+        noteItem(item, { tagged: true });
+        return;
       }
-      
-      await delay(300); // Avoid rate limiting
+      const error = `created as ${issue.key}, but its PMAC ID could not be stored: ${describeJiraError(result.reason)}`;
+      console.error(`${label} "${item.summary}" was ${error}`);
+      noteItem(item, { status: 'failed', key: issue.key, error, tagged: false });
+    });
+    
+    return created;
+  }
+
+  /**
+   * Works out the parent issue an item is created or updated under: { key }, or
+   * { error } when its parent is missing or the parent field cannot be set
+   */
+  function parentOf(entry, issueType, keyById) {
+    if (!entry?.parentId) return {};
+    const key = keyById.get(entry.parentId);
+    if (!key) return { error: `its ${levelName(entry.parent.level)} "${entry.parent.item.summary}" was not imported` };
+    if (!isOnScreen('parent', issueType)) return { error: `the parent field is not on the ${issueType.name} create screen` };
+    return { key };
+  }
+
+  /**
+   * Records in the report how an item ended up under its parent (stories report their epic link instead)
+   */
+  function noteParent(item, parent, outcome) {
+    if (!parent.key && !parent.error) return;
+    noteItem(item, { parent: parent.key ? { key: parent.key, ...outcome } : { status: 'failed', error: parent.error } });
+  }
+
+  /**
+   * Updates and creates the items of one hierarchy level above epics or below stories
+   * (initiatives, sub-tasks), each under its parent's issue. `keyById` maps PMAC IDs
+   * to the keys of imported issues and gains the keys of this level.
+   * Returns { created, updated, unchanged } with the items of each.
+   */
+  async function importLevel(entries, level, projectKey, capabilities, existingIssues, keyById, fieldResolver) {
+    const name = levelName(level);
+    const issueType = issueTypeAtLevel(capabilities, level);
+    if (!issueType) {
+      const reason = level === SUBTASK_LEVEL ? 'the project has no sub-task issue type' : `the project has no issue type at hierarchy level ${level}`;
+      console.warn(`Skipping ${entries.length} ${name}s: ${reason}`);
+      entries.forEach(entry => noteItem(entry.item, { status: 'failed', error: reason }));
+      return { created: [], updated: [], unchanged: [] };
     }
     
-    // 7. Link any remaining stories to epics that weren't created as subtasks
-    const storiesNeedingLinks = createdStories.filter(s => !s.linkedAsSubtask && s.epicLink);
+    const parents = new Map(entries.map(entry => [entry.id, parentOf(entry, issueType, keyById)]));
+    // Sub-tasks cannot exist without their parent; items above epics are created on their own
+    const orphans = level === SUBTASK_LEVEL ? entries.filter(entry => !parents.get(entry.id).key) : [];
+    orphans.forEach(entry => noteItem(entry.item, { status: 'failed', error: `Not created: ${parents.get(entry.id).error}` }));
+    const placeable = entries.filter(entry => !orphans.includes(entry));
     
-    if (storiesNeedingLinks.length > 0) {
-      console.log(`\n=== Linking ${storiesNeedingLinks.length} Stories to Epics ===`);
-      
-      for (const story of storiesNeedingLinks) {
-        if (story.epicLink && epicMap.has(story.epicLink)) {
-          const epicKey = epicMap.get(story.epicLink);
-          
-          // Try to link the story to its epic
-          const linkResult = await linkStoryToEpic(story.key, epicKey);
-          
-          // If the linking method created a new issue (like recreate-as-subtask),
-          // we need to update our mapping
-          if (linkResult.success && linkResult.newKey) {
-            console.log(`Story ${story.key} was recreated as sub-task ${linkResult.newKey}`);
-          }
+    const updates = await runPool(placeable.filter(entry => existingIssues.has(entry.id)), config.concurrency, async entry => {
+      const existing = existingIssues.get(entry.id);
+      const parent = parents.get(entry.id);
+      const result = await updateIssue(existing, entry.item, parent.key, issueTypeOf(existing, capabilities), fieldResolver);
+      if (!result) return null;
+      keyById.set(entry.id, result.key);
+      const status = existing.fields?.parent?.key === parent.key ? 'already' : 'moved';
+      noteParent(entry.item, parent, result.parentSet ? { status } : { status: 'failed', error: 'the parent could not be changed' });
+      return { item: entry.item, status: result.status };
+    });
+    throwIfThrottled(updates);
+    
+    const newEntries = placeable.filter(entry => !existingIssues.has(entry.id));
+    const createPath = createPathOf(issueType, capabilities);
+    const created = await createInBulk(
+      newEntries.map(entry => entry.item),
+      item => buildIssuePayload(item, projectKey, issueType, parents.get(pmacId(item)).key, fieldResolver),
+      item => createLevelIssue(item, projectKey, issueType, parents.get(pmacId(item)).key, fieldResolver, createPath),
+      name,
+      () => ({ createPath, issueType: issueType.name })
+    );
+    for (const { item, issue } of created) {
+      keyById.set(pmacId(item), issue.key);
+      noteParent(item, parents.get(pmacId(item)), { status: 'on-create' });
+    }
+    
+    return {
+      created: created.map(({ item }) => item),
+      ...splitUpdates(updates.map(r => r.value).filter(Boolean))
+    };
+  }
+
+  /**
+   * Closes or deletes imported issues that no longer exist in the PMAC file
+   */
+  async function pruneIssues(issues, mode) {
+    const pruned = [];
+    
+    for (const issue of issues) {
+      try {
+        if (mode === 'delete') {
+          await jiraClient.delete(`/issue/${issue.key}?deleteSubtasks=true`);
+          console.log(`Deleted ${issue.key}`);
+          recordChange({ type: 'issue', action: 'delete', key: issue.key, summary: issue.fields?.summary });
+        } else if (mode === 'close') {
+          const transitions = await jiraClient.get(`/issue/${issue.key}/transitions`);
+          const done = transitions.data.transitions?.find(t => t.to?.statusCategory?.key === 'done');
+          if (!done) throw new Error('No transition to a done status available');
           
-          await delay(300); // Avoid rate limiting
+          await jiraClient.post(`/issue/${issue.key}/transitions`, { transition: { id: done.id } });
+          console.log(`Closed ${issue.key} (${done.name})`);
+          recordChange({ type: 'issue', action: 'close', key: issue.key, summary: issue.fields?.summary });
         }
+        pruned.push(issue.key);
+      } catch (error) {
+        console.warn(`Couldn't ${mode} ${issue.key}: ${error.message}`);
+      }
+      
+      await delay(100);
+    }
+    
+    return pruned;
+  }
+
+  /**
+   * Request options that send a request to the Jira Agile API instead of REST v3
+   */
+  function agileApi(options = {}) {
+    return { ...options, baseURL: `${config.jiraHost}${AGILE_API}` };
+  }
+
+  /**
+   * Request options that send a request to the board configuration API
+   */
+  function boardConfigApi(options = {}) {
+    return { ...options, baseURL: `${config.jiraHost}${BOARD_CONFIG_API}` };
+  }
+
+  /**
+   * Finds the board sprints are created on: the configured board, the Scrum board the
+   * project section declares, or the project's Scrum board, creating one (and the
+   * filter behind it) when there is none
+   */
+  async function findOrCreateBoard(projectKey) {
+    if (config.boardId) {
+      const board = (await jiraClient.get(`/board/${config.boardId}`, agileApi())).data;
+      console.log(`Using board ${board.name} (${board.id})`);
+      return board;
+    }
+    if (jiraRun?.board?.type === 'scrum') return jiraRun.board;
+    
+    const response = await jiraClient.get('/board', agileApi({ params: { projectKeyOrId: projectKey, type: 'scrum' } }));
+    const existing = response.data.values || [];
+    if (existing.length > 0) {
+      if (existing.length > 1) console.log(`Project has ${existing.length} Scrum boards, set JIRA_BOARD_ID to pick another`);
+      console.log(`Using board ${existing[0].name} (${existing[0].id})`);
+      return existing[0];
+    }
+    
+    return createBoard(projectKey, { name: `${projectKey} board`, type: 'scrum', jql: `project = "${projectKey}" ORDER BY Rank ASC` });
+  }
+
+  /**
+   * Creates a board of the project and the filter behind it: { name, type, jql }
+   */
+  async function createBoard(projectKey, { name, type, jql }) {
+    // A board shows the issues of a saved filter, which must be ordered by Rank for ranking to work
+    const filter = (await jiraClient.post('/filter', { name: `${name} filter`, jql })).data;
+    recordChange({ type: 'filter', action: 'create', id: filter.id, name: `${name} filter` });
+    
+    const board = (await jiraClient.post('/board', {
+      name,
+      type,
+      filterId: Number(filter.id),
+      location: { type: 'project', projectKeyOrId: projectKey }
+    }, agileApi())).data;
+    recordChange({ type: 'board', action: 'create', id: board.id, name });
+    console.log(`Created ${type === 'kanban' ? 'Kanban' : 'Scrum'} board ${name} (${board.id})`);
+    return board;
+  }
+
+  /**
+   * Creates the board the project section declares (see boardSettings), or brings the
+   * project's board of that name in line: the JQL of its filter and its columns
+   */
+  async function ensureBoard(projectKey, settings) {
+    const response = await jiraClient.get('/board', agileApi({ params: { projectKeyOrId: projectKey, name: settings.name } }));
+    let board = (response.data.values || []).find(b => b.name === settings.name);
+    
+    if (board) {
+      console.log(`Using board ${board.name} (${board.id})`);
+      if (board.type !== settings.type) {
+        console.warn(`Board ${board.name} is a ${board.type} board, not ${settings.type}; Jira cannot change the type of a board`);
       }
     } else {
-      console.log('\n=== All stories already linked as subtasks ===');
+      board = await createBoard(projectKey, settings);
     }
     
-    // 8. Print summary
-    console.log('\n✅ Import completed successfully!');
-    console.log(`View your project at: ${config.jiraHost}/projects/${project.key}`);
+    const configuration = (await jiraClient.get(`/board/${board.id}/configuration`, agileApi())).data;
+    if (configuration.filter?.id) await updateBoardFilter(board, configuration.filter.id, settings.jql);
+    if (settings.columns.length > 0) await updateBoardColumns(board, projectKey, configuration.columnConfig?.columns, settings.columns);
+    return board;
+  }
+
+  /**
+   * Sets the JQL of the filter behind a board, when it differs
+   */
+  async function updateBoardFilter(board, filterId, jql) {
+    const filter = (await jiraClient.get(`/filter/${filterId}`)).data;
+    if (filter.jql === jql) return;
+    
+    await jiraClient.put(`/filter/${filterId}`, { name: filter.name, jql });
+    recordChange({ type: 'filter', action: 'update', id: filterId, name: filter.name, before: { name: filter.name, jql: filter.jql } });
+    console.log(`Updated the filter of board ${board.name}: ${jql}`);
+  }
+
+  /**
+   * Sets the columns of a board, with the statuses the PMAC file names, when they differ.
+   * Team-managed boards cannot be configured through the API, which is reported.
+   */
+  async function updateBoardColumns(board, projectKey, current = [], columns) {
+    // Columns name their statuses, the configuration API takes status IDs
+    const statusIds = new Map();
+    for (const issueType of (await jiraClient.get(`/project/${projectKey}/statuses`)).data || []) {
+      for (const status of issueType.statuses || []) statusIds.set(status.name.toLowerCase(), String(status.id));
+    }
+    const unknown = [...new Set(columns.flatMap(column => column.statuses || []))].filter(name => !statusIds.has(name.toLowerCase()));
+    if (unknown.length > 0) {
+      console.warn(`Project ${projectKey} has no status ${unknown.map(name => `"${name}"`).join(', ')}, leaving the columns of board ${board.name} as they are`);
+      return;
+    }
     
-    console.log('\n=== Import Summary ===');
-    console.log(`Created ${createdEpics.length} epics using ${issueTypes.epicType.name} issue type`);
-    console.log(`Created ${createdStories.length} stories`);
-    console.log(`- ${createdStories.filter(s => s.linkedAsSubtask).length} created as subtasks`);
-    console.log(`- ${storiesNeedingLinks.length} linked using alternate methods`);
+    const wanted = columns.map(column => ({ name: column.name, statusIds: (column.statuses || []).map(name => statusIds.get(name.toLowerCase())) }));
+    if (sameColumns(current, wanted)) return;
     
-    return {
-      success: true,
-      projectKey: project.key,
-      epicsCreated: createdEpics.length,
-      storiesCreated: createdStories.length
-    };
-  } catch (error) {
-    console.error('Import failed:', error.message);
-    if (error.stack) {
-      console.error(error.stack);
+    try {
+      await jiraClient.put('/rapidviewconfig/columns', columnsPayload(board.id, wanted), boardConfigApi());
+      const before = current.map(column => ({ name: column.name, statusIds: (column.statuses || []).map(status => String(status.id)) }));
+      recordChange({ type: 'board', action: 'update', id: board.id, name: board.name, before: { columns: before } });
+      console.log(`Set the columns of board ${board.name}: ${wanted.map(column => column.name).join(', ')}`);
+    } catch (error) {
+      if (isTransientError(error)) throw error;
+      console.warn(`Couldn't set the columns of board ${board.name}, set them on the board instead: ${describeJiraError(error)}`);
     }
-    return {
-      success: false,
-      error: error.message
-    };
   }
-}
 
-// If this file is run directly (not imported), execute the import
-if (require.main === module) {
-  importToJira().then(result => {
-    if (!result.success) {
-      process.exit(1);
+  /**
+   * Reads every sprint of a board, keyed by name
+   */
+  async function findSprints(boardId) {
+    const sprints = new Map();
+    let startAt = 0;
+    let isLast = false;
+    
+    while (!isLast) {
+      const response = await jiraClient.get(`/board/${boardId}/sprint`, agileApi({ params: { startAt, maxResults: 50 } }));
+      const values = response.data.values || [];
+      values.forEach(sprint => sprints.set(sprint.name, sprint));
+      startAt += values.length;
+      isLast = response.data.isLast !== false || values.length === 0;
     }
-  });
-}
+    
+    return sprints;
+  }
 
-// Export functions for testing or programmatic use
-module.exports = {
-  importToJira,
-  createProject,
-  getIssueTypes,
-  createComponents,
-  createEpic,
-  createStory,
-  linkStoryToEpic,
-  updateDescriptionWithADF
-};
\ No newline at end of file
+  /**
+   * Creates the PMAC sprints missing from the board and updates the goal and dates of
+   * open ones. Returns the Jira sprint for each PMAC sprint name that exists.
+   */
+  async function syncSprints(board, sprints) {
+    const existing = await findSprints(board.id);
+    const synced = new Map();
+    
+    // One at a time, so new sprints line up on the board in file order
+    for (const sprint of sprints) {
+      const current = existing.get(sprint.name);
+      try {
+        if (!current) {
+          const created = (await jiraClient.post('/sprint', { ...sprintSettings(sprint), originBoardId: board.id }, agileApi())).data;
+          recordChange({ type: 'sprint', action: 'create', id: created.id, name: sprint.name });
+          console.log(`Created sprint ${sprint.name} (${created.id})`);
+          synced.set(sprint.name, created);
+        } else if (current.state === 'closed') {
+          console.warn(`Sprint ${sprint.name} is closed, stories cannot be moved into it`);
+          synced.set(sprint.name, current);
+        } else {
+          const changes = sprintChanges(current, sprint);
+          if (Object.keys(changes).length > 0) {
+            await jiraClient.post(`/sprint/${current.id}`, changes, agileApi());
+            const before = Object.fromEntries(Object.keys(changes).map(key => [key, current[key] ?? null]));
+            recordChange({ type: 'sprint', action: 'update', id: current.id, name: sprint.name, before });
+            console.log(`Updated sprint ${sprint.name} (${Object.keys(changes).join(', ')})`);
+          }
+          synced.set(sprint.name, { ...current, ...changes });
+        }
+      } catch (error) {
+        if (isTransientError(error)) throw error;
+        console.warn(`Couldn't create or update sprint ${sprint.name}: ${error.message}`);
+      }
+    }
+    
+    return synced;
+  }
+
+  /**
+   * Moves stories into their sprints and ranks them in file order. `assignments` maps
+   * sprint names to story keys; `existingByKey` holds issues from earlier runs, whose
+   * Sprint field (`sprintFieldId`) tells which are already in place.
+   * Returns the outcome for each story key: { name, status, error }.
+   */
+  async function assignStoriesToSprints(assignments, jiraSprints, existingByKey, sprintFieldId) {
+    const outcomes = new Map();
+    
+    for (const [name, keys] of assignments) {
+      const sprint = jiraSprints.get(name);
+      const fail = (list, error) => list.forEach(key => outcomes.set(key, { name, status: 'failed', error }));
+      if (!sprint) {
+        fail(keys, 'the sprint could not be created');
+        continue;
+      }
+      if (sprint.state === 'closed') {
+        fail(keys, 'the sprint is closed');
+        continue;
+      }
+      
+      const currentSprintOf = key => (existingByKey.has(key) ? openSprintOf(existingByKey.get(key), sprintFieldId) : null);
+      const toMove = keys.filter(key => currentSprintOf(key)?.id !== sprint.id);
+      keys.filter(key => !toMove.includes(key)).forEach(key => outcomes.set(key, { name, status: 'already' }));
+      
+      for (const batch of agileBatches(toMove)) {
+        try {
+          await jiraClient.post(`/sprint/${sprint.id}/issue`, { issues: batch }, agileApi());
+          for (const key of batch) {
+            outcomes.set(key, { name, status: 'added' });
+            // Issues created by this run are deleted on undo, so only moves of existing ones are journaled
+            if (existingByKey.has(key)) {
+              const before = currentSprintOf(key);
+              recordChange({ type: 'sprintIssue', action: 'move', key, sprintId: sprint.id, before: { sprintId: before?.id ?? null, sprintName: before?.name } });
+            }
+          }
+          console.log(`Moved ${batch.length} stories into sprint ${name}`);
+        } catch (error) {
+          if (isTransientError(error)) throw error;
+          console.warn(`Couldn't move stories into sprint ${name}: ${error.message}`);
+          fail(batch, error.message);
+        }
+      }
+      
+      // Rank each batch after the story before it, so the sprint follows the file order
+      const placed = keys.filter(key => outcomes.get(key).status !== 'failed');
+      for (const [index, batch] of agileBatches(placed.slice(1)).entries()) {
+        const rankAfterIssue = placed[index * AGILE_BATCH_SIZE];
+        try {
+          await jiraClient.put('/issue/rank', { issues: batch, rankAfterIssue }, agileApi());
+        } catch (error) {
+          if (isTransientError(error)) throw error;
+          console.warn(`Couldn't rank stories in sprint ${name}: ${error.message}`);
+        }
+      }
+    }
+    
+    return outcomes;
+  }
+
+  /**
+   * Starts a phase of the run in its report and checkpoint
+   */
+  function startPhase(name) {
+    report.phase(name);
+    if (checkpoint) checkpoint.phase(name);
+  }
+
+  /**
+   * The checkpoint an interrupted run left that this run continues, or null. With
+   * `options.resume` that is the project's checkpoint, unless the input changed since
+   * (which `options.force` accepts); otherwise it is replaced, keeping only the issues
+   * whose PMAC ID could not be stored.
+   */
+  function resumableCheckpoint(backend, data, options) {
+    const inputFile = options.inputFile || DEFAULT_INPUT_FILE;
+    const hash = inputHash(data);
+    const previous = loadCheckpoint(config.checkpointDir, checkpointTarget(backend));
+    
+    if (options.resume && !previous) {
+      console.log(`No interrupted import of ${backend.project} to resume, starting from the beginning`);
+    } else if (options.resume && previous.inputHash !== hash && !options.force) {
+      throw new Error(`${inputFile} changed since the interrupted ${describeCheckpoint(previous)}; pass --force to resume anyway, or run without --resume to start over`);
+    } else if (options.resume) {
+      console.log(`Resuming ${describeCheckpoint(previous)}${previous.inputHash !== hash ? ' (with a changed input, as forced)' : ''}`);
+    } else if (previous && untaggedKeys(previous.items).length > 0) {
+      // Only the checkpoint knows these issues, so they carry over to be found, tagged and updated
+      const untagged = Object.fromEntries(Object.entries(previous.items).filter(([, item]) => item.key && item.tagged === false));
+      console.warn(`Starting over, which drops the checkpoint of the interrupted ${describeCheckpoint(previous)} (pass --resume to continue it), ` +
+        `except for ${Object.keys(untagged).length} issues without their PMAC ID: ${Object.values(untagged).map(item => item.key).join(', ')}`);
+      return { ...previous, items: untagged, links: [] };
+    } else if (previous) {
+      console.warn(`Starting over, which drops the checkpoint of the interrupted ${describeCheckpoint(previous)} (pass --resume to continue it)`);
+    }
+    return options.resume ? previous : null;
+  }
+
+  /**
+   * The project a backend's checkpoint belongs to
+   */
+  function checkpointTarget(backend) {
+    return { backend: backend.name, host: backend.host, projectKey: backend.project };
+  }
+
+  /**
+   * Removes the checkpoint of a run that left nothing to retry, or keeps it for --resume
+   */
+  function closeCheckpoint(reportData, success) {
+    if (!checkpoint) return;
+    const { failed = 0, pending = 0, issueLinksFailed = 0, attachmentsFailed = 0, remoteLinksFailed = 0 } = reportData?.totals || {};
+    // Issues without their PMAC ID are only known to the checkpoint; dropping it would get them created again
+    const untagged = checkpoint.untagged();
+    if (success && failed + pending + issueLinksFailed + attachmentsFailed + remoteLinksFailed + untagged.length === 0) {
+      checkpoint.remove();
+    } else {
+      if (untagged.length > 0) console.warn(`${untagged.length} issues have no PMAC ID yet (${untagged.join(', ')}); the checkpoint keeps them so the next run does not create them again`);
+      console.log(`Run the import again with --resume to retry what did not finish (checkpoint: ${checkpoint.file})`);
+    }
+    checkpoint = null;
+  }
+
+  /**
+   * Ends the run's report and writes it to the requested files: { json, junit, html }
+   */
+  function finishReport(outcome, files) {
+    if (!report) return undefined;
+    
+    const data = report.finish(outcome);
+    try {
+      writeReports(data, files);
+    } catch (error) {
+      console.warn(`Couldn't write the import report: ${error.message}`);
+    }
+    return data;
+  }
+
+  /**
+   * Helper function to delay execution
+   */
+  function delay(ms) {
+    if (jiraClient.dryRun) return Promise.resolve();
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  // State of the running import on the Jira side, from startJiraRun() to endJiraRun()
+  let jiraRun = null;
+
+  /**
+   * Starts an import run against Jira. Dry runs swap in a client that records requests
+   * against `options.issueTypeProfile` instead of sending them.
+   */
+  function startJiraRun(data, options = {}) {
+    jiraRun = {
+      liveClient: jiraClient,
+      issueTypeProfile: options.issueTypeProfile || DEFAULT_ISSUE_TYPE_PROFILE,
+      fieldMapping: data.fieldMapping,
+      // The project section of the PMAC file, and the board it declares once found or created
+      projectSection: data.project || {},
+      board: null,
+      // Team members by ID, the IDs items name and, once probed, their Jira users
+      team: new Map((data.team || []).map(member => [member.id, member])),
+      teamIds: referencedMembers(walkHierarchy(data).map(entry => entry.item)),
+      // Versions of the PMAC releases by name, once created or found: { id, status, error }
+      releases: null,
+      // Whether any item attaches files, so issue records include their attachments
+      attachments: walkHierarchy(data).some(entry => (entry.item.attachments || []).length > 0),
+      users: null,
+      // Leads of the project's components by name, for the component-lead user fallback
+      componentLeads: new Map(),
+      fieldResolver: null,
+      capabilities: null,
+      sprintField: null,
+      // Story results of the run: { id, key, item, epicLink, linked, created }
+      stories: []
+    };
+    if (options.dryRun) {
+      jiraClient = createPlanClient(jiraRun.issueTypeProfile);
+      epicMap.clear();
+      userCache.clear();
+    }
+  }
+
+  /**
+   * Ends a Jira run, putting the live client back after a dry run
+   */
+  function endJiraRun() {
+    // Users a dry run found are made up by the plan client
+    if (jiraClient.dryRun) userCache.clear();
+    if (jiraRun) jiraClient = jiraRun.liveClient;
+    jiraRun = null;
+  }
+
+  /**
+   * Loads the Jira fields and probes the project. `needs` describes the PMAC file:
+   * { subtasks, sprints }.
+   */
+  async function probeJiraProject(projectKey, needs) {
+    // Resolve custom fields (story points, declared mappings) by display name
+    jiraRun.fieldResolver = await loadFieldResolver(jiraRun.fieldMapping);
+    jiraRun.capabilities = await probeCapabilities(projectKey, jiraRun.fieldResolver.fields, needs);
+    jiraRun.sprintField = needs.sprints ? findSprintField(jiraRun.fieldResolver.fields) : null;
+    jiraRun.users = await resolveTeam(jiraRun.team, jiraRun.teamIds);
+    return jiraRun.capabilities;
+  }
+
+  /**
+   * Creates or finds the project, with the board the project section declares
+   */
+  async function prepareJiraProject() {
+    await ensureDeployment();
+    const project = await createProject(jiraRun.projectSection);
+    const board = boardSettings(jiraRun.projectSection, project.key);
+    if (board) jiraRun.board = await ensureBoard(project.key, board);
+    return { ...project, url: `${config.jiraHost}/projects/${project.key}` };
+  }
+
+  /**
+   * Creates the project's missing components, carrying on without them when that fails
+   */
+  async function ensureJiraComponents(projectKey, names) {
+    try {
+      await createComponents(projectKey, names, declaredComponents(jiraRun.projectSection));
+    } catch (error) {
+      console.warn('Component creation failed, continuing without components:', error.message);
+    }
+  }
+
+  /**
+   * Creates the project versions of the PMAC releases, and updates the description,
+   * dates and released flag of versions that already exist. Returns a Map of release
+   * name to { id, status, error }, with status 'created', 'updated', 'already' or
+   * 'failed'; items of releases without a version are imported without that fix version.
+   */
+  async function ensureJiraReleases(projectKey, releases) {
+    const project = (await jiraClient.get(`/project/${projectKey}`)).data;
+    const existing = new Map(((await jiraClient.get(`/project/${projectKey}/versions`)).data || []).map(v => [v.name, v]));
+    const outcomes = new Map();
+    
+    // One at a time, so new versions line up in roadmap order
+    for (const release of releases) {
+      const current = existing.get(release.name);
+      try {
+        if (!current) {
+          const created = (await jiraClient.post('/version', { ...versionSettings(release), projectId: Number(project.id) })).data;
+          recordChange({ type: 'version', action: 'create', id: created.id, name: release.name });
+          console.log(`Created release ${release.name} (${created.id})`);
+          outcomes.set(release.name, { id: created.id, status: 'created' });
+          continue;
+        }
+        const { changes, before } = settingChanges(current, versionSettings(release));
+        if (Object.keys(changes).length === 0) {
+          console.log(`Release ${release.name} already exists`);
+          outcomes.set(release.name, { id: current.id, status: 'already' });
+          continue;
+        }
+        await jiraClient.put(`/version/${current.id}`, changes);
+        recordChange({ type: 'version', action: 'update', id: current.id, name: release.name, before });
+        console.log(`Updated release ${release.name} (${Object.keys(changes).join(', ')})`);
+        outcomes.set(release.name, { id: current.id, status: 'updated' });
+      } catch (error) {
+        if (isTransientError(error)) throw error;
+        console.warn(`Couldn't create or update release ${release.name}: ${describeJiraError(error)}`);
+        outcomes.set(release.name, { id: current?.id, status: 'failed', error: describeJiraError(error) });
+      }
+    }
+    
+    if (jiraRun) jiraRun.releases = outcomes;
+    return outcomes;
+  }
+
+  /**
+   * Finds the issues of earlier runs, with the Epic Link and Sprint fields when the run uses them
+   */
+  async function findJiraItems(projectKey, recorded = new Map()) {
+    const extraFields = [jiraRun?.capabilities?.epicLinkField?.id, jiraRun?.sprintField?.id, jiraRun?.attachments && 'attachment'].filter(Boolean);
+    const found = await findPmacIssues(projectKey, extraFields);
+    
+    // Issues a checkpoint recorded that the search does not list: too new for the search
+    // index, or never given their PMAC ID. Deleted ones are created again.
+    const missing = [...recorded].filter(([id]) => !found.has(id));
+    const results = await runPool(missing, config.concurrency, async ([id, { key, run }]) => {
+      try {
+        const issue = (await jiraClient.get(`/issue/${key}`, { params: { fields: recordFields(extraFields), properties: PMAC_PROPERTY } })).data;
+        if (issue.properties?.[PMAC_PROPERTY]?.id !== id) {
+          await tagIssue(key, id, run);
+          checkpoint?.recordItem(id, { tagged: true });
+        }
+        return issue;
+      } catch (error) {
+        if (error.response?.status === 404) return null;
+        throw error;
+      }
+    });
+    throwIfThrottled(results);
+    
+    const failed = results.find(result => result.status === 'rejected');
+    if (failed) throw failed.reason;
+    results.forEach((result, index) => {
+      if (result.value) found.set(missing[index][0], result.value);
+      else console.warn(`${missing[index][1].key}, recorded for ${missing[index][0]}, no longer exists and is created again`);
+    });
+    if (missing.length > 0) console.log(`Found ${results.filter(result => result.value).length} more through the checkpoint`);
+    return found;
+  }
+
+  /**
+   * Updates existing epics, then creates new ones in bulk, under their initiatives
+   */
+  async function importEpics(entries, { projectKey, existing, keyById }) {
+    const { capabilities, fieldResolver } = jiraRun;
+    const epics = entries.map(entry => entry.item);
+    const existingEpics = epics.filter(epic => existing.has(pmacId(epic)));
+    const newEpics = epics.filter(epic => !existing.has(pmacId(epic)));
+    const epicParents = new Map(entries.map(entry => [entry.id, parentOf(entry, capabilities.epicType, keyById)]));
+    
+    const epicUpdates = await runPool(existingEpics, config.concurrency, async epic => {
+      const issue = existing.get(pmacId(epic));
+      const parent = epicParents.get(pmacId(epic));
+      epicMap.set(epic.summary, issue.key);
+      const result = await updateIssue(issue, epic, parent.key, issueTypeOf(issue, capabilities), fieldResolver);
+      if (!result) return null;
+      const status = issue.fields?.parent?.key === parent.key ? 'already' : 'moved';
+      noteParent(epic, parent, result.parentSet ? { status } : { status: 'failed', error: 'the parent could not be changed' });
+      return { item: epic, status: result.status };
+    });
+    throwIfThrottled(epicUpdates);
+    
+    const createdEpics = await createInBulk(
+      newEpics,
+      epic => {
+        const payload = buildIssuePayload(epic, projectKey, capabilities.epicType, epicParents.get(pmacId(epic)).key, fieldResolver);
+        Object.assign(payload.fields, epicFields(epic, capabilities.epicType, capabilities));
+        return payload;
+      },
+      epic => createEpic(epic, projectKey, capabilities, fieldResolver, epicParents.get(pmacId(epic)).key),
+      'epic',
+      () => ({ createPath: createPathOf(capabilities.epicType, capabilities), issueType: capabilities.epicType.name })
+    );
+    for (const { item, issue } of createdEpics) {
+      epicMap.set(item.summary, issue.key);
+      const parent = epicParents.get(pmacId(item));
+      noteParent(item, parent, issue.unplaced ? { status: 'failed', error: 'created with minimal fields, without its parent' } : { status: 'on-create' });
+    }
+    
+    // Stories may refer to epics by id as well as by summary
+    for (const epic of epics) {
+      if (!epicMap.has(epic.summary)) continue;
+      epicMap.set(pmacId(epic), epicMap.get(epic.summary));
+      keyById.set(pmacId(epic), epicMap.get(epic.summary));
+    }
+    
+    return {
+      created: createdEpics.map(({ item }) => item),
+      ...splitUpdates(epicUpdates.map(r => r.value).filter(Boolean))
+    };
+  }
+
+  /**
+   * Updates existing stories, then creates new ones in bulk, placed under their epics
+   * where the parenting strategy allows
+   */
+  async function importStories(entries, { projectKey, existing, keyById }) {
+    const { capabilities, fieldResolver } = jiraRun;
+    const { strategy } = capabilities;
+    const stories = entries.map(entry => entry.item);
+    const parentKeyOf = story => (story.epicLink && epicMap.get(story.epicLink)) || null;
+    // The parent field is set by updates and creates; other strategies are applied in the linking step
+    const usesParentField = strategy === 'parent' || strategy === 'subtask';
+    const placedOnCreate = usesParentField || strategy === 'epic-link';
+    const existingStories = stories.filter(story => existing.has(pmacId(story)));
+    const newStories = stories.filter(story => !existing.has(pmacId(story)));
+    
+    const storyUpdates = await runPool(existingStories, config.concurrency, async story => {
+      const issue = existing.get(pmacId(story));
+      const epicKey = parentKeyOf(story);
+      const result = await updateIssue(issue, story, usesParentField ? epicKey : null, issueTypeOf(issue, capabilities), fieldResolver);
+      return result && {
+        id: pmacId(story),
+        key: result.key,
+        item: story,
+        epicLink: story.epicLink,
+        linked: usesParentField ? result.parentSet : Boolean(epicKey && isUnderEpic(issue, epicKey, strategy, capabilities)),
+        created: false,
+        status: result.status
+      };
+    });
+    throwIfThrottled(storyUpdates);
+    const updatedStories = storyUpdates.map(r => r.value).filter(Boolean);
+    
+    const createdStories = (await createInBulk(
+      newStories,
+      story => {
+        const placement = storyPlacement(strategy, capabilities, parentKeyOf(story));
+        const payload = buildIssuePayload(story, projectKey, placement.issueType, null, fieldResolver);
+        Object.assign(payload.fields, placement.fields);
+        return payload;
+      },
+      story => createStory(story, projectKey, capabilities, parentKeyOf(story), fieldResolver),
+      'story',
+      story => {
+        const { issueType } = storyPlacement(strategy, capabilities, parentKeyOf(story));
+        return { createPath: createPathOf(issueType, capabilities), issueType: issueType.name };
+      }
+    )).map(({ item, issue }) => ({
+      id: pmacId(item),
+      key: issue.key || issue.id,
+      item,
+      epicLink: item.epicLink,
+      linked: Boolean(placedOnCreate && parentKeyOf(item) && !issue.unplaced),
+      created: true
+    }));
+    
+    jiraRun.stories = [...createdStories, ...updatedStories];
+    jiraRun.stories.forEach(story => keyById.set(story.id, story.key));
+    
+    return {
+      created: createdStories.map(story => story.item),
+      ...splitUpdates(updatedStories)
+    };
+  }
+
+  /**
+   * Updates and creates the Jira issues of one hierarchy level
+   */
+  async function importJiraLevel(level, entries, context) {
+    const { capabilities, fieldResolver } = jiraRun;
+    let result;
+    if (level === EPIC_LEVEL) result = await importEpics(entries, context);
+    else if (level === STORY_LEVEL) result = await importStories(entries, context);
+    else result = await importLevel(entries, level, context.projectKey, capabilities, context.existing, context.keyById, fieldResolver);
+    
+    await addWatchers(entries.map(entry => entry.item), context.keyById);
+    return result;
+  }
+
+  /**
+   * Adds the watchers items name to their issues, leaving out users who already watch them
+   */
+  async function addWatchers(items, keyById) {
+    const watched = items.filter(item => (item.watchers || []).length > 0 && keyById.has(pmacId(item)));
+    
+    const results = await runPool(watched, config.concurrency, async item => {
+      const key = keyById.get(pmacId(item));
+      const current = (await jiraClient.get(`/issue/${key}/watchers`)).data.watchers || [];
+      for (const id of item.watchers) {
+        const user = jiraRun.users.get(id);
+        if (!user) {
+          noteSkippedField(item, { property: 'watchers', field: 'Watchers', reason: `no Jira user found for team member "${id}"` });
+          continue;
+        }
+        if (current.some(watcher => sameUser(watcher, user))) continue;
+        
+        // The body is the bare account ID (or username) as a JSON string
+        const ref = deployment.selfHosted ? user.name : user.accountId;
+        await jiraClient.post(`/issue/${key}/watchers`, JSON.stringify(ref), { headers: { 'Content-Type': 'application/json' } });
+        recordChange({ type: 'watcher', action: 'add', key, user: ref, member: id });
+      }
+    });
+    throwIfThrottled(results);
+    
+    results.forEach((result, index) => {
+      if (result.status === 'rejected') {
+        console.warn(`Couldn't add watchers to ${keyById.get(pmacId(watched[index]))}: ${describeJiraError(result.reason)}`);
+      }
+    });
+  }
+
+  /**
+   * Uploads the files items attach and adds their web links as remote links, once all
+   * issues exist. Files are matched to the issue's attachments by name and links to its
+   * remote links by URL, so re-runs upload nothing twice and only update links whose
+   * title or icon changed. Returns { attachments, remoteLinks, failed } with the number
+   * of files uploaded, links added or updated, and of those that failed.
+   */
+  async function attachJiraResources(entries, context) {
+    const existingByKey = issuesByKey(context.existing);
+    const targets = entries.filter(entry => hasResources(entry.item) && context.keyById.has(entry.id));
+    const outcomes = targets.map(entry => ({
+      attachments: itemAttachments(entry.item).map(({ filename }) => ({ file: filename, status: 'pending' })),
+      remoteLinks: itemWebLinks(entry.item).map(({ url, title }) => ({ url, title, status: 'pending' }))
+    }));
+    
+    const results = await runPool(targets, config.concurrency, async (entry, index) => {
+      const key = context.keyById.get(entry.id);
+      const existing = existingByKey.get(key);
+      const { attachments, remoteLinks } = outcomes[index];
+      
+      const attached = new Set((existing?.fields?.attachment || []).map(attachment => attachment.filename));
+      for (const [position, { file, filename }] of itemAttachments(entry.item).entries()) {
+        const outcome = attachments[position];
+        if (attached.has(filename)) {
+          outcome.status = 'already';
+          continue;
+        }
+        try {
+          const form = new FormData();
+          form.append('file', new Blob([fs.readFileSync(file)]), filename);
+          const response = await jiraClient.post(`/issue/${key}/attachments`, form, { headers: ATTACHMENT_HEADERS });
+          const uploaded = (response.data || []).find(attachment => attachment.filename === filename) || response.data?.[0] || {};
+          recordChange({ type: 'attachment', action: 'add', key, id: uploaded.id, filename });
+          outcome.status = 'uploaded';
+        } catch (error) {
+          if (isTransientError(error)) throw error;
+          Object.assign(outcome, { status: 'failed', error: error.response ? describeJiraError(error) : error.message });
+        }
+      }
+      
+      // New issues have no remote links yet
+      const links = itemWebLinks(entry.item);
+      const current = links.length > 0 && existing ? (await jiraClient.get(`/issue/${key}/remotelink`)).data || [] : [];
+      for (const [position, link] of links.entries()) {
+        const outcome = remoteLinks[position];
+        const found = current.find(remote => remote.object?.url === link.url);
+        const before = found && { title: found.object.title, icon: found.object.icon?.url16x16 || null };
+        if (found && before.title === link.title && before.icon === link.icon) {
+          outcome.status = 'already';
+          continue;
+        }
+        try {
+          if (found) {
+            await jiraClient.put(`/issue/${key}/remotelink/${found.id}`, remoteLinkPayload(link));
+            recordChange({ type: 'remoteLink', action: 'update', key, id: found.id, url: link.url, before });
+            outcome.status = 'updated';
+          } else {
+            const response = await jiraClient.post(`/issue/${key}/remotelink`, remoteLinkPayload(link));
+            recordChange({ type: 'remoteLink', action: 'add', key, id: response.data?.id, url: link.url });
+            outcome.status = 'added';
+          }
+        } catch (error) {
+          if (isTransientError(error)) throw error;
+          Object.assign(outcome, { status: 'failed', error: describeJiraError(error) });
+        }
+      }
+    });
+    throwIfThrottled(results);
+    
+    results.forEach((result, index) => {
+      const { attachments, remoteLinks } = outcomes[index];
+      if (result.status === 'rejected') {
+        const error = result.reason.response ? describeJiraError(result.reason) : result.reason.message;
+        console.warn(`Couldn't add the attachments and links of ${context.keyById.get(targets[index].id)}: ${error}`);
+        [...attachments, ...remoteLinks].filter(o => o.status === 'pending').forEach(o => Object.assign(o, { status: 'failed', error }));
+      }
+      [...attachments, ...remoteLinks].filter(o => o.status === 'failed' && result.status === 'fulfilled')
+        .forEach(o => console.warn(`${targets[index].id}: ${o.file || o.url} not added: ${o.error}`));
+      if (report) {
+        report.note(targets[index].id, {
+          ...(attachments.length > 0 ? { attachments } : {}),
+          ...(remoteLinks.length > 0 ? { remoteLinks } : {})
+        });
+      }
+    });
+    
+    const all = outcomes.flatMap(o => [...o.attachments, ...o.remoteLinks]);
+    return {
+      attachments: outcomes.flatMap(o => o.attachments).filter(o => o.status === 'uploaded').length,
+      remoteLinks: outcomes.flatMap(o => o.remoteLinks).filter(o => ['added', 'updated'].includes(o.status)).length,
+      failed: all.filter(o => o.status === 'failed').length
+    };
+  }
+
+  /**
+   * Previously imported issues by key, with their links and sprints
+   */
+  function issuesByKey(existing) {
+    return new Map([...existing.values()].map(issue => [issue.key, issue]));
+  }
+
+  /**
+   * Links the stories that are not yet under their epic with the parenting strategy,
+   * and records how each story ended up under its epic
+   */
+  async function placeStoriesUnderEpics() {
+    const { capabilities, stories } = jiraRun;
+    const { strategy } = capabilities;
+    const storiesNeedingLinks = strategy === 'none' ? [] : stories.filter(s => !s.linked && s.epicLink && epicMap.has(s.epicLink));
+    let linked = 0;
+    let linkResults = [];
+    
+    if (storiesNeedingLinks.length > 0) {
+      console.log(`\n=== Linking ${storiesNeedingLinks.length} Stories to Epics (${strategy}) ===`);
+      
+      linkResults = await runPool(storiesNeedingLinks, config.concurrency, story =>
+        linkStoryToEpic(story.key, epicMap.get(story.epicLink), capabilities));
+      throwIfThrottled(linkResults);
+      linked = linkResults.filter(r => r.value?.success).length;
+    } else if (strategy === 'none') {
+      console.log('\n=== Stories are not linked to epics (parenting strategy "none") ===');
+    } else {
+      console.log('\n=== All stories already under their epics ===');
+    }
+    
+    const linkResultOf = new Map(storiesNeedingLinks.map((story, index) => [story.id, linkResults[index]]));
+    for (const story of stories) {
+      if (!story.epicLink) continue;
+      
+      let link;
+      if (strategy === 'none') {
+        link = { strategy, status: 'skipped' };
+      } else if (!epicMap.has(story.epicLink)) {
+        link = { strategy, status: 'failed', error: 'the epic was not imported' };
+      } else if (story.linked) {
+        link = { strategy, status: story.created ? 'on-create' : 'already' };
+      } else {
+        const result = linkResultOf.get(story.id);
+        link = result?.value?.success
+          ? { strategy, status: 'linked' }
+          : { strategy, status: 'failed', error: result?.value?.error || result?.reason?.message };
+      }
+      noteItem(story.item, { epicLink: story.epicLink, link });
+    }
+    
+    return {
+      placedOnCreate: stories.filter(s => s.created && s.linked).length,
+      linked,
+      needed: storiesNeedingLinks.length
+    };
+  }
+
+  /**
+   * Creates the sprints on the project's board and moves stories into them, in file order.
+   * Returns the outcome for each story key.
+   */
+  async function planJiraSprints(sprints, stories, { projectKey, existing, keyById }) {
+    let outcomes = new Map();
+    try {
+      const board = await findOrCreateBoard(projectKey);
+      const jiraSprints = await syncSprints(board, sprints);
+      const assignments = sprintAssignments(stories, story => keyById.get(pmacId(story)));
+      outcomes = await assignStoriesToSprints(assignments, jiraSprints, issuesByKey(existing), jiraRun.sprintField?.id);
+    } catch (error) {
+      if (isTransientError(error)) throw error;
+      console.warn(`Sprint planning failed, stories stay in the backlog: ${error.message}`);
+      for (const story of stories.filter(s => s.sprint && keyById.has(pmacId(s)))) {
+        outcomes.set(keyById.get(pmacId(story)), { name: story.sprint, status: 'failed', error: error.message });
+      }
+    }
+    return outcomes;
+  }
+
+  /**
+   * Ends a dry run: the recorded requests as a plan, formatted against the issue-type profile
+   */
+  function finishJiraPlan(projectKey, options = {}) {
+    const plan = {
+      projectKey,
+      generatedAt: new Date().toISOString(),
+      requests: jiraClient.requests
+    };
+    if (options.planFile) writePlan(options.planFile, plan);
+    return { plan, text: formatPlan(plan.requests, jiraRun.issueTypeProfile.issueTypes) };
+  }
+
+  /**
+   * Checks whether a Jira project exists
+   */
+  async function jiraProjectExists(projectKey) {
+    await ensureDeployment();
+    try {
+      await jiraClient.get(`/project/${projectKey}`);
+      return true;
+    } catch (error) {
+      if (error.response?.status !== 404) throw error;
+      return false;
+    }
+  }
+
+  // The Jira backend adapter, for Cloud, Server and Data Center (see tracker-backend.js)
+  const jiraBackend = {
+    name: 'jira',
+    title: 'Jira',
+    get host() {
+      return config.jiraHost;
+    },
+    get project() {
+      return config.projectKey;
+    },
+    startRun: startJiraRun,
+    endRun: endJiraRun,
+    prepareProject: prepareJiraProject,
+    probe: probeJiraProject,
+    ensureComponents: ensureJiraComponents,
+    ensureReleases: ensureJiraReleases,
+    findImported: findJiraItems,
+    describeRecord: issue => ({ key: issue.key, summary: issue.fields?.summary }),
+    browseUrl: key => `${config.jiraHost}/browse/${key}`,
+    importLevel: importJiraLevel,
+    createItemLinks: (entries, context) => createItemLinks(entries, context.keyById, issuesByKey(context.existing)),
+    attachResources: attachJiraResources,
+    placeUnderEpics: placeStoriesUnderEpics,
+    planSprints: planJiraSprints,
+    pruneItems: pruneIssues,
+    finishPlan: finishJiraPlan,
+    projectExists: jiraProjectExists,
+    undoStep
+  };
+
+  // Backend adapter for GitHub Issues, built by configure() when PMAC_BACKEND is github
+  let githubBackend = null;
+
+  // What adapters built by the importer use to journal and report their work
+  const backendHooks = {
+    recordChange,
+    noteItem,
+    beginItem: item => {
+      if (report) report.begin(pmacId(item));
+    },
+    skipField: noteSkippedField,
+    runId: () => journal?.runId
+  };
+
+  /**
+   * The backend adapter imports go through: the one given to createImporter, or the
+   * one for the configured backend (Jira unless PMAC_BACKEND says otherwise)
+   */
+  function activeBackend() {
+    if (setup.backend) return checkBackend(setup.backend);
+    if (config.backend === 'github') return githubBackend;
+    if (!config.backend || config.backend === 'jira') return jiraBackend;
+    throw new Error(`Unknown backend "${config.backend}" (use ${Object.keys(BACKENDS).join(' or ')})`);
+  }
+
+  /**
+   * Main import function
+   *
+   * Reads `options.inputFile` (default ./pmac-jira-import-json.json), rendering templates
+   * with `options.variables`, and imports it through the active backend adapter, Jira
+   * unless configured otherwise.
+   * With `options.dryRun` no request reaches the tracker: requests are recorded (for Jira,
+   * against `options.issueTypeProfile`) and returned as a plan (also written to
+   * `options.planFile`, and printed unless `options.printPlan` is false).
+   * The per-item report is returned and written to `options.reportFiles` ({ json, junit, html }).
+   * `success` says the run went through; `complete` that it also left nothing failed or pending.
+   */
+  async function importToJira(options = {}) {
+    const backend = activeBackend();
+    
+    try {
+      console.log(options.dryRun ? `PMAC to ${backend.title} Import Plan (dry run)` : `PMAC to ${backend.title} Import Starting`);
+      console.log(`${backend.title} Host: ${backend.host}`);
+      console.log(`Project: ${backend.project}`);
+      
+      // Load PMAC data, flattening nested children into the levels they are created at
+      const data = loadPmacData(options.inputFile, options.variables);
+      const { sprints = [], releases = [] } = data;
+      const hierarchy = flattenHierarchy(data, pmacId);
+      const { epics, stories, initiatives, subtasks } = hierarchy;
+      const entryById = new Map(hierarchy.entries.map(entry => [entry.id, entry]));
+      skippedFields.length = 0;
+      backend.startRun(data, options);
+      
+      // Journal everything this run creates or changes, so it can be undone, and keep its progress for --resume
+      if (!options.dryRun) {
+        const resumeFrom = resumableCheckpoint(backend, data, options);
+        journal = createJournal(config.journalDir, {
+          backend: backend.name,
+          host: backend.host,
+          projectKey: backend.project,
+          inputFile: options.inputFile || DEFAULT_INPUT_FILE
+        });
+        console.log(`Run ID: ${journal.runId} (journal: ${journal.file})`);
+        checkpoint = createCheckpoint(config.checkpointDir, checkpointTarget(backend), {
+          inputFile: options.inputFile || DEFAULT_INPUT_FILE,
+          inputHash: inputHash(data),
+          runId: journal.runId
+        }, resumeFrom);
+      }
+      
+      report = createReport({
+        runId: journal?.runId,
+        backend: backend.name,
+        host: backend.host,
+        projectKey: backend.project,
+        inputFile: options.inputFile || DEFAULT_INPUT_FILE,
+        dryRun: Boolean(options.dryRun)
+      });
+      report.addItems(initiatives.map(entry => entry.item), 'initiative', pmacId);
+      report.addItems(epics, 'epic', pmacId);
+      report.addItems(stories, 'story', pmacId);
+      report.addItems(subtasks.map(entry => entry.item), 'sub-task', pmacId);
+      
+      // 1. Create the project, or find it
+      startPhase('project');
+      const project = await backend.prepareProject();
+      
+      // 2. Work out what the project supports and how stories are put under epics
+      startPhase('capabilities');
+      console.log('\n=== Probing Project Capabilities ===');
+      const { strategy } = await backend.probe(project.key, { subtasks: subtasks.length > 0, sprints: sprints.length > 0 });
+      
+      // 3. Extract unique components, along with those the project section declares
+      const componentNames = [...new Set([
+        ...declaredComponents(data.project).map(c => c.name),
+        ...hierarchy.entries.map(e => e.item.component).filter(Boolean)
+      ])];
+      
+      // 4. Create components if any exist
+      startPhase('components');
+      if (componentNames.length > 0) {
+        await backend.ensureComponents(project.key, componentNames);
+      } else {
+        console.log('No components to create');
+      }
+      
+      // 5. Create the releases as project versions, so items can name them as fix versions
+      let releaseOutcomes = new Map();
+      if (releases.length > 0) {
+        startPhase('releases');
+        console.log('\n=== Creating Releases ===');
+        releaseOutcomes = await backend.ensureReleases(project.key, releases);
+      }
+      
+      // 6. Find items created by earlier runs so they are updated, not duplicated
+      startPhase('existing issues');
+      console.log('\n=== Checking for Previously Imported Issues ===');
+      const existing = await backend.findImported(project.key, checkpoint?.recorded([...entryById.keys()]));
+      
+      // Keys of imported items by PMAC ID, filled level by level so children find their parents
+      const context = { projectKey: project.key, strategy, existing, keyById: new Map(), entryById };
+      
+      // 7. Update and create the levels above epics (initiatives), highest first
+      const createdInitiatives = [];
+      const updatedInitiatives = [];
+      const unchangedInitiatives = [];
+      if (initiatives.length > 0) {
+        startPhase('initiatives');
+        console.log('\n=== Creating Initiatives ===');
+        for (const level of [...new Set(initiatives.map(entry => entry.level))]) {
+          const result = await backend.importLevel(level, initiatives.filter(entry => entry.level === level), context);
+          createdInitiatives.push(...result.created);
+          updatedInitiatives.push(...result.updated);
+          unchangedInitiatives.push(...result.unchanged);
+        }
+      }
+      
+      // 8. Update and create epics, under their initiatives
+      startPhase('epics');
+      console.log('\n=== Creating Epics ===');
+      const epicResult = await backend.importLevel(EPIC_LEVEL, hierarchy.entries.filter(entry => entry.level === EPIC_LEVEL), context);
+      
+      // 9. Update and create stories, placed under their epics where the strategy allows
+      startPhase('stories');
+      console.log('\n=== Creating Stories ===');
+      const storyEntries = stories.map(story => ({ ...entryById.get(pmacId(story)), item: story }));
+      const storyResult = await backend.importLevel(STORY_LEVEL, storyEntries, context);
+      
+      // 10. Create and update sub-tasks under their stories
+      let subtaskResult = { created: [], updated: [], unchanged: [] };
+      if (subtasks.length > 0) {
+        startPhase('sub-tasks');
+        console.log('\n=== Creating Sub-tasks ===');
+        subtaskResult = await backend.importLevel(SUBTASK_LEVEL, subtasks, context);
+      }
+      
+      // 11. Create the issue links items declare (dependsOn, blocks, relatesTo, duplicates), now that all issues exist
+      let issueLinks = { created: 0, failed: 0 };
+      if (hierarchy.entries.some(entry => itemLinks(entry.item).length > 0)) {
+        startPhase('issue links');
+        console.log('\n=== Creating Issue Links ===');
+        issueLinks = await backend.createItemLinks(hierarchy.entries, context);
+      }
+      
+      // 12. Upload the files items attach and add their web links
+      let resources = { attachments: 0, remoteLinks: 0, failed: 0 };
+      if (hierarchy.entries.some(entry => hasResources(entry.item))) {
+        startPhase('attachments');
+        console.log('\n=== Adding Attachments and Links ===');
+        resources = await backend.attachResources(hierarchy.entries, context);
+      }
+      
+      // 13. Put stories that are not yet under their epic there
+      startPhase('links');
+      const placement = await backend.placeUnderEpics(context);
+      
+      // 14. Create the sprints and move stories into them, in file order
+      let sprintOutcomes = new Map();
+      if (sprints.length > 0) {
+        startPhase('sprints');
+        console.log(`\n=== Planning ${sprints.length} Sprints ===`);
+        sprintOutcomes = await backend.planSprints(sprints, stories, context);
+        
+        for (const story of stories) {
+          const key = context.keyById.get(pmacId(story));
+          if (sprintOutcomes.has(key)) report.note(pmacId(story), { sprint: sprintOutcomes.get(key) });
+        }
+      }
+      
+      // 15. Report items removed from the file, closing or deleting their issues on request
+      const currentIds = new Set(entryById.keys());
+      const removedIssues = [...existing].filter(([id]) => !currentIds.has(id)).map(([, record]) => backend.describeRecord(record));
+      const removedRecords = [...existing].filter(([id]) => !currentIds.has(id)).map(([, record]) => record);
+      let prunedIssues = [];
+      
+      startPhase('removed issues');
+      if (removedIssues.length > 0) {
+        console.log(`\n=== ${removedIssues.length} Issues No Longer in the PMAC File ===`);
+        removedIssues.forEach(issue => console.log(`- ${issue.key}: ${issue.summary}`));
+        
+        if (options.prune === 'close' || options.prune === 'delete') {
+          prunedIssues = await backend.pruneItems(removedRecords, options.prune);
+        } else {
+          console.log('Run with --prune close or --prune delete to remove them from the tracker');
+        }
+        
+        const prunedOutcome = { close: 'closed', delete: 'deleted' }[options.prune];
+        for (const issue of removedIssues) {
+          const url = options.dryRun ? undefined : backend.browseUrl(issue.key);
+          if (!prunedOutcome) report.removedIssue({ ...issue, url }, 'left unchanged');
+          else report.removedIssue({ ...issue, url }, prunedIssues.includes(issue.key) ? prunedOutcome : `could not be ${prunedOutcome}`);
+        }
+      }
+      
+      // Count the epics and stories of each release, with what happened to its version
+      const assignments = releaseAssignments(releases, hierarchy.entries, entry => context.keyById.has(entry.id));
+      const releaseSummary = releases.map(release => ({
+        name: release.name,
+        releaseDate: release.releaseDate,
+        released: Boolean(release.released),
+        ...releaseOutcomes.get(release.name),
+        ...assignments.get(release.name)
+      }));
+      releaseSummary.forEach(release => report.release(release));
+      
+      // 16. Print the plan instead of the summary on dry runs
+      if (options.dryRun) {
+        const { plan, text } = backend.finishPlan(project.key, options);
+        if (options.printPlan !== false) {
+          console.log('\n=== Import Plan ===');
+          console.log(text);
+        }
+        
+        return {
+          success: true,
+          dryRun: true,
+          projectKey: project.key,
+          plan,
+          planText: text,
+          report: finishReport({ success: true, parentingStrategy: strategy }, options.reportFiles)
+        };
+      }
+      
+      // Link every imported item in the report
+      for (const [id, key] of context.keyById) report.note(id, { url: backend.browseUrl(key) });
+      
+      // 17. Print summary. A run that left items, links or attachments behind is not reported as a success
+      const reportData = finishReport({ success: true, parentingStrategy: strategy }, options.reportFiles);
+      const failures = failureCount(reportData);
+      console.log(failures === 0 ? '\n✅ Import completed successfully!' : `\n⚠️ Import finished with ${failures} failures`);
+      console.log(`View your project at: ${project.url}`);
+      
+      console.log('\n=== Import Summary ===');
+      if (initiatives.length > 0) {
+        console.log(`Created ${createdInitiatives.length} and updated ${updatedInitiatives.length} of ${initiatives.length} initiatives, ${unchangedInitiatives.length} already up to date`);
+      }
+      console.log(`Created ${epicResult.created.length} epics`);
+      console.log(`Updated ${epicResult.updated.length} existing epics, ${epicResult.unchanged.length} already up to date`);
+      console.log(`Created ${storyResult.created.length} stories`);
+      console.log(`- ${placement.placedOnCreate} created under their epic`);
+      console.log(`Updated ${storyResult.updated.length} existing stories, ${storyResult.unchanged.length} already up to date`);
+      console.log(`Linked ${placement.linked} of ${placement.needed} stories to their epic afterwards (${strategy})`);
+      if (subtasks.length > 0) {
+        console.log(`Created ${subtaskResult.created.length} and updated ${subtaskResult.updated.length} of ${subtasks.length} sub-tasks, ${subtaskResult.unchanged.length} already up to date`);
+      }
+      if (issueLinks.created > 0 || issueLinks.failed > 0) {
+        console.log(`Created ${issueLinks.created} issue links, ${issueLinks.failed} could not be created`);
+      }
+      if (resources.attachments > 0 || resources.remoteLinks > 0 || resources.failed > 0) {
+        console.log(`Uploaded ${resources.attachments} attachments and added or updated ${resources.remoteLinks} links, ${resources.failed} could not be added`);
+      }
+      if (sprints.length > 0) {
+        const inSprint = [...sprintOutcomes.values()].filter(o => !SPRINTLESS.includes(o.status)).length;
+        console.log(`${inSprint} of ${sprintOutcomes.size} stories in their sprint (${sprints.length} sprints)`);
+      }
+      if (releases.length > 0) {
+        console.log(`${releases.length} releases:`);
+        releases.forEach(release => {
+          const outcome = releaseOutcomes.get(release.name);
+          const version = outcome?.error ? ` (no version: ${outcome.error})` : '';
+          console.log(`- ${describeRelease(release, assignments.get(release.name))}${version}`);
+        });
+      }
+      if (skippedFields.length > 0) {
+        console.log(`${skippedFields.length} field values could not be set:`);
+        skippedFields.forEach(s => console.log(`- "${s.summary}": ${s.field} (${s.reason})`));
+      }
+      if (removedIssues.length > 0) {
+        const outcome = { close: 'closed', delete: 'deleted' }[options.prune] || 'left unchanged';
+        console.log(`${removedIssues.length} issues no longer in the PMAC file (${outcome === 'left unchanged' ? removedIssues.length : prunedIssues.length} ${outcome})`);
+      }
+      
+      console.log(`\nTo undo this run: pmac undo ${journal.runId}`);
+      
+      closeCheckpoint(reportData, true);
+      return {
+        success: true,
+        complete: failures === 0,
+        runId: journal.runId,
+        backend: backend.name,
+        projectKey: project.key,
+        initiativesCreated: createdInitiatives.length,
+        initiativesUpdated: updatedInitiatives.length,
+        initiativesUnchanged: unchangedInitiatives.length,
+        epicsCreated: epicResult.created.length,
+        epicsUpdated: epicResult.updated.length,
+        epicsUnchanged: epicResult.unchanged.length,
+        storiesCreated: storyResult.created.length,
+        storiesUpdated: storyResult.updated.length,
+        storiesUnchanged: storyResult.unchanged.length,
+        subtasksCreated: subtaskResult.created.length,
+        subtasksUpdated: subtaskResult.updated.length,
+        subtasksUnchanged: subtaskResult.unchanged.length,
+        parentingStrategy: strategy,
+        issueLinksCreated: issueLinks.created,
+        issueLinksFailed: issueLinks.failed,
+        attachmentsUploaded: resources.attachments,
+        remoteLinksAdded: resources.remoteLinks,
+        resourcesFailed: resources.failed,
+        storiesLinked: placement.linked,
+        storiesNotLinked: placement.needed - placement.linked,
+        storiesInSprints: [...sprintOutcomes.values()].filter(o => !SPRINTLESS.includes(o.status)).length,
+        storiesNotInSprints: [...sprintOutcomes.values()].filter(o => SPRINTLESS.includes(o.status)).length,
+        releases: releaseSummary,
+        removedIssues: removedIssues.map(i => i.key),
+        prunedIssues,
+        skippedFields: [...skippedFields],
+        report: reportData
+      };
+    } catch (error) {
+      console.error('Import failed:', error.message);
+      if (error.stack) {
+        console.error(error.stack);
+      }
+      const reportData = finishReport({ success: false, error: error.message }, options.reportFiles);
+      closeCheckpoint(reportData, false);
+      return {
+        success: false,
+        runId: journal?.runId,
+        error: error.message,
+        report: reportData
+      };
+    } finally {
+      backend.endRun();
+      journal = null;
+      checkpoint = null;
+      report = null;
+    }
+  }
+
+  /**
+   * Compares the PMAC file with the items previously imported into the project
+   */
+  async function getImportStatus(options = {}) {
+    const backend = activeBackend();
+    // Every level of the hierarchy, top-down
+    const entries = walkHierarchy(loadPmacData(options.inputFile, options.variables));
+    const projectKey = backend.project;
+    
+    if (!(await backend.projectExists(projectKey))) {
+      return {
+        projectKey,
+        projectExists: false,
+        items: entries.map(({ item, level }) => ({ id: pmacId(item), type: levelName(level), summary: item.summary, state: 'missing' })),
+        removed: []
+      };
+    }
+    
+    const existing = await backend.findImported(projectKey);
+    const describe = (type, item) => {
+      const id = pmacId(item);
+      const record = existing.has(id) ? backend.describeRecord(existing.get(id)) : null;
+      let state = 'missing';
+      if (record) state = record.summary === item.summary ? 'imported' : 'changed';
+      return { id, type, summary: item.summary, key: record?.key, state };
+    };
+    
+    const currentIds = new Set(entries.map(e => pmacId(e.item)));
+    return {
+      projectKey,
+      projectExists: true,
+      items: entries.map(({ item, level }) => describe(levelName(level), item)),
+      removed: [...existing]
+        .filter(([id]) => !currentIds.has(id))
+        .map(([id, record]) => ({ id, ...backend.describeRecord(record) }))
+    };
+  }
+
+  /**
+   * Reverses a single undo step, checking first that the resource is still the one the run created
+   */
+  async function undoStep(step, runId) {
+    await ensureDeployment();
+    switch (step.type) {
+      case 'issueLink': {
+        const response = await jiraClient.get(`/issue/${step.inward}`, { params: { fields: 'issuelinks' } });
+        const link = (response.data.fields?.issuelinks || []).find(l =>
+          l.type?.name === step.linkType && (l.outwardIssue?.key === step.outward || l.inwardIssue?.key === step.outward));
+        if (!link) return 'link no longer exists';
+        await jiraClient.delete(`/issueLink/${link.id}`);
+        return 'deleted';
+      }
+      case 'label':
+        await jiraClient.put(`/issue/${step.key}`, { update: { labels: [{ remove: step.label }] } });
+        return 'removed';
+      case 'watcher':
+        await jiraClient.delete(`/issue/${step.key}/watchers`, { params: deployment.selfHosted ? { username: step.user } : { accountId: step.user } });
+        return 'removed';
+      case 'attachment':
+        try {
+          await jiraClient.delete(`/attachment/${step.id}`);
+        } catch (error) {
+          if (error.response?.status === 404) return 'already deleted';
+          throw error;
+        }
+        return 'deleted';
+      case 'remoteLink':
+        if (step.undo === 'restore') {
+          await jiraClient.put(`/issue/${step.key}/remotelink/${step.id}`, remoteLinkPayload({ url: step.url, ...step.before }));
+          return 'restored';
+        }
+        try {
+          await jiraClient.delete(`/issue/${step.key}/remotelink/${step.id}`);
+        } catch (error) {
+          if (error.response?.status === 404) return 'already removed';
+          throw error;
+        }
+        return 'removed';
+      case 'field':
+        await jiraClient.put(`/issue/${step.key}`, { fields: step.before });
+        return 'restored';
+      case 'issue': {
+        let issue;
+        try {
+          issue = (await jiraClient.get(`/issue/${step.key}`, { params: { fields: 'summary', properties: PMAC_PROPERTY } })).data;
+        } catch (error) {
+          if (error.response?.status === 404) return 'already deleted';
+          throw error;
+        }
+        // Only delete issues this run created and tagged, or untagged ones that look unchanged
+        const importRun = issue.properties?.[PMAC_PROPERTY]?.importRun;
+        if (importRun && importRun !== runId) return `kept, it is tagged with run ${importRun}`;
+        if (!importRun && issue.fields?.summary !== step.summary) return 'kept, its summary changed since the import';
+        await jiraClient.delete(`/issue/${step.key}?deleteSubtasks=false`);
+        return 'deleted';
+      }
+      case 'sprintIssue':
+        if (step.before.sprintId) {
+          await jiraClient.post(`/sprint/${step.before.sprintId}/issue`, { issues: [step.key] }, agileApi());
+        } else {
+          await jiraClient.post('/backlog/issue', { issues: [step.key] }, agileApi());
+        }
+        return 'restored';
+      case 'sprint': {
+        let sprint;
+        try {
+          sprint = (await jiraClient.get(`/sprint/${step.id}`, agileApi())).data;
+        } catch (error) {
+          if (error.response?.status === 404) return 'already deleted';
+          throw error;
+        }
+        if (step.undo === 'restore') {
+          await jiraClient.post(`/sprint/${step.id}`, step.before, agileApi());
+          return 'restored';
+        }
+        if (sprint.name !== step.name) return `kept, it was renamed to "${sprint.name}"`;
+        if (sprint.state !== 'future') return `kept, it is ${sprint.state}`;
+        // Issues still in the sprint go back to the backlog
+        await jiraClient.delete(`/sprint/${step.id}`, agileApi());
+        return 'deleted';
+      }
+      case 'board': {
+        try {
+          await jiraClient.get(`/board/${step.id}`, agileApi());
+        } catch (error) {
+          if (error.response?.status === 404) return 'already deleted';
+          throw error;
+        }
+        if (step.undo === 'restore') {
+          await jiraClient.put('/rapidviewconfig/columns', columnsPayload(step.id, step.before.columns), boardConfigApi());
+          return 'restored';
+        }
+        await jiraClient.delete(`/board/${step.id}`, agileApi());
+        return 'deleted';
+      }
+      case 'filter':
+        try {
+          if (step.undo === 'restore') {
+            await jiraClient.put(`/filter/${step.id}`, step.before);
+            return 'restored';
+          }
+          await jiraClient.delete(`/filter/${step.id}`);
+        } catch (error) {
+          if (error.response?.status === 404) return 'already deleted';
+          throw error;
+        }
+        return 'deleted';
+      case 'version': {
+        let version;
+        try {
+          version = (await jiraClient.get(`/version/${step.id}`)).data;
+        } catch (error) {
+          if (error.response?.status === 404) return 'already deleted';
+          throw error;
+        }
+        if (step.undo === 'restore') {
+          await jiraClient.put(`/version/${step.id}`, step.before);
+          return 'restored';
+        }
+        if (version.name !== step.name) return `kept, it was renamed to "${version.name}"`;
+        // Issues the run did not create lose it as a fix version
+        await jiraClient.delete(`/version/${step.id}`);
+        return 'deleted';
+      }
+      case 'component': {
+        let component;
+        try {
+          component = (await jiraClient.get(`/component/${step.id}`)).data;
+        } catch (error) {
+          if (error.response?.status === 404) return 'already deleted';
+          throw error;
+        }
+        if (step.undo === 'restore') {
+          await jiraClient.put(`/component/${step.id}`, step.before);
+          return 'restored';
+        }
+        if (component.name !== step.name) return `kept, it was renamed to "${component.name}"`;
+        await jiraClient.delete(`/component/${step.id}`);
+        return 'deleted';
+      }
+      case 'project': {
+        if (step.undo === 'restore') {
+          await jiraClient.put(`/project/${step.key}`, step.before);
+          return 'restored';
+        }
+        const remaining = await jiraClient.get(searchUrl(deployment, { jql: `project = "${step.key}"`, maxResults: 1, fields: 'summary' }));
+        if (remaining.data.issues?.length) return 'kept, it still has issues';
+        await jiraClient.delete(`/project/${step.key}`);
+        return 'deleted';
+      }
+      default:
+        return 'skipped, unknown resource type';
+    }
+  }
+
+  /**
+   * Undoes an import run from its journal: deletes what the run created and restores
+   * fields it changed on existing issues. `options.confirm` is called with the steps
+   * before anything is changed and must resolve to true for the undo to go ahead.
+   */
+  async function undoRun(runId, options = {}) {
+    const { meta, entries } = readJournal(runId, config.journalDir);
+    if (entries.some(e => e.type === 'run' && e.action === 'undo')) {
+      throw new Error(`Run ${runId} has already been undone`);
+    }
+    const backend = activeBackend();
+    // Journals written before backends were pluggable are Jira runs with a jiraHost
+    const runBackend = meta.backend || 'jira';
+    const runHost = meta.host || meta.jiraHost;
+    if (runBackend !== backend.name) {
+      throw new Error(`Run ${runId} was made with the ${runBackend} backend, not ${backend.name}`);
+    }
+    if (runHost && backend.host && runHost !== backend.host) {
+      throw new Error(`Run ${runId} was made against ${runHost}, not ${backend.host}`);
+    }
+    
+    const { steps, notes } = planUndo(entries);
+    console.log(`\n=== Undo Run ${runId} (${meta.projectKey}) ===`);
+    steps.forEach(step => console.log(`- ${describeUndoStep(step)}`));
+    notes.forEach(note => console.log(`! ${note}`));
+    if (steps.length === 0) console.log('Nothing to undo');
+    
+    const preview = { runId, projectKey: meta.projectKey, steps: steps.map(describeUndoStep), notes };
+    if (options.dryRun || steps.length === 0) return { ...preview, undone: [], kept: [], failed: [] };
+    if (options.confirm && !(await options.confirm(steps))) {
+      return { ...preview, cancelled: true, undone: [], kept: [], failed: [] };
+    }
+    
+    const undone = [];
+    const kept = [];
+    const failed = [];
+    
+    // Steps run one at a time: later steps (issues, components, the project) depend on earlier ones
+    for (const step of steps) {
+      const description = describeUndoStep(step);
+      try {
+        const outcome = await backend.undoStep(step, runId);
+        console.log(`${description}: ${outcome}`);
+        (UNDONE_OUTCOMES.includes(outcome) ? undone : kept).push({ step: description, outcome });
+      } catch (error) {
+        if (isTransientError(error)) throw error;
+        console.warn(`${description} failed: ${error.response?.data?.errorMessages?.join(', ') || error.response?.data?.message || error.message}`);
+        failed.push({ step: description, error: error.message });
+      }
+      
+      await delay(100);
+    }
+    
+    appendToJournal(runId, { type: 'run', action: 'undo', undone: undone.length, kept: kept.length, failed: failed.length }, config.journalDir);
+    console.log(`\nUndid ${undone.length} changes, kept ${kept.length}, ${failed.length} failed`);
+    
+    return { ...preview, undone, kept, failed };
+  }
+
+  /**
+   * Reads a project from Jira into PMAC data ({ epics, stories }), ready to be
+   * edited and imported again. Writes it to `options.outputFile` when given.
+   * With `options.adopt`, issues without a PMAC ID are tagged with their key as ID,
+   * so importing the exported file updates them instead of creating copies.
+   */
+  async function exportFromJira(options = {}) {
+    const projectKey = options.projectKey || config.projectKey;
+    await ensureDeployment();
+    await jiraClient.get(`/project/${projectKey}`);
+    
+    const jiraFields = (await jiraClient.get('/field')).data;
+    const epicLinkField = findEpicLinkField(jiraFields);
+    const storyPointsField = createFieldResolver(jiraFields).resolveProperty('storyPoints');
+    
+    const fields = ['summary', 'description', 'issuetype', 'parent', 'labels', 'priority', 'components', 'duedate', 'fixVersions'];
+    if (epicLinkField) fields.push(epicLinkField.id);
+    if (storyPointsField) fields.push(storyPointsField.id);
+    
+    // Creation order keeps the file in the order the backlog was written
+    const issues = await searchIssues({
+      jql: `project = "${projectKey}" ORDER BY created ASC`,
+      fields: fields.join(','),
+      properties: PMAC_PROPERTY,
+      maxResults: '100'
+    });
+    
+    const adoptWarnings = [];
+    if (options.adopt) {
+      const untagged = issues.filter(issue => !issue.properties?.[PMAC_PROPERTY]?.id);
+      const results = await runPool(untagged, config.concurrency, issue => tagIssue(issue.key, issue.key));
+      throwIfThrottled(results);
+      
+      // Importing the file would create these issues again, so they are reported with the export's warnings
+      results.forEach((result, index) => {
+        if (result.status === 'rejected') adoptWarnings.push(`Couldn't store PMAC ID on ${untagged[index].key}: ${describeJiraError(result.reason)}`);
+      });
+      console.log(`Tagged ${untagged.length - adoptWarnings.length} of ${untagged.length} issues with their PMAC ID`);
+    }
+    
+    const { data, warnings } = issuesToPmac(issues, {
+      epicLinkFieldId: epicLinkField?.id,
+      storyPointsFieldId: storyPointsField?.id
+    });
+    
+    warnings.push(...adoptWarnings);
+    
+    // Flag anything the PMAC schema rejects, so it can be fixed before re-importing
+    const validation = validatePmacData(data);
+    if (!validation.valid) {
+      warnings.push(...validation.errors.map(e => `${e.path}: ${e.message}`));
+    }
+    
+    warnings.forEach(warning => console.warn(warning));
+    console.log(`Exported ${data.epics.length} epics and ${data.stories.length} stories from ${projectKey}`);
+    
+    if (options.outputFile) {
+      const yaml = /\.ya?ml$/i.test(options.outputFile);
+      fs.writeFileSync(options.outputFile, yaml ? YAML.stringify(data) : JSON.stringify(data, null, 2) + '\n');
+      console.log(`Written to ${options.outputFile}`);
+    }
+    
+    return { projectKey, data, warnings };
+  }
+
+  configure(setup.config);
+
+  return {
+    config,
+    configure,
+    importToJira,
+    getImportStatus,
+    undoRun,
+    exportFromJira,
+    createProject,
+    probeCapabilities,
+    createComponents,
+    createEpic,
+    createStory,
+    linkStoryToEpic,
+    updateDescription,
+    // Former name of updateDescription, from before descriptions could be wiki markup
+    updateDescriptionWithADF: updateDescription,
+    findPmacIssues,
+    updateIssue,
+    pruneIssues,
+    buildIssuePayload,
+    bulkCreateIssues,
+    loadFieldResolver,
+    // Epic keys created or found by the last import, by epic summary and PMAC ID
+    epicMap
+  };
+}
+
+// Importer configured from the environment, behind the module-level functions
+const defaultImporter = createImporter();
+
+// Export functions for testing or programmatic use
+module.exports = {
+  DEFAULT_INPUT_FILE,
+  createImporter,
+  createJiraClient,
+  loadPmacData,
+  pmacId,
+  ...defaultImporter
+};
+
+// If this file is run directly (not imported), run the import through the CLI
+if (require.main === module) {
+  require('./pmac-cli').main(['import', ...process.argv.slice(2)]).then(code => process.exit(code));
+}
@@ -0,0 +1,117 @@
+/**
+ * Jira Issue Links
+ *
+ * Matches the PMAC link fields (dependsOn, blocks, relatesTo, duplicates) to the
+ * issue link types a site has, by the descriptions /issueLinkType gives for each
+ * direction, so renamed types and their direction are handled. In POST /issueLink the
+ * `inwardIssue` is the link's source: the link reads "<inwardIssue> <outward
+ * description> <outwardIssue>", for example "PMAC-1 blocks PMAC-2".
+ */
+
+// Link types of a new Jira site, as /issueLinkType returns them
+const DEFAULT_LINK_TYPES = [
+  { id: '10000', name: 'Blocks', inward: 'is blocked by', outward: 'blocks' },
+  { id: '10001', name: 'Cloners', inward: 'is cloned by', outward: 'clones' },
+  { id: '10002', name: 'Duplicate', inward: 'is duplicated by', outward: 'duplicates' },
+  { id: '10003', name: 'Relates', inward: 'relates to', outward: 'relates to' }
+];
+
+// Descriptions that express each PMAC field, best first. An outward match makes the
+// item the source of the link, an inward match makes it the target.
+const LINK_DESCRIPTIONS = {
+  dependsOn: ['depends on', 'is blocked by'],
+  blocks: ['blocks', 'is depended on by'],
+  relatesTo: ['relates to'],
+  duplicates: ['duplicates']
+};
+
+// Names of Jira's default link types, used when a site changed their descriptions
+const DEFAULT_TYPE_NAMES = {
+  blocks: 'Blocks',
+  relatesTo: 'Relates',
+  duplicates: 'Duplicate'
+};
+
+const normalize = text => String(text || '').trim().toLowerCase();
+
+/**
+ * Finds the link type for each PMAC field among the site's link types.
+ * Returns { field: { name, itemIsSource, symmetric } or null }.
+ */
+function resolveLinkTypes(linkTypes = []) {
+  const resolved = {};
+
+  for (const [field, descriptions] of Object.entries(LINK_DESCRIPTIONS)) {
+    resolved[field] = null;
+    for (const description of descriptions) {
+      const outward = linkTypes.find(t => normalize(t.outward) === description);
+      const inward = !outward && linkTypes.find(t => normalize(t.inward) === description);
+      const type = outward || inward;
+      if (type) {
+        resolved[field] = { name: type.name, itemIsSource: Boolean(outward), symmetric: normalize(type.inward) === normalize(type.outward) };
+        break;
+      }
+    }
+
+    const byName = !resolved[field] && linkTypes.find(t => t.name === DEFAULT_TYPE_NAMES[field]);
+    if (byName) resolved[field] = { name: byName.name, itemIsSource: true, symmetric: normalize(byName.inward) === normalize(byName.outward) };
+  }
+
+  return resolved;
+}
+
+/**
+ * Describes what was looked for when a field has no link type
+ */
+function describeMissingLinkType(field) {
+  const names = LINK_DESCRIPTIONS[field].map(d => `"${d}"`).join(' or ');
+  return `the site has no issue link type for ${field} (looked for ${names})`;
+}
+
+/**
+ * The source and target issue of a link from an item's issue to another issue
+ */
+function linkEnds(linkType, itemKey, otherKey) {
+  return linkType.itemIsSource ? { source: itemKey, target: otherKey } : { source: otherKey, target: itemKey };
+}
+
+/**
+ * Body of POST /issueLink for a link from `source` to `target`
+ */
+function linkRequest(linkType, { source, target }) {
+  return { type: { name: linkType.name }, inwardIssue: { key: source }, outwardIssue: { key: target } };
+}
+
+/**
+ * Identifies a link, so the same link declared from both items is created once
+ */
+function linkSignature(linkType, { source, target }) {
+  const ends = linkType.symmetric ? [source, target].sort() : [source, target];
+  return `${linkType.name}:${ends.join('>')}`;
+}
+
+/**
+ * Checks whether an issue (as read with its issuelinks field) already has a link.
+ * On the source issue the link shows the target as outwardIssue, on the target the
+ * source as inwardIssue.
+ */
+function hasLink(issue, linkType, { source, target }) {
+  return (issue?.fields?.issuelinks || []).some(link => {
+    if (link.type?.name !== linkType.name) return false;
+    const other = link.outwardIssue?.key || link.inwardIssue?.key;
+    if (linkType.symmetric) return (issue.key === source && other === target) || (issue.key === target && other === source);
+    if (issue.key === source) return link.outwardIssue?.key === target;
+    return issue.key === target && link.inwardIssue?.key === source;
+  });
+}
+
+module.exports = {
+  DEFAULT_LINK_TYPES,
+  LINK_DESCRIPTIONS,
+  resolveLinkTypes,
+  describeMissingLinkType,
+  linkEnds,
+  linkRequest,
+  linkSignature,
+  hasLink
+};
@@ -0,0 +1,401 @@
+/**
+ * PMAC Import Plan
+ *
+ * Offline stand-in for the Jira API client. Records every request the importer
+ * would send and answers with synthetic responses, so an import can be reviewed
+ * as a plan without network access or credentials.
+ */
+
+const fs = require('fs');
+const { AGILE_API } = require('./jira-sprints');
+const { BOARD_CONFIG_API } = require('./jira-project');
+const { DEFAULT_LINK_TYPES } = require('./jira-links');
+
+// Fields on the create screen of every issue type in the default profile
+const SCREEN_FIELDS = {
+  summary: { name: 'Summary', required: true },
+  description: { name: 'Description', required: false },
+  priority: { name: 'Priority', required: false },
+  labels: { name: 'Labels', required: false },
+  components: { name: 'Components', required: false },
+  duedate: { name: 'Due date', required: false },
+  fixVersions: { name: 'Fix versions', required: false },
+  assignee: { name: 'Assignee', required: false },
+  reporter: { name: 'Reporter', required: false },
+  customfield_10016: { name: 'Story Points', required: false }
+};
+
+const PARENT_FIELD = { parent: { name: 'Parent', required: false } };
+
+// Issue types used when no profile is supplied (typical company-managed Scrum project)
+const DEFAULT_ISSUE_TYPE_PROFILE = {
+  existingProject: false,
+  // "classic" (company-managed) or "next-gen" (team-managed), as returned by /project
+  style: 'classic',
+  issueTypes: [
+    { id: '10000', name: 'Epic', subtask: false, hierarchyLevel: 1, fields: { ...SCREEN_FIELDS } },
+    { id: '10001', name: 'Story', subtask: false, hierarchyLevel: 0, fields: { ...SCREEN_FIELDS, ...PARENT_FIELD } },
+    { id: '10002', name: 'Task', subtask: false, hierarchyLevel: 0, fields: { ...SCREEN_FIELDS, ...PARENT_FIELD } },
+    { id: '10003', name: 'Sub-task', subtask: true, hierarchyLevel: -1, fields: { ...SCREEN_FIELDS, parent: { name: 'Parent', required: true } } }
+  ],
+  // Jira fields returned by /field
+  fields: [
+    { id: 'customfield_10016', name: 'Story Points', custom: true, schema: { type: 'number', custom: 'com.atlassian.jira.plugin.system.customfieldtypes:float' } }
+  ],
+  // Issue link types of the site, as returned by /issueLinkType (Jira's defaults when left out)
+  issueLinkTypes: null,
+  // Issues from earlier imports, as returned by /search/jql (or /search) with the pmac property
+  existingIssues: [],
+  // Scrum boards of the project and sprints of the first one, as returned by the Agile API
+  boards: [],
+  sprints: [],
+  // Components and versions of an existing project and the site's project categories, as Jira returns them
+  components: [],
+  versions: [],
+  projectCategories: [],
+  // Statuses of every issue type, named by board columns
+  statuses: [{ id: '10000', name: 'To Do' }, { id: '3', name: 'In Progress' }, { id: '10001', name: 'Done' }]
+};
+
+/**
+ * Loads an issue-type profile from a JSON file (either a profile object or a bare array of issue types)
+ */
+function loadIssueTypeProfile(profileFile) {
+  try {
+    const data = JSON.parse(fs.readFileSync(profileFile, 'utf8'));
+    const profile = Array.isArray(data) ? { issueTypes: data } : data;
+
+    if (!Array.isArray(profile.issueTypes) || profile.issueTypes.length === 0) {
+      throw new Error('profile must contain a non-empty "issueTypes" array');
+    }
+
+    return { ...DEFAULT_ISSUE_TYPE_PROFILE, ...profile };
+  } catch (error) {
+    console.error('Failed to load issue type profile:', error.message);
+    throw new Error(`Unable to load issue type profile ${profileFile}.`);
+  }
+}
+
+/**
+ * Builds an error shaped like an axios HTTP error
+ */
+function httpError(status, message) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, data: { errorMessages: [message] } };
+  return error;
+}
+
+/**
+ * Creates a client with the same get/post/put surface as the axios Jira client,
+ * which records requests instead of sending them
+ */
+function createPlanClient(profile = DEFAULT_ISSUE_TYPE_PROFILE) {
+  const requests = [];
+  const issues = new Map();
+  // Number new issues after any existing ones so planned keys never collide
+  let issueCounter = Math.max(0, ...(profile.existingIssues || []).map(i => Number(i.key.split('-').pop()) || 0));
+  let componentCounter = 0;
+  let versionCounter = 0;
+  let projectExists = Boolean(profile.existingProject);
+  const boards = [...(profile.boards || [])];
+  const sprints = [...(profile.sprints || [])];
+
+  const issueTypes = profile.issueTypes.map(t => ({ fields: {}, ...t }));
+
+  function record(method, url, data) {
+    const entry = { step: requests.length + 1, method, url };
+    if (data !== undefined) entry.data = data;
+    requests.push(entry);
+  }
+
+  function createIssue(fields) {
+    issueCounter++;
+    const key = `${fields.project.key}-${issueCounter}`;
+    issues.set(key, fields);
+    return { id: String(10000 + issueCounter), key };
+  }
+
+  function respond(method, url, data) {
+    const [path, query = ''] = url.split('?');
+    const params = new URLSearchParams(query);
+
+    if (method === 'GET') {
+      if (path === '/myself') {
+        return { accountId: 'dry-run-account', name: 'dry-run-user', displayName: 'Dry Run User' };
+      }
+      if (path === '/project/type') {
+        return [{ key: 'software' }];
+      }
+      // Every user the PMAC file names is taken to exist
+      if (path === '/user/search') {
+        const ref = params.get('query') || params.get('username');
+        return [{ accountId: `dry-run:${ref}`, name: ref, displayName: ref }];
+      }
+      if (path === '/projectCategory') {
+        return profile.projectCategories || [];
+      }
+      if (/^\/project\/[^/]+\/components$/.test(path)) {
+        return profile.components || [];
+      }
+      if (/^\/project\/[^/]+\/versions$/.test(path)) {
+        return profile.versions || [];
+      }
+      if (/^\/project\/[^/]+\/statuses$/.test(path)) {
+        return issueTypes.map(({ id, name }) => ({ id, name, statuses: profile.statuses || [] }));
+      }
+      if (path.startsWith('/project/')) {
+        const key = path.slice('/project/'.length);
+        if (!projectExists) throw httpError(404, `No project could be found with key '${key}'.`);
+        return {
+          id: '10000',
+          key,
+          name: key,
+          style: profile.style || 'classic',
+          simplified: profile.style === 'next-gen',
+          issueTypes: issueTypes.map(({ fields, ...type }) => type)
+        };
+      }
+      if (path === '/issue/createmeta') {
+        const typeIds = params.get('issuetypeIds');
+        const types = typeIds ? issueTypes.filter(t => typeIds.split(',').includes(t.id)) : issueTypes;
+        return { projects: [{ key: params.get('projectKeys'), issuetypes: types }] };
+      }
+      // Server and Data Center list create screen fields per issue type
+      if (/^\/issue\/createmeta\/[^/]+\/issuetypes$/.test(path)) {
+        return { values: issueTypes.map(({ fields, ...type }) => type), isLast: true };
+      }
+      if (/^\/issue\/createmeta\/[^/]+\/issuetypes\/[^/]+$/.test(path)) {
+        const issueType = issueTypes.find(t => t.id === path.split('/').pop());
+        return { values: Object.entries(issueType?.fields || {}).map(([fieldId, field]) => ({ fieldId, ...field })), isLast: true };
+      }
+      if (path === '/field') {
+        return profile.fields || [];
+      }
+      if (path === '/issueLinkType') {
+        return { issueLinkTypes: profile.issueLinkTypes || DEFAULT_LINK_TYPES };
+      }
+      if (path === `${AGILE_API}/board`) {
+        return { values: boards, isLast: true };
+      }
+      if (path.startsWith(`${AGILE_API}/board/`)) {
+        return path.endsWith('/sprint') ? { values: sprints, isLast: true } : boards.find(b => `${AGILE_API}/board/${b.id}` === path) || {};
+      }
+      if (path === '/search/jql') {
+        return { issues: profile.existingIssues || [], isLast: true };
+      }
+      if (path === '/search') {
+        return { issues: profile.existingIssues || [], startAt: 0, total: (profile.existingIssues || []).length };
+      }
+      if (/^\/issue\/[^/]+\/watchers$/.test(path)) {
+        return { watchCount: 0, watchers: [] };
+      }
+      if (/^\/issue\/[^/]+\/remotelink$/.test(path)) {
+        return [];
+      }
+      if (path.endsWith('/transitions')) {
+        return { transitions: [{ id: '31', name: 'Done', to: { name: 'Done', statusCategory: { key: 'done' } } }] };
+      }
+      if (path.startsWith('/issue/')) {
+        const key = path.slice('/issue/'.length);
+        if (!issues.has(key)) throw httpError(404, 'Issue does not exist or you do not have permission to see it.');
+        return { key, fields: issues.get(key) };
+      }
+      return {};
+    }
+
+    if (method === 'POST') {
+      if (path === '/project') {
+        projectExists = true;
+        return { id: '10000', key: data.key };
+      }
+      if (path === '/component') {
+        componentCounter++;
+        return { id: String(componentCounter), name: data.name };
+      }
+      if (path === '/version') {
+        versionCounter++;
+        return { id: String(versionCounter), name: data.name };
+      }
+      if (path === '/issue') {
+        return createIssue(data.fields);
+      }
+      if (path === '/issue/bulk') {
+        return { issues: data.issueUpdates.map(update => createIssue(update.fields)), errors: [] };
+      }
+      if (path === '/filter') {
+        return { id: '10000', name: data.name, jql: data.jql };
+      }
+      if (/^\/issue\/[^/]+\/attachments$/.test(path)) {
+        return data.files.map((filename, index) => ({ id: String(index + 1), filename }));
+      }
+      if (/^\/issue\/[^/]+\/remotelink$/.test(path)) {
+        return { id: 1 };
+      }
+      if (path === `${AGILE_API}/board`) {
+        const board = { id: boards.length + 1, name: data.name, type: data.type };
+        boards.push(board);
+        return board;
+      }
+      if (path === `${AGILE_API}/sprint`) {
+        const sprint = { id: sprints.length + 1, state: 'future', ...data };
+        sprints.push(sprint);
+        return sprint;
+      }
+    }
+
+    return {};
+  }
+
+  async function send(method, url, data, options) {
+    // Agile and board configuration API requests carry their base URL; record them with its path
+    // so they stand apart from REST v3
+    const api = [AGILE_API, BOARD_CONFIG_API].find(base => options?.baseURL?.endsWith(base));
+    // Query parameters passed as options are recorded in the URL, as axios would send them
+    const query = options?.params ? `${url.includes('?') ? '&' : '?'}${new URLSearchParams(options.params)}` : '';
+    const path = `${api || ''}${url}${query}`;
+    // Uploads are recorded by the names of their files, not their content
+    const payload = data instanceof FormData ? { files: [...data.values()].map(file => file.name) } : data;
+    record(method, path, payload);
+    return { status: 200, data: respond(method, path, payload) };
+  }
+
+  return {
+    dryRun: true,
+    requests,
+    get: (url, options) => send('GET', url, undefined, options),
+    post: (url, data, options) => send('POST', url, data, options),
+    put: (url, data, options) => send('PUT', url, data, options),
+    delete: (url, options) => send('DELETE', url, undefined, options)
+  };
+}
+
+/**
+ * Describes an issue to be created by its type, summary and parent
+ */
+function describeIssue(fields, issueTypes) {
+  const issueType = issueTypes.find(t => t.id === fields.issuetype.id);
+  const type = fields.issuetype.name || issueType?.name || `issue type ${fields.issuetype.id}`;
+  const parent = fields.parent ? ` under ${fields.parent.key}` : '';
+  return `${type} "${fields.summary}"${parent}`;
+}
+
+/**
+ * Describes a single recorded request (bulk requests list their issues on extra lines)
+ */
+function describeRequest(request, issueTypes = []) {
+  const { method, url, data } = request;
+
+  if (method === 'POST' && url === '/project') {
+    const template = data.projectTemplateKey ? ` from ${data.projectTemplateKey.split(':').pop()}` : '';
+    return `Create project ${data.key} "${data.name}"${template}`;
+  }
+  if (method === 'PUT' && url.startsWith('/project/')) {
+    return `Update project ${url.split('/')[2]} (${Object.keys(data).join(', ')})`;
+  }
+  if (method === 'POST' && url === '/component') {
+    return `Create component "${data.name}"`;
+  }
+  if (method === 'PUT' && url.startsWith('/component/')) {
+    return `Update component ${url.split('/')[2]} (${Object.keys(data).join(', ')})`;
+  }
+  if (method === 'POST' && url === '/version') {
+    return `Create version "${data.name}"${data.releaseDate ? ` (release date ${data.releaseDate})` : ''}`;
+  }
+  if (method === 'PUT' && url.startsWith('/version/')) {
+    return `Update version ${url.split('/')[2]} (${Object.keys(data).join(', ')})`;
+  }
+  if (method === 'PUT' && url.startsWith('/filter/')) {
+    return `Update filter ${url.split('/')[2]} (${data.jql})`;
+  }
+  if (method === 'PUT' && url === `${BOARD_CONFIG_API}/rapidviewconfig/columns`) {
+    return `Set the columns of board ${data.rapidViewId}: ${data.mappedColumns.map(column => column.name).join(', ')}`;
+  }
+  if (method === 'POST' && url === '/issue') {
+    return `Create ${describeIssue(data.fields, issueTypes)}`;
+  }
+  if (method === 'POST' && url === '/issue/bulk') {
+    const issues = data.issueUpdates.map(update => `\n        - ${describeIssue(update.fields, issueTypes)}`);
+    return `Create ${data.issueUpdates.length} issues in bulk:${issues.join('')}`;
+  }
+  if (method === 'POST' && url === '/issueLink') {
+    return `Link ${data.inwardIssue.key} -[${data.type.name}]-> ${data.outwardIssue.key}`;
+  }
+  if (method === 'POST' && url === '/filter') {
+    return `Create filter "${data.name}" (${data.jql})`;
+  }
+  if (method === 'POST' && url === `${AGILE_API}/board`) {
+    return `Create ${data.type} board "${data.name}"`;
+  }
+  if (method === 'POST' && url === `${AGILE_API}/sprint`) {
+    const dates = data.startDate ? ` ${data.startDate.slice(0, 10)} to ${(data.endDate || '?').slice(0, 10)}` : '';
+    return `Create sprint "${data.name}"${dates}`;
+  }
+  if (method === 'POST' && /\/sprint\/\d+\/issue$/.test(url)) {
+    return `Move ${data.issues.join(', ')} into sprint ${url.split('/')[5]}`;
+  }
+  if (method === 'POST' && url.startsWith(`${AGILE_API}/sprint/`)) {
+    return `Update sprint ${url.split('/')[5]} (${Object.keys(data).join(', ')})`;
+  }
+  if (method === 'PUT' && url === `${AGILE_API}/issue/rank`) {
+    return `Rank ${data.issues.join(', ')} after ${data.rankAfterIssue}`;
+  }
+  if (method === 'PUT' && url.includes('/properties/')) {
+    return `Store PMAC ID "${data.id}" on ${url.split('/')[2]}`;
+  }
+  if (method === 'POST' && url.endsWith('/attachments')) {
+    return `Attach ${data.files.join(', ')} to ${url.split('/')[2]}`;
+  }
+  if (method === 'POST' && url.endsWith('/remotelink')) {
+    return `Add link "${data.object.title}" (${data.object.url}) to ${url.split('/')[2]}`;
+  }
+  if (method === 'PUT' && url.includes('/remotelink/')) {
+    return `Update link "${data.object.title}" (${data.object.url}) on ${url.split('/')[2]}`;
+  }
+  if (method === 'POST' && url.endsWith('/watchers')) {
+    return `Add watcher ${JSON.parse(data)} to ${url.split('/')[2]}`;
+  }
+  if (method === 'POST' && url.endsWith('/transitions')) {
+    return `Close ${url.split('/')[2]} (transition ${data.transition.id})`;
+  }
+  if (method === 'DELETE' && url.startsWith('/issue/')) {
+    return `Delete ${url.split('/')[2].split('?')[0]}`;
+  }
+  if (method === 'PUT' && url.startsWith('/issue/')) {
+    const key = url.slice('/issue/'.length);
+    const changed = [...Object.keys(data.fields || {}), ...Object.keys(data.update || {})];
+    return `Update ${key} (${changed.join(', ')})`;
+  }
+
+  return `${method} ${url}`;
+}
+
+/**
+ * Renders the recorded requests as a human readable plan
+ */
+function formatPlan(requests, issueTypes = DEFAULT_ISSUE_TYPE_PROFILE.issueTypes) {
+  const writes = requests.filter(r => r.method !== 'GET');
+  const lines = [`${writes.length} write requests (${requests.length - writes.length} read requests omitted)`];
+
+  for (const request of writes) {
+    lines.push(`${String(request.step).padStart(4)}. ${describeRequest(request, issueTypes)}`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Writes the full plan, including payloads, as JSON
+ */
+function writePlan(planFile, plan) {
+  fs.writeFileSync(planFile, JSON.stringify(plan, null, 2));
+  console.log(`Plan written to ${planFile}`);
+}
+
+module.exports = {
+  DEFAULT_ISSUE_TYPE_PROFILE,
+  loadIssueTypeProfile,
+  createPlanClient,
+  describeRequest,
+  formatPlan,
+  writePlan
+};
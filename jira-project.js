@@ -0,0 +1,140 @@
+/**
+ * Jira Project Scaffold
+ *
+ * Helpers for the `project` section of a PMAC file: the project template to create
+ * from, the project and component settings to send, which of them differ from what
+ * Jira has, and the board (its filter and columns) the project should have. Leads and
+ * categories are looked up by the importer; these helpers only shape the payloads.
+ */
+
+// Base path of the (internal) board configuration API, the only one that sets board columns
+const BOARD_CONFIG_API = '/rest/greenhopper/1.0';
+
+// Project templates by template and style; Server and Data Center only have company-managed projects
+const PROJECT_TEMPLATES = {
+  cloud: {
+    scrum: {
+      'company-managed': 'com.pyxis.greenhopper.jira:gh-simplified-scrum-classic',
+      'team-managed': 'com.pyxis.greenhopper.jira:gh-simplified-agility-scrum'
+    },
+    kanban: {
+      'company-managed': 'com.pyxis.greenhopper.jira:gh-simplified-kanban-classic',
+      'team-managed': 'com.pyxis.greenhopper.jira:gh-simplified-agility-kanban'
+    }
+  },
+  selfHosted: {
+    scrum: { 'company-managed': 'com.pyxis.greenhopper.jira:gh-scrum-template' },
+    kanban: { 'company-managed': 'com.pyxis.greenhopper.jira:gh-kanban-template' }
+  }
+};
+
+// Values of defaultAssignee, as Jira's assigneeType
+const DEFAULT_ASSIGNEES = { projectLead: 'PROJECT_LEAD', unassigned: 'UNASSIGNED' };
+
+// Where project and component views hold the values their updates set
+const CURRENT_VALUES = {
+  leadAccountId: view => view.lead?.accountId,
+  lead: view => view.lead?.name,
+  leadUserName: view => view.lead?.name,
+  categoryId: view => view.projectCategory?.id
+};
+
+/**
+ * The projectTypeKey and projectTemplateKey a project is created from, or null when
+ * the section names no template
+ */
+function projectTemplate(project = {}, deployment) {
+  if (!project.template) return null;
+  const style = project.style || 'company-managed';
+  const templateKey = PROJECT_TEMPLATES[deployment.selfHosted ? 'selfHosted' : 'cloud'][project.template][style];
+  if (!templateKey) {
+    throw new Error(`${deployment.title} has no ${style} projects, use "style": "company-managed"`);
+  }
+  return { projectTypeKey: 'software', projectTemplateKey: templateKey };
+}
+
+/**
+ * Project settings the section declares, as the project payload takes them (without
+ * the lead and category, which are looked up)
+ */
+function projectSettings(project = {}) {
+  const settings = {};
+  if (project.name !== undefined) settings.name = project.name;
+  if (project.description !== undefined) settings.description = project.description;
+  if (project.url !== undefined) settings.url = project.url;
+  if (project.defaultAssignee) settings.assigneeType = DEFAULT_ASSIGNEES[project.defaultAssignee];
+  return settings;
+}
+
+/**
+ * Components the section declares: { name, description, lead }
+ */
+function declaredComponents(project = {}) {
+  return project.components || [];
+}
+
+/**
+ * Settings that differ between a project, component or version view and the wanted payload:
+ * { changes, before }, where `before` restores the view's values
+ */
+function settingChanges(view, wanted) {
+  const changes = {};
+  const before = {};
+  for (const [key, value] of Object.entries(wanted)) {
+    const current = CURRENT_VALUES[key] ? CURRENT_VALUES[key](view) : view[key];
+    if (String(current ?? '') !== String(value ?? '')) {
+      changes[key] = value;
+      before[key] = current ?? null;
+    }
+  }
+  return { changes, before };
+}
+
+/**
+ * The board the section declares, with its defaults filled in: { name, type, jql, columns },
+ * or null when it declares none
+ */
+function boardSettings(project = {}, projectKey) {
+  if (!project.board) return null;
+  const { name, filter, columns = [] } = project.board;
+  return {
+    name: name || `${projectKey} board`,
+    type: project.template === 'kanban' ? 'kanban' : 'scrum',
+    jql: filter || `project = "${projectKey}" ORDER BY Rank ASC`,
+    columns
+  };
+}
+
+/**
+ * Whether a board's columns (from /board/{id}/configuration) are the wanted ones:
+ * the same names in the same order, holding the same status IDs
+ */
+function sameColumns(current = [], wanted) {
+  return current.length === wanted.length && wanted.every((column, index) => {
+    const ids = (current[index].statuses || []).map(status => String(status.id)).sort();
+    return current[index].name === column.name && ids.join() === [...column.statusIds].sort().join();
+  });
+}
+
+/**
+ * Board columns as the board configuration API takes them
+ */
+function columnsPayload(boardId, columns) {
+  return {
+    rapidViewId: Number(boardId),
+    mappedColumns: columns.map(column => ({ name: column.name, mappedStatuses: column.statusIds.map(id => ({ id: String(id) })) }))
+  };
+}
+
+module.exports = {
+  BOARD_CONFIG_API,
+  PROJECT_TEMPLATES,
+  DEFAULT_ASSIGNEES,
+  projectTemplate,
+  projectSettings,
+  declaredComponents,
+  settingChanges,
+  boardSettings,
+  sameColumns,
+  columnsPayload
+};
@@ -0,0 +1,64 @@
+/**
+ * Jira Releases
+ *
+ * Helpers for the `releases` section of a PMAC file: every release becomes a version
+ * of the Jira project, and the epics and stories that name it in `release` get it as
+ * a fix version. These helpers shape version payloads and count the items of each
+ * release for the summary; the importer creates and reconciles the versions.
+ */
+
+const { EPIC_LEVEL, STORY_LEVEL } = require('./pmac-hierarchy');
+
+/**
+ * Version settings from a PMAC release: { name, description, startDate, releaseDate, released }
+ */
+function versionSettings(release) {
+  const settings = { name: release.name };
+  if (release.description !== undefined) settings.description = release.description;
+  if (release.startDate) settings.startDate = release.startDate;
+  if (release.releaseDate) settings.releaseDate = release.releaseDate;
+  if (release.released !== undefined) settings.released = release.released;
+  return settings;
+}
+
+/**
+ * The fix versions of an item: its fixVersions, followed by its release
+ */
+function itemFixVersions(item) {
+  return [...new Set([...(item.fixVersions || []), ...(item.release ? [item.release] : [])])];
+}
+
+/**
+ * Counts the epics and stories of each release among hierarchy entries, in release
+ * order: Map of release name to { epics, stories, imported }. `isImported(entry)`
+ * tells whether the entry's issue exists, and with it the fix version.
+ */
+function releaseAssignments(releases, entries, isImported) {
+  const counts = new Map(releases.map(release => [release.name, { epics: 0, stories: 0, imported: 0 }]));
+  for (const entry of entries) {
+    const count = entry.item.release && counts.get(entry.item.release);
+    if (!count) continue;
+    if (entry.level === EPIC_LEVEL) count.epics++;
+    if (entry.level === STORY_LEVEL) count.stories++;
+    if (isImported(entry)) count.imported++;
+  }
+  return counts;
+}
+
+/**
+ * Describes a release and its items for the summary, e.g.
+ * "2.0 (2026-12-01, released): 2 epics and 5 stories, 6 of 7 imported"
+ */
+function describeRelease(release, count) {
+  const details = [release.releaseDate, release.released && 'released'].filter(Boolean);
+  const items = `${count.epics} ${count.epics === 1 ? 'epic' : 'epics'} and ${count.stories} ${count.stories === 1 ? 'story' : 'stories'}`;
+  const imported = count.imported < count.epics + count.stories ? `, ${count.imported} of ${count.epics + count.stories} imported` : '';
+  return `${release.name}${details.length > 0 ? ` (${details.join(', ')})` : ''}: ${items}${imported}`;
+}
+
+module.exports = {
+  versionSettings,
+  itemFixVersions,
+  releaseAssignments,
+  describeRelease
+};
@@ -0,0 +1,177 @@
+/**
+ * Jira Request Layer
+ *
+ * Retries throttled and transient Jira responses on the shared axios client.
+ * Honours Retry-After and Atlassian's X-RateLimit-* headers, otherwise backs off
+ * exponentially with jitter, within a per-request limit and a per-run retry budget.
+ * Requests that are not idempotent (POST) are only retried when the server turned
+ * them away unprocessed, so a dropped connection cannot create an issue twice.
+ * Once retries run out a JiraThrottleError is thrown, so callers can tell throttling
+ * apart from validation errors and skip their payload fallbacks.
+ */
+
+// Statuses worth retrying: rate limited or temporarily unavailable
+const TRANSIENT_STATUSES = new Set([429, 502, 503, 504]);
+
+// Network errors worth retrying
+const TRANSIENT_CODES = new Set(['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE']);
+
+// Network errors raised before the request reached the server
+const UNSENT_CODES = new Set(['EAI_AGAIN']);
+
+// Methods that do their work once however often they are sent
+const IDEMPOTENT_METHODS = new Set(['get', 'head', 'options', 'put', 'delete']);
+
+const DEFAULT_RETRY_OPTIONS = {
+  maxRetries: 5,
+  retryBudget: 100,
+  baseDelay: 1000,
+  maxDelay: 60000,
+  nearLimitDelay: 1000
+};
+
+/**
+ * Raised when a request is still throttled or unavailable after all retries
+ */
+class JiraThrottleError extends Error {
+  constructor(message, cause) {
+    super(message);
+    this.name = 'JiraThrottleError';
+    this.cause = cause;
+    this.response = cause?.response;
+  }
+}
+
+/**
+ * Checks whether an error is throttling or a temporary outage rather than a rejected request
+ */
+function isTransientError(error) {
+  if (error instanceof JiraThrottleError) return true;
+  if (error?.response) return TRANSIENT_STATUSES.has(error.response.status);
+  return TRANSIENT_CODES.has(error?.code);
+}
+
+/**
+ * Reads a header case-insensitively from an axios response
+ */
+function header(response, name) {
+  const headers = response?.headers || {};
+  if (typeof headers.get === 'function') return headers.get(name);
+  const key = Object.keys(headers).find(k => k.toLowerCase() === name);
+  return key ? headers[key] : undefined;
+}
+
+/**
+ * Checks whether the server turned a request away without processing it: 429, or 503 with Retry-After
+ */
+function isRateLimited(error) {
+  const status = error?.response?.status;
+  return status === 429 || (status === 503 && header(error.response, 'retry-after') != null);
+}
+
+/**
+ * Checks whether a transient failure can be retried without doing the request's work twice:
+ * idempotent methods always can, others only when they were rate limited or never sent
+ */
+function isSafeToRetry(error, isRateLimitedError = isRateLimited) {
+  if (IDEMPOTENT_METHODS.has(String(error.config?.method).toLowerCase())) return true;
+  if (!error.response) return UNSENT_CODES.has(error.code);
+  return isRateLimitedError(error);
+}
+
+/**
+ * Works out how long to wait before the next attempt, in milliseconds
+ */
+function retryDelay(error, attempt, options = DEFAULT_RETRY_OPTIONS, now = Date.now(), random = Math.random) {
+  const retryAfter = header(error.response, 'retry-after');
+  if (retryAfter !== undefined && retryAfter !== null) {
+    const seconds = Number(retryAfter);
+    const wait = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(retryAfter) - now;
+    if (Number.isFinite(wait)) return Math.min(Math.max(wait, 0), options.maxDelay);
+  }
+
+  // Jira sends an ISO timestamp, GitHub epoch seconds
+  const reset = header(error.response, 'x-ratelimit-reset');
+  if (reset) {
+    const wait = (/^\d+$/.test(String(reset)) ? Number(reset) * 1000 : Date.parse(reset)) - now;
+    if (Number.isFinite(wait)) return Math.min(Math.max(wait, 0), options.maxDelay);
+  }
+
+  // Exponential backoff with jitter between half and the full delay
+  const exponential = Math.min(options.maxDelay, options.baseDelay * 2 ** attempt);
+  return Math.round(exponential / 2 + random() * exponential / 2);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Adds retry handling to an axios client. Returns the retry state for reporting.
+ * `retryOptions.isTransient` and `retryOptions.isRateLimited` replace the checks for
+ * trackers that signal throttling differently (GitHub answers its rate limits with 403).
+ */
+function installRetryHandling(client, retryOptions = {}) {
+  const options = { ...DEFAULT_RETRY_OPTIONS, isTransient: isTransientError, isRateLimited };
+  for (const [key, value] of Object.entries(retryOptions)) {
+    if (value !== undefined) options[key] = value;
+  }
+  const state = { retries: 0, budgetLeft: options.retryBudget, pauseUntil: 0 };
+
+  // Hold requests back while rate limited or close to the limit
+  client.interceptors.request.use(async request => {
+    const wait = state.pauseUntil - Date.now();
+    if (wait > 0) await sleep(wait);
+    return request;
+  });
+
+  client.interceptors.response.use(
+    response => {
+      if (String(header(response, 'x-ratelimit-nearlimit')) === 'true') {
+        state.pauseUntil = Date.now() + options.nearLimitDelay;
+      }
+      return response;
+    },
+    async error => {
+      const request = error.config;
+      if (!request || !options.isTransient(error) || !isSafeToRetry(error, options.isRateLimited)) throw error;
+
+      const attempt = request.retryAttempt || 0;
+      const what = `${request.method?.toUpperCase()} ${request.url}`;
+      const reason = error.response ? `status ${error.response.status}` : error.code;
+
+      if (attempt >= options.maxRetries) {
+        throw new JiraThrottleError(`${what} still failing with ${reason} after ${attempt} retries`, error);
+      }
+      if (state.budgetLeft <= 0) {
+        throw new JiraThrottleError(`${what} failed with ${reason} and the retry budget of ${options.retryBudget} is used up`, error);
+      }
+
+      const wait = retryDelay(error, attempt, options);
+      console.warn(`${what} failed with ${reason}, retrying in ${(wait / 1000).toFixed(1)}s (attempt ${attempt + 1} of ${options.maxRetries})`);
+
+      // Hold back every request on this client, not just this one, while rate limited
+      if (options.isRateLimited(error)) {
+        state.pauseUntil = Math.max(state.pauseUntil, Date.now() + wait);
+      }
+
+      state.retries++;
+      state.budgetLeft--;
+      request.retryAttempt = attempt + 1;
+      await sleep(wait);
+      return client.request(request);
+    }
+  );
+
+  return state;
+}
+
+module.exports = {
+  DEFAULT_RETRY_OPTIONS,
+  JiraThrottleError,
+  isTransientError,
+  isRateLimited,
+  isSafeToRetry,
+  retryDelay,
+  installRetryHandling
+};
@@ -0,0 +1,104 @@
+/**
+ * Jira Sprints
+ *
+ * Helpers for the `sprints` section of a PMAC file and the Jira Agile API
+ * (/rest/agile/1.0): sprint payloads, which sprint settings changed, the Sprint
+ * field of existing issues and the order stories go into each sprint.
+ */
+
+// Base path of the Jira Software (Agile) REST API, next to /rest/api/3
+const AGILE_API = '/rest/agile/1.0';
+
+// Jira accepts at most 50 issues per sprint move or rank request
+const AGILE_BATCH_SIZE = 50;
+
+const SPRINT_FIELD_SCHEMA = 'com.pyxis.greenhopper.jira:gh-sprint';
+
+/**
+ * Finds the Sprint custom field, by its schema type or its (English) name
+ */
+function findSprintField(jiraFields = []) {
+  return jiraFields.find(f => f.schema?.custom === SPRINT_FIELD_SCHEMA) ||
+    jiraFields.find(f => f.name === 'Sprint') ||
+    null;
+}
+
+/**
+ * Converts a PMAC sprint date to the date-time Jira expects. Plain dates start at
+ * the beginning of the start day and end at the end of the end day (UTC).
+ */
+function toSprintDate(value, endOfDay = false) {
+  if (!value) return undefined;
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return `${value}T${endOfDay ? '23:59:59' : '00:00:00'}.000Z`;
+  return new Date(value).toISOString();
+}
+
+/**
+ * Sprint settings from a PMAC sprint: { name, goal, startDate, endDate } in Jira's format
+ */
+function sprintSettings(sprint) {
+  const settings = { name: sprint.name };
+  if (sprint.goal !== undefined) settings.goal = sprint.goal;
+  if (sprint.startDate) settings.startDate = toSprintDate(sprint.startDate);
+  if (sprint.endDate) settings.endDate = toSprintDate(sprint.endDate, true);
+  return settings;
+}
+
+/**
+ * Settings that differ between a PMAC sprint and the existing Jira sprint, as a partial update
+ */
+function sprintChanges(existing, sprint) {
+  const changes = {};
+  for (const [key, value] of Object.entries(sprintSettings(sprint))) {
+    const current = existing[key] && key.endsWith('Date') ? new Date(existing[key]).toISOString() : existing[key];
+    if ((current ?? '') !== value) changes[key] = value;
+  }
+  return changes;
+}
+
+/**
+ * The open (active or future) sprint an issue is in, from its Sprint field
+ */
+function openSprintOf(issue, sprintFieldId) {
+  const value = sprintFieldId && issue.fields?.[sprintFieldId];
+  const sprints = Array.isArray(value) ? value : [];
+  return sprints.find(s => s.state === 'active' || s.state === 'future') || null;
+}
+
+/**
+ * Groups story keys by sprint name, in file order. `keyOf(story)` gives a story's
+ * Jira key, or nothing when the story was not imported.
+ */
+function sprintAssignments(stories, keyOf) {
+  const assignments = new Map();
+  for (const story of stories) {
+    const key = story.sprint && keyOf(story);
+    if (!key) continue;
+    if (!assignments.has(story.sprint)) assignments.set(story.sprint, []);
+    assignments.get(story.sprint).push(key);
+  }
+  return assignments;
+}
+
+/**
+ * Splits a list into batches the Agile API accepts
+ */
+function agileBatches(list) {
+  const batches = [];
+  for (let start = 0; start < list.length; start += AGILE_BATCH_SIZE) {
+    batches.push(list.slice(start, start + AGILE_BATCH_SIZE));
+  }
+  return batches;
+}
+
+module.exports = {
+  AGILE_API,
+  AGILE_BATCH_SIZE,
+  findSprintField,
+  toSprintDate,
+  sprintSettings,
+  sprintChanges,
+  openSprintOf,
+  sprintAssignments,
+  agileBatches
+};
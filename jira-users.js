@@ -0,0 +1,68 @@
+/**
+ * Jira Users
+ *
+ * Helpers for the `team` section of a PMAC file and the people of its items: an
+ * item's `assignee`, `reporter` and `watchers` name team members by ID, and each
+ * member is looked up in Jira once, by account, email address or name. Members who
+ * cannot be found fall back to USER_FALLBACKS (JIRA_USER_FALLBACK).
+ */
+
+// What happens to the assignee of an item whose team member is not found in Jira
+const USER_FALLBACKS = ['unassigned', 'component-lead', 'fail'];
+
+/**
+ * The team members an item names: [{ role, id }] with role 'assignee', 'reporter' or 'watcher'
+ */
+function itemPeople(item) {
+  const people = [];
+  if (item.assignee) people.push({ role: 'assignee', id: item.assignee });
+  if (item.reporter) people.push({ role: 'reporter', id: item.reporter });
+  for (const id of item.watchers || []) people.push({ role: 'watcher', id });
+  return people;
+}
+
+/**
+ * IDs of the team members any of the items name, in first-use order
+ */
+function referencedMembers(items) {
+  return [...new Set(items.flatMap(item => itemPeople(item).map(person => person.id)))];
+}
+
+/**
+ * Search terms a team member is looked up by, most specific first
+ */
+function lookupTerms(member) {
+  return [member.email, member.name].filter(Boolean);
+}
+
+/**
+ * A Jira user as the value of a user field: account ID on Cloud, username on Server and Data Center
+ */
+function userValue(user, selfHosted) {
+  return selfHosted ? { name: user.name } : { accountId: user.accountId };
+}
+
+/**
+ * Whether two Jira user views are the same user
+ */
+function sameUser(a, b) {
+  return Boolean(a && b && (a.accountId ? a.accountId === b.accountId : a.name === b.name));
+}
+
+/**
+ * Describes a team member for messages, e.g. "alice (alice@example.com)"
+ */
+function describeMember(member) {
+  const detail = member.email || member.name;
+  return detail ? `${member.id} (${detail})` : member.id;
+}
+
+module.exports = {
+  USER_FALLBACKS,
+  itemPeople,
+  referencedMembers,
+  lookupTerms,
+  userValue,
+  sameUser,
+  describeMember
+};
@@ -0,0 +1,571 @@
+#!/usr/bin/env node
+/**
+ * PMAC Command Line Interface
+ *
+ * Entry point for the `pmac` command. Parses subcommands and options and runs
+ * the importer, validator and planner behind them.
+ *
+ * Exit codes: 0 success, 1 failure (import error or invalid input), 2 usage error.
+ */
+
+const readline = require('readline');
+const { parseArgs } = require('util');
+const importer = require('./jira-importer');
+const { validateFile, formatValidationErrors, describeContents } = require('./pmac-validator');
+const { loadIssueTypeProfile, DEFAULT_ISSUE_TYPE_PROFILE } = require('./jira-plan');
+const { listRuns } = require('./import-journal');
+const { failureCount } = require('./import-report');
+const { PARENTING_STRATEGIES } = require('./jira-capabilities');
+const { BACKENDS } = require('./tracker-backend');
+const { DEPLOYMENTS } = require('./jira-deployment');
+const { USER_FALLBACKS } = require('./jira-users');
+const { GITHUB_PARENTING_STRATEGIES } = require('./github-backend');
+const { parseAssignments, readVariablesFile } = require('./pmac-template');
+
+const EXIT_OK = 0;
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+
+// Options shared by every command
+const COMMON_OPTIONS = {
+  help: { type: 'boolean', short: 'h' },
+  verbose: { type: 'boolean', short: 'v' },
+  quiet: { type: 'boolean', short: 'q' },
+  format: { type: 'string', short: 'f', default: 'text' }
+};
+
+// Options for commands that talk to (or plan against) a Jira project or GitHub repository
+const PROJECT_OPTIONS = {
+  input: { type: 'string', short: 'i' },
+  backend: { type: 'string', short: 'b' },
+  repo: { type: 'string' },
+  deployment: { type: 'string' },
+  'project-key': { type: 'string', short: 'k' },
+  'project-name': { type: 'string', short: 'n' },
+  'env-file': { type: 'string', short: 'e' },
+  concurrency: { type: 'string' },
+  'max-retries': { type: 'string' },
+  'retry-budget': { type: 'string' },
+  parenting: { type: 'string' },
+  board: { type: 'string' },
+  'user-fallback': { type: 'string' },
+  var: { type: 'string', multiple: true },
+  'vars-file': { type: 'string' }
+};
+
+// Per-item report files written by import and plan
+const REPORT_OPTIONS = {
+  report: { type: 'string' },
+  junit: { type: 'string' },
+  html: { type: 'string' }
+};
+
+const REPORT_HELP = [
+  '--report <file>          Write the per-item import report as JSON',
+  '--junit <file>           Write the report as JUnit XML (failed items are failing tests)',
+  '--html <file>            Write the report as a standalone HTML page'
+];
+
+// Template variables, for commands that read a PMAC file
+const TEMPLATE_HELP = [
+  '--var <name=value>       Set a template variable (repeatable)',
+  '--vars-file <file>       Read template variables from an env file (NAME=value lines)'
+];
+
+const COMMANDS = {
+  import: {
+    summary: 'Create or update the Jira project (or GitHub repository issues) from a PMAC file',
+    usage: 'pmac import [options]',
+    options: {
+      ...PROJECT_OPTIONS,
+      ...REPORT_OPTIONS,
+      prune: { type: 'string' },
+      resume: { type: 'boolean' },
+      force: { type: 'boolean' },
+      'dry-run': { type: 'boolean' }
+    },
+    help: [
+      '--prune <close|delete>   Close or delete issues no longer in the PMAC file',
+      '--resume                 Continue an interrupted import from its checkpoint',
+      '--force                  With --resume, continue even though the PMAC file changed',
+      '--dry-run                Same as `pmac plan`',
+      ...REPORT_HELP
+    ],
+    run: runImport
+  },
+  plan: {
+    summary: 'Show the requests an import would send, without contacting the tracker',
+    usage: 'pmac plan [options]',
+    options: {
+      ...PROJECT_OPTIONS,
+      ...REPORT_OPTIONS,
+      prune: { type: 'string' },
+      'issue-types': { type: 'string' },
+      output: { type: 'string', short: 'o' }
+    },
+    help: [
+      '--issue-types <file>     Issue-type profile to plan against (default: Epic/Story/Task/Sub-task)',
+      '-o, --output <file>      Also write the plan with full payloads as JSON',
+      '--prune <close|delete>   Include closing or deleting removed issues',
+      ...REPORT_HELP
+    ],
+    run: runPlan
+  },
+  validate: {
+    summary: 'Validate PMAC files against the schema and check references',
+    usage: 'pmac validate [file|directory|glob...]',
+    options: {
+      var: PROJECT_OPTIONS.var,
+      'vars-file': PROJECT_OPTIONS['vars-file']
+    },
+    positionals: true,
+    help: [
+      'Each argument is one PMAC project: a JSON or YAML file, a directory of them or a quoted glob.',
+      ...TEMPLATE_HELP
+    ],
+    run: runValidate
+  },
+  status: {
+    summary: 'Compare a PMAC file with the issues already in the tracker',
+    usage: 'pmac status [options]',
+    options: { ...PROJECT_OPTIONS },
+    help: [],
+    run: runStatus
+  },
+  export: {
+    summary: 'Write an existing Jira project out as a PMAC file',
+    usage: 'pmac export [options]',
+    options: {
+      'project-key': PROJECT_OPTIONS['project-key'],
+      'env-file': PROJECT_OPTIONS['env-file'],
+      deployment: PROJECT_OPTIONS.deployment,
+      output: { type: 'string', short: 'o' },
+      adopt: { type: 'boolean' }
+    },
+    // Without --output the PMAC data goes to stdout, so progress must not
+    dataOnStdout: values => !values.output,
+    help: [
+      '-k, --project-key <key>  Jira project to export (default: $PROJECT_KEY or PMAC)',
+      '-e, --env-file <file>    Load Jira settings from this env file (default: .env)',
+      `--deployment <name>      Jira deployment: ${DEPLOYMENTS.join(', ')} (default: $JIRA_DEPLOYMENT or auto)`,
+      '-o, --output <file>      File to write, YAML for .yaml/.yml (default: JSON to stdout)',
+      '--adopt                  Tag the issues so importing the file updates them'
+    ],
+    run: runExport
+  },
+  undo: {
+    summary: 'Delete what an import run created and restore what it changed',
+    usage: 'pmac undo <run-id> [options]',
+    options: {
+      ...PROJECT_OPTIONS,
+      'dry-run': { type: 'boolean' },
+      yes: { type: 'boolean', short: 'y' },
+      list: { type: 'boolean', short: 'l' }
+    },
+    positionals: true,
+    help: [
+      '--dry-run                Show what would be undone without changing the tracker',
+      '-y, --yes                Do not ask for confirmation',
+      '-l, --list               List recorded runs (journals in $PMAC_JOURNAL_DIR or .pmac/runs)'
+    ],
+    run: runUndo
+  }
+};
+
+const PROJECT_HELP = [
+  '-i, --input <path>       PMAC JSON/YAML file, directory or quoted glob (default: ./pmac-jira-import-json.json)',
+  `-b, --backend <name>     Tracker to import into: ${Object.keys(BACKENDS).join(', ')} (default: $PMAC_BACKEND or jira)`,
+  '--repo <owner/name>      GitHub repository for the github backend (default: $GITHUB_REPOSITORY)',
+  '-k, --project-key <key>  Jira project key (default: $PROJECT_KEY or PMAC)',
+  '-n, --project-name <n>   Jira project name (default: $PROJECT_NAME)',
+  '-e, --env-file <file>    Load Jira settings from this env file (default: .env)',
+  `--deployment <name>      Jira deployment: ${DEPLOYMENTS.join(', ')} (default: $JIRA_DEPLOYMENT or auto)`,
+  '--concurrency <n>        Requests in flight for independent work (default: $JIRA_CONCURRENCY or 4)',
+  '--max-retries <n>        Retries per throttled request (default: $JIRA_MAX_RETRIES or 5)',
+  '--retry-budget <n>       Retries allowed in the whole run (default: $JIRA_RETRY_BUDGET or 100)',
+  `--parenting <strategy>   How stories go under epics: auto, ${Object.keys(PARENTING_STRATEGIES).join(', ')}`,
+  `                         on GitHub ${GITHUB_PARENTING_STRATEGIES.join(', ')} (default: $JIRA_PARENTING_STRATEGY or auto)`,
+  '--board <id>             Scrum board to create sprints on (default: $JIRA_BOARD_ID or the project\'s board)',
+  `--user-fallback <mode>   Team members not found in Jira: ${USER_FALLBACKS.join(', ')}`,
+  '                         (default: $JIRA_USER_FALLBACK or unassigned)',
+  ...TEMPLATE_HELP
+];
+
+const COMMON_HELP = [
+  '-f, --format <text|json> Output format (default: text)',
+  '-v, --verbose            Log every request sent to the tracker',
+  '-q, --quiet              Only print warnings, errors and the result',
+  '-h, --help               Show help'
+];
+
+/**
+ * Error for invalid command-line usage
+ */
+class UsageError extends Error {}
+
+/**
+ * Builds the general or per-command help text
+ */
+function helpText(commandName) {
+  if (!commandName) {
+    const width = Math.max(...Object.keys(COMMANDS).map(name => name.length));
+    return [
+      'Usage: pmac <command> [options]',
+      '',
+      'Commands:',
+      ...Object.entries(COMMANDS).map(([name, command]) => `  ${name.padEnd(width)}  ${command.summary}`),
+      '',
+      'Run `pmac <command> --help` for the options of a command.'
+    ].join('\n');
+  }
+
+  const command = COMMANDS[commandName];
+  const options = [...command.help];
+  if (command.options.input) options.unshift(...PROJECT_HELP);
+  options.push(...COMMON_HELP);
+
+  return [
+    `Usage: ${command.usage}`,
+    '',
+    command.summary,
+    '',
+    'Options:',
+    ...options.map(line => `  ${line}`)
+  ].join('\n');
+}
+
+/**
+ * Writes the result of a command in the requested format
+ */
+function output(format, result, text) {
+  if (format === 'json') {
+    process.stdout.write(JSON.stringify(result, null, 2) + '\n');
+  } else if (text) {
+    process.stdout.write(text + '\n');
+  }
+}
+
+/**
+ * Reads a non-negative integer option
+ */
+function numberOption(values, name) {
+  if (values[name] === undefined) return undefined;
+  const number = Number(values[name]);
+  if (!Number.isInteger(number) || number < 0) {
+    throw new UsageError(`--${name} must be a non-negative integer, got "${values[name]}"`);
+  }
+  return number;
+}
+
+/**
+ * Applies the project options to the importer configuration
+ */
+function configureProject(values) {
+  if (values.prune !== undefined && !['close', 'delete'].includes(values.prune)) {
+    throw new UsageError(`--prune must be "close" or "delete", got "${values.prune}"`);
+  }
+  if (values.backend !== undefined && !BACKENDS[values.backend]) {
+    throw new UsageError(`--backend must be one of ${Object.keys(BACKENDS).join(', ')}, got "${values.backend}"`);
+  }
+  if (values.deployment !== undefined && !DEPLOYMENTS.includes(values.deployment)) {
+    throw new UsageError(`--deployment must be one of ${DEPLOYMENTS.join(', ')}, got "${values.deployment}"`);
+  }
+  if (values['user-fallback'] !== undefined && !USER_FALLBACKS.includes(values['user-fallback'])) {
+    throw new UsageError(`--user-fallback must be one of ${USER_FALLBACKS.join(', ')}, got "${values['user-fallback']}"`);
+  }
+
+  importer.configure({
+    envFile: values['env-file'],
+    backend: values.backend,
+    githubRepository: values.repo,
+    deployment: values.deployment,
+    projectKey: values['project-key'],
+    projectName: values['project-name'],
+    concurrency: numberOption(values, 'concurrency'),
+    maxRetries: numberOption(values, 'max-retries'),
+    retryBudget: numberOption(values, 'retry-budget'),
+    parentingStrategy: values.parenting,
+    boardId: values.board,
+    userFallback: values['user-fallback'],
+    verbose: values.verbose
+  });
+
+  // Strategies depend on the backend, which may come from the env file
+  const strategies = importer.config.backend === 'github'
+    ? GITHUB_PARENTING_STRATEGIES
+    : ['auto', ...Object.keys(PARENTING_STRATEGIES)];
+  if (values.parenting !== undefined && !strategies.includes(values.parenting)) {
+    throw new UsageError(`--parenting must be one of ${strategies.join(', ')} for the ${importer.config.backend} backend, got "${values.parenting}"`);
+  }
+}
+
+/**
+ * Template variables from --vars-file and --var, which wins
+ */
+function templateVariables(values) {
+  try {
+    return {
+      ...(values['vars-file'] ? readVariablesFile(values['vars-file']) : {}),
+      ...parseAssignments(values.var)
+    };
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+}
+
+/**
+ * Report files requested with --report, --junit and --html
+ */
+function reportFiles(values) {
+  return { json: values.report, junit: values.junit, html: values.html };
+}
+
+// Settings each backend needs to reach its tracker, as environment variable and config key.
+// Jira takes a personal access token (Server and Data Center) instead of email and API token.
+const BACKEND_SETTINGS = {
+  jira: {
+    title: 'Jira',
+    settings: config => [
+      ['JIRA_HOST', 'jiraHost'],
+      ...(config.jiraPat ? [] : [['JIRA_EMAIL', 'jiraEmail'], ['JIRA_API_TOKEN', 'jiraApiToken']])
+    ]
+  },
+  github: { title: 'GitHub', settings: () => [['GITHUB_TOKEN', 'githubToken'], ['GITHUB_REPOSITORY', 'githubRepository']] }
+};
+
+/**
+ * Fails early when the settings needed to reach the configured tracker are missing
+ */
+function requireBackendSettings() {
+  const { title, settings } = BACKEND_SETTINGS[importer.config.backend] || BACKEND_SETTINGS.jira;
+  const missing = settings(importer.config).filter(([, key]) => !importer.config[key]).map(([name]) => name);
+
+  if (missing.length > 0) {
+    throw new Error(`Missing ${title} settings: ${missing.join(', ')} (set them in .env or pass --env-file)`);
+  }
+}
+
+async function runImport(values) {
+  if (values['dry-run']) return runPlan(values);
+  if (values.force && !values.resume) {
+    throw new UsageError('--force only applies to --resume');
+  }
+
+  configureProject(values);
+  requireBackendSettings();
+  const result = await importer.importToJira({
+    inputFile: values.input,
+    prune: values.prune,
+    variables: templateVariables(values),
+    resume: Boolean(values.resume),
+    force: Boolean(values.force),
+    reportFiles: reportFiles(values)
+  });
+
+  if (!result.success) {
+    output(values.format, result, `Import failed: ${result.error}`);
+    return EXIT_FAILURE;
+  }
+
+  // A run that went through but left items, links or attachments behind still fails, so CI can act on it
+  if (result.complete) {
+    output(values.format, result, null);
+    return EXIT_OK;
+  }
+  output(values.format, result, `Import finished with ${failureCount(result.report)} failures, see the summary above`);
+  return EXIT_FAILURE;
+}
+
+async function runPlan(values) {
+  configureProject(values);
+  const profile = values['issue-types'] ? loadIssueTypeProfile(values['issue-types']) : DEFAULT_ISSUE_TYPE_PROFILE;
+  const result = await importer.importToJira({
+    inputFile: values.input,
+    variables: templateVariables(values),
+    prune: values.prune,
+    dryRun: true,
+    printPlan: false,
+    planFile: values.output,
+    issueTypeProfile: profile,
+    reportFiles: reportFiles(values)
+  });
+
+  if (result.success) {
+    output(values.format, result.plan, `\n=== Import Plan ===\n${result.planText}`);
+  } else {
+    output(values.format, result, `Plan failed: ${result.error}`);
+  }
+  return result.success ? EXIT_OK : EXIT_FAILURE;
+}
+
+async function runValidate(values, positionals) {
+  const files = positionals.length > 0 ? positionals : [importer.DEFAULT_INPUT_FILE];
+  const variables = templateVariables(values);
+  const results = files.map(file => validateFile(file, { variables }));
+
+  const text = results.map(result => result.valid
+    ? `${result.file}: OK (${describeContents(result)})`
+    : `${formatValidationErrors(result.errors, result.file)}\n${result.file}: ${result.errors.length} problem(s) found`
+  ).join('\n');
+
+  output(values.format, results, text);
+  return results.every(result => result.valid) ? EXIT_OK : EXIT_FAILURE;
+}
+
+async function runStatus(values) {
+  configureProject(values);
+  requireBackendSettings();
+  const status = await importer.getImportStatus({ inputFile: values.input, variables: templateVariables(values) });
+
+  const lines = [];
+  if (!status.projectExists) {
+    lines.push(`Project ${status.projectKey} does not exist yet; nothing has been imported.`);
+  } else {
+    for (const item of status.items) {
+      lines.push(`${item.state.padEnd(8)}  ${(item.key || '-').padEnd(10)}  ${item.type.padEnd(10)}  ${item.summary}`);
+    }
+    for (const issue of status.removed) {
+      lines.push(`${'removed'.padEnd(8)}  ${issue.key.padEnd(10)}  ${''.padEnd(5)}  ${issue.summary}`);
+    }
+  }
+
+  const counts = status.items.reduce((acc, item) => ({ ...acc, [item.state]: (acc[item.state] || 0) + 1 }), {});
+  lines.push('', Object.entries(counts).map(([state, count]) => `${count} ${state}`).concat(`${status.removed.length} removed`).join(', '));
+
+  output(values.format, status, lines.join('\n'));
+  return EXIT_OK;
+}
+
+async function runExport(values) {
+  configureProject(values);
+  if (importer.config.backend !== 'jira') {
+    throw new UsageError(`pmac export reads Jira projects only, not the ${importer.config.backend} backend`);
+  }
+  requireBackendSettings();
+  const result = await importer.exportFromJira({ outputFile: values.output, adopt: values.adopt });
+
+  // Without --output the PMAC data itself is the result
+  if (values.output) {
+    output(values.format, result, null);
+  } else {
+    process.stdout.write(JSON.stringify(result.data, null, 2) + '\n');
+  }
+  return EXIT_OK;
+}
+
+/**
+ * Asks a yes/no question on the terminal
+ */
+async function confirm(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+  try {
+    const answer = await new Promise(resolve => rl.question(`${question} [y/N] `, resolve));
+    return /^y(es)?$/i.test(answer.trim());
+  } finally {
+    rl.close();
+  }
+}
+
+async function runUndo(values, positionals) {
+  configureProject(values);
+
+  if (values.list) {
+    const runs = listRuns(importer.config.journalDir);
+    const text = runs.length === 0
+      ? `No runs recorded in ${importer.config.journalDir}`
+      : runs.map(run => `${run.runId}  ${(run.projectKey || '-').padEnd(10)}  ${String(run.entries).padStart(4)} changes${run.undone ? '  (undone)' : ''}`).join('\n');
+    output(values.format, runs, text);
+    return EXIT_OK;
+  }
+
+  if (positionals.length !== 1) {
+    throw new UsageError('Pass the ID of the run to undo (see `pmac undo --list`)');
+  }
+  if (!values['dry-run']) {
+    requireBackendSettings();
+    if (!values.yes && !process.stdin.isTTY) {
+      throw new UsageError('Pass --yes to undo without a terminal to confirm on');
+    }
+  }
+
+  const result = await importer.undoRun(positionals[0], {
+    dryRun: values['dry-run'],
+    confirm: values.yes ? null : steps => confirm(`Undo ${steps.length} changes in ${(BACKEND_SETTINGS[importer.config.backend] || BACKEND_SETTINGS.jira).title}?`)
+  });
+
+  let text = null;
+  if (result.cancelled) text = 'Undo cancelled';
+  else if (values['dry-run']) text = `${result.steps.length} changes would be undone`;
+  output(values.format, result, text);
+  return result.failed.length === 0 ? EXIT_OK : EXIT_FAILURE;
+}
+
+/**
+ * Runs the CLI with the given arguments and resolves to the exit code
+ */
+async function main(argv = process.argv.slice(2)) {
+  const [commandName, ...rest] = argv;
+
+  if (!commandName || commandName === '--help' || commandName === '-h' || commandName === 'help') {
+    console.log(helpText(rest[0] in COMMANDS ? rest[0] : undefined));
+    return commandName ? EXIT_OK : EXIT_USAGE;
+  }
+
+  const command = COMMANDS[commandName];
+  if (!command) {
+    console.error(`Unknown command "${commandName}"\n\n${helpText()}`);
+    return EXIT_USAGE;
+  }
+
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: rest,
+      options: { ...COMMON_OPTIONS, ...command.options },
+      allowPositionals: Boolean(command.positionals)
+    });
+  } catch (error) {
+    console.error(`${error.message}\n\n${helpText(commandName)}`);
+    return EXIT_USAGE;
+  }
+
+  const { values, positionals } = parsed;
+  if (values.help) {
+    console.log(helpText(commandName));
+    return EXIT_OK;
+  }
+  if (!['text', 'json'].includes(values.format)) {
+    console.error(`--format must be "text" or "json", got "${values.format}"`);
+    return EXIT_USAGE;
+  }
+
+  // Progress logging goes to stderr for JSON output and is dropped in quiet mode
+  const log = console.log;
+  if (values.quiet) {
+    console.log = () => {};
+  } else if (values.format === 'json' || command.dataOnStdout?.(values)) {
+    console.log = console.error;
+  }
+
+  try {
+    return await command.run(values, positionals);
+  } catch (error) {
+    if (error instanceof UsageError) {
+      console.error(error.message);
+      return EXIT_USAGE;
+    }
+    console.error(`pmac ${commandName} failed: ${error.message}`);
+    return EXIT_FAILURE;
+  } finally {
+    console.log = log;
+  }
+}
+
+if (require.main === module) {
+  main().then(code => process.exit(code));
+}
+
+module.exports = {
+  main,
+  COMMANDS
+};
@@ -0,0 +1,93 @@
+/**
+ * PMAC Hierarchy
+ *
+ * PMAC items can nest `children` at any depth. Where an item sits gives its Jira
+ * hierarchy level: `initiatives` are at level 2 (or their own `level`), `epics` at 1,
+ * `stories` at 0, and children sit one level below their parent, down to sub-tasks
+ * at -1. These helpers walk the tree and flatten it into the lists the importer
+ * creates top-down.
+ */
+
+const INITIATIVE_LEVEL = 2;
+const EPIC_LEVEL = 1;
+const STORY_LEVEL = 0;
+const SUBTASK_LEVEL = -1;
+
+// Top-level lists and the level their items sit at
+const ROOT_LISTS = [
+  { key: 'initiatives', level: item => (Number.isInteger(item?.level) ? item.level : INITIATIVE_LEVEL) },
+  { key: 'epics', level: () => EPIC_LEVEL },
+  { key: 'stories', level: () => STORY_LEVEL }
+];
+
+/**
+ * Names the kind of item at a hierarchy level, as used in messages and reports
+ */
+function levelName(level) {
+  if (level >= INITIATIVE_LEVEL) return 'initiative';
+  if (level === EPIC_LEVEL) return 'epic';
+  return level === STORY_LEVEL ? 'story' : 'sub-task';
+}
+
+/**
+ * Lists every item in the data, parents before their children:
+ * { item, level, path, parent } where `parent` is the entry of the enclosing item.
+ * Children below the sub-task level are left out (the validator reports them).
+ */
+function walkHierarchy(data) {
+  const entries = [];
+
+  const visit = (item, level, path, parent) => {
+    const entry = { item, level, path, parent };
+    entries.push(entry);
+    if (level > SUBTASK_LEVEL && Array.isArray(item?.children)) {
+      item.children.forEach((child, index) => visit(child, level - 1, `${path}.children[${index}]`, entry));
+    }
+  };
+
+  for (const { key, level } of ROOT_LISTS) {
+    if (!Array.isArray(data?.[key])) continue;
+    data[key].forEach((item, index) => visit(item, level(item), `$.${key}[${index}]`, null));
+  }
+
+  return entries;
+}
+
+/**
+ * Flattens the hierarchy into what the importer works through, top-down:
+ * - `initiatives`: entries above epics, highest level first
+ * - `epics` and `stories`: items, where stories nested in an epic get its ID as `epicLink`
+ * - `subtasks`: entries below stories
+ * Entries carry `id` (from `idOf`) and `parentId`, the PMAC ID of the parent item.
+ */
+function flattenHierarchy(data, idOf) {
+  const entries = walkHierarchy(data).map(entry => ({
+    ...entry,
+    id: idOf(entry.item),
+    parentId: entry.parent ? idOf(entry.parent.item) : null
+  }));
+
+  const stories = entries.filter(e => e.level === STORY_LEVEL).map(e => {
+    const { children, ...story } = e.item;
+    if (e.parent?.level === EPIC_LEVEL) story.epicLink = e.parentId;
+    return story;
+  });
+
+  return {
+    entries,
+    initiatives: entries.filter(e => e.level >= INITIATIVE_LEVEL).sort((a, b) => b.level - a.level),
+    epics: entries.filter(e => e.level === EPIC_LEVEL).map(e => e.item),
+    stories,
+    subtasks: entries.filter(e => e.level === SUBTASK_LEVEL)
+  };
+}
+
+module.exports = {
+  INITIATIVE_LEVEL,
+  EPIC_LEVEL,
+  STORY_LEVEL,
+  SUBTASK_LEVEL,
+  levelName,
+  walkHierarchy,
+  flattenHierarchy
+};
@@ -0,0 +1,107 @@
+/**
+ * PMAC Item Links
+ *
+ * Links between PMAC items: `dependsOn`, `blocks`, `relatesTo` and `duplicates`
+ * list other items by ID or summary. These helpers resolve the references and find
+ * dependency cycles, which no order of work could satisfy.
+ */
+
+// Link fields of an item, in the order their links are created
+const LINK_FIELDS = ['dependsOn', 'blocks', 'relatesTo', 'duplicates'];
+
+const isItem = item => item && typeof item === 'object' && typeof item.summary === 'string';
+
+/**
+ * Indexes hierarchy entries by PMAC ID and summary. Returns resolve(ref), which
+ * gives { entry } for the item a reference names or { error } when it names none or several.
+ */
+function createItemIndex(entries, idOf) {
+  const byId = new Map();
+  const bySummary = new Map();
+  for (const entry of entries.filter(e => isItem(e.item))) {
+    const id = idOf(entry.item);
+    if (!byId.has(id)) byId.set(id, entry);
+    bySummary.set(entry.item.summary, [...(bySummary.get(entry.item.summary) || []), entry]);
+  }
+
+  return ref => {
+    if (byId.has(ref)) return { entry: byId.get(ref) };
+    const matches = bySummary.get(ref) || [];
+    if (matches.length === 1) return { entry: matches[0] };
+    if (matches.length > 1) return { error: `${matches.length} items have the summary "${ref}", refer to one by its id` };
+    return { error: `no item with id or summary "${ref}"` };
+  };
+}
+
+/**
+ * Lists the links an item declares: [{ field, index, ref }]
+ */
+function itemLinks(item) {
+  if (!isItem(item)) return [];
+  return LINK_FIELDS.flatMap(field => (Array.isArray(item[field]) ? item[field] : [])
+    .map((ref, index) => ({ field, index, ref }))
+    .filter(link => typeof link.ref === 'string'));
+}
+
+/**
+ * Finds dependency cycles. `A dependsOn B` and `B blocks A` both say B must be done
+ * before A. Returns each cycle once, with the link that closes it:
+ * [{ entry, field, index, cycle }] where `cycle` lists PMAC IDs, e.g. [a, b, a] for "a depends on b depends on a".
+ */
+function findDependencyCycles(entries, resolve, idOf) {
+  // Edges point from an item to the items it waits for
+  const edges = new Map();
+  const addEdge = (from, to, origin) => {
+    if (from === to) return;
+    edges.set(from, [...(edges.get(from) || []), { to, origin }]);
+  };
+
+  for (const entry of entries) {
+    for (const link of itemLinks(entry.item)) {
+      if (link.field !== 'dependsOn' && link.field !== 'blocks') continue;
+      const target = resolve(link.ref).entry;
+      if (!target) continue;
+      const [from, to] = link.field === 'dependsOn' ? [idOf(entry.item), idOf(target.item)] : [idOf(target.item), idOf(entry.item)];
+      addEdge(from, to, { entry, field: link.field, index: link.index });
+    }
+  }
+
+  const cycles = [];
+  const seen = new Set();
+  const state = new Map();
+  const stack = [];
+
+  const visit = id => {
+    state.set(id, 'active');
+    stack.push(id);
+    for (const { to, origin } of edges.get(id) || []) {
+      if (state.get(to) === 'active') {
+        const cycle = stack.slice(stack.indexOf(to));
+        // The same cycle can be reached from any of its items; keep it once
+        const start = cycle.indexOf([...cycle].sort()[0]);
+        const key = [...cycle.slice(start), ...cycle.slice(0, start)].join('\n');
+        if (!seen.has(key)) {
+          seen.add(key);
+          cycles.push({ ...origin, cycle: [...cycle, to] });
+        }
+      } else if (!state.has(to)) {
+        visit(to);
+      }
+    }
+    stack.pop();
+    state.set(id, 'done');
+  };
+
+  for (const id of edges.keys()) {
+    if (!state.has(id)) visit(id);
+  }
+
+  return cycles;
+}
+
+module.exports = {
+  LINK_FIELDS,
+  createItemIndex,
+  itemLinks,
+  findDependencyCycles
+};
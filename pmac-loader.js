@@ -0,0 +1,601 @@
+/**
+ * PMAC Source Loader
+ *
+ * Reads a PMAC project from a JSON or YAML file, a directory or a glob pattern and
+ * merges every file into one { project, team, initiatives, epics, stories, sprints, releases, fieldMapping } model.
+ * Files can pull in others with `$include`, and an epic file (`epic` plus
+ * `stories`) puts its stories under that epic. A file can also build on a template
+ * with `extends` (see pmac-template.js), which is rendered with its variables here.
+ * Every item remembers the file and line it came from, so problems found in the
+ * merged model point back to the source.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { VARIABLE_TYPES, convertValue, renderValue } = require('./pmac-template');
+
+// Extensions read as PMAC files when scanning directories and globs
+const PMAC_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+// Lists merged across files, in the order the files are read
+const LIST_KEYS = ['initiatives', 'epics', 'stories', 'sprints', 'releases', 'team'];
+
+// Keys a PMAC file may hold
+const FILE_KEYS = ['project', ...LIST_KEYS, 'fieldMapping', 'epic', '$include', '$schema', 'template', 'extends', 'variables', 'drop'];
+
+// Keys of a template section
+const TEMPLATE_KEYS = ['name', 'description', 'variables'];
+
+const isObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Checks whether an input is a glob pattern rather than a path
+ */
+function isGlob(input) {
+  return /[*?[{]/.test(input);
+}
+
+/**
+ * Converts a glob pattern (*, **, ?, [abc] and {a,b}) into a regular expression for relative paths
+ */
+function globToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    if (ch === '*' && pattern[i + 1] === '*') {
+      // "**/" matches any number of directories, including none
+      source += pattern[i + 2] === '/' ? '(?:.*/)?' : '.*';
+      i += pattern[i + 2] === '/' ? 2 : 1;
+    } else if (ch === '*') {
+      source += '[^/]*';
+    } else if (ch === '?') {
+      source += '[^/]';
+    } else if (ch === '[') {
+      const end = pattern.indexOf(']', i);
+      source += end === -1 ? '\\[' : pattern.slice(i, end + 1);
+      if (end !== -1) i = end;
+    } else if (ch === '{') {
+      const end = pattern.indexOf('}', i);
+      if (end === -1) {
+        source += '\\{';
+      } else {
+        source += `(?:${pattern.slice(i + 1, end).split(',').map(part => part.replace(/[.+^$()|\\]/g, '\\$&').replace(/\*/g, '[^/]*')).join('|')})`;
+        i = end;
+      }
+    } else {
+      source += ch.replace(/[.+^$()|\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Lists PMAC files below a directory, sorted, skipping hidden entries and node_modules
+ */
+function listPmacFiles(dir) {
+  const files = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name))) {
+    if (entry.name.startsWith('.') || entry.name === 'node_modules') continue;
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) files.push(...listPmacFiles(full));
+    else if (PMAC_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) files.push(full);
+  }
+  return files;
+}
+
+/**
+ * Resolves a file, directory or glob (relative to `baseDir`) to the PMAC files it names
+ */
+function resolveInput(input, baseDir = '.') {
+  const resolved = path.resolve(baseDir, input);
+
+  if (isGlob(input)) {
+    // Scan from the deepest directory without glob characters
+    const segments = resolved.split(path.sep);
+    const firstGlob = segments.findIndex(isGlob);
+    const root = segments.slice(0, firstGlob).join(path.sep) || path.sep;
+    const matcher = globToRegExp(segments.slice(firstGlob).join('/'));
+    if (!fs.existsSync(root)) return [];
+    return listPmacFiles(root).filter(file => matcher.test(path.relative(root, file).split(path.sep).join('/')));
+  }
+
+  if (!fs.existsSync(resolved)) return null;
+  return fs.statSync(resolved).isDirectory() ? listPmacFiles(resolved) : [resolved];
+}
+
+/**
+ * Shows a file relative to the working directory when it lies below it, absolute otherwise
+ */
+function displayPath(file) {
+  const relative = path.relative('.', file);
+  return relative && !relative.startsWith('..') && !path.isAbsolute(relative) ? relative : file;
+}
+
+/**
+ * Parses a JSON or YAML file into a document that knows the line of every node.
+ * JSON goes through the YAML parser as well (JSON is valid YAML), which keeps positions.
+ */
+function parseFile(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  const lineCounter = new YAML.LineCounter();
+  const doc = YAML.parseDocument(text, { lineCounter, prettyErrors: false, uniqueKeys: true });
+  const lineAt = offset => lineCounter.linePos(offset).line;
+
+  const problems = doc.errors.map(error => ({ line: lineAt(error.pos[0]), message: error.message.split('\n')[0] }));
+  return { file, doc, lineAt, problems, value: problems.length === 0 ? doc.toJS() : undefined };
+}
+
+/**
+ * Finds the line of a path inside a parsed file, falling back to its nearest existing parent
+ */
+function lineOf(source, segments) {
+  for (let depth = segments.length; depth >= 0; depth--) {
+    const node = depth === 0 ? source.doc.contents : source.doc.getIn(segments.slice(0, depth), true);
+    if (node?.range) return source.lineAt(node.range[0]);
+  }
+  return 1;
+}
+
+/**
+ * Formats path segments as a JSON path: ['stories', 3, 'labels'] -> $.stories[3].labels
+ */
+function toPath(segments) {
+  return '$' + segments.map(s => (typeof s === 'number' ? `[${s}]` : `.${s}`)).join('');
+}
+
+/**
+ * Splits a JSON path back into segments: $.stories[3].labels -> ['stories', 3, 'labels']
+ */
+function toSegments(jsonPath) {
+  return [...jsonPath.matchAll(/\.([^.[\]]+)|\[(\d+)\]/g)].map(m => (m[2] !== undefined ? Number(m[2]) : m[1]));
+}
+
+/**
+ * Loads a PMAC project from a file, directory or glob, rendering templates with
+ * `options.variables` (values from the command line, which win over the files').
+ * Returns { data, files, errors, locate }: the merged model, the files read, problems
+ * found while reading (each with file and line) and locate(error), which maps a
+ * validation error on the merged model back to the file and line it came from.
+ */
+function loadPmacSource(input, options = {}) {
+  const data = { epics: [], stories: [] };
+  const origins = Object.fromEntries(LIST_KEYS.map(key => [key, []]));
+  const mappingOrigins = {};
+  // The file that holds the project section; only one may
+  let projectOrigin = null;
+  const files = [];
+  const errors = [];
+  const loaded = new Set();
+  const includedInLists = new Set();
+  const listFiles = [];
+  // The templated file being merged: { variables, layer, rendered, items }, with the items
+  // its templates added by list and ID, which later layers override or drop
+  let templating = null;
+
+  const fail = (source, segments, message) => {
+    errors.push({ file: source.file, line: lineOf(source, segments), path: toPath(segments), message });
+  };
+
+  /**
+   * Adds the items of a list in a file, replacing { $include } elements with the items of the included files
+   */
+  function addItems(source, key, list, segments, stack, defaults = {}) {
+    list.forEach((item, index) => {
+      const itemSegments = [...segments, index];
+      if (item && typeof item === 'object' && !Array.isArray(item) && '$include' in item) {
+        for (const included of includeFiles(source, item.$include, [...itemSegments, '$include'], stack)) {
+          if (loaded.has(included.file)) {
+            fail(source, [...itemSegments, '$include'], `${displayPath(included.file)} is already loaded as a project file, so its items cannot be included here too`);
+            continue;
+          }
+          includedInLists.add(included.file);
+          const value = included.value;
+          const items = Array.isArray(value) ? value : value?.[key] || [value];
+          const baseSegments = Array.isArray(value) ? [] : value?.[key] ? [key] : null;
+          items.forEach((includedItem, includedIndex) => {
+            addItem(included, key, includedItem, baseSegments ? [...baseSegments, includedIndex] : [], defaults);
+          });
+        }
+        return;
+      }
+      addItem(source, key, item, itemSegments, defaults);
+    });
+  }
+
+  function addItem(source, key, item, segments, defaults) {
+    if (!data[key]) data[key] = [];
+    if (templating && !templating.rendered.has(source.file)) item = render(source, item, segments);
+    const value = isObject(item) ? resolveAttachments(source, { ...defaults, ...item }, segments) : item;
+
+    // An item with the ID of one an earlier template layer added overrides its fields
+    const earlier = templating && isObject(value) && value.id !== undefined ? templating.items[key].get(String(value.id)) : undefined;
+    if (earlier && earlier.layer !== templating.layer) {
+      const index = data[key].indexOf(earlier.item);
+      data[key][index] = { ...earlier.item, ...value };
+      origins[key][index] = { source, segments };
+      templating.items[key].set(String(value.id), { item: data[key][index], layer: templating.layer });
+      return;
+    }
+
+    data[key].push(value);
+    origins[key].push({ source, segments });
+    if (templating && isObject(value) && value.id !== undefined) {
+      templating.items[key].set(String(value.id), { item: value, layer: templating.layer });
+    }
+  }
+
+  /**
+   * Resolves the attachments of an item and its children against the directory of the
+   * file they come from, reporting files that do not exist
+   */
+  function resolveAttachments(source, item, segments) {
+    const resolved = { ...item };
+    if (Array.isArray(item.attachments)) {
+      resolved.attachments = item.attachments.map((file, index) => {
+        if (typeof file !== 'string' || file.length === 0) return file;
+        const absolute = path.resolve(path.dirname(source.file), file);
+        if (!fs.existsSync(absolute) || !fs.statSync(absolute).isFile()) {
+          fail(source, [...segments, 'attachments', index], `attachment "${file}" not found (looked for ${displayPath(absolute)})`);
+        }
+        return absolute;
+      });
+    }
+    if (Array.isArray(item.children)) {
+      resolved.children = item.children.map((child, index) => (isObject(child) ? resolveAttachments(source, child, [...segments, 'children', index]) : child));
+    }
+    return resolved;
+  }
+
+  /**
+   * Renders the placeholders of a value from a file with the templated file's variables,
+   * reporting each variable without a value once per file, where it is first used
+   */
+  function render(source, value, segments = []) {
+    return renderValue(value, templating.variables, (at, name) => {
+      const problem = `variable "${name}" is not set (pass --var ${name}=<value>, or set it under "variables")`;
+      if (!errors.some(error => error.file === source.file && error.message === problem)) fail(source, at, problem);
+    }, segments);
+  }
+
+  /**
+   * Resolves the paths of an $include (one or a list, relative to the including file) and reads them
+   */
+  function includeFiles(source, spec, segments, stack) {
+    const included = [];
+    for (const [index, entry] of (Array.isArray(spec) ? spec : [spec]).entries()) {
+      const entrySegments = Array.isArray(spec) ? [...segments, index] : segments;
+      if (typeof entry !== 'string' || entry.length === 0) {
+        fail(source, entrySegments, '$include must be a path, directory or glob, or a list of them');
+        continue;
+      }
+      const matches = resolveInput(entry, path.dirname(source.file));
+      if (!matches || matches.length === 0) {
+        fail(source, entrySegments, `$include "${entry}" matches no PMAC files`);
+        continue;
+      }
+      for (const file of matches) {
+        if (stack.includes(file)) {
+          fail(source, entrySegments, `$include cycle: ${[...stack, file].map(displayPath).join(' -> ')}`);
+          continue;
+        }
+        const parsed = readFile(file);
+        if (parsed) included.push({ ...parsed, stack: [...stack, file] });
+      }
+    }
+    return included;
+  }
+
+  function readFile(file) {
+    let source;
+    try {
+      source = parseFile(file);
+    } catch (error) {
+      errors.push({ file, path: '$', message: error.message });
+      return null;
+    }
+    if (!files.includes(file)) files.push(file);
+    source.problems.forEach(problem => errors.push({ file, line: problem.line, path: '$', message: problem.message }));
+    return source.problems.length === 0 ? source : null;
+  }
+
+  /**
+   * Merges a whole PMAC file into the model, followed by the files it includes.
+   * Templates found by scanning a directory or glob are skipped; they are used through `extends`.
+   */
+  function mergeFile(source, stack, scanned = false) {
+    const value = source.value;
+    // A plain list is a fragment for a list-level $include, not a project file
+    if (Array.isArray(value)) {
+      listFiles.push(source);
+      return;
+    }
+    if (includedInLists.has(source.file)) return;
+    loaded.add(source.file);
+    if (value === null || value === undefined) return;
+    if (typeof value !== 'object') {
+      fail(source, [], 'a PMAC file must hold an object with project, team, initiatives, epics, stories, sprints, releases or fieldMapping');
+      return;
+    }
+    if (scanned && value.template !== undefined) return;
+
+    if (templating) {
+      for (const key of ['template', 'extends', 'variables', 'drop'].filter(k => value[k] !== undefined)) {
+        fail(source, [key], `${key} does not apply to a file included into a templated file`);
+      }
+      templating.rendered.add(source.file);
+      mergeContents(source, render(source, value), stack);
+    } else if (value.extends !== undefined || value.template !== undefined) {
+      mergeTemplated(source, stack);
+    } else {
+      for (const key of ['variables', 'drop'].filter(k => value[k] !== undefined)) {
+        fail(source, [key], `${key} only applies to a file that extends a template`);
+      }
+      mergeContents(source, value, stack);
+    }
+  }
+
+  /**
+   * Merges a file that extends a template, or a template on its own: the templates it
+   * builds on first (the base template first), then the file, each rendered with the
+   * variables of the whole chain and overriding and dropping the items before it
+   */
+  function mergeTemplated(source, stack) {
+    const chain = [source];
+    for (let layer = source; layer.value.extends !== undefined; layer = chain[chain.length - 1]) {
+      const spec = layer.value.extends;
+      if (typeof spec !== 'string' || spec.length === 0) {
+        fail(layer, ['extends'], 'extends must be the path of a template file');
+        break;
+      }
+      const file = path.resolve(path.dirname(layer.file), spec);
+      if (chain.some(entry => entry.file === file)) {
+        fail(layer, ['extends'], `extends cycle: ${[...chain.map(entry => entry.file), file].map(displayPath).join(' -> ')}`);
+        break;
+      }
+      if (!fs.existsSync(file) || fs.statSync(file).isDirectory()) {
+        fail(layer, ['extends'], `extends "${spec}" is not a template file`);
+        break;
+      }
+      const template = readFile(file);
+      if (!template) break;
+      if (!isObject(template.value)) {
+        fail(template, [], 'a template must hold an object with template, epics, stories and the other PMAC sections');
+        break;
+      }
+      loaded.add(file);
+      chain.push(template);
+    }
+
+    templating = { variables: templateVariables(chain.slice().reverse()), layer: null, rendered: new Set(), items: Object.fromEntries(LIST_KEYS.map(key => [key, new Map()])) };
+    try {
+      for (const layer of chain.slice().reverse()) {
+        templating.layer = layer.file;
+        templating.rendered.add(layer.file);
+        dropItems(layer);
+        const { template, variables, ...contents } = layer.value;
+        mergeContents(layer, { ...render(layer, contents), template, variables }, layer === source ? stack : [...stack, layer.file]);
+      }
+    } finally {
+      templating = null;
+    }
+  }
+
+  /**
+   * Resolves the variables of a template chain (base template first): the defaults the
+   * templates declare, then the values under `variables` (later files win), then
+   * options.variables, each converted to its declared type
+   */
+  function templateVariables(chain) {
+    const declared = {};
+    for (const layer of chain) {
+      const section = layer.value.template;
+      if (section === undefined) continue;
+      if (!isObject(section)) {
+        fail(layer, ['template'], 'template must be an object with name, description and variables');
+        continue;
+      }
+      for (const key of Object.keys(section).filter(k => !TEMPLATE_KEYS.includes(k))) {
+        fail(layer, ['template', key], `unknown property "${key}"`);
+      }
+      if (section.variables === undefined) continue;
+      if (!isObject(section.variables)) {
+        fail(layer, ['template', 'variables'], 'template variables must map each name to { description, type, default }');
+        continue;
+      }
+      for (const [name, spec] of Object.entries(section.variables)) {
+        const segments = ['template', 'variables', name];
+        if (spec !== null && !isObject(spec)) {
+          fail(layer, segments, `variable "${name}" must be an object with description, type and default`);
+        } else if (spec?.type !== undefined && !VARIABLE_TYPES.includes(spec.type)) {
+          fail(layer, [...segments, 'type'], `type of variable "${name}" must be one of ${VARIABLE_TYPES.join(', ')}`);
+        } else {
+          declared[name] = { ...spec, source: layer, segments };
+        }
+      }
+    }
+
+    // Where each value comes from: { value, source, segments }, or { value, flag } for options.variables
+    const given = {};
+    for (const [name, spec] of Object.entries(declared)) {
+      if (spec.default !== undefined) given[name] = { value: spec.default, source: spec.source, segments: [...spec.segments, 'default'] };
+    }
+    for (const layer of chain) {
+      const { variables } = layer.value;
+      if (variables === undefined) continue;
+      if (!isObject(variables)) {
+        fail(layer, ['variables'], 'variables must map each name to its value');
+        continue;
+      }
+      for (const [name, value] of Object.entries(variables)) {
+        if (value !== null && typeof value === 'object') fail(layer, ['variables', name], `variable "${name}" must be a string, number or boolean`);
+        else given[name] = { value, source: layer, segments: ['variables', name] };
+      }
+    }
+    for (const [name, value] of Object.entries(options.variables || {})) given[name] = { value, flag: true };
+
+    const values = {};
+    for (const [name, { value, source, segments, flag }] of Object.entries(given)) {
+      try {
+        values[name] = convertValue(value ?? '', declared[name]?.type);
+      } catch (error) {
+        // Kept as given, so its uses are not reported as unset too
+        values[name] = value;
+        const problem = `variable "${name}": ${error.message}`;
+        if (flag) errors.push({ file: chain[chain.length - 1].file, path: '$', message: `${problem} (from --var or --vars-file)` });
+        else fail(source, segments, problem);
+      }
+    }
+    return values;
+  }
+
+  /**
+   * Removes the items a file's `drop` names from those its templates added, along with
+   * the template stories of a dropped epic
+   */
+  function dropItems(layer) {
+    const { drop } = layer.value;
+    if (drop === undefined) return;
+    if (!Array.isArray(drop)) {
+      fail(layer, ['drop'], 'drop must be a list of item IDs');
+      return;
+    }
+
+    const remove = (key, id) => {
+      const { item } = templating.items[key].get(id);
+      const index = data[key].indexOf(item);
+      data[key].splice(index, 1);
+      origins[key].splice(index, 1);
+      templating.items[key].delete(id);
+      return item;
+    };
+
+    drop.forEach((id, index) => {
+      const key = LIST_KEYS.find(k => templating.items[k].has(String(id)));
+      if (key === undefined) {
+        fail(layer, ['drop', index], `drop "${id}" matches no item of the templates this file extends`);
+        return;
+      }
+      const item = remove(key, String(id));
+      if (key !== 'epics') return;
+      for (const [storyId, story] of [...templating.items.stories]) {
+        if ([item.id, item.summary].includes(story.item.epicLink)) remove('stories', storyId);
+      }
+    });
+  }
+
+  /**
+   * Merges the sections of a PMAC file (rendered, for templated files) into the model
+   */
+  function mergeContents(source, value, stack) {
+    for (const key of Object.keys(value).filter(k => !FILE_KEYS.includes(k))) {
+      fail(source, [key], `unknown property "${key}"`);
+    }
+
+    // An epic file: the stories alongside it belong to that epic unless they say otherwise
+    let defaults = {};
+    if (value.epic !== undefined) {
+      if (value.epics !== undefined) fail(source, ['epic'], 'use either "epic" or "epics" in one file');
+      if (isObject(value.epic) && !('$include' in value.epic)) {
+        addItem(source, 'epics', value.epic, ['epic'], {});
+      } else {
+        addItems(source, 'epics', [value.epic], [], stack);
+        origins.epics[origins.epics.length - 1].segments = ['epic'];
+      }
+      const epic = value.epic;
+      if (epic && typeof epic === 'object' && (epic.id || epic.summary)) defaults = { epicLink: epic.id || epic.summary };
+    }
+
+    for (const key of LIST_KEYS) {
+      if (value[key] === undefined) continue;
+      if (!Array.isArray(value[key])) {
+        fail(source, [key], `${key} must be a list`);
+        continue;
+      }
+      addItems(source, key, value[key], [key], stack, key === 'stories' ? defaults : {});
+    }
+
+    if (value.project !== undefined) {
+      if (projectOrigin) {
+        fail(source, ['project'], `the project section is already set in ${displayPath(projectOrigin.source.file)}:${lineOf(projectOrigin.source, ['project'])}`);
+      } else {
+        data.project = value.project;
+        projectOrigin = { source, segments: ['project'] };
+      }
+    }
+
+    if (value.fieldMapping !== undefined) {
+      if (!value.fieldMapping || typeof value.fieldMapping !== 'object' || Array.isArray(value.fieldMapping)) {
+        fail(source, ['fieldMapping'], 'fieldMapping must be an object');
+      } else {
+        data.fieldMapping = data.fieldMapping || {};
+        for (const [name, field] of Object.entries(value.fieldMapping)) {
+          const earlier = mappingOrigins[name];
+          if (earlier && data.fieldMapping[name] !== field) {
+            fail(source, ['fieldMapping', name], `fieldMapping "${name}" is "${field}" here but "${data.fieldMapping[name]}" in ${displayPath(earlier.source.file)}:${lineOf(earlier.source, earlier.segments)}`);
+            continue;
+          }
+          data.fieldMapping[name] = field;
+          mappingOrigins[name] = { source, segments: ['fieldMapping', name] };
+        }
+      }
+    }
+
+    if (value.$include !== undefined) {
+      for (const included of includeFiles(source, value.$include, ['$include'], stack)) {
+        if (!loaded.has(included.file)) mergeFile(included, included.stack);
+      }
+    }
+  }
+
+  const inputs = resolveInput(input);
+  if (inputs === null) {
+    errors.push({ file: input, path: '$', message: 'no such file or directory', missing: true });
+  } else if (inputs.length === 0) {
+    errors.push({ file: input, path: '$', message: 'matches no PMAC files (.json, .yaml or .yml)', missing: true });
+  }
+
+  const scanned = Boolean(inputs) && (isGlob(input) || fs.statSync(path.resolve(input)).isDirectory());
+  for (const file of inputs || []) {
+    if (loaded.has(file)) continue;
+    const source = readFile(file);
+    if (source) mergeFile(source, [file], scanned);
+  }
+  for (const source of listFiles.filter(s => !includedInLists.has(s.file))) {
+    fail(source, [], 'a list of items must be pulled into epics, stories, sprints or releases with { "$include": file }');
+  }
+
+  /**
+   * Maps a validation error on the merged model ($.stories[12].labels[0]) to its file, line and path there
+   */
+  function locate(error) {
+    const [key, index, ...rest] = toSegments(error.path);
+    let origin = null;
+    if (origins[key] && typeof index === 'number') origin = origins[key][index];
+    else if (key === 'fieldMapping' && mappingOrigins[index]) origin = mappingOrigins[index];
+    else if (key === 'project' && projectOrigin) origin = projectOrigin;
+    if (!origin) return files.length === 1 ? { ...error, file: files[0] } : error;
+
+    let segments = [...origin.segments, ...rest];
+    if (key === 'fieldMapping') segments = origin.segments;
+    else if (key === 'project') segments = toSegments(error.path);
+    return { ...error, file: origin.source.file, line: lineOf(origin.source, segments), path: toPath(segments) };
+  }
+
+  return {
+    data,
+    files: files.map(displayPath),
+    errors: errors.map(error => ({ ...error, file: error.missing ? error.file : displayPath(error.file) })),
+    locate: error => {
+      const located = locate(error);
+      return located.file ? { ...located, file: displayPath(located.file) } : located;
+    }
+  };
+}
+
+module.exports = {
+  PMAC_EXTENSIONS,
+  globToRegExp,
+  resolveInput,
+  loadPmacSource
+};
@@ -0,0 +1,41 @@
+/**
+ * PMAC Item Resources
+ *
+ * Files and web pages items point to: `attachments` lists files (relative to the PMAC
+ * file, resolved by the loader) to upload to the item's issue, and `links` lists web
+ * pages, as a URL or { url, title, icon }. Trackers match attachments by file name and
+ * links by URL, so re-running an import adds only what is missing.
+ */
+
+const path = require('path');
+
+/**
+ * The files an item attaches: [{ file, filename }]
+ */
+function itemAttachments(item) {
+  return (item.attachments || []).map(file => ({ file, filename: path.basename(file) }));
+}
+
+/**
+ * The web links of an item with their defaults filled in: [{ url, title, icon }],
+ * titled with their URL when they have no title
+ */
+function itemWebLinks(item) {
+  return (item.links || []).map(link => {
+    const { url, title, icon } = typeof link === 'string' ? { url: link } : link;
+    return { url, title: title || url, icon: icon || null };
+  });
+}
+
+/**
+ * Whether an item has attachments or web links
+ */
+function hasResources(item) {
+  return (item.attachments || []).length > 0 || (item.links || []).length > 0;
+}
+
+module.exports = {
+  itemAttachments,
+  itemWebLinks,
+  hasResources
+};
@@ -0,0 +1,93 @@
+/**
+ * PMAC Templates
+ *
+ * Helpers for reusable backlog templates. A template is a PMAC file with a `template`
+ * section declaring its variables; its strings hold `{{name}}` placeholders. A project
+ * file names the template it builds on with `extends`, sets values under `variables`,
+ * overrides template items by giving an item with the same `id` and removes them with
+ * `drop`. Values can also come from the command line (--var) or an env file (--vars-file).
+ * The loader (pmac-loader.js) renders the result into the plain PMAC model the importer
+ * reads; these helpers only resolve variables and substitute them.
+ */
+
+const fs = require('fs');
+const dotenv = require('dotenv');
+
+// A {{name}} placeholder; whitespace inside the braces is allowed
+const PLACEHOLDER = /\{\{\s*([A-Za-z_][\w.-]*)\s*\}\}/g;
+
+// Types a template variable can declare; values are converted to them
+const VARIABLE_TYPES = ['string', 'number', 'boolean'];
+
+/**
+ * Converts a variable value to its declared type, or throws when it does not fit
+ */
+function convertValue(value, type = 'string') {
+  if (type === 'number') {
+    const number = typeof value === 'number' ? value : Number(String(value).trim());
+    if (String(value).trim() === '' || !Number.isFinite(number)) throw new Error(`"${value}" is not a number`);
+    return number;
+  }
+  if (type === 'boolean') {
+    if (typeof value === 'boolean') return value;
+    if (['true', 'false'].includes(String(value).trim().toLowerCase())) return String(value).trim().toLowerCase() === 'true';
+    throw new Error(`"${value}" is not true or false`);
+  }
+  return String(value);
+}
+
+/**
+ * Substitutes variables in every string of a value. A string that is a single placeholder
+ * takes the variable's value with its type (so "{{points}}" can become 5); placeholders
+ * inside text take its text. `onMissing(segments, name)` is called for every placeholder
+ * without a value, which is left as it is.
+ */
+function renderValue(value, variables, onMissing = () => {}, segments = []) {
+  if (typeof value === 'string') {
+    const whole = value.match(/^\{\{\s*([A-Za-z_][\w.-]*)\s*\}\}$/);
+    if (whole && Object.hasOwn(variables, whole[1])) return variables[whole[1]];
+    return value.replace(PLACEHOLDER, (placeholder, name) => {
+      if (Object.hasOwn(variables, name)) return String(variables[name]);
+      onMissing(segments, name);
+      return placeholder;
+    });
+  }
+  if (Array.isArray(value)) return value.map((element, index) => renderValue(element, variables, onMissing, [...segments, index]));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, element]) => [key, renderValue(element, variables, onMissing, [...segments, key])]));
+  }
+  return value;
+}
+
+/**
+ * Parses --var assignments (["service=payments", ...]) into { service: 'payments' }
+ */
+function parseAssignments(assignments = []) {
+  const variables = {};
+  for (const assignment of assignments) {
+    const match = assignment.match(/^([A-Za-z_][\w.-]*)=(.*)$/s);
+    if (!match) throw new Error(`--var takes name=value, got "${assignment}"`);
+    variables[match[1]] = match[2];
+  }
+  return variables;
+}
+
+/**
+ * Reads variables from an env file (NAME=value lines, as in .env)
+ */
+function readVariablesFile(file) {
+  try {
+    return dotenv.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Couldn't read variables from ${file}: ${error.message}`);
+  }
+}
+
+module.exports = {
+  PLACEHOLDER,
+  VARIABLE_TYPES,
+  convertValue,
+  renderValue,
+  parseAssignments,
+  readVariablesFile
+};
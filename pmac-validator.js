@@ -0,0 +1,370 @@
+/**
+ * PMAC Data Validator
+ *
+ * Validates PMAC epics/stories data against pmac-schema.json and checks references
+ * between items, reporting every problem with its JSON path before anything is sent to Jira.
+ *
+ * Usage: node pmac-validator.js [file|directory|glob...]
+ */
+
+const { basename } = require('path');
+const Ajv = require('ajv');
+const schema = require('./pmac-schema.json');
+const { loadPmacSource } = require('./pmac-loader');
+const { EPIC_LEVEL, STORY_LEVEL, SUBTASK_LEVEL, levelName, walkHierarchy } = require('./pmac-hierarchy');
+const { createItemIndex, itemLinks, findDependencyCycles } = require('./pmac-links');
+
+const ajv = new Ajv({ allErrors: true, verbose: true });
+const validateSchema = ajv.compile(schema);
+
+/**
+ * Returns the stable PMAC ID of an epic or story, derived from its summary when not set
+ */
+function pmacId(item) {
+  if (item.id) return String(item.id);
+  return item.summary.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * Converts a JSON pointer such as /stories/3/labels/0 into $.stories[3].labels[0]
+ */
+function toJsonPath(pointer) {
+  return '$' + pointer.split('/').slice(1).map(segment => {
+    const key = segment.replace(/~1/g, '/').replace(/~0/g, '~');
+    return /^\d+$/.test(key) ? `[${key}]` : `.${key}`;
+  }).join('');
+}
+
+/**
+ * Turns an Ajv error into a readable { path, message } entry
+ */
+function describeSchemaError(error) {
+  const path = toJsonPath(error.instancePath);
+  const field = error.instancePath.split('/').filter(s => !/^\d+$/.test(s)).pop();
+
+  switch (error.keyword) {
+    case 'required':
+      return { path, message: `missing required property "${error.params.missingProperty}"` };
+    case 'additionalProperties':
+      return { path, message: `unknown property "${error.params.additionalProperty}"` };
+    case 'enum':
+      return { path, message: `unknown ${field} "${error.data}" (expected one of ${error.params.allowedValues.join(', ')})` };
+    case 'maxLength':
+      return { path, message: `${field} is ${error.data.length} characters, at most ${error.params.limit} allowed` };
+    case 'pattern':
+      if (field === 'labels') return { path, message: `label "${error.data}" must not contain spaces` };
+      if (field === 'summary') return { path, message: 'summary must not be blank' };
+      return { path, message: `${field} "${error.data}" must match ${error.params.pattern}` };
+    case 'anyOf':
+      if (field === 'links') return { path, message: `link ${JSON.stringify(error.data)} must be a web address or { url, title, icon }` };
+      return { path, message: error.message };
+    default:
+      return { path, message: error.message };
+  }
+}
+
+/**
+ * Validates PMAC data and returns every problem found
+ */
+function validatePmacData(data) {
+  const errors = [];
+
+  if (!validateSchema(data)) {
+    // A value that fits none of the shapes an anyOf allows is reported once, not once per shape
+    const anyOfPaths = new Set(validateSchema.errors.filter(e => e.keyword === 'anyOf').map(e => e.instancePath));
+    errors.push(...validateSchema.errors.filter(e => e.keyword === 'anyOf' || !anyOfPaths.has(e.instancePath)).map(describeSchemaError));
+  }
+
+  const entries = walkHierarchy(data);
+  const isItem = item => item && typeof item === 'object' && typeof item.summary === 'string';
+  const atLevel = level => entries.filter(e => e.level === level && isItem(e.item));
+
+  // Epic summaries must be unique, since stories link to epics by summary
+  const epicSummaries = new Map();
+  atLevel(EPIC_LEVEL).forEach(({ item: epic, path }) => {
+    if (epicSummaries.has(epic.summary)) {
+      errors.push({
+        path: `${path}.summary`,
+        message: `duplicate epic summary "${epic.summary}" (also at ${epicSummaries.get(epic.summary)})`
+      });
+    } else {
+      epicSummaries.set(epic.summary, path);
+    }
+  });
+
+  // IDs, explicit or derived, must be unique across every level of the hierarchy
+  const ids = new Map();
+  entries.filter(e => isItem(e.item)).forEach(({ item, path }) => {
+    const id = pmacId(item);
+    if (ids.has(id)) {
+      const derived = item.id ? '' : ' derived from the summary';
+      errors.push({ path: `${path}.id`, message: `duplicate id "${id}"${derived} (also used at ${ids.get(id)})` });
+    } else {
+      ids.set(id, path);
+    }
+  });
+
+  // Every epicLink must point at an existing epic by summary or id
+  const epicIds = new Set(atLevel(EPIC_LEVEL).map(e => pmacId(e.item)));
+  atLevel(STORY_LEVEL).forEach(({ item: story, path }) => {
+    if (typeof story.epicLink !== 'string') return;
+    if (!epicSummaries.has(story.epicLink) && !epicIds.has(story.epicLink)) {
+      errors.push({
+        path: `${path}.epicLink`,
+        message: `no epic with summary or id "${story.epicLink}"`
+      });
+    }
+  });
+
+  // Sub-tasks are the lowest level, and only stories go into sprints
+  entries.filter(e => isItem(e.item)).forEach(({ item, level, path }) => {
+    if (level === SUBTASK_LEVEL && Array.isArray(item.children) && item.children.length > 0) {
+      errors.push({ path: `${path}.children`, message: 'sub-tasks cannot have children' });
+    }
+    if (level !== STORY_LEVEL && typeof item.sprint === 'string') {
+      errors.push({ path: `${path}.sprint`, message: `${levelName(level)}s cannot be planned in a sprint, only stories can` });
+    }
+  });
+
+  // Links must name exactly one other item, and dependencies must not go round in a cycle
+  const resolve = createItemIndex(entries, pmacId);
+  entries.forEach(({ item, path }) => {
+    for (const link of itemLinks(item)) {
+      const { entry, error } = resolve(link.ref);
+      if (error) {
+        errors.push({ path: `${path}.${link.field}[${link.index}]`, message: error });
+      } else if (entry.item === item) {
+        errors.push({ path: `${path}.${link.field}[${link.index}]`, message: 'an item cannot link to itself' });
+      }
+    }
+  });
+  for (const { entry, field, index, cycle } of findDependencyCycles(entries, resolve, pmacId)) {
+    errors.push({ path: `${entry.path}.${field}[${index}]`, message: `dependency cycle: ${cycle.join(' -> ')}` });
+  }
+
+  // Sprint names must be unique, end after they start and be known to the stories that use them
+  const sprints = Array.isArray(data?.sprints) ? data.sprints : [];
+  const sprintNames = new Map();
+  sprints.forEach((sprint, index) => {
+    if (!sprint || typeof sprint.name !== 'string') return;
+    if (sprintNames.has(sprint.name)) {
+      errors.push({
+        path: `$.sprints[${index}].name`,
+        message: `duplicate sprint name "${sprint.name}" (also at $.sprints[${sprintNames.get(sprint.name)}])`
+      });
+    } else {
+      sprintNames.set(sprint.name, index);
+    }
+    if (sprint.startDate && sprint.endDate && Date.parse(sprint.endDate) < Date.parse(sprint.startDate)) {
+      errors.push({ path: `$.sprints[${index}].endDate`, message: `sprint ends (${sprint.endDate}) before it starts (${sprint.startDate})` });
+    }
+  });
+  atLevel(STORY_LEVEL).forEach(({ item: story, path }) => {
+    if (typeof story.sprint !== 'string') return;
+    if (!sprintNames.has(story.sprint)) {
+      errors.push({ path: `${path}.sprint`, message: `no sprint named "${story.sprint}" in sprints` });
+    }
+  });
+
+  // Release names must be unique, not end before they start and be known to the items that use them
+  const releases = Array.isArray(data?.releases) ? data.releases : [];
+  const releaseNames = new Map();
+  releases.forEach((release, index) => {
+    if (!release || typeof release.name !== 'string') return;
+    if (releaseNames.has(release.name)) {
+      errors.push({
+        path: `$.releases[${index}].name`,
+        message: `duplicate release name "${release.name}" (also at $.releases[${releaseNames.get(release.name)}])`
+      });
+    } else {
+      releaseNames.set(release.name, index);
+    }
+    if (release.startDate && release.releaseDate && release.releaseDate < release.startDate) {
+      errors.push({ path: `$.releases[${index}].releaseDate`, message: `release date (${release.releaseDate}) is before the start date (${release.startDate})` });
+    }
+  });
+  entries.filter(e => isItem(e.item) && typeof e.item.release === 'string').forEach(({ item, level, path }) => {
+    if (level !== EPIC_LEVEL && level !== STORY_LEVEL) {
+      errors.push({ path: `${path}.release`, message: `${levelName(level)}s cannot be in a release, only epics and stories can` });
+    } else if (!releaseNames.has(item.release)) {
+      errors.push({ path: `${path}.release`, message: `no release named "${item.release}" in releases` });
+    }
+  });
+
+  // Declared components must have unique names, and a status can only be in one board column
+  const project = data?.project && typeof data.project === 'object' ? data.project : {};
+  const componentNames = new Map();
+  (Array.isArray(project.components) ? project.components : []).forEach((component, index) => {
+    if (!component || typeof component.name !== 'string') return;
+    if (componentNames.has(component.name)) {
+      errors.push({
+        path: `$.project.components[${index}].name`,
+        message: `duplicate component "${component.name}" (also at $.project.components[${componentNames.get(component.name)}])`
+      });
+    } else {
+      componentNames.set(component.name, index);
+    }
+  });
+  const columnOfStatus = new Map();
+  (Array.isArray(project.board?.columns) ? project.board.columns : []).forEach((column, index) => {
+    (Array.isArray(column?.statuses) ? column.statuses : []).forEach((status, statusIndex) => {
+      if (typeof status !== 'string') return;
+      const key = status.toLowerCase();
+      if (columnOfStatus.has(key)) {
+        errors.push({
+          path: `$.project.board.columns[${index}].statuses[${statusIndex}]`,
+          message: `status "${status}" is already in column "${columnOfStatus.get(key)}"`
+        });
+      } else {
+        columnOfStatus.set(key, column.name);
+      }
+    });
+  });
+
+  // Team member IDs must be unique and name the people of items
+  const team = Array.isArray(data?.team) ? data.team : [];
+  const memberIds = new Map();
+  team.forEach((member, index) => {
+    if (!member || typeof member.id !== 'string') return;
+    if (memberIds.has(member.id)) {
+      errors.push({ path: `$.team[${index}].id`, message: `duplicate team member "${member.id}" (also at $.team[${memberIds.get(member.id)}])` });
+    } else {
+      memberIds.set(member.id, index);
+    }
+  });
+  entries.filter(e => isItem(e.item)).forEach(({ item, path }) => {
+    for (const field of ['assignee', 'reporter']) {
+      if (typeof item[field] === 'string' && !memberIds.has(item[field])) {
+        errors.push({ path: `${path}.${field}`, message: `no team member with id "${item[field]}"` });
+      }
+    }
+    (Array.isArray(item.watchers) ? item.watchers : []).forEach((id, index) => {
+      if (typeof id === 'string' && !memberIds.has(id)) {
+        errors.push({ path: `${path}.watchers[${index}]`, message: `no team member with id "${id}"` });
+      }
+    });
+  });
+
+  // Attachments are matched by file name and links by URL, so neither may repeat within an item
+  entries.filter(e => isItem(e.item)).forEach(({ item, path }) => {
+    const names = new Map();
+    (Array.isArray(item.attachments) ? item.attachments : []).forEach((file, index) => {
+      if (typeof file !== 'string') return;
+      const name = basename(file);
+      if (names.has(name)) {
+        errors.push({ path: `${path}.attachments[${index}]`, message: `another attachment is also named "${name}" (at ${path}.attachments[${names.get(name)}])` });
+      } else {
+        names.set(name, index);
+      }
+    });
+    const urls = new Map();
+    (Array.isArray(item.links) ? item.links : []).forEach((link, index) => {
+      const url = typeof link === 'string' ? link : link?.url;
+      if (typeof url !== 'string') return;
+      if (urls.has(url)) {
+        errors.push({ path: `${path}.links[${index}]`, message: `duplicate link "${url}" (also at ${path}.links[${urls.get(url)}])` });
+      } else {
+        urls.set(url, index);
+      }
+    });
+  });
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Formats validation errors one per line, prefixed with the file (and line) they come from
+ */
+function formatValidationErrors(errors, file) {
+  return errors.map(e => {
+    const where = e.file ? `${e.file}${e.line ? ':' + e.line : ''}: ` : file ? `${file}: ` : '';
+    return `${where}${e.path}: ${e.message}`;
+  }).join('\n');
+}
+
+/**
+ * Reads and validates a PMAC project: a JSON or YAML file, a directory or a glob,
+ * with templates rendered with `options.variables`. Errors carry the file and line they come from.
+ */
+function validateFile(file, options = {}) {
+  const source = loadPmacSource(file, { variables: options.variables });
+  if (source.errors.length > 0) {
+    return { file, files: source.files, valid: false, errors: source.errors };
+  }
+
+  const data = source.data;
+  const result = validatePmacData(data);
+  return {
+    file,
+    files: source.files,
+    ...result,
+    errors: result.errors.map(source.locate),
+    ...countItems(data)
+  };
+}
+
+/**
+ * Counts the items at each level: { initiatives, epics, stories, subtasks }
+ */
+function countItems(data) {
+  const entries = walkHierarchy(data);
+  const count = test => entries.filter(e => test(e.level)).length;
+  return {
+    initiatives: count(level => level > EPIC_LEVEL),
+    epics: count(level => level === EPIC_LEVEL),
+    stories: count(level => level === STORY_LEVEL),
+    subtasks: count(level => level === SUBTASK_LEVEL)
+  };
+}
+
+/**
+ * Describes a validated file's contents, e.g. "2 epics, 14 stories, 3 sub-tasks from 4 files"
+ */
+function describeContents(result) {
+  return [
+    result.initiatives > 0 && `${result.initiatives} initiatives`,
+    `${result.epics} epics`,
+    `${result.stories} stories`,
+    result.subtasks > 0 && `${result.subtasks} sub-tasks`
+  ].filter(Boolean).join(', ') + (result.files.length > 1 ? ` from ${result.files.length} files` : '');
+}
+
+/**
+ * Validates PMAC files, printing the outcome, and returns the number of files with problems
+ */
+function validateFiles(files) {
+  let failed = 0;
+
+  for (const file of files) {
+    const result = validateFile(file);
+    if (result.valid) {
+      console.log(`${file}: OK (${describeContents(result)})`);
+    } else {
+      console.error(formatValidationErrors(result.errors, file));
+      console.error(`${file}: ${result.errors.length} problem(s) found`);
+      failed++;
+    }
+  }
+
+  return failed;
+}
+
+// If this file is run directly, validate the files given on the command line
+if (require.main === module) {
+  const files = process.argv.slice(2);
+  const failed = validateFiles(files.length > 0 ? files : ['./pmac-jira-import-json.json']);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+module.exports = {
+  schema,
+  pmacId,
+  validatePmacData,
+  formatValidationErrors,
+  validateFile,
+  validateFiles,
+  describeContents
+};
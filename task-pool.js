@@ -0,0 +1,46 @@
+/**
+ * Task Pool
+ *
+ * Runs independent async work (component creation, issue updates, links) with a
+ * bounded number of requests in flight. Rate limits are handled by the retry layer
+ * in jira-request.js, which pauses every request in the pool while Jira throttles.
+ */
+
+const { isTransientError } = require('./jira-request');
+
+/**
+ * Runs `worker` over `items` with at most `concurrency` calls in flight.
+ * Resolves to settled results in input order, like Promise.allSettled.
+ */
+async function runPool(items, concurrency, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function lane() {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        results[index] = { status: 'fulfilled', value: await worker(items[index], index) };
+      } catch (reason) {
+        results[index] = { status: 'rejected', reason };
+      }
+    }
+  }
+
+  const lanes = Math.min(Math.max(1, concurrency || 1), items.length);
+  await Promise.all(Array.from({ length: lanes }, lane));
+  return results;
+}
+
+/**
+ * Rethrows the first throttling error from pool results, so a run stops once the retry budget is spent
+ */
+function throwIfThrottled(results) {
+  const throttled = results.find(r => r.status === 'rejected' && isTransientError(r.reason));
+  if (throttled) throw throttled.reason;
+}
+
+module.exports = {
+  runPool,
+  throwIfThrottled
+};
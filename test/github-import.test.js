@@ -0,0 +1,113 @@
+/**
+ * Imports into the fake GitHub server (fake-github-server.js), end to end through createImporter
+ */
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFakeGithubServer } = require('../fake-github-server');
+const { createImporter } = require('../jira-importer');
+
+const PMAC_FILE = {
+  epics: [{ id: 'epic-1', summary: 'Epic one', labels: ['backend'] }],
+  stories: [
+    { id: 'story-1', summary: 'Story one', epicLink: 'epic-1' },
+    { id: 'story-2', summary: 'Story two', epicLink: 'epic-1' }
+  ]
+};
+
+let server;
+let dir;
+
+/**
+ * Starts a fake with the given behaviour and returns an importer for it, with journals
+ * and checkpoints kept in a temporary directory
+ */
+async function setUp(behaviour = {}) {
+  server = createFakeGithubServer(behaviour);
+  await server.start();
+  return createImporter({
+    config: server.importerConfig({ journalDir: path.join(dir, 'runs'), checkpointDir: path.join(dir, 'checkpoints') })
+  });
+}
+
+function writePmacFile(data = PMAC_FILE) {
+  const file = path.join(dir, 'pmac.json');
+  fs.writeFileSync(file, JSON.stringify(data));
+  return file;
+}
+
+const issues = () => [...server.state.issues.values()];
+const openIssues = () => issues().filter(issue => issue.state === 'open');
+
+describe('import into GitHub', () => {
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pmac-test-'));
+    for (const method of ['log', 'warn', 'error']) mock.method(console, method, () => {});
+  });
+
+  afterEach(async () => {
+    mock.restoreAll();
+    if (server) await server.stop();
+    server = null;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('creates an issue for every item', async () => {
+    const importer = await setUp();
+    const result = await importer.importToJira({ inputFile: writePmacFile() });
+
+    assert.equal(result.backend, 'github');
+    assert.equal(result.complete, true);
+    assert.deepEqual(issues().map(issue => issue.title).sort(), ['Epic one', 'Story one', 'Story two']);
+  });
+
+  it('leaves issues alone when the file did not change', async () => {
+    const importer = await setUp();
+    const file = writePmacFile();
+    await importer.importToJira({ inputFile: file });
+    const requestsBefore = server.state.requests.length;
+
+    const result = await importer.importToJira({ inputFile: file });
+
+    assert.equal(result.complete, true);
+    assert.equal(result.report.totals.created, 0);
+    assert.equal(result.report.totals.unchanged, 3);
+    assert.equal(issues().length, 3);
+    const edits = server.state.requests.slice(requestsBefore).filter(request => request.method === 'PATCH' && /\/issues\/\d+$/.test(request.path));
+    assert.deepEqual(edits, []);
+  });
+
+  it('waits out a 403 rate limit and carries on', async () => {
+    const importer = await setUp({ rateLimit: { times: 2, status: 403, retryAfter: 0 } });
+    const result = await importer.importToJira({ inputFile: writePmacFile() });
+
+    assert.equal(result.complete, true);
+    assert.equal(issues().length, 3);
+  });
+
+  it('undoes a run, closing the issues it created', async () => {
+    const importer = await setUp();
+    const result = await importer.importToJira({ inputFile: writePmacFile() });
+
+    const undo = await importer.undoRun(result.runId, { confirm: async () => true });
+
+    assert.deepEqual(undo.failed, []);
+    assert.deepEqual(openIssues(), []);
+  });
+
+  it('undoes an update, restoring the title it changed', async () => {
+    const importer = await setUp();
+    await importer.importToJira({ inputFile: writePmacFile() });
+    const changed = { ...PMAC_FILE, stories: [{ ...PMAC_FILE.stories[0], summary: 'Story one, renamed' }, PMAC_FILE.stories[1]] };
+    const update = await importer.importToJira({ inputFile: writePmacFile(changed) });
+    assert.equal(update.storiesUpdated, 1);
+    assert.ok(issues().some(issue => issue.title === 'Story one, renamed'));
+
+    await importer.undoRun(update.runId, { confirm: async () => true });
+
+    assert.deepEqual(openIssues().map(issue => issue.title).sort(), ['Epic one', 'Story one', 'Story two']);
+  });
+});
@@ -0,0 +1,178 @@
+/**
+ * Imports into the fake Jira server (fake-jira-server.js), end to end through createImporter
+ */
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFakeJiraServer } = require('../fake-jira-server');
+const { createImporter } = require('../jira-importer');
+
+const PMAC_FILE = {
+  epics: [{ id: 'epic-1', summary: 'Epic one', priority: 'High' }],
+  stories: [
+    { id: 'story-1', summary: 'Story one', epicLink: 'epic-1', storyPoints: 3 },
+    { id: 'story-2', summary: 'Story two', epicLink: 'epic-1', storyPoints: 5 }
+  ]
+};
+
+let server;
+let dir;
+
+/**
+ * Starts a fake with the given behaviour and returns an importer for it, with journals
+ * and checkpoints kept in a temporary directory
+ */
+async function setUp(behaviour = {}) {
+  server = createFakeJiraServer(behaviour);
+  await server.start();
+  return createImporter({
+    config: { ...server.importerConfig(), journalDir: path.join(dir, 'runs'), checkpointDir: path.join(dir, 'checkpoints') }
+  });
+}
+
+function writePmacFile(data = PMAC_FILE) {
+  const file = path.join(dir, 'pmac.json');
+  fs.writeFileSync(file, JSON.stringify(data));
+  return file;
+}
+
+const issues = () => [...server.state.issues.values()];
+const issueNamed = summary => issues().find(issue => issue.fields.summary === summary);
+
+describe('import into Jira', () => {
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pmac-test-'));
+    for (const method of ['log', 'warn', 'error']) mock.method(console, method, () => {});
+  });
+
+  afterEach(async () => {
+    mock.restoreAll();
+    if (server) await server.stop();
+    server = null;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('creates every item, complete and without failures', async () => {
+    const importer = await setUp();
+    const result = await importer.importToJira({ inputFile: writePmacFile() });
+
+    assert.equal(result.success, true);
+    assert.equal(result.complete, true);
+    assert.equal(result.report.totals.created, 3);
+    assert.equal(issues().length, 3);
+  });
+
+  it('leaves issues alone when the file did not change', async () => {
+    const importer = await setUp();
+    const file = writePmacFile();
+    await importer.importToJira({ inputFile: file });
+    const requestsBefore = server.state.requests.length;
+
+    const result = await importer.importToJira({ inputFile: file });
+
+    assert.equal(result.complete, true);
+    assert.deepEqual(
+      { created: result.report.totals.created, updated: result.report.totals.updated, unchanged: result.report.totals.unchanged },
+      { created: 0, updated: 0, unchanged: 3 }
+    );
+    assert.equal(issues().length, 3);
+    const edits = server.state.requests.slice(requestsBefore).filter(request => request.method === 'PUT' && /^\/issue\/[A-Z]+-\d+$/.test(request.path));
+    assert.deepEqual(edits, []);
+  });
+
+  it('only sends the fields that changed', async () => {
+    const importer = await setUp();
+    await importer.importToJira({ inputFile: writePmacFile() });
+
+    const changed = { ...PMAC_FILE, stories: [{ ...PMAC_FILE.stories[0], summary: 'Story one, renamed' }, PMAC_FILE.stories[1]] };
+    const result = await importer.importToJira({ inputFile: writePmacFile(changed) });
+
+    assert.equal(result.storiesUpdated, 1);
+    assert.equal(result.storiesUnchanged, 1);
+    assert.ok(issueNamed('Story one, renamed'));
+  });
+
+  it('retries requests Jira turned away with a 429', async () => {
+    const importer = await setUp({ rateLimit: { times: 2, retryAfter: 0 } });
+    const result = await importer.importToJira({ inputFile: writePmacFile() });
+
+    assert.equal(result.complete, true);
+    assert.equal(issues().length, 3);
+  });
+
+  describe('parenting', () => {
+    for (const style of ['team-managed', 'company-managed']) {
+      it(`puts stories under their epic with the parent field (${style})`, async () => {
+        const importer = await setUp({ style });
+        const result = await importer.importToJira({ inputFile: writePmacFile() });
+
+        assert.equal(result.parentingStrategy, 'parent');
+        assert.equal(result.complete, true);
+        const epic = issueNamed('Epic one');
+        assert.equal(issueNamed('Story one').fields.parent?.key, epic.key);
+        assert.equal(issueNamed('Story two').fields.parent?.key, epic.key);
+      });
+    }
+
+    it('falls back to labels, not sub-tasks, when stories take neither a parent nor an Epic Link', async () => {
+      const importer = await setUp({ parentOnStory: false, epicLinkField: false });
+      const result = await importer.importToJira({ inputFile: writePmacFile() });
+
+      assert.equal(result.parentingStrategy, 'label');
+      assert.equal(result.complete, true);
+      for (const summary of ['Story one', 'Story two']) {
+        const story = issueNamed(summary);
+        assert.equal(story.fields.issuetype.name, 'Story');
+        assert.ok(story.fields.labels.some(label => label.startsWith('Epic_')));
+      }
+    });
+  });
+
+  it('resumes an interrupted run without creating duplicates', async () => {
+    // A 502 on a create may mean Jira created the issues, so the run stops instead of retrying
+    const importer = await setUp({
+      failures: [{ method: 'POST', path: '/issue/bulk', status: 502, times: 1, when: body => JSON.stringify(body).includes('Story one') }]
+    });
+    const file = writePmacFile();
+
+    const interrupted = await importer.importToJira({ inputFile: file });
+    assert.equal(interrupted.success, false);
+    assert.equal(issues().length, 1);
+
+    const resumed = await importer.importToJira({ inputFile: file, resume: true });
+
+    assert.equal(resumed.complete, true);
+    assert.equal(issues().length, 3);
+    assert.deepEqual(issues().map(issue => issue.fields.summary).sort(), ['Epic one', 'Story one', 'Story two']);
+  });
+
+  it('undoes a run, deleting its issues and project', async () => {
+    const importer = await setUp();
+    const result = await importer.importToJira({ inputFile: writePmacFile() });
+
+    const undo = await importer.undoRun(result.runId, { confirm: async () => true });
+
+    assert.deepEqual(undo.failed, []);
+    assert.equal(issues().length, 0);
+    assert.equal(server.state.project, null);
+  });
+
+  it('undoes an update, restoring the fields it changed', async () => {
+    const importer = await setUp();
+    await importer.importToJira({ inputFile: writePmacFile() });
+    const changed = { ...PMAC_FILE, stories: [{ ...PMAC_FILE.stories[0], summary: 'Story one, renamed', storyPoints: 8 }, PMAC_FILE.stories[1]] };
+    const update = await importer.importToJira({ inputFile: writePmacFile(changed) });
+    const story = issueNamed('Story one, renamed');
+    const pointsField = Object.keys(story.fields).find(id => story.fields[id] === 8);
+
+    await importer.undoRun(update.runId, { confirm: async () => true });
+
+    const restored = server.state.issues.get(story.key);
+    assert.equal(restored.fields.summary, 'Story one');
+    assert.equal(restored.fields[pointsField], 3);
+    assert.equal(issues().length, 3);
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * Tracker Backends
+ *
+ * The import pipeline (importToJira in jira-importer.js) puts PMAC items into a
+ * tracker through a backend adapter, so the same file can go into Jira or GitHub
+ * Issues. An adapter is a plain object. Its steps are called in this order, and each
+ * one records what it creates in the run's journal and notes per-item outcomes in
+ * the report:
+ *
+ *   name, title                             Backend name ('jira', 'github') and its name in messages ('Jira')
+ *   host, project                           The site it talks to and the configured project (key or repository)
+ *   startRun(data, options)                 Prepares a run; with options.dryRun, records requests instead of sending them
+ *   prepareProject()                        Creates or finds the project: { key, url }
+ *   probe(projectKey, needs)                Works out what the project supports; resolves to { strategy },
+ *                                           the way stories are put under epics
+ *   ensureComponents(projectKey, names)     Makes PMAC components usable on items
+ *   ensureReleases(projectKey, releases)    Creates or updates the versions of PMAC releases: Map of release
+ *                                           name to { id, status, error }
+ *   findImported(projectKey, recorded)      Records of earlier runs: Map of PMAC ID to record. `recorded` is the
+ *                                           checkpoint's Map of PMAC ID to { key, run } when resuming, for
+ *                                           issues a search may not list yet
+ *   describeRecord(record)                  { key, summary } of a record
+ *   browseUrl(key)                          Web address of an imported item
+ *   importLevel(level, entries, context)    Updates and creates one hierarchy level, top-down, and adds the
+ *                                           keys to context.keyById: { created, updated, unchanged } PMAC items
+ *   createItemLinks(entries, context)       Links from dependsOn, blocks, relatesTo, duplicates: { created, failed }
+ *   attachResources(entries, context)       Adds attachments and web links: { attachments, remoteLinks, failed }
+ *   placeUnderEpics(context)                Puts stories not yet under their epic there: { placedOnCreate, linked, needed }
+ *   planSprints(sprints, stories, context)  Puts stories into sprints: Map of key to { name, status, error }
+ *   pruneItems(records, mode)               Closes ('close') or deletes ('delete') records: the keys done
+ *   finishPlan(projectKey, options)         Ends a dry run: { plan, text }
+ *   endRun()                                Cleans up after a run, whatever its outcome
+ *   projectExists(projectKey)               Whether the project is there, for `pmac status`
+ *   undoStep(step, runId)                   Reverses one journal step; resolves to its outcome
+ *
+ * `context` is { projectKey, strategy, existing, keyById, entryById } for the running import:
+ * records of earlier runs, Jira keys (or the backend's equivalent) and hierarchy entries by PMAC ID.
+ */
+
+const BACKEND_MEMBERS = [
+  'name', 'title', 'host', 'project', 'startRun', 'prepareProject', 'probe', 'ensureComponents',
+  'ensureReleases', 'findImported', 'describeRecord', 'browseUrl', 'importLevel', 'createItemLinks', 'attachResources',
+  'placeUnderEpics', 'planSprints', 'pruneItems', 'finishPlan', 'endRun', 'projectExists', 'undoStep'
+];
+
+// Backends the importer builds from its configuration
+const BACKENDS = {
+  jira: 'Jira Cloud (REST API v3)',
+  github: 'GitHub Issues (REST API)'
+};
+
+/**
+ * Checks that an adapter has every member the pipeline uses; returns it unchanged
+ */
+function checkBackend(backend) {
+  const missing = BACKEND_MEMBERS.filter(member => backend?.[member] === undefined);
+  if (missing.length > 0) {
+    throw new Error(`Backend "${backend?.name || 'unnamed'}" is missing ${missing.join(', ')}`);
+  }
+  return backend;
+}
+
+module.exports = {
+  BACKEND_MEMBERS,
+  BACKENDS,
+  checkBackend
+};
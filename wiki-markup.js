@@ -0,0 +1,493 @@
+/**
+ * Jira Wiki Markup
+ *
+ * Jira Server and Data Center take descriptions in wiki markup rather than ADF.
+ * markdownToWiki renders the ADF document that adf-converter.js builds from a PMAC
+ * description as wiki markup (headings, nested lists, code blocks, quotes, tables
+ * and inline code, bold, italic, strikethrough and links). wikiToMarkdown parses
+ * wiki markup back into ADF and renders that as Markdown, for exports.
+ */
+
+const { markdownToAdf, adfToMarkdown } = require('./adf-converter');
+
+const HEADING = /^\s*h([1-6])\.\s+(.*)$/;
+const LIST_ITEM = /^\s*([*#-]+)\s+(.*)$/;
+const CODE = /^\s*\{(code|noformat)(?::([^}]*))?\}(.*)$/;
+const CONTAINER = /^\s*\{(quote|panel)(?::[^}]*)?\}\s*$/;
+const QUOTE_LINE = /^\s*bq\.\s+(.*)$/;
+const RULE = /^\s*-{4,}\s*$/;
+const TABLE_ROW = /^\s*\|/;
+// Macros whose markers are dropped, keeping what they enclose
+const INLINE_MACRO = /\{(color|anchor)(?::[^}]*)?\}/g;
+
+/**
+ * Converts Markdown text into Jira wiki markup
+ */
+function markdownToWiki(markdown) {
+  return adfToWiki(markdownToAdf(markdown));
+}
+
+/**
+ * Converts an ADF document (or a plain string) into Jira wiki markup
+ */
+function adfToWiki(doc) {
+  if (!doc) return '';
+  if (typeof doc === 'string') return doc;
+  return renderBlocks(doc.content || []).trim();
+}
+
+/**
+ * Renders block nodes separated by blank lines
+ */
+function renderBlocks(nodes) {
+  return nodes.map(renderBlock).filter(text => text !== '').join('\n\n');
+}
+
+/**
+ * Renders a single block node
+ */
+function renderBlock(node) {
+  switch (node.type) {
+    case 'paragraph':
+      return renderInline(node.content || []);
+    case 'heading':
+      return `h${node.attrs?.level || 1}. ${renderInline(node.content || [])}`;
+    case 'bulletList':
+    case 'orderedList':
+      return renderList(node, '');
+    case 'codeBlock': {
+      const code = (node.content || []).map(n => n.text || '').join('');
+      return `{code${node.attrs?.language ? `:${node.attrs.language}` : ''}}\n${code}\n{code}`;
+    }
+    case 'blockquote':
+      return `{quote}\n${renderBlocks(node.content || [])}\n{quote}`;
+    case 'rule':
+      return '----';
+    case 'table':
+      return renderTable(node);
+    case 'panel':
+    case 'expand':
+    case 'nestedExpand':
+    case 'layoutSection':
+    case 'layoutColumn':
+      return renderBlocks(node.content || []);
+    case 'mediaSingle':
+    case 'mediaGroup':
+      return '';
+    default:
+      return node.content ? renderBlocks(node.content) : renderInline([node]);
+  }
+}
+
+/**
+ * Renders a list with one marker per nesting level (`*`, `#`, `#*`...). List items are
+ * single lines in wiki markup, so line breaks inside an item become `\\`.
+ */
+function renderList(list, prefix) {
+  const marker = prefix + (list.type === 'orderedList' ? '#' : '*');
+
+  return (list.content || []).map(item => {
+    const [first, ...rest] = item.content || [];
+    const lines = [`${marker} ${first ? renderBlock(first).replace(/\n/g, ' \\\\ ') : ''}`];
+    for (const child of rest) {
+      lines.push(child.type === 'bulletList' || child.type === 'orderedList' ? renderList(child, marker) : renderBlock(child));
+    }
+    return lines.join('\n');
+  }).join('\n');
+}
+
+/**
+ * Renders a table, with `||` around header cells and `|` around the others
+ */
+function renderTable(node) {
+  return (node.content || []).map(row => {
+    const cells = (row.content || []).map(cell => ({
+      header: cell.type === 'tableHeader',
+      text: renderBlocks(cell.content || []).replace(/\n+/g, ' ') || ' '
+    }));
+    return cells.map(cell => `${cell.header ? '||' : '|'}${cell.text}`).join('') + (cells[cells.length - 1]?.header ? '||' : '|');
+  }).join('\n');
+}
+
+/**
+ * Escapes characters that Jira would otherwise read as wiki markup
+ */
+function escapeWiki(text) {
+  return text
+    .replace(/[*_{}[\]|]/g, '\\$&')
+    .replace(/(^|[\s(])([-+^~])(?=\S)/g, '$1\\$2');
+}
+
+/**
+ * Renders inline nodes (text with marks, hard breaks, mentions, emoji, cards)
+ */
+function renderInline(nodes) {
+  return nodes.map(node => {
+    switch (node.type) {
+      case 'text':
+        return applyMarks(node.text, node.marks || []);
+      case 'hardBreak':
+        return '\n';
+      case 'mention':
+        return node.attrs?.text || '@unknown';
+      case 'emoji':
+        return node.attrs?.text || node.attrs?.shortName || '';
+      case 'inlineCard':
+      case 'blockCard':
+        return node.attrs?.url || '';
+      case 'date':
+        return node.attrs?.timestamp ? new Date(Number(node.attrs.timestamp)).toISOString().slice(0, 10) : '';
+      case 'status':
+        return node.attrs?.text || '';
+      default:
+        return node.content ? renderInline(node.content) : '';
+    }
+  }).join('');
+}
+
+/**
+ * Wraps text in the wiki markup for its marks
+ */
+function applyMarks(text, marks) {
+  const types = new Set(marks.map(m => m.type));
+  const link = marks.find(m => m.type === 'link');
+  const href = link?.attrs?.href || '';
+  // Jira links bare URLs by itself
+  if (link && text === href && types.size === 1) return href;
+
+  text = types.has('code') ? `{{${escapeWiki(text)}}}` : escapeWiki(text);
+
+  // Keep surrounding spaces outside the markers, where wiki markup requires them
+  const [, before, inner, after] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+  if (!inner) return text;
+  let wrapped = inner;
+  if (types.has('strike')) wrapped = `-${wrapped}-`;
+  if (types.has('em')) wrapped = `_${wrapped}_`;
+  if (types.has('strong')) wrapped = `*${wrapped}*`;
+  if (link) wrapped = `[${wrapped}|${href}]`;
+  return before + wrapped + after;
+}
+
+/**
+ * Converts Jira wiki markup into Markdown text
+ */
+function wikiToMarkdown(wiki) {
+  return adfToMarkdown(wikiToAdf(wiki));
+}
+
+/**
+ * Converts Jira wiki markup into an ADF document
+ */
+function wikiToAdf(wiki) {
+  const lines = String(wiki || '').replace(/\r\n?/g, '\n').split('\n');
+  return {
+    type: 'doc',
+    version: 1,
+    content: parseBlocks(lines)
+  };
+}
+
+/**
+ * Checks whether a line starts a block other than a paragraph
+ */
+function startsBlock(line) {
+  return HEADING.test(line) || LIST_ITEM.test(line) || CODE.test(line) || CONTAINER.test(line) ||
+    QUOTE_LINE.test(line) || RULE.test(line) || TABLE_ROW.test(line);
+}
+
+/**
+ * Parses a sequence of wiki markup lines into ADF block nodes
+ */
+function parseBlocks(lines) {
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    // {code:language} ... {code} and {noformat} ... {noformat}, possibly on one line
+    const code = line.match(CODE);
+    if (code) {
+      const closing = `{${code[1]}}`;
+      const language = (code[2] || '').split('|').find(param => !param.includes('='));
+      const content = [];
+      let rest = code[3];
+      while (!rest.includes(closing) && i + 1 < lines.length) {
+        if (rest) content.push(rest);
+        i++;
+        rest = lines[i];
+      }
+      const last = rest.split(closing)[0];
+      if (last) content.push(last);
+      i++;
+      const node = { type: 'codeBlock' };
+      if (language) node.attrs = { language };
+      if (content.length > 0) node.content = [{ type: 'text', text: content.join('\n') }];
+      blocks.push(node);
+      continue;
+    }
+
+    const container = line.match(CONTAINER);
+    if (container) {
+      const inner = [];
+      i++;
+      while (i < lines.length && !CONTAINER.test(lines[i])) {
+        inner.push(lines[i]);
+        i++;
+      }
+      i++; // Skip the closing marker
+      const content = parseBlocks(inner);
+      if (container[1] === 'quote') blocks.push({ type: 'blockquote', content });
+      else blocks.push(...content);
+      continue;
+    }
+
+    const heading = line.match(HEADING);
+    if (heading) {
+      blocks.push({ type: 'heading', attrs: { level: Number(heading[1]) }, content: parseInline(heading[2]) });
+      i++;
+      continue;
+    }
+
+    if (RULE.test(line)) {
+      blocks.push({ type: 'rule' });
+      i++;
+      continue;
+    }
+
+    const quote = line.match(QUOTE_LINE);
+    if (quote) {
+      blocks.push({ type: 'blockquote', content: [paragraph([quote[1]])] });
+      i++;
+      continue;
+    }
+
+    if (TABLE_ROW.test(line)) {
+      const rows = [];
+      while (i < lines.length && TABLE_ROW.test(lines[i])) {
+        rows.push(lines[i]);
+        i++;
+      }
+      blocks.push(table(rows));
+      continue;
+    }
+
+    if (LIST_ITEM.test(line)) {
+      const [list, next] = parseList(lines, i, 1);
+      blocks.push(list);
+      i = next;
+      continue;
+    }
+
+    const paragraphLines = [];
+    while (i < lines.length && lines[i].trim() && (paragraphLines.length === 0 || !startsBlock(lines[i]))) {
+      paragraphLines.push(lines[i].trim());
+      i++;
+    }
+    blocks.push(paragraph(paragraphLines));
+  }
+
+  return blocks;
+}
+
+/**
+ * Reads the markers of a list line, treating a `-` bullet as `*`
+ */
+function markersOf(line) {
+  return line.match(LIST_ITEM)[1].replace(/-/g, '*');
+}
+
+/**
+ * Parses the list at `depth` (1 for top-level) starting at index, with its deeper lists
+ * nested in their items. Returns the list node and the index of the first line after it.
+ */
+function parseList(lines, start, depth) {
+  const ordered = markersOf(lines[start])[depth - 1] === '#';
+  const list = { type: ordered ? 'orderedList' : 'bulletList', content: [] };
+
+  let i = start;
+  while (i < lines.length && LIST_ITEM.test(lines[i]) && !RULE.test(lines[i])) {
+    const markers = markersOf(lines[i]);
+    if (markers.length < depth) break;
+
+    if (markers.length === depth) {
+      if ((markers[depth - 1] === '#') !== ordered) break;
+      list.content.push({ type: 'listItem', content: [paragraph([lines[i].match(LIST_ITEM)[2].trim()])] });
+      i++;
+      continue;
+    }
+
+    const [sublist, next] = parseList(lines, i, depth + 1);
+    if (list.content.length === 0) list.content.push({ type: 'listItem', content: [{ type: 'paragraph' }] });
+    list.content[list.content.length - 1].content.push(sublist);
+    i = next;
+  }
+
+  return [list, i];
+}
+
+/**
+ * Builds a paragraph, keeping line breaks (and `\\`) as hard breaks
+ */
+function paragraph(lines) {
+  const content = [];
+  lines.flatMap(line => line.split(/\s*\\\\\s*/)).forEach((line, index) => {
+    if (index > 0) content.push({ type: 'hardBreak' });
+    content.push(...parseInline(line));
+  });
+
+  return content.length > 0 ? { type: 'paragraph', content } : { type: 'paragraph' };
+}
+
+/**
+ * Splits a table row into cells, ignoring pipes inside links, monospace and escapes.
+ * Returns [{ header, text }].
+ */
+function splitRow(row) {
+  const cells = [];
+  const text = row.trim();
+  let current = null;
+  let depth = 0;
+
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\\') {
+      if (current) current.text += text.slice(i, i + 2);
+      i++;
+    } else if (text[i] === '|' && depth === 0) {
+      const header = text[i + 1] === '|';
+      if (current) cells.push(current);
+      current = { header, text: '' };
+      if (header) i++;
+    } else {
+      if (text[i] === '[' || text[i] === '{') depth++;
+      if ((text[i] === ']' || text[i] === '}') && depth > 0) depth--;
+      if (current) current.text += text[i];
+    }
+  }
+  if (current && current.text.trim()) cells.push(current);
+
+  return cells.map(cell => ({ header: cell.header, text: cell.text.trim() }));
+}
+
+/**
+ * Builds a table from wiki markup rows
+ */
+function table(rows) {
+  return {
+    type: 'table',
+    attrs: { isNumberColumnEnabled: false, layout: 'default' },
+    content: rows.map(row => ({
+      type: 'tableRow',
+      content: splitRow(row).map(cell => ({
+        type: cell.header ? 'tableHeader' : 'tableCell',
+        content: [paragraph([cell.text])]
+      }))
+    }))
+  };
+}
+
+/**
+ * Builds a text node with the given marks
+ */
+function textNode(text, marks) {
+  const node = { type: 'text', text };
+  if (marks.length > 0) node.marks = marks;
+  return node;
+}
+
+// Inline effects: the marker and the ADF mark it stands for (underline, superscript and
+// subscript have no Markdown counterpart and are kept as plain text)
+const EFFECTS = [
+  ['*', 'strong'],
+  ['_', 'em'],
+  ['??', 'em'],
+  ['-', 'strike'],
+  ['+', null],
+  ['^', null],
+  ['~', null]
+];
+
+/**
+ * Parses inline wiki markup (escapes, monospace, links and text effects) into ADF text nodes
+ */
+function parseInline(text, marks = []) {
+  text = text.replace(INLINE_MACRO, '');
+  const nodes = [];
+  let buffer = '';
+  let i = 0;
+
+  const flush = () => {
+    if (buffer) nodes.push(textNode(buffer, marks));
+    buffer = '';
+  };
+  const isWordChar = ch => Boolean(ch) && /\w/.test(ch);
+
+  while (i < text.length) {
+    const rest = text.slice(i);
+    let match;
+
+    if (rest[0] === '\\' && rest.length > 1) {
+      buffer += rest[1];
+      i += 2;
+      continue;
+    }
+
+    // {{monospace}}
+    if ((match = rest.match(/^\{\{([\s\S]+?)\}\}(?!\})/))) {
+      flush();
+      nodes.push(textNode(match[1].replace(/\\(.)/g, '$1'), [...marks.filter(m => m.type === 'link'), { type: 'code' }]));
+      i += match[0].length;
+      continue;
+    }
+
+    // [text|url] or [url]; other brackets ([~user], [KEY-1], anchors) are kept as text
+    if ((match = rest.match(/^\[(?:([^|\]]*)\|)?((?:https?|mailto):[^\]\s]+)\]/))) {
+      flush();
+      const href = match[2];
+      if (match[1]) nodes.push(...parseInline(match[1], [...marks, { type: 'link', attrs: { href } }]));
+      else nodes.push(textNode(href, [...marks, { type: 'link', attrs: { href } }]));
+      i += match[0].length;
+      continue;
+    }
+
+    // Bare URLs
+    if (!marks.some(m => m.type === 'link') && !isWordChar(text[i - 1]) &&
+        (match = rest.match(/^https?:\/\/[^\s<>()|\]]*[^\s<>().,;:!?'"|\]]/))) {
+      flush();
+      nodes.push(textNode(match[0], [...marks, { type: 'link', attrs: { href: match[0] } }]));
+      i += match[0].length;
+      continue;
+    }
+
+    const effect = !isWordChar(text[i - 1]) && EFFECTS.find(([marker]) => rest.startsWith(marker));
+    if (effect) {
+      const [marker, type] = effect;
+      const escaped = marker.replace(/[?*+^-]/g, '\\$&');
+      match = rest.match(new RegExp(`^${escaped}(?=\\S)([\\s\\S]*?[^\\s\\\\])${escaped}(?!\\w)`));
+      if (match) {
+        flush();
+        nodes.push(...parseInline(match[1], type ? [...marks, { type }] : marks));
+        i += match[0].length;
+        continue;
+      }
+    }
+
+    buffer += rest[0];
+    i++;
+  }
+
+  flush();
+  return nodes;
+}
+
+module.exports = {
+  markdownToWiki,
+  adfToWiki,
+  wikiToMarkdown,
+  wikiToAdf
+};